@@ -0,0 +1,392 @@
+// ========================================
+// ACCESSIBILITY CONFIGURATION
+// ========================================
+
+/* KEYBOARD FOCUS LAYERS: Layers whose features Tab moves through */
+const KEYBOARD_FOCUS_LAYERS = ['clusters', 'unclustered-point', 'spider-points'];
+
+/* KEYBOARD ROW HEIGHT: Features within this many pixels vertically are read left to right as one row */
+const KEYBOARD_ROW_HEIGHT = 40;
+
+/* SERVER LIST LIMIT: Most servers listed at once, filters narrow longer lists */
+const SERVER_LIST_LIMIT = 500;
+
+/* ANNOUNCE DELAY: Data changes are read out once they settle, in milliseconds */
+const ANNOUNCE_DELAY = 1500;
+
+/* MAP CANVAS LABEL: Read by screen readers when the map gets focus */
+const MAP_CANVAS_LABEL = 'Map of server locations. Tab and Shift+Tab move between the servers and clusters in view, ' +
+    'Enter opens a server or expands a cluster, Escape closes it. The Accessibility panel lists every shown server.';
+
+/* KEYBOARD FOCUS: Focused feature ({ key, layer, coordinates, properties }), null when none */
+let keyboardFocus = null;
+
+/* ANNOUNCER STATE: Live region element and the pending data change message */
+const announcerState = {
+    element: null,
+    timer: null,
+    lastCount: null
+};
+
+// ========================================
+// LIVE REGION
+// ========================================
+
+/**
+ * ANNOUNCE: Reads a message out through the polite live region
+ * The region is emptied first so the same message is read again when repeated
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+    const element = announcerState.element;
+    if (!element) return;
+
+    element.textContent = '';
+    setTimeout(function() { element.textContent = message; }, 50);
+}
+
+/**
+ * DESCRIBE FEATURE: Spoken summary of a server or cluster
+ * @param {Object} properties - Feature properties (cluster properties for clusters)
+ * @returns {string} Summary text
+ */
+function describeFeature(properties) {
+    const mode = pointColorModes.get(pointColorMode);
+
+    // CLUSTER: Size and the most common value of the colour mode
+    if (properties.cluster) {
+        const dominant = Object.keys(mode.colors).reduce(function(best, value) {
+            const count = properties[`${pointColorMode}_${value}`] || 0;
+            return count > best.count ? { value: value, count: count } : best;
+        }, { value: null, count: 0 });
+        const mostly = dominant.value ? `, mostly ${mode.labels[dominant.value]}` : '';
+        return `Cluster of ${properties.point_count} servers${mostly}`;
+    }
+
+    const place = [properties.city, properties.country].filter(Boolean).join(', ');
+    const value = properties[mode.property];
+    return [
+        `Server ${properties.ip}`,
+        properties.host,
+        place,
+        value ? `${mode.label}: ${mode.labels[value] || value}` : '',
+        properties.requestCount ? `${properties.requestCount} requests` : '',
+        properties.approximate ? 'approximate location' : ''
+    ].filter(Boolean).join(', ');
+}
+
+/**
+ * ANNOUNCE VISIBLE DATA: Reads out the number of shown servers once filters or imports settle
+ * @param {Object} visibleData - Visible GeoJSON FeatureCollection
+ */
+function announceVisibleData(visibleData) {
+    clearTimeout(announcerState.timer);
+    announcerState.timer = setTimeout(function() {
+        const count = visibleData ? visibleData.features.length : 0;
+        if (count === announcerState.lastCount) return;
+        announcerState.lastCount = count;
+        announce(`${count} servers shown on the map`);
+    }, ANNOUNCE_DELAY);
+}
+
+// ========================================
+// KEYBOARD NAVIGATION
+// ========================================
+
+/**
+ * GET FOCUSABLE FEATURES: Servers and clusters in view, in reading order
+ * Rendered features can repeat across tiles, so they are de-duplicated by cluster ID or IP
+ * @returns {Array<Object>} { key, layer, coordinates, properties }
+ */
+function getFocusableFeatures() {
+    const layers = KEYBOARD_FOCUS_LAYERS.filter(function(layerId) { return map.getLayer(layerId); });
+    if (layers.length === 0) return [];
+
+    const entries = new Map();
+    map.queryRenderedFeatures({ layers: layers }).forEach(function(feature) {
+        const properties = feature.properties;
+        const key = properties.cluster ? `cluster:${properties.cluster_id}` : `${feature.layer.id}:${properties.ip}`;
+        if (entries.has(key)) return;
+
+        const coordinates = feature.geometry.coordinates.slice();
+        const point = map.project(coordinates);
+        entries.set(key, {
+            key: key,
+            layer: feature.layer.id,
+            coordinates: coordinates,
+            properties: properties,
+            row: Math.floor(point.y / KEYBOARD_ROW_HEIGHT),
+            x: point.x
+        });
+    });
+
+    return Array.from(entries.values()).sort(function(a, b) {
+        return a.row - b.row || a.x - b.x;
+    });
+}
+
+/**
+ * CREATE KEYBOARD FOCUS DATA: Point of the focused feature
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function createKeyboardFocusData() {
+    return {
+        type: 'FeatureCollection',
+        features: keyboardFocus ? [{
+            type: 'Feature',
+            properties: {},
+            geometry: { type: 'Point', coordinates: keyboardFocus.coordinates }
+        }] : []
+    };
+}
+
+/**
+ * SET KEYBOARD FOCUS: Moves the focus ring to a feature, or removes it
+ * @param {Object|null} entry - Entry from getFocusableFeatures(), or null
+ */
+function setKeyboardFocus(entry) {
+    keyboardFocus = entry;
+
+    const source = map && map.getSource('keyboard-focus');
+    if (source) {
+        source.setData(createKeyboardFocusData());
+    }
+}
+
+/**
+ * MOVE KEYBOARD FOCUS: Focuses the next or previous feature in view
+ * @param {number} step - 1 for the next feature, -1 for the previous one
+ * @returns {boolean} False past either end, so Tab can leave the map
+ */
+function moveKeyboardFocus(step) {
+    const entries = getFocusableFeatures();
+    if (entries.length === 0) {
+        announce('No servers in view. Zoom out or use the server list in the Accessibility panel.');
+        return false;
+    }
+
+    const current = keyboardFocus ? entries.findIndex(function(entry) { return entry.key === keyboardFocus.key; }) : -1;
+    const next = current < 0 ? (step > 0 ? 0 : entries.length - 1) : current + step;
+    if (next < 0 || next >= entries.length) {
+        setKeyboardFocus(null);
+        return false;
+    }
+
+    const entry = entries[next];
+    setKeyboardFocus(entry);
+    announce(`${describeFeature(entry.properties)}. ${next + 1} of ${entries.length}. ` +
+        `Press Enter to ${entry.properties.cluster ? 'expand' : 'open'}.`);
+    return true;
+}
+
+/**
+ * ACTIVATE KEYBOARD FOCUS: Expands the focused cluster or opens the focused server's popup
+ */
+function activateKeyboardFocus() {
+    const entry = keyboardFocus;
+    if (!entry) return;
+
+    if (entry.properties.cluster) {
+        setKeyboardFocus(null);
+        announce(`Expanding cluster of ${entry.properties.point_count} servers. Press Tab for the first server.`);
+        expandCluster(entry.properties.cluster_id, entry.coordinates);
+        return;
+    }
+
+    createPopup(entry.coordinates, entry.properties);
+}
+
+/**
+ * CLOSE KEYBOARD SELECTION: Closes the popup and the fan and returns focus to the map
+ * The focus ring stays on the server whose popup was open, so Tab carries on from there;
+ * Escape with nothing open removes the ring
+ */
+function closeKeyboardSelection() {
+    const entry = keyboardFocus;
+    const hadPopup = Boolean(selectedPopup || spiderState);
+    closeSelectedPopup();
+    unspiderfy();
+    map.getCanvas().focus();
+    setKeyboardFocus(hadPopup ? entry : null);
+    if (hadPopup || entry) announce('Closed');
+}
+
+/* KEYBOARD FOCUS OVERLAY: Dark ring with a white halo around the focused feature */
+registerOverlay('keyboard-focus', {
+    label: 'Keyboard focus',
+    sources: { 'keyboard-focus': function() { return { type: 'geojson', data: createKeyboardFocusData() }; } },
+    layers: function() {
+        return [
+            {
+                id: 'keyboard-focus-halo',
+                type: 'circle',
+                source: 'keyboard-focus',
+                paint: { 'circle-radius': 22, 'circle-color': 'rgba(0, 0, 0, 0)', 'circle-stroke-width': 6, 'circle-stroke-color': '#fff' }
+            },
+            {
+                id: 'keyboard-focus',
+                type: 'circle',
+                source: 'keyboard-focus',
+                paint: { 'circle-radius': 22, 'circle-color': 'rgba(0, 0, 0, 0)', 'circle-stroke-width': 3, 'circle-stroke-color': '#2c3e50' }
+            }
+        ];
+    }
+});
+
+/**
+ * ADD KEYBOARD INTERACTIONS: Tab/Shift+Tab focus cycling, Enter and Escape on the map
+ * MapLibre's own keys (arrows, +/-) keep panning and zooming
+ */
+function addKeyboardInteractions() {
+    const canvas = map.getCanvas();
+    canvas.setAttribute('aria-label', MAP_CANVAS_LABEL);
+
+    canvas.addEventListener('keydown', function(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+        if (e.key === 'Tab' && moveKeyboardFocus(e.shiftKey ? -1 : 1)) {
+            e.preventDefault();
+        } else if (e.key === 'Enter' && keyboardFocus) {
+            e.preventDefault();
+            activateKeyboardFocus();
+        }
+    });
+
+    // ESCAPE: Works from the canvas and from inside a popup
+    map.getContainer().addEventListener('keydown', function(e) {
+        if (e.key === 'Escape' && (e.target === canvas || e.target.closest('.maplibregl-popup'))) {
+            closeKeyboardSelection();
+        }
+    });
+
+    // STALE FOCUS: Clusters change with the zoom, and the ring must not outlive a mouse click elsewhere.
+    // Focus moving between the canvas and a popup opened with Enter keeps it
+    map.on('zoomstart', function() { setKeyboardFocus(null); });
+    map.getContainer().addEventListener('focusout', function(e) {
+        const isKeyboardTarget = function(element) {
+            return Boolean(element) && (element === canvas || Boolean(element.closest('.maplibregl-popup')));
+        };
+        if (isKeyboardTarget(e.target) && !isKeyboardTarget(e.relatedTarget)) {
+            setKeyboardFocus(null);
+        }
+    });
+}
+
+// ========================================
+// ACCESSIBILITY PANEL
+// ========================================
+
+/**
+ * ACCESSIBILITY CONTROL: Colour palette selector and a list alternative to the map canvas
+ */
+class AccessibilityControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel accessibility-panel';
+        this.container.innerHTML = `
+            <details>
+                <summary class="map-panel-title">♿ Accessibility</summary>
+                <div class="map-panel-body">
+                    <label>Colours
+                        <select data-role="palette">
+                            ${Object.keys(COLOR_PALETTES).map(function(key) {
+                                return `<option value="${key}">${COLOR_PALETTES[key].label}</option>`;
+                            }).join('')}
+                        </select>
+                    </label>
+                    <details data-role="list-details" class="server-list-details">
+                        <summary>Server list <span data-role="count"></span></summary>
+                        <ul class="server-list" data-role="list" aria-label="Servers shown on the map"></ul>
+                    </details>
+                </div>
+            </details>
+        `;
+
+        // LIVE REGION: Lives in the map container, visually hidden
+        announcerState.element = document.createElement('div');
+        announcerState.element.className = 'visually-hidden';
+        announcerState.element.setAttribute('role', 'status');
+        announcerState.element.setAttribute('aria-live', 'polite');
+        mapInstance.getContainer().appendChild(announcerState.element);
+
+        const element = (role) => this.container.querySelector(`[data-role="${role}"]`);
+        this.paletteSelect = element('palette');
+        this.listDetails = element('list-details');
+        this.list = element('list');
+        this.count = element('count');
+
+        this.paletteSelect.addEventListener('change', function(e) {
+            setColorPalette(e.target.value);
+        });
+
+        // LIST: Rendered only while open, as it can be long
+        this.listDetails.addEventListener('toggle', () => this.update());
+
+        // SERVER BUTTON: Fly to the server and open its popup
+        this.list.addEventListener('click', function(e) {
+            const button = e.target.closest('[data-ip]');
+            if (!button) return;
+            const visibleData = getVisibleIPLocationData();
+            const feature = visibleData && visibleData.features.find(function(candidate) {
+                return candidate.properties.ip === button.dataset.ip;
+            });
+            if (!feature) return;
+
+            map.flyTo({ center: feature.geometry.coordinates, zoom: Math.max(map.getZoom(), 8) });
+            createPopup(feature.geometry.coordinates.slice(), feature.properties);
+        });
+
+        this.update();
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        announcerState.element.remove();
+        announcerState.element = null;
+        this.map = undefined;
+    }
+
+    /**
+     * UPDATE: Palette selector and, while open, the list of shown servers
+     */
+    update() {
+        if (!this.list) return;
+
+        this.paletteSelect.value = colorPalette;
+
+        const visibleData = ipLocationData ? getVisibleIPLocationData() : null;
+        const features = visibleData ? visibleData.features : [];
+        this.count.textContent = `(${features.length})`;
+
+        if (!this.listDetails.open) {
+            this.list.innerHTML = '';
+            return;
+        }
+
+        const sorted = features.slice().sort(function(a, b) {
+            return (a.properties.host || a.properties.ip).localeCompare(b.properties.host || b.properties.ip);
+        });
+
+        this.list.innerHTML = sorted.slice(0, SERVER_LIST_LIMIT).map(function(feature) {
+            return `<li><button type="button" data-ip="${escapeHTML(feature.properties.ip)}">${escapeHTML(describeFeature(feature.properties))}</button></li>`;
+        }).join('') + (sorted.length > SERVER_LIST_LIMIT
+            ? `<li>${sorted.length - SERVER_LIST_LIMIT} more servers - use the filters to narrow the list.</li>`
+            : '');
+    }
+}
+
+/* ACCESSIBILITY CONTROL: Single accessibility panel instance added to the map */
+const accessibilityControl = new AccessibilityControl();
+
+/* LIVE LIST: The list and the live region follow the servers shown on the map */
+onVisibleDataChange(function(visibleData) {
+    accessibilityControl.update();
+    announceVisibleData(visibleData);
+});
+
+/* PALETTE: Keep the selector in step with palette changes from the URL hash */
+onPaletteChange(function() {
+    accessibilityControl.update();
+});
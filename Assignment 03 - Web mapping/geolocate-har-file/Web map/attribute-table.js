@@ -0,0 +1,511 @@
+// ========================================
+// ATTRIBUTE TABLE CONFIGURATION
+// ========================================
+
+/* TABLE ROW HEIGHT: Fixed row height in pixels, which virtual scrolling relies on */
+const TABLE_ROW_HEIGHT = 26;
+
+/* TABLE OVERSCAN: Rows rendered above and below the visible ones */
+const TABLE_OVERSCAN = 10;
+
+/* TABLE BASE COLUMNS: Always shown first; other properties of the data follow */
+const TABLE_BASE_COLUMNS = [
+    { key: 'ip', label: 'IP', width: 130 },
+    { key: 'host', label: 'Host', width: 180 },
+    { key: 'url', label: 'URL', width: 260 },
+    { key: 'longitude', label: 'Longitude', width: 95 },
+    { key: 'latitude', label: 'Latitude', width: 95 }
+];
+
+/* TABLE MIN COLUMN WIDTH: Columns cannot be resized narrower than this */
+const TABLE_MIN_COLUMN_WIDTH = 50;
+
+/* TABLE STATE: Rows, columns, sorting and docking of the attribute table */
+const tableState = {
+    rows: [], // Visible features, sorted
+    columns: TABLE_BASE_COLUMNS.map(function(column) { return Object.assign({}, column); }),
+    sortColumn: null,
+    sortDescending: false,
+    dock: 'bottom', // 'bottom' or 'right'
+    open: false
+};
+
+/* SELECTED IPS: Servers selected in the table or on the map */
+const selectedIPs = new Set();
+
+/* SELECTION LISTENERS: Called after the selection changes, registered with onSelectionChange() */
+const selectionListeners = [];
+
+// ========================================
+// SELECTION
+// ========================================
+
+/**
+ * GET TABLE CELL VALUE: Value of a column for a feature
+ * @param {Object} feature - Server point feature
+ * @param {string} key - Column key
+ * @returns {*} Property value, or the coordinate for longitude/latitude
+ */
+function getTableCellValue(feature, key) {
+    if (key === 'longitude') return feature.geometry.coordinates[0];
+    if (key === 'latitude') return feature.geometry.coordinates[1];
+    return feature.properties[key];
+}
+
+/**
+ * CREATE SELECTION DATA: Points of the selected servers that are currently shown
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function createSelectionData() {
+    const visibleData = getVisibleIPLocationData();
+    return {
+        type: 'FeatureCollection',
+        features: visibleData ? visibleData.features.filter(function(feature) {
+            return selectedIPs.has(feature.properties.ip);
+        }) : []
+    };
+}
+
+/**
+ * SET SELECTED IPS: Replaces or extends the selection and highlights it on the map and in the table
+ * @param {Array<string>} ips - IPs to select
+ * @param {boolean} add - Add to the current selection instead of replacing it
+ */
+function setSelectedIPs(ips, add) {
+    if (!add) selectedIPs.clear();
+    ips.forEach(function(ip) { selectedIPs.add(ip); });
+
+    const source = map && map.getSource('selected-points');
+    if (source) {
+        source.setData(createSelectionData());
+    }
+    attributeTable.renderRows();
+
+    selectionListeners.forEach(function(listener) {
+        try {
+            listener(selectedIPs);
+        } catch (error) {
+            console.error('❌ Error in selection listener:', error);
+        }
+    });
+}
+
+/**
+ * ON SELECTION CHANGE: Registers a listener for changes to the selected servers
+ * @param {Function} listener - Called with the Set of selected IPs
+ */
+function onSelectionChange(listener) {
+    selectionListeners.push(listener);
+}
+
+/**
+ * TOGGLE SELECTED IP: Adds a server to the selection, or removes it if already selected
+ * @param {string} ip - Server IP
+ */
+function toggleSelectedIP(ip) {
+    if (selectedIPs.has(ip)) {
+        selectedIPs.delete(ip);
+        setSelectedIPs([], true);
+    } else {
+        setSelectedIPs([ip], true);
+    }
+}
+
+/* SELECTION OVERLAY: Rings around the selected servers, drawn over clusters too */
+registerOverlay('selection', {
+    label: 'Selection',
+    sources: { 'selected-points': function() { return { type: 'geojson', data: createSelectionData() }; } },
+    layers: function() {
+        return [{
+            id: 'selected-points',
+            type: 'circle',
+            source: 'selected-points',
+            paint: {
+                'circle-radius': 12,
+                'circle-color': 'rgba(0, 0, 0, 0)',
+                'circle-stroke-width': 3,
+                'circle-stroke-color': getPaletteColor('selection', '#f1c40f')
+            }
+        }];
+    }
+});
+
+// ========================================
+// BOX AND LASSO SELECTION
+// ========================================
+
+/**
+ * SELECT IN SHAPE: Selects the shown servers whose screen position falls inside a box or lasso
+ * Uses the data rather than rendered features, so points inside clusters are selected too
+ * @param {Array<Array>} ring - Closed ring of screen positions
+ * @param {boolean} add - Add to the current selection
+ */
+function selectInShape(ring, add) {
+    const visibleData = getVisibleIPLocationData();
+    if (!visibleData) return;
+
+    const ips = visibleData.features.filter(function(feature) {
+        const point = map.project(feature.geometry.coordinates);
+        return isPointInRing([point.x, point.y], ring);
+    }).map(function(feature) { return feature.properties.ip; });
+
+    setSelectedIPs(ips, add);
+    attributeTable.scrollToSelection();
+    console.log(`✅ Selected ${ips.length} servers`);
+}
+
+/**
+ * START SHAPE SELECTION: Lets the user drag a box or draw a lasso over the map once
+ * Map panning is paused while drawing; hold Shift to add to the selection
+ * @param {string} tool - 'box' or 'lasso'
+ * @param {Function} onDone - Called when the shape is finished or cancelled
+ */
+function startShapeSelection(tool, onDone) {
+    const container = map.getContainer();
+    const surface = document.createElement('div');
+    surface.className = 'selection-surface';
+    surface.innerHTML = '<svg><polygon class="selection-shape"></polygon></svg>';
+    container.appendChild(surface);
+
+    const shape = surface.querySelector('polygon');
+    const points = [];
+    map.dragPan.disable();
+
+    const getPoint = function(e) {
+        const rect = surface.getBoundingClientRect();
+        return [e.clientX - rect.left, e.clientY - rect.top];
+    };
+    const getRing = function() {
+        if (tool === 'lasso') return points;
+        const [start, end] = [points[0], points[points.length - 1]];
+        return [start, [end[0], start[1]], end, [start[0], end[1]]];
+    };
+
+    const finish = function(e) {
+        surface.remove();
+        map.dragPan.enable();
+        document.removeEventListener('keydown', cancelOnEscape);
+        // SHAPE: A box needs both corners, a lasso at least three points
+        if (e && points.length > (tool === 'box' ? 1 : 2)) {
+            const ring = getRing();
+            selectInShape(ring.concat([ring[0]]), e.shiftKey);
+        }
+        onDone();
+    };
+    const cancelOnEscape = function(e) {
+        if (e.key === 'Escape') finish(null);
+    };
+
+    surface.addEventListener('pointerdown', function(e) {
+        surface.setPointerCapture(e.pointerId);
+        points.push(getPoint(e));
+    });
+    surface.addEventListener('pointermove', function(e) {
+        if (points.length === 0) return;
+        if (tool === 'lasso') {
+            points.push(getPoint(e));
+        } else {
+            points[1] = getPoint(e);
+        }
+        shape.setAttribute('points', getRing().map(function(point) { return point.join(','); }).join(' '));
+    });
+    surface.addEventListener('pointerup', finish);
+    document.addEventListener('keydown', cancelOnEscape);
+}
+
+// ========================================
+// ATTRIBUTE TABLE CONTROL
+// ========================================
+
+/**
+ * ATTRIBUTE TABLE CONTROL: Map control that opens a grid of the shown servers, docked below or beside the map
+ * Rows are virtual: only the rows in view are in the DOM
+ */
+class AttributeTableControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel attribute-table-control';
+        this.container.innerHTML = `
+            <div class="map-panel-row">
+                <button type="button" data-role="toggle" aria-pressed="false">📋 Table</button>
+                <button type="button" data-tool="box" title="Drag a box to select servers (Shift adds)">▭ Box</button>
+                <button type="button" data-tool="lasso" title="Draw around servers to select them (Shift adds)">➰ Lasso</button>
+            </div>
+        `;
+
+        // GRID: Lives in the map container so it can dock over the bottom or the right edge
+        this.grid = document.createElement('div');
+        this.grid.className = 'attribute-table';
+        this.grid.hidden = true;
+        this.grid.innerHTML = `
+            <div class="attribute-table-toolbar">
+                <strong data-role="count"></strong>
+                <button type="button" data-role="dock">Dock right</button>
+                <button type="button" data-role="clear">Clear selection</button>
+                <button type="button" data-role="close" aria-label="Close table">✕</button>
+            </div>
+            <div class="attribute-table-header" data-role="header" role="row"></div>
+            <div class="attribute-table-body" data-role="body" tabindex="0">
+                <div class="attribute-table-spacer" data-role="spacer">
+                    <div class="attribute-table-rows" data-role="rows"></div>
+                </div>
+            </div>
+        `;
+        mapInstance.getContainer().appendChild(this.grid);
+
+        const element = (role) => this.container.querySelector(`[data-role="${role}"]`) || this.grid.querySelector(`[data-role="${role}"]`);
+        this.toggleButton = element('toggle');
+        this.dockButton = element('dock');
+        this.countElement = element('count');
+        this.header = element('header');
+        this.body = element('body');
+        this.spacer = element('spacer');
+        this.rows = element('rows');
+
+        this.toggleButton.addEventListener('click', () => this.setOpen(!tableState.open));
+        element('close').addEventListener('click', () => this.setOpen(false));
+        element('clear').addEventListener('click', function() { setSelectedIPs([]); });
+        this.dockButton.addEventListener('click', () => {
+            tableState.dock = tableState.dock === 'bottom' ? 'right' : 'bottom';
+            this.updateLayout();
+        });
+
+        // SELECTION TOOLS: One shape per click
+        this.container.querySelectorAll('[data-tool]').forEach(function(button) {
+            button.addEventListener('click', function() {
+                button.classList.add('active');
+                startShapeSelection(button.dataset.tool, function() { button.classList.remove('active'); });
+            });
+        });
+
+        // VIRTUAL SCROLLING: Re-render the rows in view, keep the header aligned
+        this.body.addEventListener('scroll', () => {
+            this.header.scrollLeft = this.body.scrollLeft;
+            this.renderRows();
+        });
+
+        // ROW CLICK: Select and fly to the server; Ctrl/Cmd toggles it in the selection
+        this.rows.addEventListener('click', function(e) {
+            const row = e.target.closest('[data-index]');
+            if (!row) return;
+            const feature = tableState.rows[Number(row.dataset.index)];
+            const ip = feature.properties.ip;
+
+            if (e.ctrlKey || e.metaKey) {
+                toggleSelectedIP(ip);
+                return;
+            }
+
+            setSelectedIPs([ip]);
+            map.flyTo({ center: feature.geometry.coordinates, zoom: Math.max(map.getZoom(), 8) });
+        });
+
+        // HEADER: Sort on click, resize by dragging a column edge
+        this.header.addEventListener('click', (e) => {
+            const cell = e.target.closest('[data-column]');
+            if (!cell || e.target.classList.contains('column-resizer')) return;
+            const key = cell.dataset.column;
+            tableState.sortDescending = key === tableState.sortColumn ? !tableState.sortDescending : false;
+            tableState.sortColumn = key;
+            this.setData(getVisibleIPLocationData());
+        });
+        this.header.addEventListener('pointerdown', (e) => {
+            if (e.target.classList.contains('column-resizer')) {
+                this.startColumnResize(e);
+            }
+        });
+
+        this.addMapSelection(mapInstance);
+        this.updateLayout();
+        this.setData(getVisibleIPLocationData());
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.grid.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * ADD MAP SELECTION: Clicking a point selects its row, clicking empty map clears the selection
+     * @param {Object} mapInstance - MapLibre map
+     */
+    addMapSelection(mapInstance) {
+        mapInstance.on('click', (e) => {
+            const features = mapInstance.getLayer('unclustered-point')
+                ? mapInstance.queryRenderedFeatures(e.point, { layers: ['unclustered-point'] })
+                : [];
+
+            if (features.length > 0) {
+                setSelectedIPs([features[0].properties.ip], e.originalEvent.shiftKey);
+                this.scrollToSelection();
+            } else if (selectedIPs.size > 0 && !e.originalEvent.shiftKey) {
+                setSelectedIPs([]);
+            }
+        });
+    }
+
+    /**
+     * SET OPEN: Shows or hides the grid
+     * @param {boolean} open - Whether the grid is shown
+     */
+    setOpen(open) {
+        tableState.open = open;
+        this.grid.hidden = !open;
+        this.toggleButton.setAttribute('aria-pressed', String(open));
+        if (open) this.renderRows();
+    }
+
+    /**
+     * UPDATE LAYOUT: Docking side and column widths
+     */
+    updateLayout() {
+        this.grid.classList.toggle('dock-right', tableState.dock === 'right');
+        this.dockButton.textContent = tableState.dock === 'bottom' ? 'Dock right' : 'Dock bottom';
+        this.grid.style.setProperty('--table-columns', tableState.columns.map(function(column) {
+            return `${column.width}px`;
+        }).join(' '));
+        this.grid.style.setProperty('--table-width', `${tableState.columns.reduce(function(sum, column) { return sum + column.width; }, 0)}px`);
+        this.renderRows();
+    }
+
+    /**
+     * SET DATA: Rebuilds the columns and sorted rows from the shown servers
+     * @param {Object} visibleData - Visible GeoJSON FeatureCollection
+     */
+    setData(visibleData) {
+        if (!this.rows) return;
+        const features = visibleData ? visibleData.features : [];
+
+        // COLUMNS: Base columns, then every other scalar property in the data
+        const known = new Set(tableState.columns.map(function(column) { return column.key; }));
+        features.forEach(function(feature) {
+            Object.keys(feature.properties).forEach(function(key) {
+                if (!known.has(key) && typeof feature.properties[key] !== 'object') {
+                    known.add(key);
+                    tableState.columns.push({ key: key, label: key, width: 110 });
+                }
+            });
+        });
+
+        // SORTING: Numbers numerically, everything else as text, empty values last
+        const key = tableState.sortColumn;
+        const direction = tableState.sortDescending ? -1 : 1;
+        tableState.rows = key === null ? features.slice() : features.slice().sort(function(a, b) {
+            const valueA = getTableCellValue(a, key);
+            const valueB = getTableCellValue(b, key);
+            const emptyA = valueA === null || valueA === undefined;
+            const emptyB = valueB === null || valueB === undefined;
+            if (emptyA || emptyB) return emptyA === emptyB ? 0 : (emptyA ? 1 : -1);
+            return (typeof valueA === 'number' && typeof valueB === 'number'
+                ? valueA - valueB
+                : String(valueA).localeCompare(String(valueB), undefined, { numeric: true })) * direction;
+        });
+
+        this.header.innerHTML = tableState.columns.map(function(column) {
+            const sorted = column.key === tableState.sortColumn;
+            return `
+                <div class="attribute-table-cell" role="columnheader" data-column="${escapeHTML(column.key)}"
+                    aria-sort="${sorted ? (tableState.sortDescending ? 'descending' : 'ascending') : 'none'}">
+                    ${escapeHTML(column.label)}${sorted ? (tableState.sortDescending ? ' ▼' : ' ▲') : ''}
+                    <span class="column-resizer" aria-hidden="true"></span>
+                </div>
+            `;
+        }).join('');
+
+        this.spacer.style.height = `${tableState.rows.length * TABLE_ROW_HEIGHT}px`;
+        this.updateLayout();
+    }
+
+    /**
+     * RENDER ROWS: Draws only the rows in view, marking the selected ones
+     */
+    renderRows() {
+        if (!this.rows || !tableState.open) return;
+
+        const first = Math.max(0, Math.floor(this.body.scrollTop / TABLE_ROW_HEIGHT) - TABLE_OVERSCAN);
+        const last = Math.min(tableState.rows.length, Math.ceil((this.body.scrollTop + this.body.clientHeight) / TABLE_ROW_HEIGHT) + TABLE_OVERSCAN);
+
+        this.rows.style.transform = `translateY(${first * TABLE_ROW_HEIGHT}px)`;
+        this.rows.innerHTML = tableState.rows.slice(first, last).map(function(feature, offset) {
+            const cells = tableState.columns.map(function(column) {
+                const value = getTableCellValue(feature, column.key);
+                const text = typeof value === 'number' && (column.key === 'longitude' || column.key === 'latitude')
+                    ? value.toFixed(4)
+                    : (value === null || value === undefined ? '' : String(value));
+                return `<div class="attribute-table-cell" title="${escapeHTML(text)}">${escapeHTML(text)}</div>`;
+            }).join('');
+
+            const selected = selectedIPs.has(feature.properties.ip);
+            return `<div class="attribute-table-row${selected ? ' selected' : ''}" role="row" aria-selected="${selected}" data-index="${first + offset}">${cells}</div>`;
+        }).join('');
+
+        this.countElement.textContent = `${tableState.rows.length} servers${selectedIPs.size > 0 ? `, ${selectedIPs.size} selected` : ''}`;
+    }
+
+    /**
+     * SCROLL TO SELECTION: Brings the first selected row into view
+     */
+    scrollToSelection() {
+        if (!tableState.open) return;
+
+        const index = tableState.rows.findIndex(function(feature) { return selectedIPs.has(feature.properties.ip); });
+        if (index < 0) return;
+
+        const top = index * TABLE_ROW_HEIGHT;
+        if (top < this.body.scrollTop || top + TABLE_ROW_HEIGHT > this.body.scrollTop + this.body.clientHeight) {
+            this.body.scrollTop = top - this.body.clientHeight / 2;
+        }
+    }
+
+    /**
+     * START COLUMN RESIZE: Drags the right edge of a header cell
+     * @param {PointerEvent} e - Pointer down on a column resizer
+     */
+    startColumnResize(e) {
+        const column = tableState.columns.find(function(candidate) {
+            return candidate.key === e.target.closest('[data-column]').dataset.column;
+        });
+        const startX = e.clientX;
+        const startWidth = column.width;
+        e.preventDefault();
+
+        const move = (moveEvent) => {
+            column.width = Math.max(TABLE_MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+            this.updateLayout();
+        };
+        const stop = function() {
+            document.removeEventListener('pointermove', move);
+            document.removeEventListener('pointerup', stop);
+        };
+        document.addEventListener('pointermove', move);
+        document.addEventListener('pointerup', stop);
+    }
+}
+
+/* ATTRIBUTE TABLE: Single attribute table instance added to the map */
+const attributeTable = new AttributeTableControl();
+
+/* LIVE ROWS: The table lists exactly the servers shown on the map */
+onVisibleDataChange(function(visibleData) {
+    attributeTable.setData(visibleData);
+
+    const source = map && map.getSource('selected-points');
+    if (source) {
+        source.setData(createSelectionData());
+    }
+});
+
+/* RESET ON IMPORT: A new import has different servers */
+onRequestRecordsChange(function() {
+    selectedIPs.clear();
+
+    // COLUMNS: Properties of the previous import are dropped, base columns keep their widths
+    const baseKeys = TABLE_BASE_COLUMNS.map(function(column) { return column.key; });
+    tableState.columns = tableState.columns.filter(function(column) { return baseKeys.includes(column.key); });
+    if (!baseKeys.includes(tableState.sortColumn)) {
+        tableState.sortColumn = null;
+    }
+});
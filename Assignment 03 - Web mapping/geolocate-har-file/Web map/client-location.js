@@ -0,0 +1,149 @@
+// ========================================
+// CLIENT LOCATION
+// ========================================
+
+/* CLIENT LOCATION: [longitude, latitude] of the client the requests came from, shared by the flow-line and latency panels */
+let clientLocation = null;
+
+/* CLIENT LOCATION LISTENERS: Called with the new location whenever it is set */
+const clientLocationListeners = [];
+
+/**
+ * GET CLIENT LOCATION: Current client location
+ * @returns {Array|null} [longitude, latitude], or null until one is set
+ */
+function getClientLocation() {
+    return clientLocation;
+}
+
+/**
+ * SET CLIENT LOCATION: Moves the client and notifies the panels using it
+ * @param {Array} location - [longitude, latitude]
+ */
+function setClientLocation(location) {
+    console.log(`📡 Client location set to: ${location[1].toFixed(4)}, ${location[0].toFixed(4)}`);
+    clientLocation = location;
+
+    clientLocationListeners.forEach(function(listener) {
+        try {
+            listener(clientLocation);
+        } catch (error) {
+            console.error('❌ Error in client location listener:', error);
+        }
+    });
+}
+
+/**
+ * ON CLIENT LOCATION CHANGE: Registers a listener for changes to the client location
+ * @param {Function} listener - Called with [longitude, latitude]
+ */
+function onClientLocationChange(listener) {
+    clientLocationListeners.push(listener);
+}
+
+// ========================================
+// CLIENT LOCATION PICKER
+// ========================================
+
+/* CLIENT LOCATION PICK: Stops the pick in progress, or null when not picking */
+let stopClientLocationPick = null;
+
+/**
+ * PICK MAP LOCATION: The next click on the map calls onPick with its position
+ * The click is caught in the capture phase on the map container and stopped there, so popups,
+ * clusters, the table selection and spiderfied points do not also react to it.
+ * Clicks that end a pan are left to the map, and a second pick replaces the first
+ * @param {Object} mapInstance - MapLibre map
+ * @param {Function} onPick - Called with [longitude, latitude]
+ */
+function pickMapLocation(mapInstance, onPick) {
+    cancelMapLocationPick();
+
+    const container = mapInstance.getContainer();
+    const canvasContainer = mapInstance.getCanvasContainer();
+    const canvas = mapInstance.getCanvas();
+    let downPoint = null;
+
+    const pointerPosition = function(e) {
+        const rect = canvas.getBoundingClientRect();
+        return [e.clientX - rect.left, e.clientY - rect.top];
+    };
+
+    const onPointerDown = function(e) {
+        downPoint = canvasContainer.contains(e.target) ? pointerPosition(e) : null;
+    };
+
+    const onClick = function(e) {
+        if (!downPoint || !canvasContainer.contains(e.target)) return;
+        const point = pointerPosition(e);
+        if (Math.hypot(point[0] - downPoint[0], point[1] - downPoint[1]) > 3) return;
+
+        e.stopPropagation();
+        cancelMapLocationPick();
+        const lngLat = mapInstance.unproject(point).wrap();
+        onPick([lngLat.lng, lngLat.lat]);
+    };
+
+    container.addEventListener('pointerdown', onPointerDown, true);
+    container.addEventListener('click', onClick, true);
+    canvas.style.cursor = 'crosshair';
+
+    stopClientLocationPick = function() {
+        container.removeEventListener('pointerdown', onPointerDown, true);
+        container.removeEventListener('click', onClick, true);
+        canvas.style.cursor = '';
+    };
+}
+
+/**
+ * CANCEL MAP LOCATION PICK: Stops waiting for the pick click, if a pick is in progress
+ */
+function cancelMapLocationPick() {
+    if (!stopClientLocationPick) return;
+    stopClientLocationPick();
+    stopClientLocationPick = null;
+}
+
+// ========================================
+// CLIENT LOCATION CONTROLS
+// ========================================
+
+/**
+ * SETUP CLIENT LOCATION CONTROLS: Wires a panel's pick button and latitude/longitude inputs to the shared location
+ * The inputs follow the location set from any panel, except while being typed in
+ * @param {Object} mapInstance - MapLibre map
+ * @param {Object} elements - { pick, lat, lon, set } buttons and inputs of the panel
+ * @param {Function} onSet - Optional, called after the panel set the location
+ */
+function setupClientLocationControls(mapInstance, elements, onSet) {
+    const setLocation = function(location) {
+        setClientLocation(location);
+        if (onSet) onSet(location);
+    };
+
+    // PICK: The next map click sets the client location
+    elements.pick.addEventListener('click', function() {
+        pickMapLocation(mapInstance, setLocation);
+    });
+
+    // ENTER COORDINATES: Set the client location from the inputs
+    elements.set.addEventListener('click', function() {
+        const lat = Number(elements.lat.value);
+        const lon = Number(elements.lon.value);
+
+        if (elements.lat.value === '' || elements.lon.value === '' ||
+            Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            showErrorMessage('Client location needs a latitude (-90 to 90) and longitude (-180 to 180).');
+            return;
+        }
+
+        setLocation([lon, lat]);
+    });
+
+    onClientLocationChange(function(location) {
+        if (document.activeElement !== elements.lat && document.activeElement !== elements.lon) {
+            elements.lat.value = location[1].toFixed(4);
+            elements.lon.value = location[0].toFixed(4);
+        }
+    });
+}
@@ -0,0 +1,405 @@
+// ========================================
+// COMPARISON CONFIGURATION
+// ========================================
+
+/* COMPARISON STATUSES: Legend labels and colours for the comparison tags */
+const COMPARISON_STATUSES = {
+    'only-a': { label: 'Only in A (removed)', color: '#c0392b' },
+    'only-b': { label: 'Only in B (added)', color: '#2980b9' },
+    'both': { label: 'In both', color: '#7f8c8d' }
+};
+
+/* COMPARISON STATE: Current comparison and dual-map view */
+const comparisonState = {
+    active: false,
+    summary: null, // Added/removed IPs and domains from summariseComparison()
+    previousColorMode: null, // Point colour mode to restore when leaving the comparison
+    secondaryMap: null, // Second map showing capture B in the dual view
+    secondaryStyleKey: null, // Basemap of the secondary map, follows the main map
+    syncing: false, // Guards against move events bouncing between the two maps
+    moveHandlers: null,
+    styleHandler: null
+};
+
+/* COMPARISON COLOR MODE: Points and clusters coloured by comparison tag */
+registerPointColorMode('comparison', {
+    label: 'Comparison',
+    property: 'comparison',
+    colors: Object.fromEntries(Object.keys(COMPARISON_STATUSES).map(function(status) {
+        return [status, COMPARISON_STATUSES[status].color];
+    })),
+    labels: Object.fromEntries(Object.keys(COMPARISON_STATUSES).map(function(status) {
+        return [status, COMPARISON_STATUSES[status].label];
+    })),
+    fallback: COMPARISON_STATUSES.both.color,
+    neutral: 'both'
+});
+
+// ========================================
+// COMPARING CAPTURES
+// ========================================
+
+/**
+ * SUMMARISE COMPARISON: IPs and domains that appear in only one capture
+ * @param {Array<Object>} recordsA - Request records of capture A
+ * @param {Array<Object>} recordsB - Request records of capture B
+ * @returns {Object} { ips: { removed, added, common }, hosts: { removed, added, common } }
+ */
+function summariseComparison(recordsA, recordsB) {
+    const collect = function(records, field) {
+        return new Set(records.map(function(record) { return record[field]; }).filter(Boolean));
+    };
+
+    const difference = function(setA, setB) {
+        return Array.from(setA).filter(function(value) { return !setB.has(value); }).sort();
+    };
+
+    const summarise = function(field) {
+        const inA = collect(recordsA, field);
+        const inB = collect(recordsB, field);
+        return {
+            removed: difference(inA, inB),
+            added: difference(inB, inA),
+            common: Array.from(inA).filter(function(value) { return inB.has(value); }).length
+        };
+    };
+
+    return { ips: summarise('ip'), hosts: summarise('host') };
+}
+
+/**
+ * COMPARE HAR CAPTURES: Loads two captures and tags every server as only A, only B or both
+ * @param {Array<File>} filesA - HAR files of capture A (before)
+ * @param {Array<File>} filesB - HAR files of capture B (after)
+ */
+async function compareHARCaptures(filesA, filesB) {
+    console.log(`⚖️ Comparing ${filesA.length} HAR file(s) with ${filesB.length} HAR file(s)...`);
+
+    try {
+        if (filesA.length === 0 || filesB.length === 0) {
+            throw new Error('Choose HAR files for both capture A and capture B');
+        }
+
+        updateIPCount('Reading capture A...');
+        const recordsA = await readHARRequestRecords(filesA);
+        updateIPCount('Reading capture B...');
+        const recordsB = await readHARRequestRecords(filesB);
+
+        // TAG CAPTURES: Aggregates count requests per capture
+        recordsA.forEach(function(record) { record.capture = 'A'; });
+        recordsB.forEach(function(record) { record.capture = 'B'; });
+
+        const records = recordsA.concat(recordsB);
+        const geolocations = await geolocateRequestRecords(records);
+
+        comparisonState.summary = summariseComparison(recordsA, recordsB);
+        if (pointColorMode !== 'comparison') {
+            comparisonState.previousColorMode = pointColorMode;
+        }
+        comparisonState.active = true;
+
+        setIPRequestRecords(records, geolocations);
+        setPointColorMode('comparison');
+        comparisonControl.update();
+        reportUnresolvedIPs(geolocations);
+
+        console.log('✅ Comparison completed', comparisonState.summary);
+
+    } catch (error) {
+        console.error('❌ Error comparing HAR captures:', error);
+        showErrorMessage(`Failed to compare HAR captures: ${error.message}`);
+    }
+}
+
+/**
+ * EXIT COMPARISON: Returns to the normal view, keeping the combined data on the map
+ * Points get back the colour mode chosen before the comparison
+ */
+function exitComparison() {
+    setComparisonDualView(false);
+    comparisonState.active = false;
+    comparisonState.summary = null;
+    setPointColorMode(comparisonState.previousColorMode || 'category');
+    comparisonState.previousColorMode = null;
+    comparisonControl.update();
+}
+
+// ========================================
+// DUAL-MAP VIEW
+// ========================================
+
+/**
+ * GET CAPTURE B DATA: Visible features of capture B for the secondary map
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function getCaptureBData() {
+    const visibleData = getVisibleIPLocationData(['comparison-side']);
+    return {
+        type: 'FeatureCollection',
+        features: visibleData ? visibleData.features.filter(function(feature) {
+            return feature.properties.comparison === 'only-b' || feature.properties.comparison === 'both';
+        }) : []
+    };
+}
+
+/**
+ * SYNC CAMERA: Copies the camera of one map to the other
+ * @param {Object} sourceMap - Map that moved
+ * @param {Object} targetMap - Map to move
+ */
+function syncComparisonCamera(sourceMap, targetMap) {
+    if (comparisonState.syncing) return;
+
+    comparisonState.syncing = true;
+    targetMap.jumpTo({
+        center: sourceMap.getCenter(),
+        zoom: sourceMap.getZoom(),
+        bearing: sourceMap.getBearing(),
+        pitch: sourceMap.getPitch()
+    });
+    comparisonState.syncing = false;
+}
+
+/**
+ * ADD CAPTURE B LAYERS: Points of capture B on the secondary map
+ * @param {Object} secondaryMap - Secondary MapLibre map
+ */
+function addCaptureBLayers(secondaryMap) {
+    secondaryMap.addSource('ip-locations', { type: 'geojson', data: getCaptureBData() });
+
+    secondaryMap.addLayer({
+        id: 'unclustered-point',
+        type: 'circle',
+        source: 'ip-locations',
+        paint: {
+            'circle-color': getPointColorExpression(),
+            'circle-radius': getCircleRadiusExpression('unclustered-point'),
+            'circle-stroke-width': 2,
+            'circle-stroke-color': '#fff'
+        }
+    });
+}
+
+/**
+ * SET COMPARISON DUAL VIEW: Shows capture A and capture B on two synchronized maps
+ * The main map keeps its layers and shows capture A, a second map built with the same
+ * options as initializeMap() shows capture B
+ * @param {boolean} enabled - Whether the dual view should be shown
+ */
+function setComparisonDualView(enabled) {
+    const mapElement = map.getContainer();
+    const container = mapElement.parentElement;
+
+    if (enabled && !comparisonState.secondaryMap) {
+        console.log('🪟 Opening synchronized dual-map view');
+        container.classList.add('comparison-dual');
+
+        const secondaryElement = document.createElement('div');
+        secondaryElement.className = 'comparison-map';
+        container.appendChild(secondaryElement);
+
+        const secondaryMap = new maplibregl.Map(Object.assign(createMapOptions(secondaryElement), {
+            center: map.getCenter(),
+            zoom: map.getZoom(),
+            pitch: map.getPitch(),
+            bearing: map.getBearing()
+        }));
+        secondaryMap.addControl(new maplibregl.NavigationControl(), 'top-right');
+        // CAPTURE B LAYERS: Added again after every basemap switch, like the main map's overlays
+        secondaryMap.on('style.load', function() {
+            addCaptureBLayers(secondaryMap);
+        });
+
+        // POINT CLICK EVENT: Same popup as the main map (layer events outlive basemap switches)
+        secondaryMap.on('click', 'unclustered-point', function(e) {
+            createPopup(e.features[0].geometry.coordinates.slice(), e.features[0].properties, secondaryMap);
+        });
+        secondaryMap.on('mouseenter', 'unclustered-point', function() {
+            secondaryMap.getCanvas().style.cursor = 'pointer';
+        });
+        secondaryMap.on('mouseleave', 'unclustered-point', function() {
+            secondaryMap.getCanvas().style.cursor = '';
+        });
+        comparisonState.secondaryMap = secondaryMap;
+        comparisonState.secondaryStyleKey = currentStyleKey;
+
+        // FOLLOW THE BASEMAP: Switch the secondary map whenever the main map's style changes
+        comparisonState.styleHandler = function() {
+            if (comparisonState.secondaryStyleKey === currentStyleKey) return;
+            comparisonState.secondaryStyleKey = currentStyleKey;
+            secondaryMap.setStyle(mapStyles[currentStyleKey], { diff: false });
+        };
+        map.on('style.load', comparisonState.styleHandler);
+
+        // CAPTURE A ON THE MAIN MAP: Hide servers only seen in capture B
+        setFeatureFilter('comparison-side', function(feature) {
+            return feature.properties.comparison !== 'only-b';
+        });
+
+        // SYNC CAMERAS: Moving either map moves the other
+        comparisonState.moveHandlers = {
+            main: function() { syncComparisonCamera(map, secondaryMap); },
+            secondary: function() { syncComparisonCamera(secondaryMap, map); }
+        };
+        map.on('move', comparisonState.moveHandlers.main);
+        secondaryMap.on('move', comparisonState.moveHandlers.secondary);
+
+        map.resize();
+
+    } else if (!enabled && comparisonState.secondaryMap) {
+        console.log('🪟 Closing dual-map view');
+        map.off('move', comparisonState.moveHandlers.main);
+        map.off('style.load', comparisonState.styleHandler);
+        comparisonState.secondaryMap.remove();
+        comparisonState.secondaryMap.getContainer().remove();
+        comparisonState.secondaryMap = null;
+        comparisonState.secondaryStyleKey = null;
+        comparisonState.moveHandlers = null;
+        comparisonState.styleHandler = null;
+
+        container.classList.remove('comparison-dual');
+        setFeatureFilter('comparison-side', null);
+        map.resize();
+    }
+}
+
+/**
+ * UPDATE CAPTURE B MAP: Keeps the secondary map in step with filters on the main map
+ * Registered as a visible data listener
+ */
+function updateCaptureBMap() {
+    const secondaryMap = comparisonState.secondaryMap;
+    const source = secondaryMap && secondaryMap.getSource('ip-locations');
+    if (source) {
+        source.setData(getCaptureBData());
+        secondaryMap.setPaintProperty('unclustered-point', 'circle-radius', getCircleRadiusExpression('unclustered-point'));
+    }
+}
+
+// ========================================
+// COMPARISON CONTROL
+// ========================================
+
+/**
+ * CREATE CHANGE LIST HTML: Collapsible list of added or removed values
+ * @param {string} title - List title
+ * @param {Array<string>} values - Values to list
+ * @returns {string} HTML snippet
+ */
+function createChangeListHTML(title, values) {
+    if (values.length === 0) return '';
+
+    return `
+        <details class="comparison-list">
+            <summary>${title} (${values.length})</summary>
+            <ul>${values.map(function(value) { return `<li>${escapeHTML(value)}</li>`; }).join('')}</ul>
+        </details>
+    `;
+}
+
+/**
+ * COMPARISON CONTROL: Map control to load two captures, show the summary and toggle the dual view
+ */
+class ComparisonControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel comparison-panel';
+        this.container.innerHTML = `
+            <details>
+                <summary class="map-panel-title">⚖️ Compare captures</summary>
+                <div class="map-panel-body">
+                    <label>Capture A (before)
+                        <input type="file" accept=".har,application/json" multiple data-role="files-a">
+                    </label>
+                    <label>Capture B (after)
+                        <input type="file" accept=".har,application/json" multiple data-role="files-b">
+                    </label>
+                    <button type="button" data-role="compare">Compare</button>
+                    <div data-role="result"></div>
+                </div>
+            </details>
+        `;
+
+        const element = (role) => this.container.querySelector(`[data-role="${role}"]`);
+        this.result = element('result');
+
+        element('compare').addEventListener('click', function() {
+            compareHARCaptures(Array.from(element('files-a').files), Array.from(element('files-b').files));
+        });
+
+        this.update();
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * UPDATE: Renders the legend, summary table and view options of the current comparison
+     */
+    update() {
+        if (!this.result) return;
+
+        const summary = comparisonState.summary;
+        if (!comparisonState.active || !summary) {
+            this.result.innerHTML = '';
+            return;
+        }
+
+        const legend = Object.keys(COMPARISON_STATUSES).map(function(status) {
+            return `<div class="category-legend-row">
+                        <span class="category-swatch" style="background: ${pointColorModes.get('comparison').colors[status]}"></span>
+                        ${COMPARISON_STATUSES[status].label}
+                    </div>`;
+        }).join('');
+
+        this.result.innerHTML = `
+            ${legend}
+            <table class="comparison-summary">
+                <thead><tr><th></th><th>Removed</th><th>Added</th><th>Both</th></tr></thead>
+                <tbody>
+                    <tr><th>IPs</th><td>${summary.ips.removed.length}</td><td>${summary.ips.added.length}</td><td>${summary.ips.common}</td></tr>
+                    <tr><th>Domains</th><td>${summary.hosts.removed.length}</td><td>${summary.hosts.added.length}</td><td>${summary.hosts.common}</td></tr>
+                </tbody>
+            </table>
+            ${createChangeListHTML('Removed IPs', summary.ips.removed)}
+            ${createChangeListHTML('Added IPs', summary.ips.added)}
+            ${createChangeListHTML('Removed domains', summary.hosts.removed)}
+            ${createChangeListHTML('Added domains', summary.hosts.added)}
+            <label class="map-panel-title">
+                <input type="checkbox" data-role="dual" ${comparisonState.secondaryMap ? 'checked' : ''}> Side-by-side maps
+            </label>
+            <button type="button" data-role="exit">Exit comparison</button>
+        `;
+
+        this.result.querySelector('[data-role="dual"]').addEventListener('change', function(e) {
+            setComparisonDualView(e.target.checked);
+        });
+        this.result.querySelector('[data-role="exit"]').addEventListener('click', exitComparison);
+    }
+}
+
+/* COMPARISON CONTROL: Single comparison panel instance added to the map */
+const comparisonControl = new ComparisonControl();
+
+/* KEEP CAPTURE B IN STEP: Filters and time windows apply to both maps */
+onVisibleDataChange(updateCaptureBMap);
+
+/* PALETTE: Legend and capture B points follow the colour palette */
+onPaletteChange(function() {
+    comparisonControl.update();
+    const secondaryMap = comparisonState.secondaryMap;
+    if (secondaryMap && secondaryMap.getLayer('unclustered-point')) {
+        secondaryMap.setPaintProperty('unclustered-point', 'circle-color', getPointColorExpression());
+    }
+});
+
+/* LEAVE COMPARISON ON IMPORT: A normal HAR import replaces the compared captures */
+onRequestRecordsChange(function(records) {
+    if (comparisonState.active && !records.some(function(record) { return record.capture; })) {
+        exitComparison();
+    }
+});
@@ -0,0 +1,366 @@
+// ========================================
+// EXPORT CONFIGURATION
+// ========================================
+
+/* EXPORT PIXEL RATIO: Resolution multiplier for PNG snapshots */
+const EXPORT_PIXEL_RATIO = 2;
+
+/* CSV COLUMNS: Feature properties written to CSV exports, in order */
+const CSV_COLUMNS = ['ip', 'host', 'url', 'lat', 'lon', 'requestCount', 'hostCount', 'totalBytes', 'category', 'city', 'country'];
+
+// ========================================
+// FILE HELPERS
+// ========================================
+
+/**
+ * CREATE EXPORT FILENAME: Timestamped filename such as ip-locations-20250809-142501.csv
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Filename
+ */
+function createExportFilename(extension) {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `ip-locations-${timestamp}.${extension}`;
+}
+
+/**
+ * DOWNLOAD BLOB: Saves a Blob through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+    console.log(`💾 Exported ${filename}`);
+}
+
+/**
+ * GET EXPORT FEATURES: Exactly the features currently shown on the map
+ * @returns {Array<Object>} GeoJSON features after every filter and the time window
+ */
+function getExportFeatures() {
+    const visibleData = getVisibleIPLocationData();
+    if (!visibleData || visibleData.features.length === 0) {
+        throw new Error('There are no IP locations shown to export');
+    }
+    return visibleData.features;
+}
+
+// ========================================
+// DATA EXPORTS
+// ========================================
+
+/**
+ * CREATE CSV: One row per feature with the CSV_COLUMNS
+ * @param {Array<Object>} features - GeoJSON point features
+ * @returns {string} CSV text
+ */
+function createCSV(features) {
+    const escapeCSV = function(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = features.map(function(feature) {
+        const values = Object.assign({}, feature.properties, {
+            lon: feature.geometry.coordinates[0],
+            lat: feature.geometry.coordinates[1]
+        });
+        return CSV_COLUMNS.map(function(column) { return escapeCSV(values[column]); }).join(',');
+    });
+
+    return [CSV_COLUMNS.join(',')].concat(rows).join('\r\n') + '\r\n';
+}
+
+/**
+ * ESCAPE XML: Escapes text for KML documents
+ * @param {*} value - Value to escape
+ * @returns {string} XML-safe text
+ */
+function escapeXML(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * CREATE KML: Placemarks styled by the current colour mode
+ * @param {Array<Object>} features - GeoJSON point features
+ * @returns {string} KML document
+ */
+function createKML(features) {
+    const mode = pointColorModes.get(pointColorMode);
+
+    // STYLES: KML colours are aabbggrr
+    const toKMLColor = function(hex) {
+        const value = hex.replace('#', '');
+        return `ff${value.slice(4, 6)}${value.slice(2, 4)}${value.slice(0, 2)}`;
+    };
+    const styles = Object.keys(mode.colors).map(function(value) {
+        return `
+    <Style id="${escapeXML(value)}">
+      <IconStyle><color>${toKMLColor(mode.colors[value])}</color></IconStyle>
+    </Style>`;
+    }).join('');
+
+    const placemarks = features.map(function(feature) {
+        const properties = feature.properties;
+        const [lon, lat] = feature.geometry.coordinates;
+
+        const extendedData = Object.keys(properties)
+            .filter(function(key) { return properties[key] !== null && properties[key] !== undefined; })
+            .map(function(key) {
+                return `<Data name="${escapeXML(key)}"><value>${escapeXML(properties[key])}</value></Data>`;
+            }).join('');
+
+        return `
+    <Placemark>
+      <name>${escapeXML(properties.ip)}</name>
+      <description>${escapeXML(properties.url)}</description>
+      ${properties[mode.property] ? `<styleUrl>#${escapeXML(properties[mode.property])}</styleUrl>` : ''}
+      <ExtendedData>${extendedData}</ExtendedData>
+      <Point><coordinates>${lon},${lat}</coordinates></Point>
+    </Placemark>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>IP locations</name>${styles}${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * EXPORT VISIBLE DATA: Downloads the shown IP locations as GeoJSON, CSV or KML
+ * @param {string} format - 'geojson', 'csv' or 'kml'
+ */
+function exportVisibleData(format) {
+    try {
+        const features = getExportFeatures();
+
+        if (format === 'geojson') {
+            const geojson = JSON.stringify({ type: 'FeatureCollection', features: features }, null, 2);
+            downloadBlob(new Blob([geojson], { type: 'application/geo+json' }), createExportFilename('geojson'));
+        } else if (format === 'csv') {
+            downloadBlob(new Blob([createCSV(features)], { type: 'text/csv' }), createExportFilename('csv'));
+        } else if (format === 'kml') {
+            downloadBlob(new Blob([createKML(features)], { type: 'application/vnd.google-earth.kml+xml' }), createExportFilename('kml'));
+        } else {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+    } catch (error) {
+        console.error('❌ Error exporting data:', error);
+        showErrorMessage(`Export failed: ${error.message}`);
+    }
+}
+
+// ========================================
+// PNG SNAPSHOT
+// ========================================
+
+/**
+ * CAPTURE MAP CANVAS: Copies the WebGL canvas right after a render
+ * The drawing buffer is only valid during the render event, so the copy happens there
+ * @returns {Promise<HTMLCanvasElement>} Copy of the map canvas
+ */
+function captureMapCanvas() {
+    return new Promise(function(resolve, reject) {
+        map.once('idle', function() {
+            map.once('render', function() {
+                try {
+                    const source = map.getCanvas();
+                    const copy = document.createElement('canvas');
+                    copy.width = source.width;
+                    copy.height = source.height;
+                    copy.getContext('2d').drawImage(source, 0, 0);
+                    resolve(copy);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            map.triggerRepaint();
+        });
+        map.triggerRepaint();
+    });
+}
+
+/**
+ * GET ATTRIBUTION TEXT: Plain-text attribution of every source in the current style
+ * @returns {string} Attribution such as "© Esri | © MapLibre"
+ */
+function getAttributionText() {
+    const sources = map.getStyle().sources || {};
+    const attributions = new Set();
+
+    Object.keys(sources).forEach(function(sourceId) {
+        const attribution = sources[sourceId].attribution;
+        if (attribution) {
+            // STRIP HTML: Attributions may contain links
+            const element = document.createElement('div');
+            element.innerHTML = attribution;
+            attributions.add(element.textContent.trim());
+        }
+    });
+    attributions.add('MapLibre');
+
+    return Array.from(attributions).join(' | ');
+}
+
+/**
+ * DRAW SNAPSHOT LEGEND: Colour mode legend in the bottom-right corner of the snapshot
+ * @param {CanvasRenderingContext2D} context - Snapshot canvas context (scaled to CSS pixels)
+ * @param {number} width - Snapshot width in CSS pixels
+ * @param {number} height - Snapshot height in CSS pixels
+ * @param {Array<Object>} features - Features shown on the map
+ */
+function drawSnapshotLegend(context, width, height, features) {
+    const mode = pointColorModes.get(pointColorMode);
+    const values = Object.keys(mode.colors);
+
+    const counts = {};
+    features.forEach(function(feature) {
+        const value = feature.properties[mode.property];
+        counts[value] = (counts[value] || 0) + 1;
+    });
+
+    const rowHeight = 18;
+    const legendWidth = 200;
+    const legendHeight = 30 + values.length * rowHeight;
+    const x = width - legendWidth - 12;
+    const y = height - legendHeight - 30;
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.92)';
+    context.fillRect(x, y, legendWidth, legendHeight);
+
+    context.fillStyle = '#2c3e50';
+    context.font = 'bold 13px sans-serif';
+    context.textBaseline = 'middle';
+    context.fillText(mode.label, x + 10, y + 15);
+
+    context.font = '12px sans-serif';
+    values.forEach(function(value, index) {
+        const rowY = y + 32 + index * rowHeight;
+
+        context.beginPath();
+        context.arc(x + 16, rowY, 6, 0, Math.PI * 2);
+        context.fillStyle = mode.colors[value];
+        context.fill();
+
+        context.fillStyle = '#2c3e50';
+        context.fillText(`${(mode.labels && mode.labels[value]) || value} (${counts[value] || 0})`, x + 28, rowY);
+    });
+}
+
+/**
+ * EXPORT MAP SNAPSHOT: Downloads a high-resolution PNG of the map with legend and attribution
+ */
+async function exportMapSnapshot() {
+    console.log('📸 Creating map snapshot...');
+    const originalPixelRatio = map.getPixelRatio();
+
+    try {
+        const features = getVisibleIPLocationData() ? getVisibleIPLocationData().features : [];
+
+        // HIGH RESOLUTION: Render the map at a higher pixel ratio for the capture
+        map.setPixelRatio(Math.max(EXPORT_PIXEL_RATIO, originalPixelRatio));
+        const mapCanvas = await captureMapCanvas();
+
+        const width = map.getContainer().clientWidth;
+        const height = map.getContainer().clientHeight;
+        const scale = mapCanvas.width / width;
+
+        const snapshot = document.createElement('canvas');
+        snapshot.width = mapCanvas.width;
+        snapshot.height = mapCanvas.height;
+        const context = snapshot.getContext('2d');
+        context.drawImage(mapCanvas, 0, 0);
+        context.scale(scale, scale); // Draw overlays in CSS pixels
+
+        // TITLE: What the snapshot shows
+        context.fillStyle = 'rgba(255, 255, 255, 0.92)';
+        context.fillRect(12, 12, 320, 28);
+        context.fillStyle = '#2c3e50';
+        context.font = 'bold 14px sans-serif';
+        context.textBaseline = 'middle';
+        context.fillText(`IP locations: ${features.length} shown · ${new Date().toLocaleString()}`, 20, 26);
+
+        // LEGEND AND ATTRIBUTION: Burned into the image
+        drawSnapshotLegend(context, width, height, features);
+
+        const attribution = getAttributionText();
+        context.font = '11px sans-serif';
+        const attributionWidth = context.measureText(attribution).width + 12;
+        context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        context.fillRect(width - attributionWidth, height - 20, attributionWidth, 20);
+        context.fillStyle = '#333';
+        context.fillText(attribution, width - attributionWidth + 6, height - 10);
+
+        const blob = await new Promise(function(resolve) {
+            snapshot.toBlob(resolve, 'image/png');
+        });
+        downloadBlob(blob, createExportFilename('png'));
+
+    } catch (error) {
+        console.error('❌ Error creating map snapshot:', error);
+        showErrorMessage(`Snapshot failed: ${error.message}`);
+    } finally {
+        map.setPixelRatio(originalPixelRatio);
+    }
+}
+
+// ========================================
+// EXPORT CONTROL
+// ========================================
+
+/**
+ * EXPORT CONTROL: Map control with one button per export format
+ */
+class ExportControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel export-panel';
+        this.container.innerHTML = `
+            <details>
+                <summary class="map-panel-title">⬇️ Export view</summary>
+                <div class="map-panel-body">
+                    <button type="button" data-format="geojson">GeoJSON</button>
+                    <button type="button" data-format="csv">CSV</button>
+                    <button type="button" data-format="kml">KML</button>
+                    <button type="button" data-format="png">PNG snapshot</button>
+                </div>
+            </details>
+        `;
+
+        this.container.querySelectorAll('button[data-format]').forEach(function(button) {
+            button.addEventListener('click', function() {
+                if (button.dataset.format === 'png') {
+                    exportMapSnapshot();
+                } else {
+                    exportVisibleData(button.dataset.format);
+                }
+            });
+        });
+
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.map = undefined;
+    }
+}
+
+/* EXPORT CONTROL: Single export control instance added to the map */
+const exportControl = new ExportControl();
@@ -0,0 +1,351 @@
+// ========================================
+// FILTER PANEL CONFIGURATION
+// ========================================
+
+/* DEFAULT FILTER STATE: Filter panel values that show every server */
+const DEFAULT_FILTER_STATE = {
+    text: '', // Hostname or URL substring
+    ipRange: '', // Single IP or CIDR block
+    ipVersion: 'all', // 'all', '4' or '6'
+    country: '',
+    category: '',
+    status: '' // Exact code (404) or class (4xx)
+};
+
+/* FILTER STATE: Current values of the filter panel inputs */
+const filterState = Object.assign({}, DEFAULT_FILTER_STATE);
+
+/* FILTER INPUT DELAY: Milliseconds to wait after typing before filtering */
+const FILTER_INPUT_DELAY = 250;
+
+// ========================================
+// FILTER PREDICATES
+// ========================================
+
+/**
+ * CREATE STATUS MATCHER: Test for an exact status code or a class such as 4xx
+ * @param {string} text - Status filter text
+ * @returns {Function|null} Matcher for a status code, or null when the text is invalid
+ */
+function createStatusMatcher(text) {
+    const value = text.trim().toLowerCase();
+
+    if (/^[1-5]xx$/.test(value)) {
+        const statusClass = Number(value[0]);
+        return function(status) {
+            return Math.floor(Number(status) / 100) === statusClass;
+        };
+    }
+
+    if (/^\d{3}$/.test(value)) {
+        return function(status) {
+            return Number(status) === Number(value);
+        };
+    }
+
+    return null;
+}
+
+/**
+ * CREATE IP RANGE MATCHER: Test for an IP inside a CIDR block (a single IP is a /32 or /128)
+ * @param {string} text - IP or CIDR text
+ * @returns {Function|null} Matcher for an IP string, or null when the text is invalid
+ */
+function createIPRangeMatcher(text) {
+    const range = parseCIDR(text);
+    if (!range) return null;
+
+    const bits = range.version === 4 ? 32 : 128;
+    return function(ip) {
+        const address = parseIPAddress(ip);
+        return Boolean(address) &&
+            address.version === range.version &&
+            maskIPValue(address.value, range.prefix, bits) === range.network;
+    };
+}
+
+/**
+ * APPLY FILTER STATE: Turns the filter panel values into map filters
+ * Host/URL text and status codes filter individual HAR requests (so popups and counts follow),
+ * the other filters work on the per-IP features. Every filter is set first and the map refreshed once.
+ */
+function applyFilterState() {
+    const text = filterState.text.trim().toLowerCase();
+    const hasRequests = ipRequestRecords.length > 0;
+    const statusMatcher = filterState.status ? createStatusMatcher(filterState.status) : null;
+    const ipMatcher = filterState.ipRange ? createIPRangeMatcher(filterState.ipRange) : null;
+
+    if (filterState.status && !statusMatcher) {
+        showErrorMessage(`"${filterState.status}" is not a status code - use e.g. 404 or 4xx.`);
+    }
+    if (filterState.ipRange && !ipMatcher) {
+        showErrorMessage(`"${filterState.ipRange}" is not an IP address or CIDR block.`);
+    }
+
+    // HOST/URL TEXT: Requests whose host or URL contains the text
+    const textMatches = function(host, url) {
+        return (host || '').toLowerCase().includes(text) || (url || '').toLowerCase().includes(text);
+    };
+
+    let requestsChanged = false;
+    if (hasRequests) {
+        // SEPARATE CALLS: The status filter is set even when the text filter changed
+        const textChanged = setRequestFilter('panel-text', text ? function(record) {
+            return textMatches(record.host, record.url);
+        } : null, true);
+        const statusChanged = setRequestFilter('panel-status', statusMatcher ? function(record) {
+            return statusMatcher(record.status);
+        } : null, true);
+        requestsChanged = textChanged || statusChanged;
+    } else {
+        // PRE-BUILT FILES: Only one URL and no status per IP
+        setFeatureFilter('panel-text', text ? function(feature) {
+            return textMatches(feature.properties.host || getHostname(feature.properties.url || ''), feature.properties.url);
+        } : null, true);
+    }
+
+    // PER-IP FILTERS: IP range, version, country and category
+    setFeatureFilter('panel-ip', ipMatcher ? function(feature) {
+        return ipMatcher(feature.properties.ip);
+    } : null, true);
+
+    setFeatureFilter('panel-version', filterState.ipVersion !== 'all' ? function(feature) {
+        const address = parseIPAddress(feature.properties.ip);
+        return Boolean(address) && String(address.version) === filterState.ipVersion;
+    } : null, true);
+
+    setFeatureFilter('panel-country', filterState.country ? function(feature) {
+        return feature.properties.country === filterState.country;
+    } : null, true);
+
+    setFeatureFilter('panel-category', filterState.category ? function(feature) {
+        return (feature.properties.category || 'other') === filterState.category;
+    } : null, true);
+
+    // SINGLE REFRESH: Re-aggregating also puts the feature filters in the map source
+    if (requestsChanged) {
+        refreshRequestAggregates();
+    } else {
+        refreshVisibleData();
+    }
+}
+
+// ========================================
+// SEARCH
+// ========================================
+
+/**
+ * FIND FEATURE: First visible feature whose IP or domain matches the query
+ * @param {string} query - IP address, hostname or domain
+ * @returns {Object|null} GeoJSON feature
+ */
+function findIPLocationFeature(query) {
+    const visibleData = getVisibleIPLocationData();
+    const value = query.trim().toLowerCase();
+    if (!visibleData || !value) return null;
+
+    // EXACT IP: Preferred over domain matches
+    const exactMatch = visibleData.features.find(function(feature) {
+        return feature.properties.ip.toLowerCase() === value;
+    });
+    if (exactMatch) return exactMatch;
+
+    // DOMAIN: Any host served by the IP ends with the query
+    const hostMatches = function(host) {
+        return host && (host === value || host.endsWith('.' + value));
+    };
+
+    return visibleData.features.find(function(feature) {
+        const aggregate = ipAggregates.get(feature.properties.ip);
+        const hosts = aggregate
+            ? aggregate.hosts
+            : [feature.properties.host || getHostname(feature.properties.url || '')];
+        return hosts.some(function(host) { return hostMatches(host.toLowerCase()); });
+    }) || null;
+}
+
+/**
+ * SEARCH IP LOCATIONS: Flies to the matching IP or domain and opens its popup
+ * @param {string} query - IP address, hostname or domain
+ * @returns {boolean} Whether a match was found
+ */
+function searchIPLocations(query) {
+    const feature = findIPLocationFeature(query);
+    if (!feature) {
+        showErrorMessage(`No visible server matches "${query}".`);
+        return false;
+    }
+
+    console.log(`🔎 Found ${feature.properties.ip} for "${query}"`);
+    const coordinates = feature.geometry.coordinates.slice();
+
+    // FLY BEYOND CLUSTERING: Zoom past clusterMaxZoom so the point is on its own
+    map.flyTo({ center: coordinates, zoom: Math.max(map.getZoom(), 15) });
+    map.once('moveend', function() {
+        createPopup(coordinates, feature.properties);
+    });
+    return true;
+}
+
+// ========================================
+// FILTER PANEL CONTROL
+// ========================================
+
+/**
+ * FILTER PANEL CONTROL: Map control with the filter inputs, shown count and search box
+ */
+class FilterPanelControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel filter-panel';
+        this.container.innerHTML = `
+            <details>
+                <summary class="map-panel-title">🔎 Filter &amp; search <span class="filter-count" data-role="count"></span></summary>
+                <form class="map-panel-body" data-role="search-form">
+                    <div class="map-panel-row">
+                        <input type="search" placeholder="Find IP or domain" data-role="search" aria-label="Find IP or domain">
+                        <button type="submit">Go</button>
+                    </div>
+                </form>
+                <div class="map-panel-body">
+                    <input type="text" placeholder="Host or URL contains" data-role="text" aria-label="Host or URL contains">
+                    <input type="text" placeholder="IP or CIDR, e.g. 104.18.0.0/16" data-role="ipRange" aria-label="IP or CIDR range">
+                    <div class="map-panel-row">
+                        <select data-role="ipVersion" aria-label="IP version">
+                            <option value="all">IPv4 + IPv6</option>
+                            <option value="4">IPv4 only</option>
+                            <option value="6">IPv6 only</option>
+                        </select>
+                        <input type="text" placeholder="Status, e.g. 4xx" data-role="status" aria-label="Status code">
+                    </div>
+                    <div class="map-panel-row">
+                        <select data-role="country" aria-label="Country"></select>
+                        <select data-role="category" aria-label="Category"></select>
+                    </div>
+                    <button type="button" data-role="clear">Clear filters</button>
+                </div>
+            </details>
+        `;
+
+        const element = (role) => this.container.querySelector(`[data-role="${role}"]`);
+        this.countElement = element('count');
+        this.countrySelect = element('country');
+        this.categorySelect = element('category');
+
+        this.categorySelect.innerHTML = '<option value="">All categories</option>' +
+            Object.keys(SERVER_CATEGORIES).map(function(category) {
+                return `<option value="${category}">${SERVER_CATEGORIES[category].label}</option>`;
+            }).join('');
+
+        // FILTER INPUTS: Text inputs wait for a pause in typing, selects apply at once
+        let inputTimer = null;
+        ['text', 'ipRange', 'status'].forEach(function(role) {
+            element(role).addEventListener('input', function(e) {
+                filterState[role] = e.target.value;
+                clearTimeout(inputTimer);
+                inputTimer = setTimeout(applyFilterState, FILTER_INPUT_DELAY);
+            });
+        });
+        ['ipVersion', 'country', 'category'].forEach(function(role) {
+            element(role).addEventListener('change', function(e) {
+                filterState[role] = e.target.value;
+                applyFilterState();
+            });
+        });
+
+        element('clear').addEventListener('click', () => {
+            this.reset();
+            applyFilterState();
+        });
+
+        // SEARCH: Fly to the match and open its popup
+        element('search-form').addEventListener('submit', function(e) {
+            e.preventDefault();
+            const query = element('search').value;
+            if (query.trim()) searchIPLocations(query);
+        });
+
+        this.syncInputs();
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * RESET: Clears every filter input and the filter state
+     */
+    reset() {
+        Object.assign(filterState, DEFAULT_FILTER_STATE);
+        this.syncInputs();
+    }
+
+    /**
+     * SYNC INPUTS: Shows the current filter state in the inputs
+     */
+    syncInputs() {
+        if (!this.container) return;
+
+        ['text', 'ipRange', 'status', 'ipVersion', 'category'].forEach((role) => {
+            this.container.querySelector(`[data-role="${role}"]`).value = filterState[role];
+        });
+        this.updateCountries();
+    }
+
+    /**
+     * UPDATE COUNTRIES: Fills the country drop-down from the loaded data
+     */
+    updateCountries() {
+        if (!this.countrySelect) return;
+
+        const countries = new Set();
+        if (ipLocationData) {
+            ipLocationData.features.forEach(function(feature) {
+                if (feature.properties.country) countries.add(feature.properties.country);
+            });
+        }
+
+        this.countrySelect.innerHTML = '<option value="">All countries</option>' +
+            Array.from(countries).sort().map(function(country) {
+                return `<option value="${escapeHTML(country)}">${escapeHTML(country)}</option>`;
+            }).join('');
+        this.countrySelect.value = countries.has(filterState.country) ? filterState.country : '';
+        this.countrySelect.disabled = countries.size === 0;
+    }
+
+    /**
+     * UPDATE COUNT: Shows "N of M shown"
+     * @param {Object} visibleData - Visible GeoJSON FeatureCollection
+     */
+    updateCount(visibleData) {
+        if (!this.countElement) return;
+
+        // TOTAL: Every located IP, before request and feature filters
+        const total = ipRequestRecords.length > 0
+            ? Array.from(ipGeolocations.values()).filter(function(result) { return result.status === 'resolved'; }).length
+            : (ipLocationData ? ipLocationData.features.length : 0);
+        const shown = visibleData ? visibleData.features.length : 0;
+
+        this.countElement.textContent = `${shown} of ${total} shown`;
+    }
+}
+
+/* FILTER PANEL: Single filter panel instance added to the map */
+const filterPanel = new FilterPanelControl();
+
+/* LIVE COUNT: Update "N of M shown" and the country list whenever the visible data changes */
+onVisibleDataChange(function(visibleData) {
+    filterPanel.updateCount(visibleData);
+    filterPanel.updateCountries();
+});
+
+/* RESET ON IMPORT: Filters from a previous import do not carry over */
+onRequestRecordsChange(function() {
+    filterPanel.reset();
+    ['panel-text', 'panel-ip', 'panel-version', 'panel-country', 'panel-category'].forEach(function(name) {
+        featureFilters.delete(name);
+    });
+});
@@ -0,0 +1,337 @@
+// ========================================
+// FLOW LINE CONFIGURATION
+// ========================================
+
+/* FLOW LINE CONFIG: Current flow-line settings */
+const flowLineConfig = {
+    widthMetric: 'requestCount', // 'requestCount' or 'totalBytes'
+    colorBy: 'category', // 'category' or 'latency'
+    arcSegments: 64 // Points per great-circle arc
+};
+
+/* FLOW LATENCY COLORS: Fast, medium and slow average request times */
+const FLOW_LATENCY_COLORS = ['#27ae60', '#f1c40f', '#e74c3c'];
+
+/* FLOW ORIGIN MARKER: Marker showing the client origin on the map */
+let flowOriginMarker = null;
+
+// ========================================
+// GREAT-CIRCLE ARCS
+// ========================================
+
+/**
+ * CREATE GREAT CIRCLE ARC: Points along the great circle between two positions
+ * Longitudes are unwrapped so arcs crossing the antimeridian stay continuous,
+ * the same correction addMapInteractions() applies to popup coordinates
+ * @param {Array} start - [longitude, latitude] of the origin
+ * @param {Array} end - [longitude, latitude] of the destination
+ * @param {number} segments - Number of segments along the arc
+ * @returns {Array<Array>} Line coordinates
+ */
+function createGreatCircleArc(start, end, segments) {
+    const toRadians = Math.PI / 180;
+    const lon1 = start[0] * toRadians;
+    const lat1 = start[1] * toRadians;
+    const lon2 = end[0] * toRadians;
+    const lat2 = end[1] * toRadians;
+
+    // ANGULAR DISTANCE: Haversine formula
+    const distance = 2 * Math.asin(Math.sqrt(
+        Math.pow(Math.sin((lat2 - lat1) / 2), 2) +
+        Math.cos(lat1) * Math.cos(lat2) * Math.pow(Math.sin((lon2 - lon1) / 2), 2)
+    ));
+
+    // SAME PLACE: Nothing to interpolate
+    if (distance < 1e-9) {
+        return [start.slice(), end.slice()];
+    }
+
+    const coordinates = [];
+    for (let i = 0; i <= segments; i++) {
+        const fraction = i / segments;
+        const a = Math.sin((1 - fraction) * distance) / Math.sin(distance);
+        const b = Math.sin(fraction * distance) / Math.sin(distance);
+
+        const x = a * Math.cos(lat1) * Math.cos(lon1) + b * Math.cos(lat2) * Math.cos(lon2);
+        const y = a * Math.cos(lat1) * Math.sin(lon1) + b * Math.cos(lat2) * Math.sin(lon2);
+        const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+        let lon = Math.atan2(y, x) / toRadians;
+        const lat = Math.atan2(z, Math.sqrt(x * x + y * y)) / toRadians;
+
+        // UNWRAP LONGITUDE: Keep each point within 180° of the previous one
+        if (coordinates.length > 0) {
+            const previousLon = coordinates[coordinates.length - 1][0];
+            while (Math.abs(previousLon - lon) > 180) {
+                lon += previousLon > lon ? 360 : -360;
+            }
+        }
+
+        coordinates.push([lon, lat]);
+    }
+
+    return coordinates;
+}
+
+/**
+ * BUILD FLOW LINES: One arc from the client location to every visible server
+ * @param {Object} visibleData - GeoJSON FeatureCollection of server points
+ * @returns {Object} GeoJSON FeatureCollection of LineStrings
+ */
+function buildFlowLines(visibleData) {
+    const origin = getClientLocation();
+    if (!origin || !visibleData) {
+        return { type: 'FeatureCollection', features: [] };
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features: visibleData.features.map(function(feature) {
+            return {
+                type: 'Feature',
+                properties: feature.properties,
+                geometry: {
+                    type: 'LineString',
+                    coordinates: createGreatCircleArc(
+                        origin,
+                        feature.geometry.coordinates,
+                        flowLineConfig.arcSegments
+                    )
+                }
+            };
+        })
+    };
+}
+
+// ========================================
+// FLOW LINE STYLING
+// ========================================
+
+/**
+ * GET FLOW LINE WIDTH EXPRESSION: Line width by request count or bytes
+ * @returns {Array} MapLibre interpolate expression
+ */
+function getFlowLineWidthExpression() {
+    if (flowLineConfig.widthMetric === 'totalBytes') {
+        return ['interpolate', ['linear'], ['sqrt', ['coalesce', ['get', 'totalBytes'], 0]],
+            0, 1,
+            1024, 4, // 1 MB
+            4096, 8 // 16 MB
+        ];
+    }
+
+    return ['interpolate', ['linear'], ['sqrt', ['coalesce', ['get', 'requestCount'], 1]],
+        1, 1,
+        10, 4, // 100 requests
+        30, 8 // 900 requests
+    ];
+}
+
+/**
+ * GET FLOW LINE COLOR EXPRESSION: Line colour by category or average request time
+ * @returns {Array} MapLibre expression
+ */
+function getFlowLineColorExpression() {
+    if (flowLineConfig.colorBy === 'latency') {
+        const ramp = getPaletteColor('sequential', FLOW_LATENCY_COLORS);
+        return ['case',
+            ['==', ['typeof', ['get', 'avgTime']], 'number'],
+            ['interpolate', ['linear'], ['get', 'avgTime'],
+                0, ramp[0], // Fast
+                250, ramp[1],
+                1000, ramp[2] // Slow
+            ],
+            getPaletteColor('neutral', '#95a5a6') // No timing data
+        ];
+    }
+
+    return getCategoryColorExpression();
+}
+
+// ========================================
+// FLOW LINE LAYER
+// ========================================
+
+/**
+ * CREATE FLOW LINE LAYERS: Arc layer with the current styling
+ * @returns {Array<Object>} Layer specifications
+ */
+function createFlowLineLayers() {
+    return [{
+        id: 'flow-lines',
+        type: 'line',
+        source: 'flow-lines',
+        layout: {
+            'line-cap': 'round',
+            'line-join': 'round'
+        },
+        paint: {
+            'line-color': getFlowLineColorExpression(),
+            'line-width': getFlowLineWidthExpression(),
+            'line-opacity': 0.7
+        }
+    }];
+}
+
+/* FLOW LINES OVERLAY: Arcs drawn below the server points, hidden until switched on */
+registerOverlay('flow-lines', {
+    label: 'Flow lines',
+    sources: {
+        'flow-lines': function() {
+            return ipLocationData ? { type: 'geojson', data: buildFlowLines(getVisibleIPLocationData()) } : null;
+        }
+    },
+    layers: createFlowLineLayers,
+    visible: false,
+    below: 'ip-locations'
+});
+
+/**
+ * UPDATE FLOW LINES: Redraws the arcs for the visible servers
+ * Registered as a visible data listener so filters apply to the arcs too
+ * @param {Object} visibleData - GeoJSON FeatureCollection of server points
+ */
+function updateFlowLines(visibleData) {
+    const source = map && map.getSource('flow-lines');
+    if (source) {
+        source.setData(buildFlowLines(visibleData));
+    }
+}
+
+/**
+ * SET FLOW LINE STYLE: Changes the width metric or colouring of the arcs
+ * @param {Object} options - { widthMetric, colorBy }
+ */
+function setFlowLineStyle(options) {
+    Object.assign(flowLineConfig, options);
+
+    if (map && map.getLayer('flow-lines')) {
+        map.setPaintProperty('flow-lines', 'line-width', getFlowLineWidthExpression());
+        map.setPaintProperty('flow-lines', 'line-color', getFlowLineColorExpression());
+    }
+}
+
+/**
+ * UPDATE FLOW ORIGIN: Moves the origin marker and redraws the arcs from the new client location
+ * Registered as a client location listener, so the latency panel moves the arcs too
+ * @param {Array} origin - [longitude, latitude]
+ */
+function updateFlowOrigin(origin) {
+    // ORIGIN MARKER: Show where the arcs start
+    if (!flowOriginMarker) {
+        flowOriginMarker = new maplibregl.Marker({ color: '#2c3e50' });
+    }
+    flowOriginMarker.setLngLat(origin);
+    syncFlowOriginMarker();
+
+    updateFlowLines(getVisibleIPLocationData());
+}
+
+/**
+ * SET FLOW LINES VISIBLE: Shows or hides the flow-line layer
+ * @param {boolean} visible - Whether the arcs should be shown
+ */
+function setFlowLinesVisible(visible) {
+    setOverlayVisibility('flow-lines', visible);
+}
+
+/**
+ * SYNC FLOW ORIGIN MARKER: Shows the origin marker only while the flow lines are shown
+ * Registered as an overlay listener, so the layer panel toggles the marker too
+ */
+function syncFlowOriginMarker() {
+    const visible = getOverlay('flow-lines').visible;
+
+    if (flowOriginMarker && !visible) {
+        flowOriginMarker.remove();
+    } else if (flowOriginMarker && getClientLocation()) {
+        flowOriginMarker.addTo(map);
+    }
+}
+
+// ========================================
+// FLOW LINE CONTROL
+// ========================================
+
+/**
+ * FLOW LINE CONTROL: Map control for the client origin and arc styling
+ */
+class FlowLineControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel flow-line-panel';
+        this.container.innerHTML = `
+            <label class="map-panel-title">
+                <input type="checkbox" data-role="visible"> Flow lines
+            </label>
+            <div class="map-panel-body">
+                <button type="button" data-role="pick">📍 Pick origin on map</button>
+                <div class="map-panel-row">
+                    <input type="number" step="any" min="-90" max="90" placeholder="Lat" data-role="lat" aria-label="Origin latitude">
+                    <input type="number" step="any" min="-180" max="180" placeholder="Lon" data-role="lon" aria-label="Origin longitude">
+                    <button type="button" data-role="set">Set</button>
+                </div>
+                <label>Width
+                    <select data-role="width">
+                        <option value="requestCount">Request count</option>
+                        <option value="totalBytes">Bytes transferred</option>
+                    </select>
+                </label>
+                <label>Colour
+                    <select data-role="color">
+                        <option value="category">Category</option>
+                        <option value="latency">Latency</option>
+                    </select>
+                </label>
+            </div>
+        `;
+
+        const element = (role) => this.container.querySelector(`[data-role="${role}"]`);
+
+        // SHOW/HIDE: Toggle the arcs
+        element('visible').addEventListener('change', function(e) {
+            setFlowLinesVisible(e.target.checked);
+        });
+
+        // ORIGIN: Picking or entering the client location here also shows the arcs
+        setupClientLocationControls(this.map, {
+            pick: element('pick'),
+            lat: element('lat'),
+            lon: element('lon'),
+            set: element('set')
+        }, function() {
+            setFlowLinesVisible(true);
+        });
+
+        // STYLING: Width metric and colouring
+        element('width').addEventListener('change', function(e) {
+            setFlowLineStyle({ widthMetric: e.target.value });
+        });
+        element('color').addEventListener('change', function(e) {
+            setFlowLineStyle({ colorBy: e.target.value });
+        });
+
+        // LAYER PANEL: Keep the checkbox in step with the overlay's visibility
+        onOverlayChange(function() {
+            element('visible').checked = getOverlay('flow-lines').visible;
+        });
+
+        return this.container;
+    }
+
+    onRemove() {
+        cancelMapLocationPick();
+        this.container.remove();
+        this.map = undefined;
+    }
+}
+
+/* KEEP ARCS IN SYNC: Redraw whenever the visible server data changes */
+onVisibleDataChange(updateFlowLines);
+
+/* ORIGIN MARKER: Follows the flow-line overlay's visibility */
+onOverlayChange(syncFlowOriginMarker);
+
+/* CLIENT LOCATION: Arcs start at the location set from this or the latency panel */
+onClientLocationChange(updateFlowOrigin);
@@ -0,0 +1,584 @@
+// ========================================
+// GEOLOCATION CONFIGURATION
+// ========================================
+
+/* GEOLOCATION CONFIG: Providers are tried in order until one resolves the IP */
+const geolocationConfig = {
+    providers: ['range-database', 'http'],
+    rangeDatabaseUrl: '../inputs/ip-ranges.csv', // CIDR -> lat/lon/city/country CSV file
+    httpBaseUrl: 'https://ipinfo.io', // Any server answering GET /{ip}/json like ipinfo.io
+    httpToken: null, // Optional ipinfo access token
+    httpMaxRequests: 50 // Limit per import or live batch to avoid API rate limiting (same as MAX_IPS in scrape_har_locations.py)
+};
+
+/* ACCURACY CONFIDENCE: Confidence (0-1) reported for each accuracy level */
+const ACCURACY_CONFIDENCE = {
+    city: 0.8,
+    region: 0.5,
+    country: 0.2,
+    none: 0
+};
+
+/* PLACEHOLDER LOCATIONS: Points providers return when they only know the country, or nothing at all */
+const PLACEHOLDER_LOCATIONS = [
+    { label: '0,0 (no location)', coordinates: [0, 0] },
+    { label: 'United States centroid', coordinates: [-95.7129, 37.0902] },
+    { label: 'United States (MaxMind default)', coordinates: [-97.822, 37.751] },
+    { label: 'Contiguous United States centre', coordinates: [-98.5795, 39.8283] },
+    { label: 'Canada centroid', coordinates: [-106.3468, 56.1304] },
+    { label: 'United Kingdom centroid', coordinates: [-3.436, 55.3781] },
+    { label: 'Germany centroid', coordinates: [10.4515, 51.1657] },
+    { label: 'France centroid', coordinates: [2.2137, 46.2276] },
+    { label: 'Netherlands centroid', coordinates: [5.2913, 52.1326] },
+    { label: 'India centroid', coordinates: [78.9629, 20.5937] },
+    { label: 'China centroid', coordinates: [104.1954, 35.8617] },
+    { label: 'Japan centroid', coordinates: [138.2529, 36.2048] },
+    { label: 'Australia centroid', coordinates: [133.7751, -25.2744] },
+    { label: 'Brazil centroid', coordinates: [-51.9253, -14.235] }
+];
+
+/* PLACEHOLDER TOLERANCE: Degrees within which a result counts as a placeholder (about 100 m) */
+const PLACEHOLDER_TOLERANCE = 0.001;
+
+/* APPROXIMATE COLOR: Ring drawn around approximate locations */
+const APPROXIMATE_COLOR = '#e67e22';
+
+// ========================================
+// GEOLOCATION RESULTS
+// ========================================
+
+/**
+ * CREATE RESOLVED RESULT: Builds a result for an IP that was located
+ * @param {string} ip - IP address
+ * @param {string} provider - Name of the provider that located it
+ * @param {Object} location - { lat, lon, city, region, country, accuracyKm }
+ * @returns {Object} Geolocation result with status 'resolved'
+ */
+function createResolvedResult(ip, provider, location) {
+    // ACCURACY: The most specific place name the provider returned
+    let accuracy = 'country';
+    if (location.city) {
+        accuracy = 'city';
+    } else if (location.region) {
+        accuracy = 'region';
+    }
+
+    return {
+        ip: ip,
+        status: 'resolved',
+        coordinates: [location.lon, location.lat],
+        city: location.city || null,
+        region: location.region || null,
+        country: location.country || null,
+        accuracy: accuracy,
+        accuracyKm: location.accuracyKm || null,
+        confidence: ACCURACY_CONFIDENCE[accuracy],
+        provider: provider
+    };
+}
+
+/**
+ * CREATE UNRESOLVED RESULT: Builds a result for an IP that could not be located
+ * @param {string} ip - IP address
+ * @param {string} provider - Name of the provider that gave up
+ * @param {string} reason - Why the IP was not located
+ * @param {boolean} final - True when asking again cannot help (e.g. a private address), so the result is cached;
+ *     failures such as network errors and request limits are left out of the cache and retried
+ * @returns {Object} Geolocation result with status 'unresolved' and no coordinates
+ */
+function createUnresolvedResult(ip, provider, reason, final) {
+    return {
+        ip: ip,
+        status: 'unresolved',
+        coordinates: null,
+        city: null,
+        region: null,
+        country: null,
+        accuracy: 'none',
+        accuracyKm: null,
+        confidence: ACCURACY_CONFIDENCE.none,
+        provider: provider,
+        reason: reason,
+        final: Boolean(final)
+    };
+}
+
+// ========================================
+// APPROXIMATE LOCATIONS
+// ========================================
+
+/**
+ * GET APPROXIMATE REASON: Why a location is only approximate
+ * @param {Array} coordinates - [longitude, latitude]
+ * @param {string} accuracy - Accuracy level of the result (optional, unknown for pre-built files)
+ * @returns {string|null} Reason such as 'United States centroid', or null for a precise location
+ */
+function getApproximateReason(coordinates, accuracy) {
+    const placeholder = PLACEHOLDER_LOCATIONS.find(function(location) {
+        return Math.abs(location.coordinates[0] - coordinates[0]) <= PLACEHOLDER_TOLERANCE &&
+            Math.abs(location.coordinates[1] - coordinates[1]) <= PLACEHOLDER_TOLERANCE;
+    });
+    if (placeholder) return placeholder.label;
+    if (accuracy === 'country') return 'Country-level result';
+    return null;
+}
+
+/**
+ * FLAG APPROXIMATE LOCATIONS: Sets the approximate property on every point of a FeatureCollection
+ * @param {Object} data - GeoJSON FeatureCollection of IP locations (changed in place)
+ */
+function flagApproximateLocations(data) {
+    data.features.forEach(function(feature) {
+        feature.properties.approximate = getApproximateReason(feature.geometry.coordinates, feature.properties.accuracy);
+    });
+}
+
+// ========================================
+// IP ADDRESS PARSING
+// ========================================
+
+/**
+ * PARSE IPV4: Converts a dotted IPv4 address to a BigInt
+ * @param {string} ip - IPv4 address such as 34.117.59.81
+ * @returns {BigInt|null} Address value or null if invalid
+ */
+function parseIPv4(ip) {
+    const parts = ip.split('.');
+    if (parts.length !== 4) return null;
+
+    let value = 0n;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+        value = (value << 8n) + BigInt(part);
+    }
+    return value;
+}
+
+/**
+ * PARSE IPV6: Converts an IPv6 address (with :: compression or an IPv4 tail) to a BigInt
+ * @param {string} ip - IPv6 address such as 2606:4700::6812:8e77
+ * @returns {BigInt|null} Address value or null if invalid
+ */
+function parseIPv6(ip) {
+    let address = ip.split('%')[0]; // Drop any zone index
+
+    // IPV4 TAIL: ::ffff:1.2.3.4 -> two hextets
+    const ipv4Match = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (ipv4Match) {
+        const ipv4 = parseIPv4(ipv4Match[1]);
+        if (ipv4 === null) return null;
+        const tail = ipv4.toString(16).padStart(8, '0');
+        address = address.slice(0, -ipv4Match[1].length) + tail.slice(0, 4) + ':' + tail.slice(4);
+    }
+
+    const halves = address.split('::');
+    if (halves.length > 2) return null;
+
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - tail.length;
+
+    if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+    const hextets = head.concat(new Array(halves.length === 2 ? missing : 0).fill('0'), tail);
+
+    let value = 0n;
+    for (const hextet of hextets) {
+        if (!/^[0-9a-fA-F]{1,4}$/.test(hextet)) return null;
+        value = (value << 16n) + BigInt('0x' + hextet);
+    }
+    return value;
+}
+
+/**
+ * PARSE IP ADDRESS: Detects the IP version and converts the address to a BigInt
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {Object|null} { version: 4|6, value: BigInt } or null if invalid
+ */
+function parseIPAddress(ip) {
+    if (typeof ip !== 'string') return null;
+    const address = ip.trim().replace(/^\[|\]$/g, '');
+
+    if (address.includes(':')) {
+        const value = parseIPv6(address);
+        return value === null ? null : { version: 6, value: value };
+    }
+
+    const value = parseIPv4(address);
+    return value === null ? null : { version: 4, value: value };
+}
+
+/**
+ * PARSE CIDR: Converts a CIDR block to its network address and prefix length
+ * @param {string} cidr - CIDR block such as 104.18.0.0/20 or 2600:1901::/32
+ * @returns {Object|null} { version, prefix, network: BigInt } or null if invalid
+ */
+function parseCIDR(cidr) {
+    const [address, prefixText] = cidr.trim().split('/');
+    const parsed = parseIPAddress(address);
+    if (!parsed) return null;
+
+    const bits = parsed.version === 4 ? 32 : 128;
+    const prefix = prefixText === undefined ? bits : Number(prefixText);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) return null;
+
+    return {
+        version: parsed.version,
+        prefix: prefix,
+        network: maskIPValue(parsed.value, prefix, bits)
+    };
+}
+
+/**
+ * MASK IP VALUE: Clears the host bits of an address
+ * @param {BigInt} value - Address value
+ * @param {number} prefix - Prefix length to keep
+ * @param {number} bits - 32 for IPv4, 128 for IPv6
+ * @returns {BigInt} Network address
+ */
+function maskIPValue(value, prefix, bits) {
+    const hostBits = BigInt(bits - prefix);
+    return (value >> hostBits) << hostBits;
+}
+
+// ========================================
+// RANGE DATABASE PROVIDER
+// ========================================
+
+/**
+ * PARSE CSV LINE: Splits one CSV line into fields, honouring double quotes
+ * @param {string} line - One line of CSV text
+ * @returns {Array<string>} Field values
+ */
+function parseCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * PARSE RANGE DATABASE: Builds a longest-prefix lookup table from CSV text
+ * Expected header: network,latitude,longitude,city,region,country,accuracy_radius
+ * (cidr/lat/lon are accepted as column names too; city, region and accuracy_radius are optional)
+ * @param {string} text - CSV file contents
+ * @returns {Object} { 4: Map<prefix, Map<network, record>>, 6: ..., size }
+ */
+function parseRangeDatabase(text) {
+    const lines = text.split(/\r?\n/).filter(function(line) {
+        return line.trim() && !line.startsWith('#');
+    });
+    if (lines.length === 0) {
+        throw new Error('Range database is empty');
+    }
+
+    // HEADER: Map column names to indexes
+    const header = parseCSVLine(lines[0]).map(function(name) {
+        return name.trim().toLowerCase();
+    });
+    const column = function(...names) {
+        return header.findIndex(function(name) { return names.includes(name); });
+    };
+    const columns = {
+        network: column('network', 'cidr'),
+        lat: column('latitude', 'lat'),
+        lon: column('longitude', 'lon', 'lng'),
+        city: column('city'),
+        region: column('region'),
+        country: column('country'),
+        accuracyKm: column('accuracy_radius', 'accuracy_km')
+    };
+
+    if (columns.network < 0 || columns.lat < 0 || columns.lon < 0) {
+        throw new Error('Range database header must include network, latitude and longitude columns');
+    }
+
+    const table = { 4: new Map(), 6: new Map(), size: 0 };
+
+    lines.slice(1).forEach(function(line, index) {
+        const fields = parseCSVLine(line);
+        const range = parseCIDR(fields[columns.network] || '');
+        const lat = Number(fields[columns.lat]);
+        const lon = Number(fields[columns.lon]);
+
+        if (!range || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+            console.warn(`Skipping invalid range database row ${index + 2}: ${line}`);
+            return;
+        }
+
+        const field = function(name) {
+            return columns[name] >= 0 ? (fields[columns[name]] || '').trim() : '';
+        };
+
+        // GROUP BY PREFIX: One map per prefix length for longest-prefix matching
+        const prefixes = table[range.version];
+        if (!prefixes.has(range.prefix)) {
+            prefixes.set(range.prefix, new Map());
+        }
+        prefixes.get(range.prefix).set(range.network, {
+            lat: lat,
+            lon: lon,
+            city: field('city'),
+            region: field('region'),
+            country: field('country'),
+            accuracyKm: Number(field('accuracyKm')) || null
+        });
+        table.size++;
+    });
+
+    return table;
+}
+
+/**
+ * LOOKUP RANGE: Finds the most specific range containing an address
+ * @param {Object} table - Table returned by parseRangeDatabase()
+ * @param {Object} address - { version, value } from parseIPAddress()
+ * @returns {Object|null} Matching record or null
+ */
+function lookupRange(table, address) {
+    const bits = address.version === 4 ? 32 : 128;
+    const prefixes = table[address.version];
+
+    for (let prefix = bits; prefix >= 0; prefix--) {
+        const networks = prefixes.get(prefix);
+        if (!networks) continue;
+
+        const record = networks.get(maskIPValue(address.value, prefix, bits));
+        if (record) return record;
+    }
+
+    return null;
+}
+
+/**
+ * CREATE RANGE DATABASE PROVIDER: Offline provider backed by a local CIDR range file
+ * @param {Object} options - { url } location of the CSV range database
+ * @returns {Object} Provider with name and lookup(ip)
+ */
+function createRangeDatabaseProvider(options) {
+    const name = 'range-database';
+    let tablePromise = null;
+
+    // LOAD DATABASE: Fetched once, on the first lookup
+    function loadTable() {
+        if (!tablePromise) {
+            tablePromise = fetch(options.url)
+                .then(function(response) {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
+                    }
+                    return response.text();
+                })
+                .then(function(text) {
+                    const table = parseRangeDatabase(text);
+                    console.log(`✅ Loaded ${table.size} ranges from ${options.url}`);
+                    return table;
+                });
+        }
+        return tablePromise;
+    }
+
+    return {
+        name: name,
+
+        lookup: async function(ip) {
+            let table;
+            try {
+                table = await loadTable();
+            } catch (error) {
+                return createUnresolvedResult(ip, name, `Range database unavailable: ${error.message}`);
+            }
+
+            const address = parseIPAddress(ip);
+            if (!address) {
+                return createUnresolvedResult(ip, name, 'Invalid IP address', true);
+            }
+
+            const record = lookupRange(table, address);
+            return record
+                ? createResolvedResult(ip, name, record)
+                : createUnresolvedResult(ip, name, 'IP is not in any range', true);
+        }
+    };
+}
+
+// ========================================
+// HTTP PROVIDER
+// ========================================
+
+/**
+ * READ HTTP RESPONSE: Geolocation result from an ipinfo.io style JSON response
+ * Shared with the har-to-geojson.mjs command-line tool
+ * @param {string} ip - IP address
+ * @param {string} name - Provider name
+ * @param {Object} data - Parsed response body
+ * @returns {Object} Resolved or unresolved geolocation result
+ */
+function readHTTPResponse(ip, name, data) {
+    // BOGON: Private and reserved addresses have no location
+    if (data.bogon) {
+        return createUnresolvedResult(ip, name, 'Private or reserved address', true);
+    }
+
+    if (!data.loc) {
+        return createUnresolvedResult(ip, name, 'No location in response', true);
+    }
+
+    const [lat, lon] = data.loc.split(',').map(Number);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+        return createUnresolvedResult(ip, name, `Invalid location "${data.loc}"`, true);
+    }
+
+    return createResolvedResult(ip, name, {
+        lat: lat,
+        lon: lon,
+        city: data.city,
+        region: data.region,
+        country: data.country
+    });
+}
+
+/**
+ * CREATE HTTP PROVIDER: Provider for servers answering GET /{ip}/json like ipinfo.io
+ * @param {Object} options - { baseUrl, token, maxRequests (per batch) }
+ * @returns {Object} Provider with name, lookup(ip) and startBatch()
+ */
+function createHTTPProvider(options) {
+    const name = 'http';
+    const baseUrl = options.baseUrl.replace(/\/+$/, '');
+    let requestCount = 0;
+
+    return {
+        name: name,
+
+        // START BATCH: Each import or live batch gets the full request limit again
+        startBatch: function() {
+            requestCount = 0;
+        },
+
+        lookup: async function(ip) {
+            // REQUEST LIMIT: Stop calling the API once the batch's limit is reached
+            if (options.maxRequests && requestCount >= options.maxRequests) {
+                return createUnresolvedResult(ip, name, `Request limit of ${options.maxRequests} reached`);
+            }
+            requestCount++;
+
+            try {
+                const tokenParam = options.token ? `?token=${encodeURIComponent(options.token)}` : '';
+                const response = await fetch(`${baseUrl}/${encodeURIComponent(ip)}/json${tokenParam}`);
+
+                if (!response.ok) {
+                    return createUnresolvedResult(ip, name, `HTTP error! status: ${response.status}`);
+                }
+
+                return readHTTPResponse(ip, name, await response.json());
+
+            } catch (error) {
+                return createUnresolvedResult(ip, name, error.message);
+            }
+        }
+    };
+}
+
+// ========================================
+// GEOLOCATION RESOLVER
+// ========================================
+
+/**
+ * CREATE GEOLOCATION RESOLVER: Tries each provider in turn and caches the results
+ * Only located IPs and final answers are cached, so failed lookups are tried again later
+ * @param {Array} providers - Provider objects with name, lookup(ip) and optionally startBatch()
+ * @returns {Object} Resolver with resolve(ip), resolveAll(ips, onProgress) and startBatch()
+ */
+function createGeolocationResolver(providers) {
+    const cache = new Map();
+
+    async function resolve(ip) {
+        if (cache.has(ip)) return cache.get(ip);
+
+        let result = createUnresolvedResult(ip, null, 'No geolocation providers configured');
+
+        for (const provider of providers) {
+            result = await provider.lookup(ip);
+            if (result.status === 'resolved') break;
+            console.warn(`⚠️ ${provider.name} could not locate ${ip}: ${result.reason}`);
+        }
+
+        // CACHE: Not for transient failures, which would otherwise stick until the page is reloaded
+        if (result.status === 'resolved' || result.final) {
+            cache.set(ip, result);
+        }
+        return result;
+    }
+
+    // START BATCH: Resets per-batch limits such as the HTTP provider's request limit
+    function startBatch() {
+        providers.forEach(function(provider) {
+            if (provider.startBatch) provider.startBatch();
+        });
+    }
+
+    async function resolveAll(ips, onProgress) {
+        startBatch();
+        const results = [];
+        for (let i = 0; i < ips.length; i++) {
+            if (onProgress) onProgress(i + 1, ips.length);
+            results.push(await resolve(ips[i]));
+        }
+        return results;
+    }
+
+    return { resolve: resolve, resolveAll: resolveAll, startBatch: startBatch };
+}
+
+/* DEFAULT RESOLVER: Built from geolocationConfig on first use */
+let geolocationResolver = null;
+
+/**
+ * GET GEOLOCATION RESOLVER: Returns the resolver configured by geolocationConfig
+ * @returns {Object} Geolocation resolver
+ */
+function getGeolocationResolver() {
+    if (!geolocationResolver) {
+        const providers = geolocationConfig.providers.map(function(providerName) {
+            if (providerName === 'range-database') {
+                return createRangeDatabaseProvider({ url: geolocationConfig.rangeDatabaseUrl });
+            }
+            if (providerName === 'http') {
+                return createHTTPProvider({
+                    baseUrl: geolocationConfig.httpBaseUrl,
+                    token: geolocationConfig.httpToken,
+                    maxRequests: geolocationConfig.httpMaxRequests
+                });
+            }
+            throw new Error(`Unknown geolocation provider: ${providerName}`);
+        });
+
+        geolocationResolver = createGeolocationResolver(providers);
+    }
+    return geolocationResolver;
+}
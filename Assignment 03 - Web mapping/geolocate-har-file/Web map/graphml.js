@@ -0,0 +1,210 @@
+// ========================================
+// GRAPHML READER
+// ========================================
+
+/* GRAPHML NUMBER TYPES: attr.type values converted to numbers */
+const GRAPHML_NUMBER_TYPES = ['int', 'long', 'float', 'double'];
+
+/* GRAPHML COORDINATE NAMES: Node attribute pairs tried for longitude/latitude (OSMnx uses x/y) */
+const GRAPHML_COORDINATE_NAMES = [['x', 'y'], ['lon', 'lat'], ['longitude', 'latitude']];
+
+/**
+ * PARSE GRAPHML VALUE: Converts a <data> value by its key's attr.type
+ * OSMnx writes every attribute as a string, so numbers in strings are left to the caller
+ * @param {string} text - Element text
+ * @param {string} type - attr.type of the key
+ * @returns {string|number|boolean} Converted value
+ */
+function parseGraphMLValue(text, type) {
+    if (GRAPHML_NUMBER_TYPES.includes(type)) return Number(text);
+    if (type === 'boolean') return /^(true|1)$/i.test(text.trim());
+    return text;
+}
+
+/**
+ * READ GRAPHML DATA: Attributes of a graph, node or edge element, with the keys' defaults
+ * @param {Element} element - <graph>, <node> or <edge>
+ * @param {Object} keys - Key ID -> { name, type, default }, for this element's domain
+ * @returns {Object} Attribute name -> value
+ */
+function readGraphMLData(element, keys) {
+    const attributes = {};
+
+    Object.keys(keys).forEach(function(id) {
+        if (keys[id].default !== undefined) attributes[keys[id].name] = keys[id].default;
+    });
+
+    // DIRECT CHILDREN ONLY: A <graph>'s data must not pick up its nodes' data
+    Array.from(element.children).forEach(function(child) {
+        if (child.localName !== 'data') return;
+        const key = keys[child.getAttribute('key')];
+        const name = key ? key.name : child.getAttribute('key');
+        attributes[name] = parseGraphMLValue(child.textContent, key ? key.type : 'string');
+    });
+
+    return attributes;
+}
+
+/**
+ * PARSE GRAPHML: Reads the keys, nodes and edges of the first graph in a GraphML document
+ * @param {string} text - GraphML XML
+ * @returns {Object} { directed, attributes, nodes: [{ id, attributes }], edges: [{ source, target, directed, attributes }] }
+ */
+function parseGraphML(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0 || xml.documentElement.localName !== 'graphml') {
+        throw new Error('not a GraphML document');
+    }
+
+    // KEYS: Attribute declarations by domain (graph, node, edge or all)
+    const keys = { graph: {}, node: {}, edge: {} };
+    Array.from(xml.getElementsByTagName('key')).forEach(function(element) {
+        const domain = element.getAttribute('for') || 'all';
+        const type = element.getAttribute('attr.type') || 'string';
+        const defaultElement = element.getElementsByTagName('default')[0];
+        const key = {
+            name: element.getAttribute('attr.name') || element.getAttribute('id'),
+            type: type,
+            default: defaultElement ? parseGraphMLValue(defaultElement.textContent, type) : undefined
+        };
+        ['graph', 'node', 'edge'].forEach(function(name) {
+            if (domain === name || domain === 'all') keys[name][element.getAttribute('id')] = key;
+        });
+    });
+
+    const graph = xml.getElementsByTagName('graph')[0];
+    if (!graph) {
+        throw new Error('the GraphML file has no <graph>');
+    }
+    const directed = graph.getAttribute('edgedefault') !== 'undirected';
+
+    const nodes = Array.from(graph.getElementsByTagName('node')).map(function(element) {
+        return { id: element.getAttribute('id'), attributes: readGraphMLData(element, keys.node) };
+    });
+
+    const edges = Array.from(graph.getElementsByTagName('edge')).map(function(element) {
+        const edgeDirected = element.getAttribute('directed');
+        return {
+            source: element.getAttribute('source'),
+            target: element.getAttribute('target'),
+            directed: edgeDirected === null ? directed : edgeDirected === 'true',
+            attributes: readGraphMLData(element, keys.edge)
+        };
+    });
+
+    return { directed: directed, attributes: readGraphMLData(graph, keys.graph), nodes: nodes, edges: edges };
+}
+
+// ========================================
+// WKT GEOMETRY
+// ========================================
+
+/**
+ * PARSE WKT GEOMETRY: Reads a POINT, LINESTRING or MULTILINESTRING (as written by shapely)
+ * @param {string} wkt - Well-known text
+ * @returns {Object|null} GeoJSON geometry, or null for other types
+ */
+function parseWKTGeometry(wkt) {
+    const match = /^\s*(POINT|LINESTRING|MULTILINESTRING)\s*(?:Z\s*)?\((.*)\)\s*$/i.exec(wkt || '');
+    if (!match) return null;
+
+    const readPositions = function(text) {
+        return text.split(',').map(function(position) {
+            return position.trim().split(/\s+/).slice(0, 2).map(Number);
+        });
+    };
+
+    const type = match[1].toUpperCase();
+    if (type === 'POINT') {
+        return { type: 'Point', coordinates: readPositions(match[2])[0] };
+    }
+    if (type === 'LINESTRING') {
+        return { type: 'LineString', coordinates: readPositions(match[2]) };
+    }
+    return {
+        type: 'MultiLineString',
+        coordinates: match[2].split(/\)\s*,\s*\(/).map(function(part) {
+            return readPositions(part.replace(/[()]/g, ''));
+        })
+    };
+}
+
+// ========================================
+// GRAPH TO GEOJSON
+// ========================================
+
+/**
+ * IS TRUE ATTRIBUTE: Reads Python, OSM and GraphML spellings of true
+ * Simplified OSMnx edges keep a list such as '[False, True]', which is true if any item is
+ * @param {*} value - Attribute value
+ * @returns {boolean} True for true, 'True', 'yes' or '1'
+ */
+function isTrueAttribute(value) {
+    return value === true || String(value).replace(/[[\]]/g, '').split(',').some(function(item) {
+        return /^(true|yes|1)$/i.test(item.trim());
+    });
+}
+
+/**
+ * GET NODE POSITION: Longitude/latitude of a node from its coordinate attributes
+ * @param {Object} attributes - Node attributes
+ * @returns {Array|null} [longitude, latitude], or null without coordinates
+ */
+function getNodePosition(attributes) {
+    for (const names of GRAPHML_COORDINATE_NAMES) {
+        const x = parseFloat(attributes[names[0]]);
+        const y = parseFloat(attributes[names[1]]);
+        if (Number.isFinite(x) && Number.isFinite(y)) return [x, y];
+    }
+    return null;
+}
+
+/**
+ * GRAPH TO GEOJSON: Node points and edge lines of a parsed GraphML graph
+ * Edges without a WKT geometry are drawn straight between their nodes
+ * @param {Object} graph - Result of parseGraphML()
+ * @returns {Object} { nodes, edges } FeatureCollections; feature IDs are indexes into graph.nodes and graph.edges
+ */
+function graphToGeoJSON(graph) {
+    // CRS: OSMnx records it on the graph, projected graphs cannot be drawn as they are
+    const crs = String(graph.attributes.crs || 'epsg:4326');
+    if (!/4326|CRS84/i.test(crs)) {
+        throw new Error(`the graph uses ${crs} - export it in EPSG:4326 (ox.project_graph(G, to_latlong=True))`);
+    }
+
+    const positions = new Map();
+    const nodes = [];
+    graph.nodes.forEach(function(node, index) {
+        const position = getNodePosition(node.attributes);
+        if (!position) return;
+        positions.set(node.id, position);
+        nodes.push({
+            type: 'Feature',
+            id: index,
+            properties: Object.assign({}, node.attributes, { id: node.id }),
+            geometry: { type: 'Point', coordinates: position }
+        });
+    });
+    if (nodes.length === 0) {
+        throw new Error('no node has x/y or lon/lat attributes');
+    }
+
+    const edges = [];
+    graph.edges.forEach(function(edge, index) {
+        const geometry = parseWKTGeometry(edge.attributes.geometry) ||
+            (positions.has(edge.source) && positions.has(edge.target)
+                ? { type: 'LineString', coordinates: [positions.get(edge.source), positions.get(edge.target)] }
+                : null);
+        if (!geometry) return;
+
+        // PROPERTIES: The WKT is already the geometry
+        const properties = Object.assign({}, edge.attributes, { source: edge.source, target: edge.target });
+        delete properties.geometry;
+        edges.push({ type: 'Feature', id: index, properties: properties, geometry: geometry });
+    });
+
+    return {
+        nodes: { type: 'FeatureCollection', features: nodes },
+        edges: { type: 'FeatureCollection', features: edges }
+    };
+}
@@ -0,0 +1,270 @@
+// ========================================
+// HAR IMPORT CONFIGURATION
+// ========================================
+
+/* MAX HAR FILE SIZE: Largest HAR file (in bytes) parsed in the browser */
+const MAX_HAR_FILE_SIZE = 50 * 1024 * 1024; // 50 MB
+
+// ========================================
+// HAR PARSING
+// ========================================
+
+/**
+ * PARSE HAR TEXT: Converts the text of a HAR file into a HAR object
+ * @param {string} text - Raw file contents
+ * @param {string} fileName - File name used in error messages
+ * @returns {Object} Parsed HAR object with a log.entries array
+ */
+function parseHARText(text, fileName) {
+    let har;
+
+    try {
+        har = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${fileName} is not valid JSON (${error.message})`);
+    }
+
+    // VALIDATE STRUCTURE: A HAR file must have a log with an entries array
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+        throw new Error(`${fileName} is not a HAR file - missing log.entries array`);
+    }
+
+    return har;
+}
+
+/**
+ * GET HOSTNAME: Hostname part of a URL
+ * @param {string} url - Request URL
+ * @returns {string} Hostname, or an empty string for unparseable URLs
+ */
+function getHostname(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * GET TRANSFER SIZE: Bytes transferred for a HAR response
+ * Uses Chrome's _transferSize when present, otherwise headers + body size
+ * @param {Object} response - HAR response object
+ * @returns {number} Size in bytes (0 when unknown)
+ */
+function getTransferSize(response) {
+    if (!response) return 0;
+    if (response._transferSize > 0) return response._transferSize;
+
+    return Math.max(response.headersSize || 0, 0) + Math.max(response.bodySize || 0, 0);
+}
+
+/**
+ * CREATE REQUEST RECORD: Request record for one HAR entry
+ * IP handling mirrors load_ips_from_har() in scrape_har_locations.py
+ * @param {Object} entry - HAR entry
+ * @param {string} fileName - Name of the HAR file (or live source) the entry came from
+ * @param {Set<string>} firstPartySites - First-party site domains, for the category
+ * @returns {Object|null} Request record { ip, url, host, category, method, status, startedDateTime, startTime, time, bytes, timings, harFile }, or null without a server IP
+ */
+function createRequestRecord(entry, fileName, firstPartySites) {
+    const ip = entry.serverIPAddress;
+    if (!ip) return null;
+
+    const request = entry.request || {};
+    const response = entry.response || {};
+    const url = request.url || '';
+
+    return {
+        // STRIP BRACKETS: IPv6 addresses may be recorded as [2606:4700::1]
+        ip: ip.replace(/^[\[\]]+|[\[\]]+$/g, ''),
+        url: url,
+        host: getHostname(url),
+        category: classifyURL(url, firstPartySites),
+        method: request.method || '',
+        status: response.status || null,
+        startedDateTime: entry.startedDateTime || null,
+        startTime: Date.parse(entry.startedDateTime) || null, // Milliseconds since epoch
+        time: typeof entry.time === 'number' ? entry.time : -1,
+        bytes: getTransferSize(response),
+        timings: entry.timings || {},
+        harFile: fileName
+    };
+}
+
+/**
+ * EXTRACT REQUESTS FROM HAR: Walks the HAR entries and keeps every request with a server IP
+ * @param {Object} har - Parsed HAR object
+ * @param {string} fileName - Name of the HAR file the entries came from
+ * @returns {Array<Object>} Request records from createRequestRecord()
+ */
+function extractRequestsFromHAR(har, fileName) {
+    const firstPartySites = extractFirstPartySites(har);
+
+    return har.log.entries
+        .map(function(entry) { return createRequestRecord(entry, fileName, firstPartySites); })
+        .filter(Boolean);
+}
+
+/**
+ * READ HAR FILE: Checks the size of a File and parses its contents
+ * @param {File} file - File selected by the user or dropped on the map
+ * @returns {Promise<Object>} Parsed HAR object
+ */
+async function readHARFile(file) {
+    // CHECK SIZE: Refuse files too large to parse comfortably in the browser
+    if (file.size > MAX_HAR_FILE_SIZE) {
+        const sizeMB = (file.size / (1024 * 1024)).toFixed(1);
+        throw new Error(`${file.name} is ${sizeMB} MB - the limit is ${MAX_HAR_FILE_SIZE / (1024 * 1024)} MB`);
+    }
+
+    const text = await file.text();
+    return parseHARText(text, file.name);
+}
+
+// ========================================
+// HAR IMPORT WORKFLOW
+// ========================================
+
+/**
+ * READ HAR REQUEST RECORDS: Reads HAR files and collects every request with a server IP
+ * @param {Array<File>} fileList - HAR files
+ * @returns {Promise<Array<Object>>} Request records from all files
+ */
+async function readHARRequestRecords(fileList) {
+    await loadCategoryRules();
+    await loadASNTable();
+
+    // COLLECT REQUESTS: Read every file before touching the map
+    const records = [];
+    for (const file of fileList) {
+        const har = await readHARFile(file);
+        const fileRecords = extractRequestsFromHAR(har, file.name);
+        console.log(`${file.name}: ${fileRecords.length} requests with a server IP`);
+        records.push(...fileRecords);
+    }
+
+    if (records.length === 0) {
+        throw new Error('No server IP addresses found in the HAR file(s)');
+    }
+
+    return records;
+}
+
+/**
+ * GEOLOCATE REQUEST RECORDS: Resolves the server IP of every request record
+ * @param {Array<Object>} records - Request records
+ * @returns {Promise<Map<string, Object>>} Geolocation results keyed by IP
+ */
+async function geolocateRequestRecords(records) {
+    const ips = Array.from(new Set(records.map(function(record) { return record.ip; })));
+    console.log(`Requests: ${records.length}, unique IPs: ${ips.length}`);
+
+    // GEOLOCATE: Resolve every IP through the configured providers
+    const results = await getGeolocationResolver().resolveAll(ips, function(done, total) {
+        updateIPCount(`Geolocating IP ${done} of ${total}...`);
+    });
+
+    // REPORT UNRESOLVED: Only resolved IPs get a point
+    const geolocations = new Map();
+    const unresolved = [];
+    results.forEach(function(result) {
+        geolocations.set(result.ip, result);
+        if (result.status !== 'resolved') {
+            unresolved.push(result);
+        }
+    });
+
+    if (unresolved.length > 0) {
+        console.warn(`⚠️ ${unresolved.length} IP(s) could not be geolocated:`, unresolved.map(function(result) {
+            return `${result.ip} (${result.reason})`;
+        }));
+    }
+
+    if (unresolved.length === results.length) {
+        throw new Error('None of the server IPs could be geolocated');
+    }
+
+    return geolocations;
+}
+
+/**
+ * REPORT UNRESOLVED IPS: Adds the number of IPs without a location to the status line
+ * Call after the records are on the map, as refreshing the aggregates rewrites the status
+ * @param {Map<string, Object>} geolocations - Geolocation results keyed by IP
+ */
+function reportUnresolvedIPs(geolocations) {
+    const unresolvedCount = Array.from(geolocations.values()).filter(function(result) {
+        return result.status !== 'resolved';
+    }).length;
+    if (unresolvedCount === 0) return;
+
+    updateIPCount(`⚠️ ${ipLocationData.features.length} unique IP locations loaded; ` +
+        `${unresolvedCount} IP(s) could not be geolocated (listed in the browser console)`);
+}
+
+/**
+ * IMPORT HAR FILES: Parses HAR files, geolocates their server IPs and shows them on the map
+ * @param {FileList|Array} files - HAR files chosen by the user
+ */
+async function importHARFiles(files) {
+    const fileList = Array.from(files);
+    if (fileList.length === 0) return;
+
+    console.log(`📂 Importing ${fileList.length} HAR file(s)...`);
+
+    try {
+        updateIPCount(`Reading ${fileList.length} HAR file(s)...`);
+
+        const records = await readHARRequestRecords(fileList);
+        const geolocations = await geolocateRequestRecords(records);
+
+        // SHOW ON MAP: Replace the current data with the imported requests
+        setIPRequestRecords(records, geolocations);
+        reportUnresolvedIPs(geolocations);
+
+        console.log(`✅ Imported ${ipLocationData.features.length} IP locations from HAR file(s)`);
+
+    } catch (error) {
+        console.error('❌ Error importing HAR files:', error);
+        showErrorMessage(`Failed to import HAR file: ${error.message}`);
+    }
+}
+
+/**
+ * SETUP HAR IMPORT: Connects the file picker and map drag-and-drop to importHARFiles()
+ * Dropped GeoJSON and shapefiles are passed on to importOverlayFiles(), GraphML to importNetworkFile()
+ */
+function setupHARImport() {
+    // FILE PICKER: Import files chosen through the file input
+    const fileInput = document.getElementById('har-file-input');
+    if (fileInput) {
+        fileInput.addEventListener('change', function(e) {
+            importHARFiles(e.target.files);
+            e.target.value = ''; // Allow the same file to be picked again
+        });
+    }
+
+    // DRAG AND DROP: Import files dropped onto the map
+    const mapContainer = document.querySelector('.map-container');
+    if (mapContainer) {
+        mapContainer.addEventListener('dragover', function(e) {
+            e.preventDefault();
+            mapContainer.classList.add('drag-over');
+        });
+
+        mapContainer.addEventListener('dragleave', function() {
+            mapContainer.classList.remove('drag-over');
+        });
+
+        mapContainer.addEventListener('drop', function(e) {
+            e.preventDefault();
+            mapContainer.classList.remove('drag-over');
+
+            // OVERLAYS: GeoJSON and shapefile parts go to the overlay loader, GraphML to the network, the rest are HAR files
+            const files = Array.from(e.dataTransfer.files);
+            importHARFiles(files.filter(function(file) { return !isOverlayFile(file) && !isNetworkFile(file); }));
+            importOverlayFiles(files.filter(isOverlayFile));
+            files.filter(isNetworkFile).forEach(importNetworkFile);
+        });
+    }
+}
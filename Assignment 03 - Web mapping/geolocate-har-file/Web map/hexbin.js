@@ -0,0 +1,263 @@
+// ========================================
+// HEXBIN CONFIGURATION
+// ========================================
+
+/* HEXBIN PIXEL RADIUS: Hexagon radius on screen at the zoom level of its resolution */
+const HEXBIN_PIXEL_RADIUS = 30;
+
+/* HEXBIN MAX RESOLUTION: Resolutions follow whole zoom levels up to this one */
+const HEXBIN_MAX_RESOLUTION = 16;
+
+/* HEXBIN COLORS: Sequential ramp from the fewest to the most requests */
+const HEXBIN_COLORS = ['#edf8b1', '#7fcdbb', '#2c7fb8'];
+
+/* HEXBIN RESOLUTION: Resolution of the hexagons currently drawn */
+let hexbinResolution = null;
+
+// ========================================
+// HEXAGON GRID
+// ========================================
+// Pointy-top hexagons on a grid in normalised Web Mercator (0-1 across the world), so they
+// look regular on the map. Each resolution halves the hexagon size, like the zoom levels.
+
+/**
+ * GET HEXBIN RESOLUTION: Grid resolution for a zoom level
+ * @param {number} zoom - Map zoom
+ * @returns {number} Whole-number resolution
+ */
+function getHexbinResolution(zoom) {
+    return Math.max(0, Math.min(HEXBIN_MAX_RESOLUTION, Math.floor(zoom)));
+}
+
+/**
+ * GET HEXBIN RADIUS: Hexagon radius in normalised Mercator units
+ * @param {number} resolution - Grid resolution
+ * @returns {number} Radius
+ */
+function getHexbinRadius(resolution) {
+    return HEXBIN_PIXEL_RADIUS / (512 * Math.pow(2, resolution)); // 512 px tiles in MapLibre
+}
+
+/**
+ * TO MERCATOR: Longitude/latitude to normalised Web Mercator
+ * @param {Array} position - [longitude, latitude]
+ * @returns {Array} [x, y], y growing southwards
+ */
+function toMercator(position) {
+    const latitude = Math.max(-85.0511, Math.min(85.0511, position[1])) * Math.PI / 180;
+    return [
+        (position[0] + 180) / 360,
+        (1 - Math.log(Math.tan(latitude) + 1 / Math.cos(latitude)) / Math.PI) / 2
+    ];
+}
+
+/**
+ * FROM MERCATOR: Normalised Web Mercator to longitude/latitude
+ * @param {Array} point - [x, y]
+ * @returns {Array} [longitude, latitude]
+ */
+function fromMercator(point) {
+    return [
+        point[0] * 360 - 180,
+        Math.atan(Math.sinh(Math.PI * (1 - 2 * point[1]))) * 180 / Math.PI
+    ];
+}
+
+/**
+ * GET HEXAGON CELL: Axial coordinates of the hexagon containing a position
+ * @param {Array} position - [longitude, latitude]
+ * @param {number} radius - Hexagon radius in normalised Mercator units
+ * @returns {Array} [q, r]
+ */
+function getHexagonCell(position, radius) {
+    const [x, y] = toMercator(position);
+    const q = (Math.sqrt(3) / 3 * x - y / 3) / radius;
+    const r = (2 / 3 * y) / radius;
+
+    // CUBE ROUNDING: Round the three cube coordinates and fix the one that moved most
+    const s = -q - r;
+    let roundedQ = Math.round(q);
+    let roundedR = Math.round(r);
+    const roundedS = Math.round(s);
+    const [dq, dr, ds] = [Math.abs(roundedQ - q), Math.abs(roundedR - r), Math.abs(roundedS - s)];
+    if (dq > dr && dq > ds) {
+        roundedQ = -roundedR - roundedS;
+    } else if (dr > ds) {
+        roundedR = -roundedQ - roundedS;
+    }
+
+    return [roundedQ, roundedR];
+}
+
+/**
+ * GET HEXAGON RING: Corners of a hexagon as a closed GeoJSON ring
+ * @param {Array} cell - [q, r]
+ * @param {number} radius - Hexagon radius in normalised Mercator units
+ * @returns {Array<Array>} Ring of [longitude, latitude]
+ */
+function getHexagonRing(cell, radius) {
+    const centerX = radius * Math.sqrt(3) * (cell[0] + cell[1] / 2);
+    const centerY = radius * 1.5 * cell[1];
+
+    const ring = [];
+    for (let i = 0; i <= 6; i++) {
+        const angle = Math.PI / 180 * (60 * (i % 6) - 30);
+        ring.push(fromMercator([centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle)]));
+    }
+    return ring;
+}
+
+// ========================================
+// HEXBIN AGGREGATION
+// ========================================
+
+/**
+ * CREATE HEXBIN DATA: Hexagons holding the visible servers, with their totals
+ * Empty outside the hexbin display mode
+ * @returns {Object} GeoJSON FeatureCollection of Polygons
+ */
+function createHexbinData() {
+    const visibleData = getVisibleIPLocationData();
+    if (displayMode !== 'hexbin' || !visibleData || !map) {
+        return { type: 'FeatureCollection', features: [] };
+    }
+
+    hexbinResolution = getHexbinResolution(map.getZoom());
+    const radius = getHexbinRadius(hexbinResolution);
+    const bins = new Map();
+
+    visibleData.features.forEach(function(feature) {
+        const cell = getHexagonCell(feature.geometry.coordinates, radius);
+        const key = cell.join('/');
+        if (!bins.has(key)) {
+            bins.set(key, { cell: cell, ipCount: 0, requestCount: 0, totalBytes: 0, hosts: new Set(), categories: {} });
+        }
+
+        const bin = bins.get(key);
+        const properties = feature.properties;
+        bin.ipCount++;
+        bin.requestCount += properties.requestCount || 1;
+        bin.totalBytes += properties.totalBytes || 0;
+        if (properties.host) bin.hosts.add(properties.host);
+        bin.categories[properties.category] = (bin.categories[properties.category] || 0) + 1;
+    });
+
+    const maxRequests = Math.max(1, ...Array.from(bins.values()).map(function(bin) { return bin.requestCount; }));
+
+    return {
+        type: 'FeatureCollection',
+        features: Array.from(bins.values()).map(function(bin) {
+            return {
+                type: 'Feature',
+                properties: {
+                    cell: `${hexbinResolution}/${bin.cell.join('/')}`,
+                    ipCount: bin.ipCount,
+                    requestCount: bin.requestCount,
+                    totalBytes: bin.totalBytes,
+                    hostCount: bin.hosts.size,
+                    hosts: Array.from(bin.hosts).slice(0, 5).join(', '),
+                    categories: JSON.stringify(bin.categories), // Layer properties must be scalar
+                    share: bin.requestCount / maxRequests
+                },
+                geometry: { type: 'Polygon', coordinates: [getHexagonRing(bin.cell, radius)] }
+            };
+        })
+    };
+}
+
+/**
+ * UPDATE HEXBINS: Rebuilds the hexagons in the hexbin display mode
+ */
+function updateHexbins() {
+    const source = map && map.getSource('ip-hexbins');
+    if (source && displayMode === 'hexbin') {
+        source.setData(createHexbinData());
+    }
+}
+
+/**
+ * CREATE HEXBIN LAYERS: Shaded hexagons with outlines
+ * @returns {Array<Object>} Layer specifications
+ */
+function createHexbinLayers() {
+    return [
+        {
+            id: 'ip-hexbins',
+            type: 'fill',
+            source: 'ip-hexbins',
+            paint: {
+                'fill-color': ['interpolate', ['linear'], ['sqrt', ['get', 'share']],
+                    0, getPaletteColor('sequential', HEXBIN_COLORS)[0],
+                    0.5, getPaletteColor('sequential', HEXBIN_COLORS)[1],
+                    1, getPaletteColor('sequential', HEXBIN_COLORS)[2]
+                ],
+                'fill-opacity': 0.7
+            }
+        },
+        {
+            id: 'ip-hexbin-outline',
+            type: 'line',
+            source: 'ip-hexbins',
+            paint: { 'line-color': '#ffffff', 'line-width': 1 }
+        }
+    ];
+}
+
+// ========================================
+// HEXBIN INTERACTIONS
+// ========================================
+
+/**
+ * CREATE HEXBIN POPUP HTML: Totals of the servers in a hexagon
+ * @param {Object} properties - Hexagon feature properties
+ * @returns {string} Popup HTML
+ */
+function createHexbinPopupHTML(properties) {
+    const categories = JSON.parse(properties.categories);
+    const categoryText = Object.keys(categories)
+        .sort(function(a, b) { return categories[b] - categories[a]; })
+        .map(function(key) {
+            return `${SERVER_CATEGORIES[key] ? SERVER_CATEGORIES[key].label : key} ×${categories[key]}`;
+        })
+        .join(', ');
+
+    return `
+        <div class="popup-content">
+            <h4 class="popup-title">⬡ ${properties.ipCount} server${properties.ipCount === 1 ? '' : 's'} in this area</h4>
+            <div class="popup-info">
+                <p><strong>📨 Requests:</strong> ${properties.requestCount} (${formatBytes(properties.totalBytes)})</p>
+                <p><strong>🏷️ Hosts:</strong> ${properties.hostCount}${properties.hosts ? ` - ${escapeHTML(properties.hosts)}${properties.hostCount > 5 ? ', ...' : ''}` : ''}</p>
+                <p><strong>🗂️ Categories:</strong> ${escapeHTML(categoryText)}</p>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * ADD HEXBIN INTERACTIONS: Popup on click, and new hexagons when the zoom crosses a resolution
+ */
+function addHexbinInteractions() {
+    map.on('click', 'ip-hexbins', function(e) {
+        new maplibregl.Popup({ maxWidth: '320px' })
+            .setLngLat(e.lngLat)
+            .setHTML(createHexbinPopupHTML(e.features[0].properties))
+            .addTo(map);
+    });
+
+    map.on('mouseenter', 'ip-hexbins', function() {
+        map.getCanvas().style.cursor = 'pointer';
+    });
+
+    map.on('mouseleave', 'ip-hexbins', function() {
+        map.getCanvas().style.cursor = '';
+    });
+
+    map.on('zoomend', function() {
+        if (displayMode === 'hexbin' && getHexbinResolution(map.getZoom()) !== hexbinResolution) {
+            updateHexbins();
+        }
+    });
+}
+
+/* LIVE HEXBINS: Filters and new imports rebuild the hexagons */
+onVisibleDataChange(updateHexbins);
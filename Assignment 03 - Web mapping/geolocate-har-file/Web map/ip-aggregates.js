@@ -0,0 +1,393 @@
+// ========================================
+// PER-IP AGGREGATE CONFIGURATION
+// ========================================
+
+/* IP AGGREGATES: Aggregate request statistics for each server IP, keyed by IP */
+let ipAggregates = new Map();
+
+/* REQUEST RECORDS: Every imported HAR request that has a server IP */
+let ipRequestRecords = [];
+
+/* IP GEOLOCATIONS: Geolocation result for each imported IP, keyed by IP */
+let ipGeolocations = new Map();
+
+/* REQUEST FILTERS: Named predicates deciding which requests are aggregated onto the map */
+const requestFilters = new Map();
+
+/* REQUEST RECORDS LISTENERS: Called when a new set of request records is imported */
+const requestRecordsListeners = [];
+
+/* TIMING PHASES: HAR timings summarised for each IP (-1 means "not applicable" in HAR) */
+const TIMING_PHASES = ['blocked', 'dns', 'connect', 'ssl', 'send', 'wait', 'receive'];
+
+/* POPUP PAGE SIZE: Number of requests listed per popup page */
+const POPUP_REQUESTS_PER_PAGE = 10;
+
+// ========================================
+// AGGREGATION
+// ========================================
+
+/**
+ * SUMMARISE VALUES: Computes count/min/avg/max for a list of numbers
+ * @param {Array<number>} values - Values to summarise (negative values are ignored)
+ * @returns {Object|null} { count, min, avg, max } or null when there are no values
+ */
+function summariseValues(values) {
+    const valid = values.filter(function(value) {
+        return typeof value === 'number' && value >= 0;
+    });
+    if (valid.length === 0) return null;
+
+    const total = valid.reduce(function(sum, value) { return sum + value; }, 0);
+    return {
+        count: valid.length,
+        min: Math.min(...valid),
+        avg: total / valid.length,
+        max: Math.max(...valid)
+    };
+}
+
+/**
+ * COUNT BY: Counts how often each value of a record field occurs
+ * @param {Array<Object>} records - Request records
+ * @param {string} field - Field name to count
+ * @returns {Object} { value: count }
+ */
+function countBy(records, field) {
+    const counts = {};
+    records.forEach(function(record) {
+        const value = record[field];
+        if (value !== null && value !== undefined && value !== '') {
+            counts[value] = (counts[value] || 0) + 1;
+        }
+    });
+    return counts;
+}
+
+/**
+ * AGGREGATE REQUESTS BY IP: Groups request records by server IP
+ * @param {Array<Object>} records - Request records from extractRequestsFromHAR()
+ * @returns {Map<string, Object>} Aggregate per IP
+ */
+function aggregateRequestsByIP(records) {
+    const groups = new Map();
+    records.forEach(function(record) {
+        if (!groups.has(record.ip)) {
+            groups.set(record.ip, []);
+        }
+        groups.get(record.ip).push(record);
+    });
+
+    const aggregates = new Map();
+    groups.forEach(function(requests, ip) {
+        // HOSTNAMES: Distinct hosts served from this IP, most requested first
+        const hostCounts = countBy(requests, 'host');
+        const hosts = Object.keys(hostCounts).sort(function(a, b) {
+            return hostCounts[b] - hostCounts[a];
+        });
+
+        // TIMINGS: Summary of each HAR timing phase plus the total request time
+        const timings = {};
+        TIMING_PHASES.forEach(function(phase) {
+            timings[phase] = summariseValues(requests.map(function(request) {
+                return request.timings[phase];
+            }));
+        });
+        timings.total = summariseValues(requests.map(function(request) {
+            return request.time;
+        }));
+
+        // CATEGORY: The most common server category among the IP's requests
+        const categoryCounts = countBy(requests, 'category');
+
+        aggregates.set(ip, {
+            ip: ip,
+            category: getDominantCategory(categoryCounts),
+            categoryCounts: categoryCounts,
+            requestCount: requests.length,
+            hosts: hosts,
+            totalBytes: requests.reduce(function(sum, request) {
+                return sum + (request.bytes > 0 ? request.bytes : 0);
+            }, 0),
+            methods: countBy(requests, 'method'),
+            statusCodes: countBy(requests, 'status'),
+            captures: countBy(requests, 'capture'), // Comparison captures ('A'/'B') the IP appeared in
+            timings: timings,
+            requests: requests
+        });
+    });
+
+    return aggregates;
+}
+
+/**
+ * CREATE AGGREGATE PROPERTIES: Flattens an aggregate into GeoJSON feature properties
+ * Map layers only see scalar properties, popups read the full aggregate from ipAggregates
+ * @param {Object} aggregate - Aggregate from aggregateRequestsByIP()
+ * @returns {Object} Scalar feature properties
+ */
+function createAggregateProperties(aggregate) {
+    return {
+        ip: aggregate.ip,
+        url: aggregate.requests[0].url,
+        host: aggregate.hosts[0] || '',
+        category: aggregate.category,
+        hostCount: aggregate.hosts.length,
+        requestCount: aggregate.requestCount,
+        totalBytes: aggregate.totalBytes,
+        avgTime: aggregate.timings.total ? Math.round(aggregate.timings.total.avg) : null,
+        comparison: getComparisonStatus(aggregate.captures)
+    };
+}
+
+/**
+ * GET COMPARISON STATUS: Whether an IP was seen in capture A, capture B or both
+ * @param {Object} captures - Request counts per capture from countBy()
+ * @returns {string|null} 'only-a', 'only-b', 'both', or null outside comparison mode
+ */
+function getComparisonStatus(captures) {
+    if (captures.A && captures.B) return 'both';
+    if (captures.A) return 'only-a';
+    if (captures.B) return 'only-b';
+    return null;
+}
+
+/**
+ * BUILD IP LOCATION DATA: GeoJSON points for every aggregated IP that was geolocated
+ * @param {Map<string, Object>} aggregates - Aggregates from aggregateRequestsByIP()
+ * @param {Map<string, Object>} geolocations - Geolocation results keyed by IP
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function buildIPLocationData(aggregates, geolocations) {
+    const features = [];
+
+    aggregates.forEach(function(aggregate, ip) {
+        const result = geolocations.get(ip);
+        if (!result || result.status !== 'resolved') return;
+
+        features.push({
+            type: 'Feature',
+            properties: Object.assign(createAggregateProperties(aggregate), {
+                city: result.city,
+                region: result.region,
+                country: result.country,
+                accuracy: result.accuracy,
+                confidence: result.confidence,
+                approximate: getApproximateReason(result.coordinates, result.accuracy),
+                provider: result.provider
+            }),
+            geometry: { type: 'Point', coordinates: result.coordinates }
+        });
+    });
+
+    // ORGANISATIONS: ASN and hosting organisation from the local ASN table
+    enrichOrganisations(features);
+
+    return { type: 'FeatureCollection', features: features };
+}
+
+// ========================================
+// REQUEST RECORDS AND FILTERS
+// ========================================
+
+/**
+ * SET IP REQUEST RECORDS: Replaces the imported requests and shows them on the map
+ * Request filters belong to the previous import, so they are cleared
+ * @param {Array<Object>} records - Request records from extractRequestsFromHAR()
+ * @param {Map<string, Object>} geolocations - Geolocation results keyed by IP
+ */
+function setIPRequestRecords(records, geolocations) {
+    ipRequestRecords = records;
+    ipGeolocations = geolocations;
+    requestFilters.clear();
+
+    requestRecordsListeners.forEach(function(listener) {
+        try {
+            listener(records);
+        } catch (error) {
+            console.error('❌ Error in request records listener:', error);
+        }
+    });
+
+    refreshRequestAggregates();
+}
+
+/**
+ * APPEND IP REQUEST RECORDS: Adds requests to the current ones and updates the map
+ * Unlike setIPRequestRecords() the filters stay and no listeners are told, as it is the same capture.
+ * Geolocations of servers whose requests all aged out are dropped with them, so server counts match the map
+ * @param {Array<Object>} records - New request records
+ * @param {Map<string, Object>} geolocations - Geolocation results of their IPs
+ * @param {number} maxRecords - Oldest requests beyond this many are dropped
+ * @returns {number} Number of requests dropped
+ */
+function appendIPRequestRecords(records, geolocations, maxRecords) {
+    geolocations.forEach(function(result, ip) {
+        ipGeolocations.set(ip, result);
+    });
+
+    ipRequestRecords = ipRequestRecords.concat(records);
+    const droppedCount = Math.max(0, ipRequestRecords.length - maxRecords);
+    if (droppedCount > 0) {
+        ipRequestRecords = ipRequestRecords.slice(droppedCount);
+
+        const remainingIPs = new Set(ipRequestRecords.map(function(record) { return record.ip; }));
+        Array.from(ipGeolocations.keys()).forEach(function(ip) {
+            if (!remainingIPs.has(ip)) ipGeolocations.delete(ip);
+        });
+    }
+
+    refreshRequestAggregates();
+    return droppedCount;
+}
+
+/**
+ * ON REQUEST RECORDS CHANGE: Registers a listener for newly imported request records
+ * @param {Function} listener - Called with the array of request records
+ */
+function onRequestRecordsChange(listener) {
+    requestRecordsListeners.push(listener);
+}
+
+/**
+ * GET FILTERED REQUEST RECORDS: Request records that pass every request filter
+ * @returns {Array<Object>} Request records
+ */
+function getFilteredRequestRecords() {
+    if (requestFilters.size === 0) return ipRequestRecords;
+
+    const filters = Array.from(requestFilters.values());
+    return ipRequestRecords.filter(function(record) {
+        return filters.every(function(filter) { return filter(record); });
+    });
+}
+
+/**
+ * SET REQUEST FILTER: Adds, replaces or removes a named request filter and re-aggregates
+ * @param {string} name - Filter name
+ * @param {Function|null} predicate - Returns true for requests to keep, or null to remove the filter
+ * @param {boolean} deferRefresh - Leave re-aggregating to the caller, which calls refreshRequestAggregates() once
+ *     after setting several filters
+ * @returns {boolean} True when the filters changed
+ */
+function setRequestFilter(name, predicate, deferRefresh) {
+    if (predicate) {
+        requestFilters.set(name, predicate);
+    } else if (requestFilters.has(name)) {
+        requestFilters.delete(name);
+    } else {
+        return false; // Nothing changed
+    }
+
+    if (!deferRefresh) {
+        refreshRequestAggregates();
+    }
+    return true;
+}
+
+/**
+ * REFRESH REQUEST AGGREGATES: Re-aggregates the filtered requests and updates the map data
+ */
+function refreshRequestAggregates() {
+    if (ipRequestRecords.length === 0) return;
+
+    ipAggregates = aggregateRequestsByIP(getFilteredRequestRecords());
+    ipLocationData = buildIPLocationData(ipAggregates, ipGeolocations);
+    updateIPCount(ipLocationData.features.length);
+
+    if (map) {
+        addGeoJSONToMap();
+    }
+}
+
+// ========================================
+// FORMATTING HELPERS
+// ========================================
+
+/**
+ * FORMAT BYTES: Human readable transfer size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as 12.3 KB
+ */
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, exponent);
+    return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+}
+
+/**
+ * FORMAT COUNTS: Formats a { value: count } object as "GET ×12, POST ×3"
+ * @param {Object} counts - Counts from countBy()
+ * @returns {string} Formatted counts, most frequent first
+ */
+function formatCounts(counts) {
+    return Object.keys(counts)
+        .sort(function(a, b) { return counts[b] - counts[a]; })
+        .map(function(key) { return `${key} ×${counts[key]}`; })
+        .join(', ');
+}
+
+// ========================================
+// POPUP REQUEST LIST
+// ========================================
+
+/**
+ * CREATE AGGREGATE SUMMARY HTML: Request statistics shown at the top of the popup
+ * @param {Object} aggregate - Aggregate from aggregateRequestsByIP()
+ * @returns {string} HTML snippet
+ */
+function createAggregateSummaryHTML(aggregate) {
+    const total = aggregate.timings.total;
+    const wait = aggregate.timings.wait;
+
+    return `
+        <p><strong>📨 Requests:</strong> ${aggregate.requestCount} (${formatBytes(aggregate.totalBytes)})</p>
+        <p><strong>🗂️ Category:</strong> ${escapeHTML(SERVER_CATEGORIES[aggregate.category].label)}</p>
+        <p><strong>🏷️ Hosts:</strong> ${escapeHTML(aggregate.hosts.join(', '))}</p>
+        <p><strong>🔧 Methods:</strong> ${escapeHTML(formatCounts(aggregate.methods))}</p>
+        <p><strong>🚦 Status codes:</strong> ${escapeHTML(formatCounts(aggregate.statusCodes))}</p>
+        ${total ? `<p><strong>⏱️ Time:</strong> avg ${Math.round(total.avg)} ms (min ${Math.round(total.min)}, max ${Math.round(total.max)})</p>` : ''}
+        ${wait ? `<p><strong>⌛ Waiting (TTFB):</strong> avg ${Math.round(wait.avg)} ms</p>` : ''}
+    `;
+}
+
+/**
+ * RENDER REQUEST PAGE: Fills a popup element with one page of the requests for an IP
+ * @param {HTMLElement} container - Element that receives the request list
+ * @param {Array<Object>} requests - All request records for the IP
+ * @param {number} page - Zero based page number
+ */
+function renderRequestPage(container, requests, page) {
+    const pageCount = Math.ceil(requests.length / POPUP_REQUESTS_PER_PAGE);
+    const start = page * POPUP_REQUESTS_PER_PAGE;
+    const pageRequests = requests.slice(start, start + POPUP_REQUESTS_PER_PAGE);
+
+    const items = pageRequests.map(function(request) {
+        return `
+            <li>
+                <span class="popup-request-meta">${escapeHTML(request.method || '')} ${escapeHTML(String(request.status || ''))}${request.time >= 0 ? ` · ${Math.round(request.time)} ms` : ''}</span>
+                ${createURLLinkHTML(request.url)}
+            </li>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <ol class="popup-requests" start="${start + 1}">${items}</ol>
+        ${pageCount > 1 ? `
+            <div class="popup-pager">
+                <button type="button" data-page="${page - 1}" ${page === 0 ? 'disabled' : ''}>‹ Prev</button>
+                <span>Page ${page + 1} of ${pageCount}</span>
+                <button type="button" data-page="${page + 1}" ${page >= pageCount - 1 ? 'disabled' : ''}>Next ›</button>
+            </div>
+        ` : ''}
+    `;
+
+    // PAGER BUTTONS: Re-render the list for the chosen page
+    container.querySelectorAll('.popup-pager button').forEach(function(button) {
+        button.addEventListener('click', function() {
+            renderRequestPage(container, requests, Number(button.dataset.page));
+        });
+    });
+}
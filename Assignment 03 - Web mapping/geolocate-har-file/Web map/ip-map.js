@@ -0,0 +1,380 @@
+// ========================================
+// EMBEDDABLE IP MAP (ES MODULE)
+// ========================================
+// A self-contained IP location map with no fixed element IDs or per-map page globals, so several
+// maps can live on one page and other pages can embed it:
+//
+//     import { createIPMap } from './ip-map.js';
+//     const ipMap = createIPMap('map', { data: '../ip_locations.geojson', style: 'satellite' });
+//     ipMap.on('featureclick', function(event) { console.log(event.properties.ip); });
+//
+// MapLibre GL JS is taken from the page (window.maplibregl) unless passed as options.maplibregl.
+// standalone.html keeps the full application; this module only draws and pops up the points.
+// Basemaps and popup helpers are shared with the full map through map-common.js.
+
+import './map-common.js';
+
+/* SHARED HELPERS: Basemaps and popup HTML, the same as the full map's (map-common.js) */
+const { BASEMAP_STYLES, LABEL_FONT, createURLLinkHTML, createLocationHTML } = globalThis.mapCommon;
+
+/* IP MAP STYLES: Basemaps available by key, the same ones as the full map */
+export const IP_MAP_STYLES = BASEMAP_STYLES;
+
+/* IP MAP DEFAULTS: Options used when createIPMap() is not given them */
+const IP_MAP_DEFAULTS = {
+    data: null,
+    styles: IP_MAP_STYLES,
+    style: 'streets',
+    center: null, // [longitude, latitude]; without it the map fits the first data loaded
+    zoom: 4,
+    cluster: true,
+    color: '#e74c3c',
+    popupTemplate: createDefaultPopupHTML, // null turns popups off
+    navigation: true,
+    maplibregl: null
+};
+
+/* IP MAP EVENTS: Event types an instance emits */
+const IP_MAP_EVENTS = ['featureclick', 'dataloaded', 'error'];
+
+/**
+ * CREATE DEFAULT POPUP HTML: IP, coordinates and source URL of a point
+ * @param {Object} properties - Feature properties
+ * @param {Array} coordinates - [longitude, latitude]
+ * @returns {string} Popup HTML
+ */
+function createDefaultPopupHTML(properties, coordinates) {
+    return `
+        <div class="popup-content">
+            <h4 class="popup-title">🌍 IP Location Details</h4>
+            <div class="popup-info">
+                ${createLocationHTML(properties, coordinates)}
+                ${properties.url ? `
+                    <p><strong>🔗 Source URL:</strong></p>
+                    ${createURLLinkHTML(properties.url)}
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * FETCH GEOJSON: Downloads and parses a GeoJSON file
+ * @param {string} url - File URL
+ * @returns {Promise<Object>} Parsed GeoJSON
+ */
+async function fetchGeoJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
+    }
+    return response.json();
+}
+
+// ========================================
+// IP MAP INSTANCE
+// ========================================
+
+/**
+ * IP MAP: One map with its own data, style, layers and event listeners
+ * Use createIPMap() rather than the constructor
+ */
+class IPMap {
+    /**
+     * @param {HTMLElement|string} container - Element or element ID to draw the map in
+     * @param {Object} options - See IP_MAP_DEFAULTS
+     */
+    constructor(container, options) {
+        this.options = Object.assign({}, IP_MAP_DEFAULTS, options);
+        this.maplibregl = this.options.maplibregl || globalThis.maplibregl;
+        if (!this.maplibregl) {
+            throw new Error('MapLibre GL JS is not loaded - add its script tag or pass options.maplibregl');
+        }
+
+        this.listeners = {};
+        IP_MAP_EVENTS.forEach(function(type) { this.listeners[type] = []; }, this);
+        this.data = null;
+        this.loadCount = 0; // Lets a newer setData() win over a slower earlier one
+        this.popup = null;
+        this.destroyed = false;
+
+        this.map = new this.maplibregl.Map({
+            container: container,
+            style: this.resolveStyle(this.options.style),
+            center: this.options.center || [-98.5795, 39.8283],
+            zoom: this.options.zoom
+        });
+
+        if (this.options.navigation) {
+            this.map.addControl(new this.maplibregl.NavigationControl(), 'top-right');
+        }
+
+        // STYLE LOAD: Fires for the first style and after every setStyle(), which drops our layers
+        this.map.on('style.load', () => this.addLayers());
+        this.map.on('error', (e) => this.emit('error', { error: e.error || new Error('Unknown map error') }));
+        this.addInteractions();
+
+        if (this.options.data) {
+            // ERRORS: Already reported through the 'error' event
+            this.setData(this.options.data).catch(function() {});
+        }
+    }
+
+    // ----------------------------------------
+    // EVENTS
+    // ----------------------------------------
+
+    /**
+     * ON: Adds an event listener
+     * @param {string} type - 'featureclick', 'dataloaded' or 'error'
+     * @param {Function} listener - Called with the event object
+     * @returns {IPMap} This instance, for chaining
+     */
+    on(type, listener) {
+        if (!this.listeners[type]) throw new Error(`unknown event type: ${type}`);
+        this.listeners[type].push(listener);
+        return this;
+    }
+
+    /**
+     * OFF: Removes an event listener added with on()
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener to remove
+     * @returns {IPMap} This instance, for chaining
+     */
+    off(type, listener) {
+        if (this.listeners[type]) {
+            this.listeners[type] = this.listeners[type].filter(function(other) { return other !== listener; });
+        }
+        return this;
+    }
+
+    /**
+     * EMIT: Calls every listener of an event type; errors without a listener go to the console
+     * @param {string} type - Event type
+     * @param {Object} event - Event details (type and target are added)
+     */
+    emit(type, event) {
+        const fullEvent = Object.assign({ type: type, target: this }, event);
+        if (type === 'error' && this.listeners.error.length === 0) {
+            console.error('❌ IP map error:', fullEvent.error);
+        }
+        this.listeners[type].slice().forEach(function(listener) { listener(fullEvent); });
+    }
+
+    // ----------------------------------------
+    // DATA AND STYLE
+    // ----------------------------------------
+
+    /**
+     * SET DATA: Replaces the points on the map
+     * @param {string|Object} data - URL of a GeoJSON file, or a GeoJSON FeatureCollection
+     * @returns {Promise<Object>} The FeatureCollection shown; rejects (after an 'error' event) when it cannot be loaded
+     */
+    async setData(data) {
+        const loadId = ++this.loadCount;
+
+        try {
+            // AWAITED EVEN FOR OBJECTS: Listeners added right after createIPMap() still get 'dataloaded'
+            const featureCollection = typeof data === 'string' ? await fetchGeoJSON(data) : await data;
+
+            if (!featureCollection || !Array.isArray(featureCollection.features)) {
+                throw new Error('Invalid GeoJSON structure - missing features array');
+            }
+
+            // STALE LOADS: Drop the result when setData() was called again or the map is gone
+            if (loadId !== this.loadCount || this.destroyed) return featureCollection;
+
+            const isFirstData = this.data === null;
+            this.data = featureCollection;
+
+            const source = this.map.getSource('ip-locations');
+            if (source) {
+                source.setData(featureCollection);
+            } else if (this.map.isStyleLoaded()) {
+                this.addLayers();
+            }
+
+            if (isFirstData && !this.options.center) {
+                this.fitToData({ animate: false });
+            }
+
+            this.emit('dataloaded', { data: featureCollection, count: featureCollection.features.length });
+            return featureCollection;
+
+        } catch (error) {
+            if (!this.destroyed) this.emit('error', { error: error });
+            throw error;
+        }
+    }
+
+    /**
+     * RESOLVE STYLE: Style URL or specification for a style key
+     * @param {string|Object} style - Key of options.styles, a style URL or a style specification
+     * @returns {string|Object} Value for maplibregl.Map#setStyle
+     */
+    resolveStyle(style) {
+        return typeof style === 'string' && this.options.styles[style] ? this.options.styles[style] : style;
+    }
+
+    /**
+     * SET STYLE: Switches the basemap; the points are added again once it has loaded
+     * No diff, as in map.js changeMapStyle(): a diffed switch removes the points without firing 'style.load'
+     * @param {string|Object} style - Key of options.styles, a style URL or a style specification
+     */
+    setStyle(style) {
+        this.map.setStyle(this.resolveStyle(style), { diff: false });
+    }
+
+    /**
+     * FIT TO DATA: Moves the view to show every point
+     * @param {Object} options - maplibregl fitBounds options (optional)
+     */
+    fitToData(options) {
+        if (!this.data || this.data.features.length === 0) return;
+
+        const bounds = new this.maplibregl.LngLatBounds();
+        this.data.features.forEach(function(feature) {
+            bounds.extend(feature.geometry.coordinates);
+        });
+        this.map.fitBounds(bounds, Object.assign({ padding: 50, maxZoom: 10 }, options));
+    }
+
+    /**
+     * DESTROY: Removes the map and every listener; the instance cannot be used afterwards
+     */
+    destroy() {
+        this.destroyed = true;
+        if (this.popup) this.popup.remove();
+        this.map.remove();
+        IP_MAP_EVENTS.forEach(function(type) { this.listeners[type] = []; }, this);
+    }
+
+    // ----------------------------------------
+    // LAYERS AND INTERACTIONS
+    // ----------------------------------------
+
+    /**
+     * ADD LAYERS: Adds the point source and layers to the current style
+     */
+    addLayers() {
+        if (!this.data || this.map.getSource('ip-locations')) return;
+
+        this.map.addSource('ip-locations', {
+            type: 'geojson',
+            data: this.data,
+            cluster: this.options.cluster,
+            clusterMaxZoom: 14,
+            clusterRadius: 50
+        });
+
+        if (this.options.cluster) {
+            this.map.addLayer({
+                id: 'clusters',
+                type: 'circle',
+                source: 'ip-locations',
+                filter: ['has', 'point_count'],
+                paint: {
+                    'circle-color': this.options.color,
+                    'circle-opacity': 0.8,
+                    'circle-radius': ['step', ['get', 'point_count'], 20, 10, 30, 30, 40],
+                    'circle-stroke-width': 2,
+                    'circle-stroke-color': '#fff'
+                }
+            });
+
+            // COUNT LABELS: Only when the style can draw text
+            if (this.map.getStyle().glyphs) {
+                this.map.addLayer({
+                    id: 'cluster-count',
+                    type: 'symbol',
+                    source: 'ip-locations',
+                    filter: ['has', 'point_count'],
+                    layout: {
+                        'text-field': '{point_count_abbreviated}',
+                        'text-font': LABEL_FONT,
+                        'text-size': 12
+                    },
+                    paint: { 'text-color': '#fff' }
+                });
+            }
+        }
+
+        this.map.addLayer({
+            id: 'ip-points',
+            type: 'circle',
+            source: 'ip-locations',
+            filter: ['!', ['has', 'point_count']],
+            paint: {
+                'circle-color': this.options.color,
+                'circle-radius': 8,
+                'circle-stroke-width': 2,
+                'circle-stroke-color': '#fff'
+            }
+        });
+    }
+
+    /**
+     * ADD INTERACTIONS: Cluster zoom, point popups and featureclick events
+     * Layer events stay registered across style changes, so they are added once
+     */
+    addInteractions() {
+        this.map.on('click', 'clusters', async (e) => {
+            const feature = e.features[0];
+            try {
+                const zoom = await this.map.getSource('ip-locations').getClusterExpansionZoom(feature.properties.cluster_id);
+                this.map.easeTo({ center: feature.geometry.coordinates, zoom: zoom });
+            } catch (error) {
+                this.emit('error', { error: error });
+            }
+        });
+
+        this.map.on('click', 'ip-points', (e) => {
+            const feature = e.features[0];
+            const coordinates = feature.geometry.coordinates.slice();
+
+            // PREVENT COORDINATE WRAPPING: Handle map projection edge cases
+            while (Math.abs(e.lngLat.lng - coordinates[0]) > 180) {
+                coordinates[0] += e.lngLat.lng > coordinates[0] ? 360 : -360;
+            }
+
+            this.emit('featureclick', {
+                feature: feature,
+                properties: feature.properties,
+                coordinates: coordinates,
+                originalEvent: e.originalEvent
+            });
+
+            if (this.options.popupTemplate) {
+                if (this.popup) this.popup.remove();
+                this.popup = new this.maplibregl.Popup({ maxWidth: '300px' })
+                    .setLngLat(coordinates)
+                    .setHTML(this.options.popupTemplate(feature.properties, coordinates))
+                    .addTo(this.map);
+            }
+        });
+
+        ['clusters', 'ip-points'].forEach((layerId) => {
+            this.map.on('mouseenter', layerId, () => { this.map.getCanvas().style.cursor = 'pointer'; });
+            this.map.on('mouseleave', layerId, () => { this.map.getCanvas().style.cursor = ''; });
+        });
+    }
+}
+
+/**
+ * CREATE IP MAP: Creates an IP location map in a container
+ * @param {HTMLElement|string} container - Element or element ID to draw the map in
+ * @param {Object} options - {
+ *     data: GeoJSON URL or FeatureCollection,
+ *     styles: style key -> URL or specification (default IP_MAP_STYLES), style: initial style key,
+ *     center, zoom: initial view (without center the map fits the first data),
+ *     cluster (default true), color: point colour,
+ *     popupTemplate: (properties, coordinates) => HTML, or null for no popups,
+ *     navigation: add zoom and compass buttons (default true),
+ *     maplibregl: MapLibre module (default window.maplibregl)
+ * }
+ * @returns {IPMap} Instance with setData, setStyle, fitToData, destroy, on and off, and the MapLibre map as .map
+ */
+export function createIPMap(container, options) {
+    return new IPMap(container, options || {});
+}
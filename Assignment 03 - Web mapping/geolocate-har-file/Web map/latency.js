@@ -0,0 +1,464 @@
+// ========================================
+// LATENCY ANALYTICS CONFIGURATION
+// ========================================
+
+/* LATENCY METRICS: HAR timing phases plotted against distance, averaged per server */
+const LATENCY_METRICS = {
+    'connect': 'Connect time',
+    'wait': 'Time to first byte'
+};
+
+/* LATENCY CHART SIZE: Scatter plot size and the margins holding the axis labels, in pixels */
+const LATENCY_CHART_WIDTH = 320;
+const LATENCY_CHART_HEIGHT = 200;
+const LATENCY_CHART_MARGIN = { top: 8, right: 10, bottom: 24, left: 40 };
+
+/* LATENCY OUTLIER SCORE: Robust z-score above which a server is slower than its distance predicts */
+const LATENCY_OUTLIER_SCORE = 3.5;
+
+/* LATENCY MIN POINTS: Fewer servers than this are plotted but not fitted */
+const LATENCY_MIN_POINTS = 5;
+
+/* LATENCY MAX PAIRS: Above this many server pairs the trend slope is taken from a sample of them */
+const LATENCY_MAX_PAIRS = 20000;
+
+/* LATENCY UPDATE DELAY: Wait (ms) for the visible data to settle before recomputing */
+const LATENCY_UPDATE_DELAY = 200;
+
+/* LATENCY OUTLIER COLOR: Ring around outliers on the map and their dots in the chart */
+const LATENCY_OUTLIER_COLOR = '#c0392b';
+
+/* LATENCY STATE: Plotted servers and the fitted trend (the client location is in client-location.js) */
+const latencyState = {
+    metric: 'connect',
+    points: [], // { feature, ip, distance, latency, expected, outlier }
+    fit: null // { intercept, slope } in ms and ms per km
+};
+
+/* LATENCY UPDATE TIMER: Pending recompute after a visible data change */
+let latencyUpdateTimer = null;
+
+// ========================================
+// DISTANCE AND LATENCY
+// ========================================
+
+/**
+ * MEDIAN: Middle value of a list of numbers
+ * @param {Array<number>} values - Numbers (not modified)
+ * @returns {number} Median, or NaN for an empty list
+ */
+function median(values) {
+    const sorted = values.slice().sort(function(a, b) { return a - b; });
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * FIT LATENCY TREND: Theil-Sen line through the distance/latency points
+ * The median of pairwise slopes ignores the slow servers the fit is meant to find, unlike least squares.
+ * With more than LATENCY_MAX_PAIRS pairs the median is taken over that many pairs drawn with a fixed seed,
+ * so large captures stay fast and the same points always give the same line
+ * @param {Array<Object>} points - { distance, latency }
+ * @returns {Object} { intercept, slope }, the slope never negative
+ */
+function fitLatencyTrend(points) {
+    const slopes = [];
+    const addSlope = function(a, b) {
+        const dx = b.distance - a.distance;
+        if (Math.abs(dx) > 1) slopes.push((b.latency - a.latency) / dx);
+    };
+
+    const n = points.length;
+    if (n * (n - 1) / 2 <= LATENCY_MAX_PAIRS) {
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) addSlope(points[i], points[j]);
+        }
+    } else {
+        // SAMPLED PAIRS: Park-Miller generator, seeded so the fit does not jitter between updates
+        let seed = 1;
+        const randomIndex = function() {
+            seed = (seed * 16807) % 2147483647;
+            return seed % n;
+        };
+        for (let k = 0; k < LATENCY_MAX_PAIRS; k++) {
+            const i = randomIndex();
+            const j = randomIndex();
+            if (i !== j) addSlope(points[i], points[j]);
+        }
+    }
+
+    const slope = slopes.length > 0 ? Math.max(0, median(slopes)) : 0;
+    const intercept = median(points.map(function(point) { return point.latency - slope * point.distance; }));
+    return { intercept: intercept, slope: slope };
+}
+
+/**
+ * UPDATE LATENCY ANALYSIS: Distance and latency of every shown server, the trend and its outliers
+ * Outliers have a residual more than LATENCY_OUTLIER_SCORE robust z-scores (median absolute deviation) above the trend
+ * @param {Object} visibleData - Visible GeoJSON FeatureCollection
+ */
+function updateLatencyAnalysis(visibleData) {
+    const origin = getClientLocation();
+    latencyState.points = [];
+    latencyState.fit = null;
+
+    if (origin && visibleData) {
+        visibleData.features.forEach(function(feature) {
+            // TIMINGS: Only HAR imports have them; reused connections have no connect time
+            const aggregate = ipAggregates.get(feature.properties.ip);
+            const timing = aggregate && aggregate.timings[latencyState.metric];
+            if (!timing) return;
+
+            latencyState.points.push({
+                feature: feature,
+                ip: feature.properties.ip,
+                distance: getDistanceKm(origin, feature.geometry.coordinates),
+                latency: timing.avg,
+                expected: null,
+                outlier: false
+            });
+        });
+    }
+
+    if (latencyState.points.length >= LATENCY_MIN_POINTS) {
+        const fit = fitLatencyTrend(latencyState.points);
+        const residuals = latencyState.points.map(function(point) {
+            point.expected = fit.intercept + fit.slope * point.distance;
+            return point.latency - point.expected;
+        });
+
+        // ROBUST SPREAD: Floor of 1 ms so identical timings do not flag every small difference
+        const centre = median(residuals);
+        const spread = Math.max(1, median(residuals.map(function(residual) { return Math.abs(residual - centre); })));
+        latencyState.points.forEach(function(point, index) {
+            point.outlier = 0.6745 * (residuals[index] - centre) / spread > LATENCY_OUTLIER_SCORE;
+        });
+        latencyState.fit = fit;
+    }
+
+    const source = map && map.getSource('latency-outliers');
+    if (source) {
+        source.setData(createLatencyOutlierData());
+    }
+    latencyPanel.update();
+}
+
+/**
+ * CREATE LATENCY OUTLIER DATA: Points of the servers flagged as outliers
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function createLatencyOutlierData() {
+    return {
+        type: 'FeatureCollection',
+        features: latencyState.points
+            .filter(function(point) { return point.outlier; })
+            .map(function(point) { return point.feature; })
+    };
+}
+
+/* LATENCY OUTLIER OVERLAY: Red rings around servers slower than their distance predicts */
+registerOverlay('latency-outliers', {
+    label: 'Latency outliers',
+    sources: { 'latency-outliers': function() { return { type: 'geojson', data: createLatencyOutlierData() }; } },
+    layers: function() {
+        return [{
+            id: 'latency-outliers',
+            type: 'circle',
+            source: 'latency-outliers',
+            paint: {
+                'circle-radius': 15,
+                'circle-color': 'rgba(0, 0, 0, 0)',
+                'circle-stroke-width': 2,
+                'circle-stroke-color': getPaletteColor('outlier', LATENCY_OUTLIER_COLOR)
+            }
+        }];
+    }
+});
+
+// ========================================
+// LATENCY PANEL
+// ========================================
+
+/**
+ * LATENCY PANEL CONTROL: Scatter plot of distance against latency, brushable and linked to the map selection
+ */
+class LatencyPanelControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel latency-panel';
+        this.container.innerHTML = `
+            <details>
+                <summary class="map-panel-title">📶 Latency vs distance</summary>
+                <div class="map-panel-body">
+                    <button type="button" data-role="pick">📍 Pick client location on map</button>
+                    <div class="map-panel-row">
+                        <input type="number" step="any" min="-90" max="90" placeholder="Lat" data-role="lat" aria-label="Client latitude">
+                        <input type="number" step="any" min="-180" max="180" placeholder="Lon" data-role="lon" aria-label="Client longitude">
+                        <button type="button" data-role="set">Set</button>
+                    </div>
+                    <select data-role="metric" aria-label="Latency">
+                        ${Object.keys(LATENCY_METRICS).map(function(key) {
+                            return `<option value="${key}">${LATENCY_METRICS[key]}</option>`;
+                        }).join('')}
+                    </select>
+                    <svg class="latency-chart" data-role="chart" width="${LATENCY_CHART_WIDTH}" height="${LATENCY_CHART_HEIGHT}"
+                         role="img" aria-label="Average latency of each server against its distance from the client. Drag to select servers, click to clear."></svg>
+                    <div class="latency-summary" data-role="summary"></div>
+                    <ul class="latency-outliers" data-role="outliers"></ul>
+                </div>
+            </details>
+        `;
+
+        const element = (role) => this.container.querySelector(`[data-role="${role}"]`);
+        this.chart = element('chart');
+        this.summary = element('summary');
+        this.outlierList = element('outliers');
+
+        this.details = this.container.querySelector('details');
+
+        // OPEN: Changes made while the panel was closed were skipped, so catch up
+        this.details.addEventListener('toggle', () => {
+            if (!this.details.open) return;
+            clearTimeout(latencyUpdateTimer);
+            updateLatencyAnalysis(getVisibleIPLocationData());
+        });
+
+        // CLIENT LOCATION: Shared with the flow-line panel
+        setupClientLocationControls(this.map, {
+            pick: element('pick'),
+            lat: element('lat'),
+            lon: element('lon'),
+            set: element('set')
+        });
+
+        element('metric').addEventListener('change', function(e) {
+            latencyState.metric = e.target.value;
+            updateLatencyAnalysis(getVisibleIPLocationData());
+        });
+
+        // OUTLIER LIST: Select the server and fly to it
+        this.outlierList.addEventListener('click', function(e) {
+            const item = e.target.closest('[data-ip]');
+            if (!item) return;
+            const point = latencyState.points.find(function(candidate) { return candidate.ip === item.dataset.ip; });
+            setSelectedIPs([point.ip]);
+            map.flyTo({ center: point.feature.geometry.coordinates, zoom: Math.max(map.getZoom(), 8) });
+        });
+
+        this.setupBrush();
+        this.update();
+        return this.container;
+    }
+
+    onRemove() {
+        cancelMapLocationPick();
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * IS OPEN: Whether the chart is shown, so the analysis is worth recomputing
+     * @returns {boolean} True while the panel is expanded
+     */
+    isOpen() {
+        return Boolean(this.details && this.details.open);
+    }
+
+    /**
+     * GET SCALES: Chart domains, padded so the largest values are not on the edge
+     * @returns {Object} { x(distance), y(latency), maxDistance, maxLatency }
+     */
+    getScales() {
+        const maxDistance = Math.max(100, ...latencyState.points.map(function(point) { return point.distance; })) * 1.05;
+        const maxLatency = Math.max(10, ...latencyState.points.map(function(point) { return point.latency; })) * 1.05;
+        const plotWidth = LATENCY_CHART_WIDTH - LATENCY_CHART_MARGIN.left - LATENCY_CHART_MARGIN.right;
+        const plotHeight = LATENCY_CHART_HEIGHT - LATENCY_CHART_MARGIN.top - LATENCY_CHART_MARGIN.bottom;
+
+        return {
+            maxDistance: maxDistance,
+            maxLatency: maxLatency,
+            x: function(distance) { return LATENCY_CHART_MARGIN.left + (distance / maxDistance) * plotWidth; },
+            y: function(latency) { return LATENCY_CHART_MARGIN.top + plotHeight - (latency / maxLatency) * plotHeight; }
+        };
+    }
+
+    /**
+     * SETUP BRUSH: Drag a box over the chart to select its servers (Shift adds), click to clear
+     */
+    setupBrush() {
+        let brushStart = null;
+
+        const pointerPosition = (e) => {
+            const rect = this.chart.getBoundingClientRect();
+            return [e.clientX - rect.left, e.clientY - rect.top];
+        };
+
+        this.chart.addEventListener('pointerdown', (e) => {
+            if (latencyState.points.length === 0) return;
+            brushStart = pointerPosition(e);
+            this.chart.setPointerCapture(e.pointerId);
+        });
+
+        this.chart.addEventListener('pointermove', (e) => {
+            if (brushStart === null) return;
+            this.drawBrush(brushStart, pointerPosition(e));
+        });
+
+        this.chart.addEventListener('pointerup', (e) => {
+            if (brushStart === null) return;
+            const brushEnd = pointerPosition(e);
+            const [left, right] = [Math.min(brushStart[0], brushEnd[0]), Math.max(brushStart[0], brushEnd[0])];
+            const [top, bottom] = [Math.min(brushStart[1], brushEnd[1]), Math.max(brushStart[1], brushEnd[1])];
+            brushStart = null;
+            this.chart.querySelector('.latency-brush').style.display = 'none';
+
+            // CLICK: A click without dragging selects the nearest dot within 6 pixels, or clears the selection
+            const scales = this.getScales();
+            if (right - left < 3 && bottom - top < 3) {
+                const hit = latencyState.points.find(function(point) {
+                    return Math.hypot(scales.x(point.distance) - brushEnd[0], scales.y(point.latency) - brushEnd[1]) <= 6;
+                });
+                setSelectedIPs(hit ? [hit.ip] : [], e.shiftKey);
+                return;
+            }
+
+            setSelectedIPs(latencyState.points.filter(function(point) {
+                const x = scales.x(point.distance);
+                const y = scales.y(point.latency);
+                return x >= left && x <= right && y >= top && y <= bottom;
+            }).map(function(point) { return point.ip; }), e.shiftKey);
+        });
+    }
+
+    /**
+     * DRAW BRUSH: Shows the box being dragged over the chart
+     * @param {Array} start - [x, y] where the drag started
+     * @param {Array} end - [x, y] of the pointer
+     */
+    drawBrush(start, end) {
+        const brush = this.chart.querySelector('.latency-brush');
+        brush.setAttribute('x', Math.min(start[0], end[0]));
+        brush.setAttribute('y', Math.min(start[1], end[1]));
+        brush.setAttribute('width', Math.abs(end[0] - start[0]));
+        brush.setAttribute('height', Math.abs(end[1] - start[1]));
+        brush.style.display = '';
+    }
+
+    /**
+     * UPDATE: Redraws the chart, the summary and the outlier list
+     */
+    update() {
+        if (!this.chart) return;
+
+        const origin = getClientLocation();
+
+        const scales = this.getScales();
+        const metricLabel = LATENCY_METRICS[latencyState.metric];
+        const bottom = LATENCY_CHART_HEIGHT - LATENCY_CHART_MARGIN.bottom;
+        const right = LATENCY_CHART_WIDTH - LATENCY_CHART_MARGIN.right;
+
+        // TREND LINE: Expected latency for each distance
+        const fit = latencyState.fit;
+        const trend = fit ? `
+            <line class="latency-trend" x1="${scales.x(0)}" y1="${scales.y(fit.intercept)}"
+                  x2="${scales.x(scales.maxDistance)}" y2="${scales.y(fit.intercept + fit.slope * scales.maxDistance)}"></line>
+        ` : '';
+
+        // DOTS: Selected and outlier dots drawn last, so they stay on top
+        const outlierColor = getPaletteColor('outlier', LATENCY_OUTLIER_COLOR);
+        const selectionColor = getPaletteColor('selection', '#f1c40f');
+        const dots = latencyState.points.slice().sort(function(a, b) {
+            return (selectedIPs.has(a.ip) + a.outlier) - (selectedIPs.has(b.ip) + b.outlier);
+        }).map(function(point) {
+            const selected = selectedIPs.has(point.ip);
+            const classes = ['latency-dot', point.outlier ? 'outlier' : '', selected ? 'selected' : ''].join(' ');
+            const style = (point.outlier ? `fill: ${outlierColor};` : '') + (selected ? `stroke: ${selectionColor};` : '');
+            return `<circle class="${classes}" style="${style}" data-ip="${escapeHTML(point.ip)}" cx="${scales.x(point.distance)}" cy="${scales.y(point.latency)}" r="4">
+                        <title>${escapeHTML(point.ip)} (${escapeHTML(point.feature.properties.host || '')}): ${Math.round(point.distance)} km, ${Math.round(point.latency)} ms</title>
+                    </circle>`;
+        }).join('');
+
+        this.chart.innerHTML = `
+            <clipPath id="latency-plot-area">
+                <rect x="${LATENCY_CHART_MARGIN.left}" y="${LATENCY_CHART_MARGIN.top}"
+                      width="${right - LATENCY_CHART_MARGIN.left}" height="${bottom - LATENCY_CHART_MARGIN.top}"></rect>
+            </clipPath>
+            <line class="latency-axis" x1="${LATENCY_CHART_MARGIN.left}" y1="${bottom}" x2="${right}" y2="${bottom}"></line>
+            <line class="latency-axis" x1="${LATENCY_CHART_MARGIN.left}" y1="${LATENCY_CHART_MARGIN.top}" x2="${LATENCY_CHART_MARGIN.left}" y2="${bottom}"></line>
+            <text class="latency-tick" x="${LATENCY_CHART_MARGIN.left}" y="${LATENCY_CHART_HEIGHT - 10}">0</text>
+            <text class="latency-tick" x="${right}" y="${LATENCY_CHART_HEIGHT - 10}" text-anchor="end">${Math.round(scales.maxDistance)} km</text>
+            <text class="latency-tick" x="${(LATENCY_CHART_MARGIN.left + right) / 2}" y="${LATENCY_CHART_HEIGHT - 2}" text-anchor="middle">Distance from client</text>
+            <text class="latency-tick" x="${LATENCY_CHART_MARGIN.left - 4}" y="${LATENCY_CHART_MARGIN.top + 8}" text-anchor="end">${Math.round(scales.maxLatency)}</text>
+            <text class="latency-tick" x="${LATENCY_CHART_MARGIN.left - 4}" y="${bottom}" text-anchor="end">0 ms</text>
+            <g clip-path="url(#latency-plot-area)">${trend}${dots}</g>
+            <rect class="latency-brush" style="display: none"></rect>
+        `;
+
+        // SUMMARY: Why the chart is empty, or the fitted trend
+        const outliers = latencyState.points.filter(function(point) { return point.outlier; }).sort(function(a, b) {
+            return (b.latency - b.expected) - (a.latency - a.expected);
+        });
+
+        if (!origin) {
+            this.summary.textContent = 'Set the client location to plot the servers.';
+        } else if (latencyState.points.length === 0) {
+            this.summary.textContent = `No shown servers have HAR ${metricLabel.toLowerCase()} timings.`;
+        } else if (!fit) {
+            this.summary.textContent = `${latencyState.points.length} servers; at least ${LATENCY_MIN_POINTS} are needed to find outliers.`;
+        } else {
+            this.summary.textContent = `${latencyState.points.length} servers, ${metricLabel.toLowerCase()} ≈ ${Math.round(fit.intercept)} ms + ` +
+                `${(fit.slope * 1000).toFixed(1)} ms per 1000 km; ${outliers.length} outlier(s)`;
+        }
+
+        this.outlierList.innerHTML = outliers.map(function(point) {
+            return `
+                <li data-ip="${escapeHTML(point.ip)}" title="Select and zoom to this server">
+                    <strong>${escapeHTML(point.ip)}</strong> ${escapeHTML(point.feature.properties.host || '')}<br>
+                    ${Math.round(point.distance)} km, ${Math.round(point.latency)} ms (expected ${Math.round(point.expected)} ms)
+                </li>
+            `;
+        }).join('');
+    }
+}
+
+/* LATENCY PANEL: Single latency panel instance added to the map */
+const latencyPanel = new LatencyPanelControl();
+
+/**
+ * SCHEDULE LATENCY ANALYSIS: Recomputes once the visible data settles, only while the panel is open
+ * A closed panel clears the outlier rings instead, as they would no longer match the shown servers;
+ * opening it recomputes them
+ */
+function scheduleLatencyAnalysis() {
+    clearTimeout(latencyUpdateTimer);
+    if (!getClientLocation()) return;
+
+    if (!latencyPanel.isOpen()) {
+        updateLatencyAnalysis(null);
+        return;
+    }
+
+    latencyUpdateTimer = setTimeout(function() {
+        updateLatencyAnalysis(getVisibleIPLocationData());
+    }, LATENCY_UPDATE_DELAY);
+}
+
+/* LIVE ANALYSIS: Recompute whenever the visible servers change */
+onVisibleDataChange(scheduleLatencyAnalysis);
+
+/* CLIENT LOCATION: Distances follow the location set from this or the flow-line panel */
+onClientLocationChange(function() {
+    clearTimeout(latencyUpdateTimer);
+    updateLatencyAnalysis(latencyPanel.isOpen() ? getVisibleIPLocationData() : null);
+});
+
+/* LINKED SELECTION: Dots follow the selection made on the map or in the table */
+onSelectionChange(function() {
+    latencyPanel.update();
+});
+
+/* PALETTE: Outlier dots follow the colour palette */
+onPaletteChange(function() {
+    latencyPanel.update();
+});
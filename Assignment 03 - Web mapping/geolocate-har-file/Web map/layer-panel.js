@@ -0,0 +1,93 @@
+// ========================================
+// LAYER PANEL CONTROL
+// ========================================
+
+/**
+ * LAYER PANEL CONTROL: Map control to toggle, reorder and fade each overlay
+ * Overlays are listed top to bottom, the way they are drawn over the basemap
+ */
+class LayerPanelControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel layer-panel';
+        this.container.innerHTML = `
+            <details>
+                <summary class="map-panel-title">🗂️ Layers</summary>
+                <ul class="map-panel-body layer-list" data-role="list"></ul>
+            </details>
+        `;
+        this.list = this.container.querySelector('[data-role="list"]');
+
+        // LIST EVENTS: One handler per event type for every row
+        this.list.addEventListener('change', function(e) {
+            if (e.target.dataset.role === 'visible') {
+                setOverlayVisibility(e.target.dataset.overlay, e.target.checked);
+            }
+        });
+        this.list.addEventListener('input', function(e) {
+            if (e.target.dataset.role === 'opacity') {
+                setOverlayOpacity(e.target.dataset.overlay, Number(e.target.value) / 100);
+            }
+        });
+        this.list.addEventListener('click', function(e) {
+            const button = e.target.closest('button[data-offset]');
+            if (button) {
+                moveOverlay(button.dataset.overlay, Number(button.dataset.offset));
+            }
+        });
+
+        this.update(overlays);
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * UPDATE: Re-renders the rows when overlays are added or reordered, otherwise updates them in place
+     * so an opacity slider keeps working while it is dragged
+     * @param {Array<Object>} overlayList - Registered overlays, bottom to top
+     */
+    update(overlayList) {
+        if (!this.list) return;
+
+        const topFirst = overlayList.slice().reverse();
+        const order = topFirst.map(function(overlay) { return overlay.id; }).join(',');
+
+        if (order !== this.order) {
+            this.order = order;
+            this.list.innerHTML = topFirst.map(function(overlay, index) {
+                const id = escapeHTML(overlay.id);
+                return `
+                    <li class="layer-row">
+                        <label class="layer-name">
+                            <input type="checkbox" data-role="visible" data-overlay="${id}">
+                            ${escapeHTML(overlay.label)}
+                        </label>
+                        <button type="button" data-overlay="${id}" data-offset="1" ${index === 0 ? 'disabled' : ''} aria-label="Move ${escapeHTML(overlay.label)} up">▲</button>
+                        <button type="button" data-overlay="${id}" data-offset="-1" ${index === topFirst.length - 1 ? 'disabled' : ''} aria-label="Move ${escapeHTML(overlay.label)} down">▼</button>
+                        <input type="range" min="0" max="100" step="5" data-role="opacity" data-overlay="${id}" aria-label="${escapeHTML(overlay.label)} opacity">
+                    </li>
+                `;
+            }).join('');
+        }
+
+        // VALUES: Visibility and opacity of each row
+        topFirst.forEach((overlay) => {
+            const row = (role) => this.list.querySelector(`[data-role="${role}"][data-overlay="${CSS.escape(overlay.id)}"]`);
+            row('visible').checked = overlay.visible;
+            row('opacity').value = Math.round(overlay.opacity * 100);
+        });
+    }
+}
+
+/* LAYER PANEL: Single layer panel instance added to the map */
+const layerPanel = new LayerPanelControl();
+
+/* KEEP ROWS IN SYNC: Overlays can be registered or toggled from anywhere */
+onOverlayChange(function(overlayList) {
+    layerPanel.update(overlayList);
+});
@@ -0,0 +1,481 @@
+// ========================================
+// LIVE CAPTURE CONFIGURATION
+// ========================================
+
+/* LIVE DEFAULT URL: Endpoint offered in the panel (har-replay-server.mjs serves it) */
+const LIVE_DEFAULT_URL = 'http://localhost:8090/events';
+
+/* LIVE BATCH INTERVAL: Milliseconds between map updates while requests arrive */
+const LIVE_BATCH_INTERVAL = 1000;
+
+/* LIVE DEFAULT MAX RECORDS: Requests kept before the oldest are aged out */
+const LIVE_DEFAULT_MAX_RECORDS = 5000;
+
+/* LIVE RECONNECT DELAYS: First and longest wait before reconnecting, doubled after each failure */
+const LIVE_RECONNECT_MIN_DELAY = 1000;
+const LIVE_RECONNECT_MAX_DELAY = 30000;
+
+/* LIVE PULSE DURATION: Milliseconds a newly seen server pulses */
+const LIVE_PULSE_DURATION = 2000;
+
+/* LIVE PULSE COLOR: Ring drawn around newly seen servers */
+const LIVE_PULSE_COLOR = '#e74c3c';
+
+/* LIVE STATE: Connection, buffered entries and counters of the live capture */
+const liveState = {
+    url: null,
+    connection: null, // WebSocket or EventSource
+    status: 'off', // 'off', 'connecting', 'live' or 'reconnecting'
+    paused: false,
+    maxRecords: LIVE_DEFAULT_MAX_RECORDS,
+    pendingEntries: [], // HAR entries received since the last batch
+    batchTimer: null,
+    batching: false, // A batch is being geolocated
+    started: false, // The first batch replaced the previous data
+    firstPartySites: new Set(),
+    reconnectAttempt: 0,
+    reconnectDelay: 0,
+    reconnectTimer: null,
+    replacing: false, // The first batch is replacing the data, see the listener at the end
+    receivedCount: 0,
+    droppedCount: 0,
+    pulses: [], // { id, coordinates, start }
+    pulseId: 0,
+    pulseFrame: null
+};
+
+// ========================================
+// CONNECTION
+// ========================================
+
+/**
+ * CONNECT LIVE STREAM: Opens a WebSocket (ws://, wss://) or Server-Sent Events (http://, https://) connection
+ * Each message is a HAR entry, an array of entries or a HAR object with log.entries
+ * @param {string} url - Endpoint URL
+ */
+async function connectLiveStream(url) {
+    disconnectLiveStream();
+    await loadCategoryRules();
+    await loadASNTable();
+
+    liveState.url = url;
+    liveState.started = false;
+    liveState.firstPartySites = new Set();
+    liveState.receivedCount = 0;
+    liveState.droppedCount = 0;
+    liveState.reconnectAttempt = 0;
+
+    openLiveConnection();
+}
+
+/**
+ * OPEN LIVE CONNECTION: Connects to liveState.url and reconnects when the connection drops
+ */
+function openLiveConnection() {
+    const url = liveState.url;
+    setLiveStatus(liveState.reconnectAttempt > 0 ? 'reconnecting' : 'connecting');
+
+    let connection;
+    try {
+        connection = /^wss?:/i.test(url) ? new WebSocket(url) : new EventSource(url);
+    } catch (error) {
+        console.error('❌ Error opening live stream:', error);
+        scheduleLiveReconnect();
+        return;
+    }
+    liveState.connection = connection;
+
+    connection.onopen = function() {
+        console.log(`🔴 Live capture connected to ${url}`);
+        liveState.reconnectAttempt = 0;
+        setLiveStatus('live');
+    };
+
+    connection.onmessage = function(e) {
+        receiveLiveMessage(e.data);
+    };
+
+    // DROPPED: EventSource would retry on its own, but both kinds go through the same backoff
+    const handleDrop = function() {
+        if (liveState.connection !== connection) return; // Already replaced or disconnected
+        connection.onclose = connection.onerror = null;
+        connection.close();
+        liveState.connection = null;
+        console.warn(`⚠️ Live stream ${url} dropped`);
+        scheduleLiveReconnect();
+    };
+    connection.onerror = handleDrop;
+    connection.onclose = handleDrop;
+}
+
+/**
+ * SCHEDULE LIVE RECONNECT: Tries again after an exponentially growing delay
+ */
+function scheduleLiveReconnect() {
+    const delay = Math.min(LIVE_RECONNECT_MAX_DELAY, LIVE_RECONNECT_MIN_DELAY * Math.pow(2, liveState.reconnectAttempt));
+    liveState.reconnectAttempt++;
+    liveState.reconnectDelay = delay;
+    setLiveStatus('reconnecting');
+
+    liveState.reconnectTimer = setTimeout(function() {
+        liveState.reconnectTimer = null;
+        openLiveConnection();
+    }, delay);
+}
+
+/**
+ * DISCONNECT LIVE STREAM: Closes the connection and stops reconnecting; the data stays on the map
+ */
+function disconnectLiveStream() {
+    if (liveState.connection) {
+        const connection = liveState.connection;
+        liveState.connection = null;
+        connection.onopen = connection.onmessage = connection.onerror = connection.onclose = null;
+        connection.close();
+    }
+    clearTimeout(liveState.reconnectTimer);
+    clearTimeout(liveState.batchTimer);
+    liveState.reconnectTimer = null;
+    liveState.batchTimer = null;
+    liveState.pendingEntries = [];
+    liveState.paused = false;
+    setLiveStatus('off');
+}
+
+/**
+ * SET LIVE PAUSED: Pausing keeps the connection and buffers entries; resuming adds them
+ * @param {boolean} paused - Whether map updates are paused
+ */
+function setLivePaused(paused) {
+    liveState.paused = paused;
+    if (!paused) scheduleLiveBatch();
+    liveStreamControl.update();
+}
+
+/**
+ * SET LIVE STATUS: Records the connection status and refreshes the panel
+ * @param {string} status - 'off', 'connecting', 'live' or 'reconnecting'
+ */
+function setLiveStatus(status) {
+    liveState.status = status;
+    liveStreamControl.update();
+}
+
+// ========================================
+// BATCHING
+// ========================================
+
+/**
+ * RECEIVE LIVE MESSAGE: Queues the HAR entries of one message for the next batch
+ * @param {string} data - Message text
+ */
+function receiveLiveMessage(data) {
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        return; // Keep-alive and other non-JSON messages
+    }
+
+    const entries = Array.isArray(message) ? message
+        : message && message.log && Array.isArray(message.log.entries) ? message.log.entries
+        : [message];
+
+    entries.forEach(function(entry) {
+        if (!entry || typeof entry !== 'object') return;
+
+        // RECEIVED TIME: Stand-ins may leave out startedDateTime, the timeline needs one
+        if (!entry.startedDateTime) entry.startedDateTime = new Date().toISOString();
+        liveState.pendingEntries.push(entry);
+        liveState.receivedCount++;
+    });
+
+    // PAUSED BUFFER: Never hold more than would be kept anyway
+    const excess = liveState.pendingEntries.length - liveState.maxRecords;
+    if (excess > 0) {
+        liveState.pendingEntries.splice(0, excess);
+        liveState.droppedCount += excess;
+    }
+
+    scheduleLiveBatch();
+}
+
+/**
+ * SCHEDULE LIVE BATCH: Adds the pending entries to the map after LIVE_BATCH_INTERVAL, once
+ */
+function scheduleLiveBatch() {
+    if (liveState.batchTimer || liveState.paused) {
+        liveStreamControl.update();
+        return;
+    }
+
+    liveState.batchTimer = setTimeout(function() {
+        liveState.batchTimer = null;
+        applyLiveBatch();
+    }, LIVE_BATCH_INTERVAL);
+}
+
+/**
+ * APPLY LIVE BATCH: Geolocates the pending entries' new IPs and merges them into the map data
+ */
+async function applyLiveBatch() {
+    if (liveState.batching || liveState.paused || liveState.pendingEntries.length === 0) return;
+    liveState.batching = true;
+
+    const entries = liveState.pendingEntries;
+    liveState.pendingEntries = [];
+
+    try {
+        // FIRST PARTY: The site of the first request, as for HAR files without pages
+        if (liveState.firstPartySites.size === 0) {
+            const firstHost = entries.map(function(entry) {
+                return getHostname((entry.request && entry.request.url) || '');
+            }).find(Boolean);
+            if (firstHost) liveState.firstPartySites.add(getSiteDomain(firstHost));
+        }
+
+        const records = entries.map(function(entry) {
+            return createRequestRecord(entry, `Live: ${liveState.url}`, liveState.firstPartySites);
+        }).filter(Boolean);
+
+        // GEOLOCATE: Only IPs not seen before; the resolver caches the rest
+        const geolocations = new Map();
+        const resolver = getGeolocationResolver();
+        resolver.startBatch();
+        for (const ip of new Set(records.map(function(record) { return record.ip; }))) {
+            if (liveState.started && ipGeolocations.has(ip)) continue;
+            geolocations.set(ip, await resolver.resolve(ip));
+        }
+
+        // DISCONNECTED: Disconnect or a HAR import came while geolocating, so the batch is no longer wanted
+        if (liveState.status === 'off') return;
+
+        const knownIPs = new Set(liveState.started && ipLocationData
+            ? ipLocationData.features.map(function(feature) { return feature.properties.ip; })
+            : []);
+
+        // MERGE: The first batch replaces the loaded data, later ones are appended
+        if (!liveState.started) {
+            liveState.started = true;
+            liveState.replacing = true;
+            setIPRequestRecords(records.slice(-liveState.maxRecords), geolocations);
+            liveState.replacing = false;
+        } else {
+            liveState.droppedCount += appendIPRequestRecords(records, geolocations, liveState.maxRecords);
+        }
+
+        // TIMELINE: Follows the capture until a time window is brushed
+        if (timelineState.window === null) {
+            loadTimelineRecords(ipRequestRecords);
+        }
+
+        addLivePulses(ipLocationData.features.filter(function(feature) {
+            return !knownIPs.has(feature.properties.ip);
+        }));
+
+    } catch (error) {
+        console.error('❌ Error applying live requests:', error);
+    } finally {
+        liveState.batching = false;
+        liveStreamControl.update();
+        if (liveState.pendingEntries.length > 0) scheduleLiveBatch();
+    }
+}
+
+// ========================================
+// PULSES
+// ========================================
+
+/**
+ * ADD LIVE PULSES: Starts an expanding ring around each newly seen server
+ * @param {Array<Object>} features - Features of the new servers
+ */
+function addLivePulses(features) {
+    if (features.length === 0) return;
+
+    const start = performance.now();
+    features.forEach(function(feature) {
+        liveState.pulses.push({ id: ++liveState.pulseId, coordinates: feature.geometry.coordinates, start: start });
+    });
+
+    updateLivePulseSource();
+    if (!liveState.pulseFrame) {
+        liveState.pulseFrame = requestAnimationFrame(animateLivePulses);
+    }
+}
+
+/**
+ * CREATE LIVE PULSE DATA: Points of the pulsing servers, with IDs for their feature state
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function createLivePulseData() {
+    return {
+        type: 'FeatureCollection',
+        features: liveState.pulses.map(function(pulse) {
+            return { type: 'Feature', id: pulse.id, properties: {}, geometry: { type: 'Point', coordinates: pulse.coordinates } };
+        })
+    };
+}
+
+/**
+ * UPDATE LIVE PULSE SOURCE: Redraws the pulsing servers after pulses started or ended
+ */
+function updateLivePulseSource() {
+    const source = map && map.getSource('live-pulse');
+    if (source) {
+        source.setData(createLivePulseData());
+    }
+}
+
+/**
+ * ANIMATE LIVE PULSES: Grows and fades each ring through feature state, one frame at a time
+ * @param {number} now - Frame time from requestAnimationFrame
+ */
+function animateLivePulses(now) {
+    const pulseCount = liveState.pulses.length;
+    liveState.pulses = liveState.pulses.filter(function(pulse) {
+        return now - pulse.start < LIVE_PULSE_DURATION;
+    });
+    if (liveState.pulses.length !== pulseCount) {
+        updateLivePulseSource();
+    }
+
+    if (liveState.pulses.length === 0) {
+        liveState.pulseFrame = null;
+        return;
+    }
+
+    if (map && map.getSource('live-pulse')) {
+        liveState.pulses.forEach(function(pulse) {
+            map.setFeatureState({ source: 'live-pulse', id: pulse.id }, { progress: Math.max(0, (now - pulse.start) / LIVE_PULSE_DURATION) });
+        });
+    }
+    liveState.pulseFrame = requestAnimationFrame(animateLivePulses);
+}
+
+/* LIVE PULSE OVERLAY: Rings around servers that just appeared */
+registerOverlay('live-pulse', {
+    label: 'New servers (live)',
+    sources: { 'live-pulse': function() { return { type: 'geojson', data: createLivePulseData() }; } },
+    layers: function() {
+        return [{
+            id: 'live-pulse',
+            type: 'circle',
+            source: 'live-pulse',
+            paint: {
+                'circle-radius': ['interpolate', ['linear'], ['coalesce', ['feature-state', 'progress'], 0], 0, 8, 1, 32],
+                'circle-color': 'rgba(0, 0, 0, 0)',
+                'circle-stroke-width': 3,
+                'circle-stroke-color': getPaletteColor('pulse', LIVE_PULSE_COLOR),
+                'circle-stroke-opacity': ['-', 1, ['coalesce', ['feature-state', 'progress'], 0]]
+            }
+        }];
+    }
+});
+
+// ========================================
+// LIVE CAPTURE CONTROL
+// ========================================
+
+/**
+ * LIVE STREAM CONTROL: Endpoint, connect and pause buttons, age-out cap and live counters
+ */
+class LiveStreamControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel live-panel';
+        this.container.innerHTML = `
+            <details>
+                <summary class="map-panel-title">🔴 Live capture</summary>
+                <div class="map-panel-body">
+                    <input type="text" data-role="url" value="${escapeHTML(LIVE_DEFAULT_URL)}" placeholder="ws://... or http://.../events" title="WebSocket or Server-Sent Events endpoint sending HAR entries">
+                    <label class="map-panel-row live-max-row">
+                        Keep the last
+                        <input type="number" data-role="max" min="100" step="100" value="${LIVE_DEFAULT_MAX_RECORDS}">
+                        requests
+                    </label>
+                    <div class="map-panel-row">
+                        <button type="button" data-role="connect">Connect</button>
+                        <button type="button" data-role="pause">⏸ Pause</button>
+                    </div>
+                    <div data-role="status" class="live-status"></div>
+                </div>
+            </details>
+        `;
+
+        const element = (role) => this.container.querySelector(`[data-role="${role}"]`);
+        this.urlInput = element('url');
+        this.connectButton = element('connect');
+        this.pauseButton = element('pause');
+        this.status = element('status');
+
+        this.connectButton.addEventListener('click', () => {
+            if (liveState.status === 'off') {
+                connectLiveStream(this.urlInput.value.trim());
+            } else {
+                disconnectLiveStream();
+            }
+        });
+        this.pauseButton.addEventListener('click', function() {
+            setLivePaused(!liveState.paused);
+        });
+        element('max').addEventListener('change', function(e) {
+            liveState.maxRecords = Math.max(100, Number(e.target.value) || LIVE_DEFAULT_MAX_RECORDS);
+            e.target.value = liveState.maxRecords;
+        });
+
+        this.update();
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * UPDATE: Buttons and counters for the current connection status
+     */
+    update() {
+        if (!this.status) return;
+
+        const isOff = liveState.status === 'off';
+        this.connectButton.textContent = isOff ? '🔌 Connect' : '✖ Disconnect';
+        this.urlInput.disabled = !isOff;
+        this.pauseButton.disabled = isOff;
+        this.pauseButton.textContent = liveState.paused ? '▶ Resume' : '⏸ Pause';
+
+        const statusText = {
+            off: 'Not connected',
+            connecting: 'Connecting...',
+            live: liveState.paused ? '⏸ Paused' : '🔴 Live',
+            reconnecting: `Reconnecting in ${Math.round(liveState.reconnectDelay / 1000)} s (attempt ${liveState.reconnectAttempt})`
+        }[liveState.status];
+
+        this.status.innerHTML = `
+            <p><strong>${escapeHTML(statusText)}</strong></p>
+            ${liveState.receivedCount > 0 ? `
+                <p>${liveState.receivedCount} requests received, ${liveState.started ? ipRequestRecords.length : 0} kept, ${liveState.started && ipLocationData ? ipLocationData.features.length : 0} servers</p>
+                ${liveState.pendingEntries.length > 0 ? `<p>${liveState.pendingEntries.length} waiting${liveState.paused ? ' (paused)' : ''}</p>` : ''}
+                ${liveState.droppedCount > 0 ? `<p>${liveState.droppedCount} oldest aged out</p>` : ''}
+            ` : ''}
+        `;
+
+        // COUNTER: The header count follows the capture
+        if (liveState.started && ipLocationData && !isOff) {
+            updateIPCount(`🔴 Live: ${ipLocationData.features.length} unique IP locations, ${ipRequestRecords.length} requests`);
+        }
+    }
+}
+
+/* LIVE STREAM CONTROL: Single live capture panel added to the map */
+const liveStreamControl = new LiveStreamControl();
+
+/* OTHER IMPORTS: A HAR import or comparison replaces the live data, so the capture stops */
+onRequestRecordsChange(function() {
+    if (liveState.status !== 'off' && !liveState.replacing) {
+        console.log('🔴 Live capture stopped - other requests were loaded');
+        disconnectLiveStream();
+    }
+});
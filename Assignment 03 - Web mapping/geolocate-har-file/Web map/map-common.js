@@ -0,0 +1,116 @@
+// ========================================
+// SHARED MAP HELPERS
+// ========================================
+// Basemaps and popup helpers used by both the full map (standalone.html, map.js) and the
+// embeddable ES module (ip-map.js). standalone.html loads this file as a plain script before
+// map.js; ip-map.js imports it as a module and reads the helpers from globalThis.mapCommon.
+
+/* REMOTE GLYPHS: Label fonts for the raster styles, which have none of their own */
+const REMOTE_GLYPHS_URL = 'https://demotiles.maplibre.org/font/{fontstack}/{range}.pbf';
+
+/* LABEL FONT: Font stack for cluster counts, available from the remote and the bundled offline glyphs */
+const LABEL_FONT = ['Open Sans Semibold'];
+
+/* POPUP URL LENGTH: Longer URLs are shortened in popups, the full URL is in the tooltip */
+const POPUP_URL_LENGTH = 50;
+
+/**
+ * CREATE RASTER STYLE: Style specification for a single raster tile layer
+ * @param {string} tiles - Tile URL template
+ * @param {string} attribution - Attribution text
+ * @returns {Object} MapLibre style specification
+ */
+function createRasterStyle(tiles, attribution) {
+    return {
+        "version": 8,
+        "glyphs": REMOTE_GLYPHS_URL,
+        "sources": {
+            "basemap": {
+                "type": "raster",
+                "tiles": [tiles],
+                "tileSize": 256,
+                "attribution": attribution
+            }
+        },
+        "layers": [{
+            "id": "basemap",
+            "type": "raster",
+            "source": "basemap",
+            "minzoom": 0,
+            "maxzoom": 22
+        }]
+    };
+}
+
+/* BASEMAP STYLES: Remote basemaps by key; map.js adds the offline archives to its own copy */
+const BASEMAP_STYLES = {
+    streets: 'https://demotiles.maplibre.org/style.json',
+    satellite: createRasterStyle('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', '© Esri'),
+    dark: createRasterStyle('https://cartodb-basemaps-a.global.ssl.fastly.net/dark_all/{z}/{x}/{y}.png', '© CartoDB'),
+    light: createRasterStyle('https://cartodb-basemaps-a.global.ssl.fastly.net/light_all/{z}/{x}/{y}.png', '© CartoDB')
+};
+
+/**
+ * ESCAPE HTML: Escapes text before it is inserted into popup HTML
+ * HAR files are user supplied, so URLs and hostnames must not be trusted as markup
+ * @param {*} value - Value to escape
+ * @returns {string} HTML-safe text
+ */
+function escapeHTML(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * SHORTEN URL: Truncates long URLs for popups
+ * @param {string} url - URL
+ * @returns {string} URL of at most POPUP_URL_LENGTH characters plus '...'
+ */
+function shortenURL(url) {
+    const text = url || '';
+    return text.length > POPUP_URL_LENGTH ? text.substring(0, POPUP_URL_LENGTH) + '...' : text;
+}
+
+/**
+ * CREATE URL LINK HTML: Link to a request URL, or plain text when it is not http(s)
+ * Escaping keeps the URL from breaking out of the attribute, but javascript: and data: links would still run
+ * @param {string} url - URL from a HAR file or GeoJSON property
+ * @param {string} text - Link text (defaults to the shortened URL)
+ * @returns {string} Link or span HTML
+ */
+function createURLLinkHTML(url, text) {
+    const label = escapeHTML(text === undefined ? shortenURL(url) : text);
+    if (!/^https?:\/\//i.test(url || '')) {
+        return `<span class="popup-url" title="${escapeHTML(url)}">${label}</span>`;
+    }
+    return `<a href="${escapeHTML(url)}" target="_blank" rel="noopener noreferrer" class="popup-url" title="${escapeHTML(url)}">${label}</a>`;
+}
+
+/**
+ * CREATE LOCATION HTML: IP address and coordinates lines shared by every point popup
+ * @param {Object} properties - Feature properties
+ * @param {Array} coordinates - [longitude, latitude]
+ * @returns {string} Popup HTML
+ */
+function createLocationHTML(properties, coordinates) {
+    return `
+        <p><strong>📍 IP Address:</strong> ${escapeHTML(properties.ip)}</p>
+        <p><strong>🗺️ Coordinates:</strong> ${coordinates[1].toFixed(4)}, ${coordinates[0].toFixed(4)}</p>
+    `;
+}
+
+/* MAP COMMON: The helpers for ES modules, where the declarations above are not page globals */
+globalThis.mapCommon = {
+    REMOTE_GLYPHS_URL: REMOTE_GLYPHS_URL,
+    LABEL_FONT: LABEL_FONT,
+    BASEMAP_STYLES: BASEMAP_STYLES,
+    createRasterStyle: createRasterStyle,
+    escapeHTML: escapeHTML,
+    shortenURL: shortenURL,
+    createURLLinkHTML: createURLLinkHTML,
+    createLocationHTML: createLocationHTML
+};
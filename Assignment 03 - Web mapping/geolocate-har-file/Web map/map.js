@@ -8,65 +8,64 @@ let map;
 /* GEOJSON DATA: Variable to store the loaded IP location data */
 let ipLocationData = null;
 
-/* MAP STYLES: Configuration object containing different map style URLs */
-const mapStyles = {
-    streets: 'https://demotiles.maplibre.org/style.json',
-    satellite: {
-        "version": 8,
-        "sources": {
-            "esri": {
-                "type": "raster",
-                "tiles": ["https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"],
-                "tileSize": 256,
-                "attribution": "© Esri"
-            }
-        },
-        "layers": [{
-            "id": "esri",
-            "type": "raster",
-            "source": "esri",
-            "minzoom": 0,
-            "maxzoom": 22
-        }]
-    },
-    dark: {
-        "version": 8,
-        "sources": {
-            "cartodb": {
-                "type": "raster",
-                "tiles": ["https://cartodb-basemaps-a.global.ssl.fastly.net/dark_all/{z}/{x}/{y}.png"],
-                "tileSize": 256,
-                "attribution": "© CartoDB"
-            }
-        },
-        "layers": [{
-            "id": "cartodb",
-            "type": "raster",
-            "source": "cartodb",
-            "minzoom": 0,
-            "maxzoom": 22
-        }]
-    },
-    light: {
-        "version": 8,
-        "sources": {
-            "cartodb": {
-                "type": "raster",
-                "tiles": ["https://cartodb-basemaps-a.global.ssl.fastly.net/light_all/{z}/{x}/{y}.png"],
-                "tileSize": 256,
-                "attribution": "© CartoDB"
-            }
-        },
-        "layers": [{
-            "id": "cartodb",
-            "type": "raster",
-            "source": "cartodb",
-            "minzoom": 0,
-            "maxzoom": 22
-        }]
-    }
+/* LOCAL GLYPHS: Bundled copy of the label fonts for the offline basemaps (REMOTE_GLYPHS_URL is in map-common.js) */
+const LOCAL_GLYPHS_URL = new URL('offline/font/', document.baseURI).href + '{fontstack}/{range}.pbf';
+
+/* MAP STYLES: Basemaps by key, the shared remote ones plus the offline archives added by tile-archive.js */
+const mapStyles = Object.assign({}, BASEMAP_STYLES);
+
+/* FEATURE FILTERS: Named predicates deciding which features reach the map source */
+const featureFilters = new Map();
+
+/* VISIBLE DATA LISTENERS: Called with the visible data whenever the ip-locations source changes */
+const visibleDataListeners = [];
+
+/* OVERLAYS: Sources and layers drawn over the basemap, bottom to top (see registerOverlay()) */
+const overlays = [];
+
+/* OVERLAY LISTENERS: Called whenever an overlay is registered, shown, hidden, faded or moved */
+const overlayListeners = [];
+
+/* STATUS COLORS: Default colours of the status line, replaced by colour-blind safe palettes */
+const STATUS_COLORS = {
+    success: '#27ae60',
+    info: '#3498db',
+    error: '#e74c3c'
+};
+
+/* POINT COLOR MODES: Ways to colour points and clusters, added with registerPointColorMode() */
+const pointColorModes = new Map();
+
+/* POINT COLOR MODE: Name of the colour mode currently applied */
+let pointColorMode = 'category';
+
+/* CIRCLE SIZE METRIC: What point and cluster circle sizes scale by ('none', 'requestCount' or 'totalBytes') */
+let circleSizeMetric = 'none';
+
+/* DISPLAY MODES: Ways to draw the IP locations */
+const DISPLAY_MODES = {
+    clusters: 'Clusters',
+    points: 'Points',
+    heatmap: 'Heatmap',
+    hexbin: 'Hexagons'
 };
 
+/* DISPLAY MODE: Key of the DISPLAY_MODES entry currently drawn */
+let displayMode = 'clusters';
+
+/* CLUSTER MAX ZOOM: Last zoom level at which points are clustered */
+const CLUSTER_MAX_ZOOM = 14;
+
+/* IP LOCATION LAYER IDS: Every layer any display mode draws from the IP locations */
+const IP_LOCATION_LAYER_IDS = ['ip-heatmap', 'ip-hexbins', 'ip-hexbin-outline', 'clusters', 'cluster-count', 'unclustered-point'];
+
+/* CURRENT STYLE KEY: Key of the mapStyles entry currently shown */
+let currentStyleKey = 'streets';
+
+/* SELECTED POPUP: Popup open on the main map and the IP it shows (null when none) */
+let selectedPopup = null;
+let selectedIP = null;
+
 /* DEFAULT MAP CONFIG: Initial map configuration settings */
 const defaultMapConfig = {
     center: [-98.5795, 39.8283], // Geographic center of USA
@@ -79,6 +78,23 @@ const defaultMapConfig = {
 // MAP INITIALIZATION FUNCTION
 // ========================================
 
+/**
+ * CREATE MAP OPTIONS: MapLibre options shared by every map on the page
+ * @param {string|HTMLElement} container - Element (or its ID) where the map will be rendered
+ * @returns {Object} Options for new maplibregl.Map()
+ */
+function createMapOptions(container) {
+    return {
+        container: container, // HTML element where map will be rendered
+        style: mapStyles[currentStyleKey], // Current map style
+        center: defaultMapConfig.center, // Initial map center coordinates
+        zoom: defaultMapConfig.zoom, // Initial zoom level
+        pitch: defaultMapConfig.pitch, // Initial map tilt
+        bearing: defaultMapConfig.bearing, // Initial map rotation
+        antialias: true // Enable antialiasing for smoother rendering
+    };
+}
+
 /**
  * INITIALIZE MAP: Creates and configures the MapLibre GL JS map
  * This function sets up the basic map with controls and event listeners
@@ -92,16 +108,17 @@ function initializeMap() {
             throw new Error('MapLibre GL JS library not loaded');
         }
         
+        // PERMALINK: Start from the basemap and view stored in the URL hash
+        const permalinkState = readPermalinkState();
+        if (permalinkState.style) {
+            currentStyleKey = permalinkState.style;
+        }
+
         // CREATE MAP INSTANCE: Initialize MapLibre map with configuration
-        map = new maplibregl.Map({
-            container: 'map', // HTML element ID where map will be rendered
-            style: mapStyles.streets, // Default map style
-            center: defaultMapConfig.center, // Initial map center coordinates
-            zoom: defaultMapConfig.zoom, // Initial zoom level
-            pitch: defaultMapConfig.pitch, // Initial map tilt
-            bearing: defaultMapConfig.bearing, // Initial map rotation
-            antialias: true // Enable antialiasing for smoother rendering
-        });
+        map = new maplibregl.Map(createMapOptions('map'));
+        if (permalinkState.view) {
+            map.jumpTo(permalinkState.view);
+        }
 
         console.log('Map instance created successfully');
 
@@ -111,9 +128,57 @@ function initializeMap() {
         // ADD FULLSCREEN CONTROL: Allow map to go fullscreen
         map.addControl(new maplibregl.FullscreenControl(), 'top-right');
 
+        // ADD LAYER PANEL: Toggle, reorder and fade the overlays
+        map.addControl(layerPanel, 'top-right');
+
+        // ADD EXPORT CONTROL: Download the shown servers or a PNG snapshot
+        map.addControl(exportControl, 'top-right');
+
+        // ADD REGION PANEL: Choropleth and statistics per country or state
+        map.addControl(regionPanel, 'top-right');
+
+        // ADD ORGANISATION PANEL: Servers ranked and filtered by hosting organisation
+        map.addControl(organisationPanel, 'top-right');
+
+        // ADD LATENCY PANEL: Latency against distance from the client, with outliers
+        map.addControl(latencyPanel, 'top-right');
+
+        // ADD ATTRIBUTE TABLE: Grid of the shown servers with box and lasso selection
+        map.addControl(attributeTable, 'top-right');
+
         // ADD SCALE CONTROL: Show distance scale on map
         map.addControl(new maplibregl.ScaleControl(), 'bottom-left');
 
+        // ADD CATEGORY LEGEND: Server categories with visibility toggles
+        map.addControl(categoryLegend, 'bottom-right');
+
+        // ADD ACCESSIBILITY PANEL: Colour palette and a list of the shown servers
+        map.addControl(accessibilityControl, 'top-left');
+
+        // ADD FILTER PANEL: Narrow the shown servers and search for an IP or domain
+        map.addControl(filterPanel, 'top-left');
+
+        // ADD COMPARISON CONTROL: Compare the servers of two HAR captures
+        map.addControl(comparisonControl, 'top-left');
+
+        // ADD FLOW LINE CONTROL: Arcs from the client origin to each server
+        map.addControl(new FlowLineControl(), 'top-left');
+
+        // ADD OVERLAY LOADER: GeoJSON and shapefile datasets drawn under the servers
+        map.addControl(overlayLoaderControl, 'top-left');
+
+        // ADD LIVE CAPTURE CONTROL: Requests streamed from a capture proxy
+        map.addControl(liveStreamControl, 'top-left');
+
+        // ADD NETWORK CONTROL: GraphML networks and shortest-path routing
+        map.addControl(networkControl, 'top-left');
+
+        // ADD TIMELINE CONTROL: Request playback and time window brushing
+        map.addControl(timelineControl, 'bottom-left');
+
+        // RESTORE PERMALINK: Filters and selection from the URL hash, then keep the hash updated
+        startPermalinks(permalinkState);
+
         // MAP LOAD EVENT: Execute when map finishes loading
         map.on('load', function() {
             console.log('✅ Map loaded successfully');
@@ -124,14 +189,22 @@ function initializeMap() {
         map.on('error', function(e) {
             console.error('❌ Map error:', e.error);
             console.error('Error details:', e);
+
+            // OFFLINE FALLBACK: Remote basemap failures switch to the local tile archive
+            if (handleBasemapError(e)) return;
+
             showErrorMessage(`Map error: ${e.error?.message || 'Unknown map error'}`);
         });
 
-        // MAP STYLE LOAD EVENT: Handle style loading
-        map.on('styledata', function() {
+        // MAP STYLE LOAD EVENT: Fires once per style, re-add the overlays the new style does not have
+        map.on('style.load', function() {
             console.log('Map style loaded');
+            applyOverlays();
         });
 
+        // ADD INTERACTION EVENTS: Layer handlers are kept by the map across style changes, so add them once
+        addMapInteractions();
+
         console.log('✅ Map initialization completed');
         
     } catch (error) {
@@ -170,6 +243,8 @@ async function loadGeoJSONData() {
         console.log('Response received, length:', responseText.length);
         
         ipLocationData = JSON.parse(responseText);
+        ipAggregates = new Map(); // Pre-built files carry no per-request data
+        ipRequestRecords = [];
         
         // VALIDATE DATA: Check if data has the expected structure
         if (!ipLocationData || !ipLocationData.features) {
@@ -182,6 +257,17 @@ async function loadGeoJSONData() {
         
         console.log(`✅ Loaded ${ipLocationData.features.length} IP locations`);
         
+        // APPROXIMATE LOCATIONS: Centroids and 0,0 results get their own style and a popup warning
+        flagApproximateLocations(ipLocationData);
+        
+        // CLASSIFY: Categorise servers by their URL using the rule list
+        await loadCategoryRules();
+        classifyFeatures(ipLocationData.features);
+        
+        // ORGANISATIONS: ASN and hosting organisation of each server
+        await loadASNTable();
+        enrichOrganisations(ipLocationData.features);
+        
         // UPDATE UI: Display the number of loaded locations
         updateIPCount(ipLocationData.features.length);
         
@@ -207,89 +293,643 @@ async function loadGeoJSONData() {
 // ========================================
 
 /**
- * ADD GEOJSON TO MAP: Adds the loaded data to the map as a source and layer
- * This function creates the visual representation of IP locations on the map
+ * ADD GEOJSON TO MAP: Shows the loaded data on the map
+ * The first call adds the ip-locations overlay, later calls swap the data in place
  */
 function addGeoJSONToMap() {
     console.log('🎨 Adding GeoJSON data to map...');
     
     try {
-        // ADD DATA SOURCE: Register the GeoJSON data as a map source
-        map.addSource('ip-locations', {
-            type: 'geojson',
-            data: ipLocationData,
-            cluster: true, // Enable clustering for better performance
-            clusterMaxZoom: 14, // Max zoom level for clustering
-            clusterRadius: 50 // Cluster radius in pixels
-        });
+        categoryLegend.update();
+
+        // UPDATE EXISTING SOURCE: Swap the data in place when layers already exist
+        const existingSource = map.getSource('ip-locations');
+        if (existingSource) {
+            existingSource.setData(getVisibleIPLocationData());
+            console.log('✅ GeoJSON source updated with new data');
+        } else {
+            // ADD OVERLAYS: The ip-locations overlay is ready now that there is data
+            applyOverlays();
+            console.log('✅ GeoJSON data added to map successfully');
+        }
+
+        // NOTIFY OVERLAYS: Layers built from the IP data can now draw themselves
+        notifyVisibleDataChange();
+        
+    } catch (error) {
+        console.error('❌ Error adding GeoJSON to map:', error);
+        showErrorMessage('Failed to display IP locations on map.');
+    }
+}
+
+/**
+ * CREATE IP LOCATION SOURCE: GeoJSON source for the visible IP locations, clustered in the clusters mode
+ * @returns {Object|null} Source specification, or null before any data is loaded
+ */
+function createIPLocationSource() {
+    if (!ipLocationData) return null;
+
+    if (displayMode !== 'clusters') {
+        return { type: 'geojson', data: getVisibleIPLocationData() };
+    }
+
+    return {
+        type: 'geojson',
+        data: getVisibleIPLocationData(),
+        cluster: true, // Enable clustering for better performance
+        clusterMaxZoom: CLUSTER_MAX_ZOOM, // Max zoom level for clustering
+        clusterRadius: 50, // Cluster radius in pixels
+        clusterProperties: Object.assign({
+            // CLUSTER TOTALS: Summed so clusters can be sized by requests or bytes
+            requestCount: ['+', ['coalesce', ['get', 'requestCount'], 1]],
+            totalBytes: ['+', ['coalesce', ['get', 'totalBytes'], 0]]
+        }, getColorModeClusterProperties()) // Points per colour mode value
+    };
+}
+
+/**
+ * CREATE HEXBIN SOURCE: Hexagons computed from the visible IP locations (empty outside the hexbin mode)
+ * @returns {Object|null} Source specification, or null before any data is loaded
+ */
+function createHexbinSource() {
+    if (!ipLocationData) return null;
+    return { type: 'geojson', data: createHexbinData() };
+}
+
+/**
+ * CREATE IP LOCATION LAYERS: Layers of the current display mode with the current styling
+ * @returns {Array<Object>} Layer specifications
+ */
+function createIPLocationLayers() {
+    const pointLayer = createPointLayer();
+
+    if (displayMode === 'points') {
+        return [pointLayer];
+    }
+
+    if (displayMode === 'hexbin') {
+        return createHexbinLayers();
+    }
 
-        // ADD CLUSTER LAYER: Style for clustered points
-        map.addLayer({
+    if (displayMode === 'heatmap') {
+        // HEATMAP: Weighted by request count, points take over when zoomed in so they can be clicked
+        return [
+            {
+                id: 'ip-heatmap',
+                type: 'heatmap',
+                source: 'ip-locations',
+                maxzoom: 11,
+                paint: {
+                    'heatmap-weight': ['interpolate', ['linear'], ['sqrt', ['coalesce', ['get', 'requestCount'], 1]],
+                        1, 0.3,
+                        30, 1 // sqrt of 900 requests
+                    ],
+                    'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 0, 1, 11, 3],
+                    'heatmap-radius': ['interpolate', ['linear'], ['zoom'], 0, 6, 11, 30],
+                    'heatmap-color': getHeatmapColorExpression(),
+                    'heatmap-opacity': 0.85
+                }
+            },
+            Object.assign(pointLayer, { minzoom: 9 })
+        ];
+    }
+
+    return [
+        // CLUSTER LAYER: Style for clustered points
+        {
             id: 'clusters',
             type: 'circle',
             source: 'ip-locations',
             filter: ['has', 'point_count'], // Only show clustered points
             paint: {
-                // CLUSTER CIRCLE COLOR: Changes based on cluster size
-                'circle-color': [
-                    'step',
-                    ['get', 'point_count'],
-                    '#51bbd6', // Color for small clusters
-                    10, '#f1f075', // Color for medium clusters
-                    30, '#f28cb1' // Color for large clusters
-                ],
+                // CLUSTER CIRCLE COLOR: Most common value of the colour mode in the cluster
+                'circle-color': getClusterColorExpression(),
                 // CLUSTER CIRCLE SIZE: Increases with cluster size
-                'circle-radius': [
-                    'step',
-                    ['get', 'point_count'],
-                    20, // Base size
-                    10, 30, // Size for medium clusters
-                    30, 40 // Size for large clusters
-                ]
+                'circle-radius': getCircleRadiusExpression('clusters')
             }
-        });
+        },
 
-        // ADD CLUSTER COUNT LABELS: Show number of points in each cluster
-        map.addLayer({
+        // CLUSTER COUNT LABELS: Show number of points in each cluster
+        {
             id: 'cluster-count',
             type: 'symbol',
             source: 'ip-locations',
             filter: ['has', 'point_count'],
             layout: {
                 'text-field': '{point_count_abbreviated}', // Display cluster count
-                'text-font': ['Open Sans Semibold', 'Arial Unicode MS Bold'],
+                'text-font': LABEL_FONT,
                 'text-size': 12
             },
             paint: {
                 'text-color': '#ffffff' // White text for visibility
             }
+        },
+
+        // INDIVIDUAL POINTS: Style for non-clustered points
+        pointLayer
+    ];
+}
+
+/**
+ * CREATE POINT LAYER: Individual IP location points
+ * @returns {Object} Layer specification
+ */
+function createPointLayer() {
+    return {
+        id: 'unclustered-point',
+        type: 'circle',
+        source: 'ip-locations',
+        filter: ['!', ['has', 'point_count']], // Only show non-clustered points
+        paint: {
+            'circle-color': getPointColorExpression(), // Colour by the current colour mode
+            'circle-radius': getCircleRadiusExpression('unclustered-point'),
+            // APPROXIMATE RING: Thick orange border for placeholder and country-level locations
+            'circle-stroke-width': ['case', ['to-boolean', ['get', 'approximate']], 3, 2],
+            'circle-stroke-color': ['case', ['to-boolean', ['get', 'approximate']], getPaletteColor('approximate', APPROXIMATE_COLOR), '#fff']
+        }
+    };
+}
+
+/**
+ * GET HEATMAP COLOR EXPRESSION: Heatmap ramp, MapLibre's default unless the palette has a sequential ramp
+ * @returns {Array} MapLibre interpolate expression on heatmap-density
+ */
+function getHeatmapColorExpression() {
+    const ramp = getPaletteColor('sequential', null);
+    if (!ramp) {
+        return ['interpolate', ['linear'], ['heatmap-density'],
+            0, 'rgba(0, 0, 255, 0)', 0.1, 'royalblue', 0.3, 'cyan', 0.5, 'lime', 0.7, 'yellow', 1, 'red'];
+    }
+
+    // TRANSPARENT START: Empty areas show the basemap, as with the default ramp
+    return ['interpolate', ['linear'], ['heatmap-density'],
+        0, 'rgba(0, 0, 0, 0)', 0.1, ramp[0], 0.5, ramp[1], 1, ramp[2]];
+}
+
+/**
+ * SET DISPLAY MODE: Switches between clusters, points, heatmap and hexagons
+ * The source is re-created because clustering is a source option; filters and the view are kept
+ * @param {string} mode - Key of DISPLAY_MODES
+ */
+function setDisplayMode(mode) {
+    if (!DISPLAY_MODES[mode] || mode === displayMode) return;
+    console.log(`🗺️ Display mode: ${DISPLAY_MODES[mode]}`);
+    displayMode = mode;
+
+    const selector = document.getElementById('display-mode');
+    if (selector) selector.value = mode;
+
+    if (map && map.getSource('ip-locations')) {
+        IP_LOCATION_LAYER_IDS.forEach(function(layerId) {
+            if (map.getLayer(layerId)) map.removeLayer(layerId);
         });
+        map.removeSource('ip-locations');
+        updateHexbins();
+        unspiderfy();
+        applyOverlays();
+    }
+    schedulePermalinkUpdate();
+}
 
-        // ADD INDIVIDUAL POINTS: Style for non-clustered points
-        map.addLayer({
-            id: 'unclustered-point',
-            type: 'circle',
-            source: 'ip-locations',
-            filter: ['!', ['has', 'point_count']], // Only show non-clustered points
-            paint: {
-                'circle-color': '#11b4da', // Blue color for individual points
-                'circle-radius': 8, // Fixed radius for individual points
-                'circle-stroke-width': 2, // Border width
-                'circle-stroke-color': '#fff' // White border
-            }
+/* IP LOCATIONS OVERLAY: Clusters and points of the located servers */
+registerOverlay('ip-locations', {
+    label: 'IP locations',
+    sources: { 'ip-locations': createIPLocationSource, 'ip-hexbins': createHexbinSource },
+    layers: createIPLocationLayers
+});
+
+/**
+ * GET VISIBLE IP LOCATION DATA: ipLocationData narrowed by every active feature filter
+ * @param {Array<string>} excludedFilters - Names of filters to ignore (optional)
+ * @returns {Object} GeoJSON FeatureCollection for the ip-locations source
+ */
+function getVisibleIPLocationData(excludedFilters) {
+    const filters = Array.from(featureFilters.keys())
+        .filter(function(name) { return !excludedFilters || !excludedFilters.includes(name); })
+        .map(function(name) { return featureFilters.get(name); });
+
+    if (!ipLocationData || filters.length === 0) {
+        return ipLocationData;
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features: ipLocationData.features.filter(function(feature) {
+            return filters.every(function(filter) { return filter(feature); });
+        })
+    };
+}
+
+/**
+ * SET FEATURE FILTER: Adds, replaces or removes a named filter and refreshes the map source
+ * Filters change the source data, so clusters are rebuilt from the remaining points
+ * @param {string} name - Filter name
+ * @param {Function|null} predicate - Returns true for features to keep, or null to remove the filter
+ * @param {boolean} deferRefresh - Leave the refresh to the caller, which calls refreshVisibleData() once
+ *     after setting several filters
+ */
+function setFeatureFilter(name, predicate, deferRefresh) {
+    if (predicate) {
+        featureFilters.set(name, predicate);
+    } else {
+        featureFilters.delete(name);
+    }
+
+    if (!deferRefresh) {
+        refreshVisibleData();
+    }
+}
+
+/**
+ * REFRESH VISIBLE DATA: Puts the filtered data in the map source and notifies the listeners
+ */
+function refreshVisibleData() {
+    const source = map && map.getSource('ip-locations');
+    if (source && ipLocationData) {
+        source.setData(getVisibleIPLocationData());
+        notifyVisibleDataChange();
+    }
+}
+
+/**
+ * ON VISIBLE DATA CHANGE: Registers a listener for changes to the data shown on the map
+ * @param {Function} listener - Called with the visible GeoJSON FeatureCollection
+ */
+function onVisibleDataChange(listener) {
+    visibleDataListeners.push(listener);
+}
+
+/**
+ * NOTIFY VISIBLE DATA CHANGE: Passes the current visible data to every listener
+ */
+function notifyVisibleDataChange() {
+    const visibleData = getVisibleIPLocationData();
+    visibleDataListeners.forEach(function(listener) {
+        try {
+            listener(visibleData);
+        } catch (error) {
+            console.error('❌ Error in visible data listener:', error);
+        }
+    });
+}
+
+/**
+ * REGISTER POINT COLOR MODE: Adds a way of colouring points and clusters
+ * Must be called before the data is added, as cluster counts are fixed when the source is created
+ * @param {string} name - Mode name
+ * @param {Object} mode - { label, property, colors: { value: color }, labels: { value: label }, fallback,
+ *     neutral: catch-all value that colour palettes draw in their neutral colour }
+ */
+function registerPointColorMode(name, mode) {
+    // DEFAULT COLOURS: Kept so switching back from another palette restores them
+    mode.defaultColors = Object.assign({}, mode.colors);
+    mode.defaultFallback = mode.fallback;
+    applyPaletteToColorMode(mode);
+    pointColorModes.set(name, mode);
+}
+
+/**
+ * GET POINT COLOR EXPRESSION: Point colour by the current colour mode's property
+ * @returns {Array} MapLibre match expression
+ */
+function getPointColorExpression() {
+    const mode = pointColorModes.get(pointColorMode);
+    const expression = ['match', ['get', mode.property]];
+    Object.keys(mode.colors).forEach(function(value) {
+        expression.push(value, mode.colors[value]);
+    });
+    expression.push(mode.fallback);
+    return expression;
+}
+
+/**
+ * GET COLOR MODE CLUSTER PROPERTIES: Per-value point counts for every colour mode
+ * @returns {Object} clusterProperties entries named <mode>_<value>, such as category_cdn
+ */
+function getColorModeClusterProperties() {
+    const properties = {};
+    pointColorModes.forEach(function(mode, name) {
+        Object.keys(mode.colors).forEach(function(value) {
+            properties[`${name}_${value}`] = ['+', ['case', ['==', ['get', mode.property], value], 1, 0]];
         });
+    });
+    return properties;
+}
 
-        // ADD INTERACTION EVENTS: Handle clicks and hover effects
-        addMapInteractions();
-        
-        console.log('✅ GeoJSON data added to map successfully');
-        
-    } catch (error) {
-        console.error('❌ Error adding GeoJSON to map:', error);
-        showErrorMessage('Failed to display IP locations on map.');
+/**
+ * GET CLUSTER COLOR EXPRESSION: Cluster colour by its most common value of the colour mode
+ * @returns {Array} MapLibre case expression
+ */
+function getClusterColorExpression() {
+    const mode = pointColorModes.get(pointColorMode);
+    const values = Object.keys(mode.colors);
+    const expression = ['case'];
+
+    // DOMINANT VALUE: A value wins when its count is >= every other count
+    values.forEach(function(value) {
+        const comparisons = values
+            .filter(function(other) { return other !== value; })
+            .map(function(other) {
+                return ['>=', ['get', `${pointColorMode}_${value}`], ['get', `${pointColorMode}_${other}`]];
+            });
+
+        expression.push(['all', ...comparisons], mode.colors[value]);
+    });
+
+    expression.push(mode.fallback);
+    return expression;
+}
+
+/**
+ * SET POINT COLOR MODE: Recolours points and clusters
+ * @param {string} name - Registered colour mode name
+ */
+function setPointColorMode(name) {
+    if (!pointColorModes.has(name)) return;
+    console.log(`🎨 Colouring points by: ${name}`);
+    pointColorMode = name;
+
+    if (map && map.getLayer('clusters')) {
+        map.setPaintProperty('clusters', 'circle-color', getClusterColorExpression());
+    }
+    if (map && map.getLayer('unclustered-point')) {
+        map.setPaintProperty('unclustered-point', 'circle-color', getPointColorExpression());
+    }
+    if (map && map.getLayer('spider-points')) {
+        map.setPaintProperty('spider-points', 'circle-color', getPointColorExpression());
+    }
+}
+
+/**
+ * GET CIRCLE RADIUS EXPRESSION: Circle radius for the current circleSizeMetric
+ * @param {string} layerId - 'clusters' or 'unclustered-point'
+ * @returns {Array|number} MapLibre expression or fixed radius
+ */
+function getCircleRadiusExpression(layerId) {
+    const isCluster = layerId === 'clusters';
+
+    // FIXED SIZES: Clusters step by point count, points use one radius
+    if (circleSizeMetric === 'none') {
+        return isCluster
+            ? ['step', ['get', 'point_count'], 20, 10, 30, 30, 40]
+            : 8;
+    }
+
+    // SCALED SIZES: Square root keeps circle area proportional to the metric
+    const [minRadius, midRadius, maxRadius] = isCluster ? [20, 30, 40] : [6, 12, 20];
+    const value = circleSizeMetric === 'totalBytes'
+        ? ['sqrt', ['coalesce', ['get', 'totalBytes'], 0]]
+        : ['sqrt', ['coalesce', ['get', 'requestCount'], 1]];
+    const stops = circleSizeMetric === 'totalBytes'
+        ? [0, 1024, 4096] // sqrt of 0 B, 1 MB and 16 MB
+        : [1, 10, 30]; // sqrt of 1, 100 and 900 requests
+
+    return [
+        'interpolate', ['linear'], value,
+        stops[0], minRadius,
+        stops[1], midRadius,
+        stops[2], maxRadius
+    ];
+}
+
+/**
+ * SET CIRCLE SIZE METRIC: Changes what point and cluster sizes scale by
+ * @param {string} metric - 'none', 'requestCount' or 'totalBytes'
+ */
+function setCircleSizeMetric(metric) {
+    console.log(`📏 Sizing circles by: ${metric}`);
+    circleSizeMetric = metric;
+
+    // UPDATE LAYERS: Restyle in place when the layers already exist
+    ['clusters', 'unclustered-point'].forEach(function(layerId) {
+        if (map && map.getLayer(layerId)) {
+            map.setPaintProperty(layerId, 'circle-radius', getCircleRadiusExpression(layerId));
+        }
+    });
+    if (map && map.getLayer('spider-points')) {
+        map.setPaintProperty('spider-points', 'circle-radius', getCircleRadiusExpression('unclustered-point'));
     }
 }
 
+// ========================================
+// LAYER REGISTRY
+// ========================================
+
+/* OVERLAY OPACITY PROPERTIES: Paint properties scaled by an overlay's opacity, per layer type */
+const OVERLAY_OPACITY_PROPERTIES = {
+    'circle': ['circle-opacity', 'circle-stroke-opacity'],
+    'line': ['line-opacity'],
+    'fill': ['fill-opacity'],
+    'fill-extrusion': ['fill-extrusion-opacity'],
+    'symbol': ['text-opacity', 'icon-opacity'],
+    'heatmap': ['heatmap-opacity'],
+    'raster': ['raster-opacity']
+};
+
+/**
+ * REGISTER OVERLAY: Declares data sources and layers drawn on top of the basemap
+ * Overlays are added when their data is ready and re-added after every style change
+ * @param {string} id - Overlay ID
+ * @param {Object} overlay - {
+ *     label,
+ *     sources: { sourceId: () => source specification, or null while the data is not ready },
+ *     layers: () => layer specifications with the current styling,
+ *     visible (default true), opacity (default 1),
+ *     below: ID of an overlay to insert this one under (default: on top)
+ * }
+ */
+function registerOverlay(id, overlay) {
+    const entry = Object.assign({ id: id, visible: true, opacity: 1 }, overlay);
+    const belowIndex = overlays.findIndex(function(other) { return other.id === overlay.below; });
+
+    if (belowIndex >= 0) {
+        overlays.splice(belowIndex, 0, entry);
+    } else {
+        overlays.push(entry);
+    }
+
+    // STILL LOADING: Sources cannot be added until the style is ready, and isStyleLoaded() also stays
+    // false while tiles load, so apply on the next idle instead of skipping the overlay
+    if (map && map.isStyleLoaded()) {
+        applyOverlays();
+    } else if (map) {
+        map.once('idle', applyOverlays);
+    }
+    notifyOverlayChange();
+}
+
+/**
+ * UNREGISTER OVERLAY: Removes an overlay's layers and sources from the map and the registry
+ * @param {string} id - Overlay ID
+ */
+function unregisterOverlay(id) {
+    const overlay = getOverlay(id);
+    if (!overlay) return;
+
+    if (map) {
+        overlay.layers().forEach(function(layer) {
+            if (map.getLayer(layer.id)) map.removeLayer(layer.id);
+        });
+        Object.keys(overlay.sources).forEach(function(sourceId) {
+            if (map.getSource(sourceId)) map.removeSource(sourceId);
+        });
+    }
+
+    overlays.splice(overlays.indexOf(overlay), 1);
+    notifyOverlayChange();
+}
+
+/**
+ * GET OVERLAY: Registered overlay by ID
+ * @param {string} id - Overlay ID
+ * @returns {Object|undefined} Overlay entry
+ */
+function getOverlay(id) {
+    return overlays.find(function(overlay) { return overlay.id === id; });
+}
+
+/**
+ * SCALE OVERLAY OPACITY: A layer's own opacity multiplied by its overlay's opacity
+ * Numbers and data expressions can be scaled; opacity must not be a zoom expression
+ * @param {number|Array|undefined} base - Opacity from the layer specification
+ * @param {number} opacity - Overlay opacity, 0 to 1
+ * @returns {number|Array} Paint property value
+ */
+function scaleOverlayOpacity(base, opacity) {
+    if (base === undefined) return opacity;
+    if (typeof base === 'number') return base * opacity;
+    return opacity === 1 ? base : ['*', opacity, base];
+}
+
+/**
+ * APPLY OVERLAYS: Adds missing sources and layers, then applies visibility, opacity and order
+ * Safe to call any number of times - existing sources and layers are left in place
+ */
+function applyOverlays() {
+    if (!map) return;
+
+    overlays.forEach(function(overlay) {
+        try {
+            // SOURCES: Skip the overlay until every source has data
+            const sourcesReady = Object.keys(overlay.sources).every(function(sourceId) {
+                if (map.getSource(sourceId)) return true;
+
+                const source = overlay.sources[sourceId]();
+                if (!source) return false;
+                map.addSource(sourceId, source);
+                return true;
+            });
+            if (!sourcesReady) return;
+
+            // LAYERS: Added once, visibility and opacity re-applied every time
+            overlay.layers().forEach(function(layer) {
+                if (!map.getLayer(layer.id)) {
+                    map.addLayer(layer);
+                }
+
+                map.setLayoutProperty(layer.id, 'visibility', overlay.visible ? 'visible' : 'none');
+                (OVERLAY_OPACITY_PROPERTIES[layer.type] || []).forEach(function(property) {
+                    map.setPaintProperty(layer.id, property, scaleOverlayOpacity(layer.paint && layer.paint[property], overlay.opacity));
+                });
+            });
+
+        } catch (error) {
+            console.error(`❌ Error applying overlay ${overlay.id}:`, error);
+        }
+    });
+
+    // ORDER: Moving each layer to the top, bottom overlay first, stacks them in registry order
+    overlays.forEach(function(overlay) {
+        overlay.layers().forEach(function(layer) {
+            if (map.getLayer(layer.id)) map.moveLayer(layer.id);
+        });
+    });
+}
+
+/**
+ * SET OVERLAY VISIBILITY: Shows or hides every layer of an overlay
+ * @param {string} id - Overlay ID
+ * @param {boolean} visible - Whether the overlay should be shown
+ */
+function setOverlayVisibility(id, visible) {
+    const overlay = getOverlay(id);
+    if (!overlay) return;
+
+    overlay.visible = visible;
+    applyOverlays();
+    notifyOverlayChange();
+}
+
+/**
+ * SET OVERLAY OPACITY: Fades every layer of an overlay
+ * @param {string} id - Overlay ID
+ * @param {number} opacity - 0 (transparent) to 1 (opaque)
+ */
+function setOverlayOpacity(id, opacity) {
+    const overlay = getOverlay(id);
+    if (!overlay) return;
+
+    overlay.opacity = Math.min(1, Math.max(0, opacity));
+    applyOverlays();
+    notifyOverlayChange();
+}
+
+/**
+ * MOVE OVERLAY: Moves an overlay up or down the drawing order
+ * @param {string} id - Overlay ID
+ * @param {number} offset - +1 to draw above the next overlay, -1 to draw below the previous one
+ */
+function moveOverlay(id, offset) {
+    const index = overlays.findIndex(function(overlay) { return overlay.id === id; });
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= overlays.length) return;
+
+    overlays.splice(target, 0, overlays.splice(index, 1)[0]);
+    applyOverlays();
+    notifyOverlayChange();
+}
+
+/**
+ * REFRESH OVERLAY STYLES: Re-applies the paint properties of every overlay layer on the map
+ * Layer specifications read the current colours, so this recolours the map after a palette change
+ */
+function refreshOverlayStyles() {
+    if (!map) return;
+
+    overlays.forEach(function(overlay) {
+        overlay.layers().forEach(function(layer) {
+            if (!map.getLayer(layer.id)) return;
+            Object.keys(layer.paint || {}).forEach(function(property) {
+                map.setPaintProperty(layer.id, property, layer.paint[property]);
+            });
+        });
+    });
+
+    // OPACITY: Scaled again by each overlay's opacity
+    applyOverlays();
+}
+
+/**
+ * ON OVERLAY CHANGE: Registers a listener for overlay registration, visibility, opacity and order changes
+ * @param {Function} listener - Called with the overlays, bottom to top
+ */
+function onOverlayChange(listener) {
+    overlayListeners.push(listener);
+}
+
+/**
+ * NOTIFY OVERLAY CHANGE: Passes the overlays to every listener
+ */
+function notifyOverlayChange() {
+    overlayListeners.forEach(function(listener) {
+        try {
+            listener(overlays);
+        } catch (error) {
+            console.error('❌ Error in overlay listener:', error);
+        }
+    });
+}
+
 // ========================================
 // MAP INTERACTIONS AND EVENTS
 // ========================================
@@ -301,34 +941,26 @@ function addGeoJSONToMap() {
 function addMapInteractions() {
     console.log('🖱️ Adding map interactions...');
     
-    // CLUSTER CLICK EVENT: Zoom to cluster when clicked
+    // CLUSTER CLICK EVENT: Zoom to cluster when clicked, or fan it out when zooming cannot split it
     map.on('click', 'clusters', function(e) {
         const features = map.queryRenderedFeatures(e.point, {
             layers: ['clusters']
         });
         
-        const clusterId = features[0].properties.cluster_id;
-        
-        // GET CLUSTER ZOOM: Calculate appropriate zoom level for cluster
-        map.getSource('ip-locations').getClusterExpansionZoom(
-            clusterId,
-            function(err, zoom) {
-                if (err) return;
-                
-                // ZOOM TO CLUSTER: Animate to cluster location
-                map.easeTo({
-                    center: features[0].geometry.coordinates,
-                    zoom: zoom
-                });
-            }
-        );
+        expandCluster(features[0].properties.cluster_id, features[0].geometry.coordinates);
     });
     
-    // POINT CLICK EVENT: Show popup when individual point is clicked
+    // POINT CLICK EVENT: Show popup when individual point is clicked, or fan out stacked points
     map.on('click', 'unclustered-point', function(e) {
         const coordinates = e.features[0].geometry.coordinates.slice();
         const properties = e.features[0].properties;
         
+        // STACKED POINTS: Several servers drawn on the same spot at high zoom
+        if (e.features.length > 1 && map.getZoom() >= SPIDERFY_MIN_ZOOM && areCoincident(e.features)) {
+            spiderfy(coordinates, e.features);
+            return;
+        }
+        
         // PREVENT COORDINATE WRAPPING: Handle map projection edge cases
         while (Math.abs(e.lngLat.lng - coordinates[0]) > 180) {
             coordinates[0] += e.lngLat.lng > coordinates[0] ? 360 : -360;
@@ -355,9 +987,46 @@ function addMapInteractions() {
         map.getCanvas().style.cursor = '';
     });
     
+    // HEXBIN EVENTS: Hexagon popups and regridding on zoom
+    addHexbinInteractions();
+    
+    // SPIDER EVENTS: Popups for fanned-out points, and closing the fan
+    addSpiderfyInteractions();
+    
+    // KEYBOARD EVENTS: Focus cycling through points and clusters, Enter and Escape
+    addKeyboardInteractions();
+    
     console.log('✅ Map interactions added successfully');
 }
 
+/**
+ * EXPAND CLUSTER: Zooms to where a cluster splits, or fans it out when zooming cannot split it
+ * @param {number} clusterId - cluster_id of the cluster feature
+ * @param {Array} center - [longitude, latitude] of the cluster
+ */
+async function expandCluster(clusterId, center) {
+    try {
+        // GET CLUSTER ZOOM: Calculate appropriate zoom level for cluster
+        const source = map.getSource('ip-locations');
+        const zoom = await source.getClusterExpansionZoom(clusterId);
+        
+        // SPIDERFY: Coincident members never split however far the map zooms, and at high zoom
+        // the cluster is fanned out in place rather than zoomed further
+        if (zoom > CLUSTER_MAX_ZOOM || map.getZoom() >= SPIDERFY_MIN_ZOOM) {
+            spiderfy(center, await source.getClusterLeaves(clusterId, Infinity, 0));
+            return;
+        }
+        
+        // ZOOM TO CLUSTER: Animate to cluster location
+        map.easeTo({
+            center: center,
+            zoom: zoom
+        });
+    } catch (error) {
+        console.error('❌ Error expanding cluster:', error);
+    }
+}
+
 // ========================================
 // POPUP CREATION AND MANAGEMENT
 // ========================================
@@ -366,40 +1035,74 @@ function addMapInteractions() {
  * CREATE POPUP: Creates and displays a popup with IP location information
  * @param {Array} coordinates - [longitude, latitude] coordinates for popup
  * @param {Object} properties - Feature properties containing IP data
+ * @param {Object} targetMap - Map to open the popup on (defaults to the main map)
  */
-function createPopup(coordinates, properties) {
+function createPopup(coordinates, properties, targetMap) {
     console.log('💬 Creating popup for IP:', properties.ip);
     
     try {
-        // FORMAT URL: Truncate long URLs for better display
-        const formattedUrl = properties.url.length > 50 
-            ? properties.url.substring(0, 50) + '...' 
-            : properties.url;
+        // AGGREGATE: Every request for this IP when the data came from HAR files
+        const aggregate = ipAggregates.get(properties.ip);
         
         // CREATE POPUP HTML: Build the popup content
         const popupHTML = `
             <div class="popup-content">
                 <h4 class="popup-title">🌍 IP Location Details</h4>
                 <div class="popup-info">
-                    <p><strong>📍 IP Address:</strong> ${properties.ip}</p>
-                    <p><strong>🗺️ Coordinates:</strong> ${coordinates[1].toFixed(4)}, ${coordinates[0].toFixed(4)}</p>
-                    <p><strong>🔗 Source URL:</strong></p>
-                    <a href="${properties.url}" target="_blank" class="popup-url" title="${properties.url}">
-                        ${formattedUrl}
-                    </a>
+                    ${createLocationHTML(properties, coordinates)}
+                    ${properties.organisation ? `
+                        <p><strong>🏢 Organisation:</strong> ${escapeHTML(properties.organisation)}${properties.asn ? ` (AS${escapeHTML(String(properties.asn))})` : ''}</p>
+                    ` : ''}
+                    ${properties.approximate ? `
+                        <p class="popup-warning">⚠️ Approximate location (${escapeHTML(properties.approximate)}) - the server is somewhere in this country or region, not at this point</p>
+                    ` : ''}
+                    ${aggregate ? createAggregateSummaryHTML(aggregate) : `
+                        <p><strong>🔗 Source URL:</strong></p>
+                        ${createURLLinkHTML(properties.url)}
+                    `}
+                    <div class="popup-request-list"></div>
                 </div>
             </div>
         `;
         
+        // ONE POPUP: Replace the popup already open on the main map
+        const isMainMap = !targetMap || targetMap === map;
+        if (isMainMap) {
+            closeSelectedPopup();
+        }
+        
         // DISPLAY POPUP: Create and show the popup on the map
-        new maplibregl.Popup({
+        const popup = new maplibregl.Popup({
             closeButton: true,
             closeOnClick: true,
-            maxWidth: '300px'
+            maxWidth: aggregate ? '360px' : '300px'
         })
         .setLngLat(coordinates)
         .setHTML(popupHTML)
-        .addTo(map);
+        .addTo(targetMap || map);
+        
+        // SELECTION: Remember the open popup so it can be stored in the permalink
+        if (isMainMap) {
+            selectedPopup = popup;
+            selectedIP = properties.ip;
+            popup.on('close', function() {
+                if (selectedPopup === popup) {
+                    selectedPopup = null;
+                    selectedIP = null;
+                    schedulePermalinkUpdate();
+                }
+            });
+            schedulePermalinkUpdate();
+        }
+        
+        // REQUEST LIST: All requests for this IP, one page at a time
+        if (aggregate) {
+            renderRequestPage(
+                popup.getElement().querySelector('.popup-request-list'),
+                aggregate.requests,
+                0
+            );
+        }
         
         console.log('✅ Popup created successfully');
         
@@ -408,6 +1111,15 @@ function createPopup(coordinates, properties) {
     }
 }
 
+/**
+ * CLOSE SELECTED POPUP: Closes the popup open on the main map, if any
+ */
+function closeSelectedPopup() {
+    if (selectedPopup) {
+        selectedPopup.remove(); // Fires 'close', which clears the selection
+    }
+}
+
 // ========================================
 // UI CONTROL FUNCTIONS
 // ========================================
@@ -421,10 +1133,10 @@ function updateIPCount(count) {
     if (countElement) {
         if (typeof count === 'number') {
             countElement.textContent = `📊 ${count} unique IP locations loaded`;
-            countElement.style.color = '#27ae60'; // Green color for success
+            setStatusColor(countElement, 'success');
         } else {
             countElement.textContent = count;
-            countElement.style.color = '#3498db'; // Blue color for info
+            setStatusColor(countElement, 'info');
         }
     }
 }
@@ -437,10 +1149,21 @@ function showErrorMessage(message) {
     const countElement = document.getElementById('ip-count');
     if (countElement) {
         countElement.textContent = `❌ Error: ${message}`;
-        countElement.style.color = '#e74c3c'; // Red color for errors
+        setStatusColor(countElement, 'error');
     }
 }
 
+/**
+ * SET STATUS COLOR: Colours a status message by its kind, from the current palette
+ * Success (📊) and error (❌) messages also start with their own emoji, so colour is not the only cue
+ * @param {HTMLElement} element - Status element
+ * @param {string} status - 'success', 'info' or 'error'
+ */
+function setStatusColor(element, status) {
+    element.dataset.status = status;
+    element.style.color = getPaletteColor(status, STATUS_COLORS[status]);
+}
+
 /**
  * CHANGE MAP STYLE: Changes the visual style of the map
  * @param {string} styleKey - Key for the style from mapStyles object
@@ -456,21 +1179,18 @@ function changeMapStyle(styleKey) {
             const currentPitch = map.getPitch();
             const currentBearing = map.getBearing();
             
-            // CHANGE STYLE: Apply new map style
-            map.setStyle(mapStyles[styleKey]);
+            // CHANGE STYLE: Apply new map style (no diff, so 'style.load' always fires and re-adds the overlays)
+            map.setStyle(mapStyles[styleKey], { diff: false });
+            currentStyleKey = styleKey;
+            resetBasemapErrors();
+            schedulePermalinkUpdate();
             
-            // RESTORE DATA: Re-add data after style change
-            map.once('styledata', function() {
-                // RESTORE VIEW: Return to previous view position
+            // RESTORE VIEW: Return to previous view position once the new style is in place
+            map.once('style.load', function() {
                 map.setCenter(currentCenter);
                 map.setZoom(currentZoom);
                 map.setPitch(currentPitch);
                 map.setBearing(currentBearing);
-                
-                // RE-ADD DATA: Add IP location data to new style
-                if (ipLocationData) {
-                    addGeoJSONToMap();
-                }
             });
             
             console.log('✅ Map style changed successfully');
@@ -526,6 +1246,22 @@ function setupEventListeners() {
         });
     }
     
+    // DISPLAY MODE SELECTOR: Clusters, points, heatmap or hexagons
+    const displaySelector = document.getElementById('display-mode');
+    if (displaySelector) {
+        displaySelector.addEventListener('change', function(e) {
+            setDisplayMode(e.target.value);
+        });
+    }
+    
+    // CIRCLE SIZE SELECTOR: Scale circles by request count or bytes
+    const sizeSelector = document.getElementById('size-metric');
+    if (sizeSelector) {
+        sizeSelector.addEventListener('change', function(e) {
+            setCircleSizeMetric(e.target.value);
+        });
+    }
+    
     // ZOOM IN BUTTON: Increase map zoom level
     const zoomInBtn = document.getElementById('zoom-in');
     if (zoomInBtn) {
@@ -554,6 +1290,9 @@ function setupEventListeners() {
         resetViewBtn.addEventListener('click', resetMapView);
     }
     
+    // HAR IMPORT: File picker and drag-and-drop onto the map
+    setupHARImport();
+    
     console.log('✅ Event listeners setup completed');
 }
 
@@ -0,0 +1,457 @@
+// ========================================
+// NETWORK CONFIGURATION
+// ========================================
+
+/* NETWORK PRESET: OSMnx subway graph from Assignment 04 (needs the repository root served) */
+const NETWORK_PRESET = {
+    label: 'Manhattan subway',
+    path: 'Assignment 04 - Networks/manhattan_subway.graphml'
+};
+
+/* NETWORK COLORS: Edges, nodes, the origin/destination and the route */
+const NETWORK_COLORS = {
+    edge: '#7f8c8d',
+    node: '#34495e',
+    origin: '#27ae60',
+    destination: '#c0392b',
+    route: '#e67e22'
+};
+
+/* NETWORK STATE: Loaded network, picked stations and the current route */
+const networkState = {
+    label: null,
+    graph: null, // Result of parseGraphML()
+    geojson: null, // { nodes, edges } from graphToGeoJSON()
+    nodeIndex: new Map(), // Node ID -> index in graph.nodes
+    nodeLines: new Map(), // Node ID -> names of the edges meeting there
+    origin: null, // Node index
+    destination: null, // Node index
+    route: null, // { distance, nodes, edges } from the routing worker
+    routeRequest: 0,
+    interactionsAdded: false
+};
+
+/* ROUTING WORKER: Created with the first network */
+let routingWorker = null;
+
+// ========================================
+// LOADING
+// ========================================
+
+/**
+ * IS NETWORK FILE: Whether a file is a GraphML network
+ * @param {File} file - Dropped or chosen file
+ * @returns {boolean} True for .graphml files
+ */
+function isNetworkFile(file) {
+    return /\.graphml$/i.test(file.name);
+}
+
+/**
+ * IMPORT NETWORK FILE: Reads a GraphML file and shows it as the network
+ * @param {File} file - .graphml file
+ */
+async function importNetworkFile(file) {
+    try {
+        loadNetwork(file.name.replace(/\.graphml$/i, ''), await file.text());
+    } catch (error) {
+        console.error('❌ Error loading network:', error);
+        showErrorMessage(`Failed to load ${file.name}: ${error.message}`);
+    }
+}
+
+/**
+ * LOAD NETWORK PRESET: Fetches the Assignment 04 subway graph
+ */
+async function loadNetworkPreset() {
+    try {
+        const response = await fetch(PROJECT_DATASET_ROOT + NETWORK_PRESET.path);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        loadNetwork(NETWORK_PRESET.label, await response.text());
+    } catch (error) {
+        console.error('❌ Error loading network:', error);
+        showErrorMessage(`Could not fetch ${NETWORK_PRESET.path} (${error.message}) - serve the repository root to load it.`);
+    }
+}
+
+/**
+ * LOAD NETWORK: Parses GraphML, draws its nodes and edges and hands the graph to the routing worker
+ * @param {string} label - Network name
+ * @param {string} text - GraphML XML
+ */
+function loadNetwork(label, text) {
+    const graph = parseGraphML(text);
+    const geojson = graphToGeoJSON(graph);
+
+    networkState.label = label;
+    networkState.graph = graph;
+    networkState.geojson = geojson;
+    networkState.nodeIndex = new Map(graph.nodes.map(function(node, index) { return [node.id, index]; }));
+    networkState.nodeLines = new Map();
+    graph.edges.forEach(function(edge) {
+        if (!edge.attributes.name) return;
+        [edge.source, edge.target].forEach(function(id) {
+            if (!networkState.nodeLines.has(id)) networkState.nodeLines.set(id, new Set());
+            networkState.nodeLines.get(id).add(edge.attributes.name);
+        });
+    });
+    clearRoute();
+
+    sendGraphToWorker(graph, geojson);
+
+    // OVERLAY: Replaces the previous network
+    unregisterOverlay('network');
+    registerOverlay('network', {
+        label: `Network: ${label}`,
+        sources: {
+            'network-edges': function() { return { type: 'geojson', data: networkState.geojson.edges }; },
+            'network-nodes': function() { return { type: 'geojson', data: networkState.geojson.nodes }; },
+            'network-route': function() { return { type: 'geojson', data: createRouteGeoJSON() }; }
+        },
+        layers: createNetworkLayers,
+        below: 'flow-lines'
+    });
+    addNetworkInteractions();
+
+    map.fitBounds(getDatasetBounds(geojson.edges.features.length > 0 ? geojson.edges : geojson.nodes), { padding: 40 });
+    networkControl.update();
+
+    console.log(`✅ Loaded network "${label}": ${geojson.nodes.features.length} nodes, ${geojson.edges.features.length} edges`);
+}
+
+// ========================================
+// ROUTING
+// ========================================
+
+/**
+ * GET EDGE LENGTH: Edge length in metres, from its length attribute or its geometry
+ * @param {Object} edge - Parsed GraphML edge
+ * @param {Object} feature - The edge's GeoJSON feature (optional)
+ * @returns {number} Length in metres
+ */
+function getEdgeLength(edge, feature) {
+    const length = parseFloat(edge.attributes.length);
+    if (Number.isFinite(length)) return length;
+    return feature ? getLineLengthKm(feature.geometry) * 1000 : 0;
+}
+
+/**
+ * IS EDGE REVERSIBLE: Whether an edge can also be travelled from target to source
+ * A oneway attribute decides if present, otherwise the graph's edge direction does
+ * @param {Object} edge - Parsed GraphML edge
+ * @returns {boolean} True when the edge can be travelled backwards
+ */
+function isEdgeReversible(edge) {
+    if (edge.attributes.oneway !== undefined) {
+        return !isTrueAttribute(edge.attributes.oneway);
+    }
+    return !edge.directed;
+}
+
+/**
+ * SEND GRAPH TO WORKER: Node indexes, lengths and directions for the routing worker
+ * @param {Object} graph - Result of parseGraphML()
+ * @param {Object} geojson - Result of graphToGeoJSON(), for edges without a length attribute
+ */
+function sendGraphToWorker(graph, geojson) {
+    if (!routingWorker) {
+        routingWorker = new Worker('routing-worker.js');
+        routingWorker.onmessage = handleRoutingMessage;
+        routingWorker.onerror = function(e) {
+            console.error('❌ Routing worker error:', e.message);
+            showErrorMessage(`Routing failed: ${e.message}`);
+        };
+    }
+
+    const features = new Map(geojson.edges.features.map(function(feature) { return [feature.id, feature]; }));
+    const edges = [];
+    graph.edges.forEach(function(edge, index) {
+        const source = networkState.nodeIndex.get(edge.source);
+        const target = networkState.nodeIndex.get(edge.target);
+        if (source === undefined || target === undefined) return;
+
+        edges.push({
+            id: index,
+            source: source,
+            target: target,
+            length: getEdgeLength(edge, features.get(index)),
+            backward: isEdgeReversible(edge)
+        });
+    });
+
+    routingWorker.postMessage({ type: 'graph', nodeCount: graph.nodes.length, edges: edges });
+}
+
+/**
+ * REQUEST ROUTE: Asks the worker for the shortest path between the picked stations
+ */
+function requestRoute() {
+    if (networkState.origin === null || networkState.destination === null) return;
+
+    networkState.routeRequest++;
+    routingWorker.postMessage({
+        type: 'route',
+        requestId: networkState.routeRequest,
+        origin: networkState.origin,
+        destination: networkState.destination
+    });
+    networkControl.update('Routing...');
+}
+
+/**
+ * HANDLE ROUTING MESSAGE: Shows a route from the worker, ignoring answers to older requests
+ * @param {MessageEvent} e - Worker message
+ */
+function handleRoutingMessage(e) {
+    const message = e.data;
+    if (message.type !== 'route' || message.requestId !== networkState.routeRequest) return;
+
+    networkState.route = message.distance === null ? null : message;
+    updateNetworkSelection();
+    networkControl.update(message.distance === null ? 'No path between these nodes (not connected, or only against oneway edges)' : null);
+}
+
+/**
+ * CREATE ROUTE GEOJSON: Edges of the current route
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function createRouteGeoJSON() {
+    if (!networkState.route || !networkState.geojson) {
+        return { type: 'FeatureCollection', features: [] };
+    }
+
+    const features = new Map(networkState.geojson.edges.features.map(function(feature) { return [feature.id, feature]; }));
+    return {
+        type: 'FeatureCollection',
+        features: networkState.route.edges.map(function(id) { return features.get(id); }).filter(Boolean)
+    };
+}
+
+/**
+ * CLEAR ROUTE: Forgets the picked stations and the route
+ */
+function clearRoute() {
+    networkState.origin = null;
+    networkState.destination = null;
+    networkState.route = null;
+    networkState.routeRequest++;
+    updateNetworkSelection();
+}
+
+/**
+ * PICK NETWORK NODE: First click sets the origin, second the destination, a third starts over
+ * @param {number} index - Node index in graph.nodes
+ */
+function pickNetworkNode(index) {
+    if (networkState.origin === null || networkState.destination !== null) {
+        clearRoute();
+        networkState.origin = index;
+    } else {
+        networkState.destination = index;
+    }
+
+    updateNetworkSelection();
+    networkControl.update();
+    requestRoute();
+}
+
+// ========================================
+// NETWORK LAYERS
+// ========================================
+
+/**
+ * GET SELECTED NODE FILTER: Matches the node at an index, or nothing
+ * @param {number|null} index - Node index
+ * @returns {Array} MapLibre filter expression
+ */
+function getSelectedNodeFilter(index) {
+    return ['==', ['id'], index === null ? -1 : index];
+}
+
+/**
+ * CREATE NETWORK LAYERS: Edges, route, nodes and the picked stations
+ * @returns {Array<Object>} Layer specifications
+ */
+function createNetworkLayers() {
+    return [
+        {
+            id: 'network-edges',
+            type: 'line',
+            source: 'network-edges',
+            layout: { 'line-cap': 'round', 'line-join': 'round' },
+            paint: { 'line-color': NETWORK_COLORS.edge, 'line-width': 2, 'line-opacity': 0.8 }
+        },
+        {
+            id: 'network-route',
+            type: 'line',
+            source: 'network-route',
+            layout: { 'line-cap': 'round', 'line-join': 'round' },
+            paint: { 'line-color': NETWORK_COLORS.route, 'line-width': 6 }
+        },
+        {
+            id: 'network-nodes',
+            type: 'circle',
+            source: 'network-nodes',
+            paint: {
+                'circle-color': NETWORK_COLORS.node,
+                'circle-radius': ['interpolate', ['linear'], ['zoom'], 10, 2, 16, 6],
+                'circle-stroke-width': 1,
+                'circle-stroke-color': '#fff'
+            }
+        },
+        {
+            id: 'network-origin',
+            type: 'circle',
+            source: 'network-nodes',
+            filter: getSelectedNodeFilter(networkState.origin),
+            paint: { 'circle-color': getPaletteColor('success', NETWORK_COLORS.origin), 'circle-radius': 9, 'circle-stroke-width': 2, 'circle-stroke-color': '#fff' }
+        },
+        {
+            id: 'network-destination',
+            type: 'circle',
+            source: 'network-nodes',
+            filter: getSelectedNodeFilter(networkState.destination),
+            paint: { 'circle-color': getPaletteColor('error', NETWORK_COLORS.destination), 'circle-radius': 9, 'circle-stroke-width': 2, 'circle-stroke-color': '#fff' }
+        }
+    ];
+}
+
+/**
+ * UPDATE NETWORK SELECTION: Shows the picked stations and the route on the map
+ */
+function updateNetworkSelection() {
+    if (!map || !map.getLayer('network-origin')) return;
+
+    map.setFilter('network-origin', getSelectedNodeFilter(networkState.origin));
+    map.setFilter('network-destination', getSelectedNodeFilter(networkState.destination));
+    map.getSource('network-route').setData(createRouteGeoJSON());
+}
+
+/**
+ * GET NODE LABEL: Node type and the lines meeting there
+ * @param {number} index - Node index
+ * @returns {string} Label such as 'switch · IND Eighth Avenue Line'
+ */
+function getNodeLabel(index) {
+    const node = networkState.graph.nodes[index];
+    const lines = Array.from(networkState.nodeLines.get(node.id) || []);
+    const type = node.attributes.railway || node.attributes.highway || `Node ${node.id}`;
+    return lines.length > 0 ? `${type} · ${lines.join(', ')}` : type;
+}
+
+/**
+ * ADD NETWORK INTERACTIONS: Click a node to pick it, hover for its label
+ * Layer events survive style changes, so they are added once
+ */
+function addNetworkInteractions() {
+    if (networkState.interactionsAdded) return;
+    networkState.interactionsAdded = true;
+
+    const tooltip = new maplibregl.Popup({ closeButton: false, closeOnClick: false, className: 'overlay-tooltip', offset: 10 });
+
+    map.on('click', 'network-nodes', function(e) {
+        pickNetworkNode(e.features[0].id);
+    });
+
+    map.on('mousemove', 'network-nodes', function(e) {
+        map.getCanvas().style.cursor = 'pointer';
+        tooltip.setLngLat(e.features[0].geometry.coordinates)
+            .setHTML(escapeHTML(getNodeLabel(e.features[0].id)))
+            .addTo(map);
+    });
+
+    map.on('mouseleave', 'network-nodes', function() {
+        map.getCanvas().style.cursor = '';
+        tooltip.remove();
+    });
+}
+
+// ========================================
+// NETWORK CONTROL
+// ========================================
+
+/**
+ * NETWORK CONTROL: Map control to load a GraphML network and show the picked route
+ */
+class NetworkControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel network-panel';
+        this.container.innerHTML = `
+            <details>
+                <summary class="map-panel-title">🚇 Network routing</summary>
+                <div class="map-panel-body">
+                    <label class="overlay-file-button">
+                        📂 GraphML network
+                        <input type="file" data-role="file" accept=".graphml">
+                    </label>
+                    <button type="button" data-role="preset">➕ ${escapeHTML(NETWORK_PRESET.label)}</button>
+                    <div data-role="summary" class="network-summary"></div>
+                    <button type="button" data-role="clear">Clear route</button>
+                </div>
+            </details>
+        `;
+
+        const element = (role) => this.container.querySelector(`[data-role="${role}"]`);
+        this.summary = element('summary');
+        this.clearButton = element('clear');
+
+        element('file').addEventListener('change', function(e) {
+            if (e.target.files[0]) importNetworkFile(e.target.files[0]);
+            e.target.value = ''; // Allow the same file to be picked again
+        });
+        element('preset').addEventListener('click', loadNetworkPreset);
+        this.clearButton.addEventListener('click', function() {
+            clearRoute();
+            networkControl.update();
+        });
+
+        this.update();
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * UPDATE: Network size, picked stations and route distance
+     * @param {string} status - Message shown instead of the distance (optional)
+     */
+    update(status) {
+        if (!this.summary) return;
+
+        if (!networkState.graph) {
+            this.summary.innerHTML = '<p>Load a network, then click an origin and a destination node.</p>';
+            this.clearButton.disabled = true;
+            return;
+        }
+
+        const station = function(index, fallback) {
+            return index === null ? `<em>${fallback}</em>` : escapeHTML(getNodeLabel(index));
+        };
+        const route = networkState.route;
+
+        this.summary.innerHTML = `
+            <p><strong>${escapeHTML(networkState.label)}</strong>: ${networkState.geojson.nodes.features.length} nodes, ${networkState.geojson.edges.features.length} edges</p>
+            <p><span class="network-swatch" style="background: ${getPaletteColor('success', NETWORK_COLORS.origin)}"></span> ${station(networkState.origin, 'click an origin node')}</p>
+            <p><span class="network-swatch" style="background: ${getPaletteColor('error', NETWORK_COLORS.destination)}"></span> ${station(networkState.destination, 'click a destination node')}</p>
+            ${status ? `<p>${escapeHTML(status)}</p>`
+                : route ? `<p><strong>📏 ${(route.distance / 1000).toFixed(2)} km</strong> over ${route.edges.length} edges</p>`
+                : ''}
+        `;
+        this.clearButton.disabled = networkState.origin === null;
+    }
+}
+
+/* NETWORK CONTROL: Single network control instance added to the map */
+const networkControl = new NetworkControl();
+
+/* PALETTE: Origin and destination swatches follow the colour palette */
+onPaletteChange(function() {
+    networkControl.update();
+});
@@ -0,0 +1,125 @@
+// ========================================
+// OFFLINE STYLE
+// ========================================
+
+/* OFFLINE SPRITE: Bundled sprite sheet (MapLibre needs an absolute sprite URL) */
+const OFFLINE_SPRITE_URL = new URL('offline/sprite', document.baseURI).href;
+
+/* OFFLINE COLORS: Light palette so the server categories stand out */
+const OFFLINE_COLORS = {
+    background: '#dde3e6',
+    earth: '#f4f2ee',
+    water: '#a9cbe0',
+    park: '#dcead3',
+    urban: '#ebe7e1',
+    road: '#ffffff',
+    highway: '#f7d9a8',
+    roadCasing: '#d6d1ca',
+    boundary: '#9a8fa7',
+    label: '#55606b',
+    labelHalo: '#ffffff'
+};
+
+/**
+ * CREATE OFFLINE STYLE: Vector style for a Protomaps basemap archive (earth, water, landuse, roads, boundaries, places)
+ * Glyphs and sprites are read from the offline folder, so the style needs no network access
+ * @param {string} archiveUrl - Tile archive URL, relative to the page
+ * @returns {Object} MapLibre style
+ */
+function createOfflineStyle(archiveUrl) {
+    const layer = function(id, type, sourceLayer, definition) {
+        return Object.assign({ id: id, type: type, source: 'basemap', 'source-layer': sourceLayer }, definition);
+    };
+
+    return {
+        "version": 8,
+        "glyphs": LOCAL_GLYPHS_URL,
+        "sprite": OFFLINE_SPRITE_URL,
+        "sources": {
+            "basemap": {
+                "type": "vector",
+                "url": `${TILE_ARCHIVE_PROTOCOL}://${archiveUrl}`,
+                "attribution": "© OpenStreetMap contributors, Protomaps"
+            }
+        },
+        "layers": [
+            { id: 'background', type: 'background', paint: { 'background-color': OFFLINE_COLORS.background } },
+
+            // LAND AND WATER
+            layer('earth', 'fill', 'earth', { paint: { 'fill-color': OFFLINE_COLORS.earth } }),
+            layer('landuse-park', 'fill', 'landuse', {
+                filter: ['in', ['get', 'kind'], ['literal', ['park', 'nature_reserve', 'forest', 'wood', 'national_park']]],
+                paint: { 'fill-color': OFFLINE_COLORS.park }
+            }),
+            layer('landuse-urban', 'fill', 'landuse', {
+                filter: ['in', ['get', 'kind'], ['literal', ['residential', 'commercial', 'industrial']]],
+                paint: { 'fill-color': OFFLINE_COLORS.urban }
+            }),
+            layer('water', 'fill', 'water', { paint: { 'fill-color': OFFLINE_COLORS.water } }),
+
+            // ROADS: Casing under the road lines, wider with zoom
+            layer('roads-casing', 'line', 'roads', {
+                filter: ['in', ['get', 'kind'], ['literal', ['highway', 'major_road']]],
+                minzoom: 7,
+                layout: { 'line-cap': 'round', 'line-join': 'round' },
+                paint: {
+                    'line-color': OFFLINE_COLORS.roadCasing,
+                    'line-width': ['interpolate', ['exponential', 1.6], ['zoom'], 7, 1.5, 16, 14]
+                }
+            }),
+            layer('roads-minor', 'line', 'roads', {
+                filter: ['==', ['get', 'kind'], 'minor_road'],
+                minzoom: 11,
+                paint: {
+                    'line-color': OFFLINE_COLORS.road,
+                    'line-width': ['interpolate', ['exponential', 1.6], ['zoom'], 11, 0.5, 16, 6]
+                }
+            }),
+            layer('roads-major', 'line', 'roads', {
+                filter: ['in', ['get', 'kind'], ['literal', ['highway', 'major_road']]],
+                layout: { 'line-cap': 'round', 'line-join': 'round' },
+                paint: {
+                    'line-color': ['match', ['get', 'kind'], 'highway', OFFLINE_COLORS.highway, OFFLINE_COLORS.road],
+                    'line-width': ['interpolate', ['exponential', 1.6], ['zoom'], 4, 0.5, 16, 12]
+                }
+            }),
+
+            // BOUNDARIES
+            layer('boundaries-region', 'line', 'boundaries', {
+                filter: ['==', ['get', 'kind'], 'region'],
+                minzoom: 3,
+                paint: { 'line-color': OFFLINE_COLORS.boundary, 'line-width': 0.6, 'line-dasharray': [3, 2] }
+            }),
+            layer('boundaries-country', 'line', 'boundaries', {
+                filter: ['==', ['get', 'kind'], 'country'],
+                paint: { 'line-color': OFFLINE_COLORS.boundary, 'line-width': ['interpolate', ['linear'], ['zoom'], 0, 0.6, 8, 2] }
+            }),
+
+            // PLACE LABELS: Countries at low zoom, towns and cities with a dot from the bundled sprite
+            layer('places-country', 'symbol', 'places', {
+                filter: ['==', ['get', 'kind'], 'country'],
+                layout: {
+                    'text-field': ['get', 'name'],
+                    'text-font': LABEL_FONT,
+                    'text-size': ['interpolate', ['linear'], ['zoom'], 2, 10, 6, 14],
+                    'text-max-width': 8
+                },
+                paint: { 'text-color': OFFLINE_COLORS.label, 'text-halo-color': OFFLINE_COLORS.labelHalo, 'text-halo-width': 1.2 }
+            }),
+            layer('places-locality', 'symbol', 'places', {
+                filter: ['==', ['get', 'kind'], 'locality'],
+                minzoom: 4,
+                layout: {
+                    'icon-image': 'town-dot',
+                    'text-field': ['get', 'name'],
+                    'text-font': LABEL_FONT,
+                    'text-size': 11,
+                    'text-anchor': 'left',
+                    'text-offset': [0.6, 0],
+                    'symbol-sort-key': ['get', 'min_zoom']
+                },
+                paint: { 'text-color': OFFLINE_COLORS.label, 'text-halo-color': OFFLINE_COLORS.labelHalo, 'text-halo-width': 1.2 }
+            })
+        ]
+    };
+}
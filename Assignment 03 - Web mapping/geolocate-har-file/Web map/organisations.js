@@ -0,0 +1,379 @@
+// ========================================
+// ORGANISATION CONFIGURATION
+// ========================================
+
+/* ASN TABLE URL: Local prefix -> ASN table (network,asn,organisation) */
+const ASN_TABLE_URL = '../inputs/ip-asn.csv';
+
+/* ORGANISATION GROUPS: Hosting organisations with their own colour, matched on the ASN organisation name */
+const ORGANISATION_GROUPS = {
+    'google': { label: 'Google', color: '#4e79a7', pattern: /google|youtube/i },
+    'amazon': { label: 'Amazon', color: '#f28e2b', pattern: /amazon|\baws\b/i },
+    'cloudflare': { label: 'Cloudflare', color: '#e15759', pattern: /cloudflare/i },
+    'meta': { label: 'Meta', color: '#76b7b2', pattern: /facebook|meta platforms/i },
+    'akamai': { label: 'Akamai', color: '#59a14f', pattern: /akamai/i },
+    'microsoft': { label: 'Microsoft', color: '#edc948', pattern: /microsoft/i },
+    'fastly': { label: 'Fastly', color: '#b07aa1', pattern: /fastly/i },
+    'other': { label: 'Other', color: '#9c755f', pattern: null },
+    'unknown': { label: 'Unknown', color: '#bab0ac', pattern: null }
+};
+
+/* ORGANISATION STAT COLUMNS: Ranking table columns, sortable by clicking their header */
+const ORGANISATION_STAT_COLUMNS = [
+    { key: 'name', label: 'Organisation' },
+    { key: 'ipCount', label: 'IPs' },
+    { key: 'hostCount', label: 'Hosts' },
+    { key: 'requestCount', label: 'Requests' }
+];
+
+/* ASN TABLE: Prefix table loaded once by loadASNTable(), same layout as the range database */
+let asnTable = null;
+let asnTablePromise = null;
+
+/* ORGANISATION STATE: Ranking rows, sort order and the organisation the map is filtered to */
+const organisationState = {
+    stats: [],
+    sortColumn: 'requestCount',
+    sortDescending: true,
+    selected: null // Organisation name, or null for all servers
+};
+
+// ========================================
+// ASN TABLE
+// ========================================
+
+/**
+ * PARSE ASN TABLE: Reads a CSV prefix -> ASN table into a lookup table for lookupRange()
+ * Expected header: network,asn,organisation (cidr/prefix, as_number and org/as_name are accepted too)
+ * @param {string} text - CSV file contents
+ * @returns {Object} { 4: Map<prefix, Map<network, record>>, 6: ..., size }
+ */
+function parseASNTable(text) {
+    const lines = text.split(/\r?\n/).filter(function(line) {
+        return line.trim() && !line.startsWith('#');
+    });
+    if (lines.length === 0) {
+        throw new Error('ASN table is empty');
+    }
+
+    // HEADER: Map column names to indexes
+    const header = parseCSVLine(lines[0]).map(function(name) {
+        return name.trim().toLowerCase();
+    });
+    const column = function(...names) {
+        return header.findIndex(function(name) { return names.includes(name); });
+    };
+    const columns = {
+        network: column('network', 'cidr', 'prefix'),
+        asn: column('asn', 'as_number'),
+        organisation: column('organisation', 'organization', 'org', 'as_name')
+    };
+
+    if (columns.network < 0 || columns.asn < 0) {
+        throw new Error('ASN table header must include network and asn columns');
+    }
+
+    const table = { 4: new Map(), 6: new Map(), size: 0 };
+
+    lines.slice(1).forEach(function(line, index) {
+        const fields = parseCSVLine(line);
+        const range = parseCIDR(fields[columns.network] || '');
+        const asn = Number(String(fields[columns.asn] || '').trim().replace(/^AS/i, ''));
+
+        if (!range || !Number.isInteger(asn) || asn <= 0) {
+            console.warn(`Skipping invalid ASN table row ${index + 2}: ${line}`);
+            return;
+        }
+
+        // GROUP BY PREFIX: One map per prefix length for longest-prefix matching
+        const prefixes = table[range.version];
+        if (!prefixes.has(range.prefix)) {
+            prefixes.set(range.prefix, new Map());
+        }
+        prefixes.get(range.prefix).set(range.network, {
+            asn: asn,
+            organisation: columns.organisation >= 0 ? (fields[columns.organisation] || '').trim() : ''
+        });
+        table.size++;
+    });
+
+    return table;
+}
+
+/**
+ * LOAD ASN TABLE: Fetches and parses the ASN table (only once)
+ * A missing or broken table leaves every server's organisation unknown
+ * @returns {Promise<Object|null>} Parsed table, or null when it could not be loaded
+ */
+function loadASNTable() {
+    if (!asnTablePromise) {
+        asnTablePromise = fetch(ASN_TABLE_URL)
+            .then(function(response) {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
+                }
+                return response.text();
+            })
+            .then(function(text) {
+                asnTable = parseASNTable(text);
+                console.log(`✅ Loaded ${asnTable.size} ASN prefixes`);
+                return asnTable;
+            })
+            .catch(function(error) {
+                console.warn(`⚠️ Could not load ${ASN_TABLE_URL}, organisations will be unknown:`, error.message);
+                return asnTable;
+            });
+    }
+    return asnTablePromise;
+}
+
+// ========================================
+// ENRICHMENT
+// ========================================
+
+/**
+ * GET ORGANISATION GROUP: Colour group of an organisation name
+ * @param {string|null} organisation - ASN organisation name
+ * @returns {string} ORGANISATION_GROUPS key
+ */
+function getOrganisationGroup(organisation) {
+    if (!organisation) return 'unknown';
+
+    const group = Object.keys(ORGANISATION_GROUPS).find(function(key) {
+        const pattern = ORGANISATION_GROUPS[key].pattern;
+        return pattern && pattern.test(organisation);
+    });
+    return group || 'other';
+}
+
+/**
+ * LOOKUP ORGANISATION: ASN and organisation of an IP from the loaded ASN table
+ * @param {string} ip - IP address
+ * @returns {Object|null} { asn, organisation }, or null when the table has no matching prefix
+ */
+function lookupOrganisation(ip) {
+    const address = parseIPAddress(ip);
+    if (!asnTable || !address) return null;
+    return lookupRange(asnTable, address);
+}
+
+/**
+ * ENRICH ORGANISATIONS: Adds asn, organisation and orgGroup properties to server features
+ * Features that already carry an organisation (e.g. from a pre-built file) keep it
+ * @param {Array<Object>} features - GeoJSON point features with an ip property
+ */
+function enrichOrganisations(features) {
+    features.forEach(function(feature) {
+        const properties = feature.properties;
+
+        if (!properties.organisation) {
+            const match = lookupOrganisation(properties.ip);
+            properties.asn = match ? match.asn : null;
+            properties.organisation = match ? (match.organisation || `AS${match.asn}`) : null;
+        }
+        properties.orgGroup = getOrganisationGroup(properties.organisation);
+    });
+}
+
+/* ORGANISATION COLOR MODE: Points and clusters coloured by hosting organisation */
+registerPointColorMode('organisation', {
+    label: 'Organisation',
+    property: 'orgGroup',
+    colors: Object.fromEntries(Object.keys(ORGANISATION_GROUPS).map(function(group) {
+        return [group, ORGANISATION_GROUPS[group].color];
+    })),
+    labels: Object.fromEntries(Object.keys(ORGANISATION_GROUPS).map(function(group) {
+        return [group, ORGANISATION_GROUPS[group].label];
+    })),
+    fallback: ORGANISATION_GROUPS.unknown.color,
+    neutral: 'unknown'
+});
+
+// ========================================
+// ORGANISATION STATISTICS
+// ========================================
+
+/**
+ * UPDATE ORGANISATION STATISTICS: Ranks the organisations of the shown servers
+ * The organisation filter itself is left out, so every organisation stays in the list while one is selected
+ */
+function updateOrganisationStatistics() {
+    const stats = new Map();
+
+    if (ipLocationData) {
+        getVisibleIPLocationData(['organisation']).features.forEach(function(feature) {
+            const properties = feature.properties;
+            const name = properties.organisation || '';
+
+            if (!stats.has(name)) {
+                stats.set(name, {
+                    name: name,
+                    group: properties.orgGroup || getOrganisationGroup(name),
+                    asns: new Set(),
+                    ips: new Set(),
+                    hosts: new Set(),
+                    requestCount: 0
+                });
+            }
+
+            // HOSTS: Every host of the IP when the data came from HAR files, else the one in the file
+            const row = stats.get(name);
+            const aggregate = ipAggregates.get(properties.ip);
+            if (properties.asn) row.asns.add(properties.asn);
+            row.ips.add(properties.ip);
+            (aggregate ? aggregate.hosts : [properties.host || getHostname(properties.url || '')]).forEach(function(host) {
+                if (host) row.hosts.add(host);
+            });
+            row.requestCount += properties.requestCount || 1;
+        });
+    }
+
+    organisationState.stats = Array.from(stats.values()).map(function(row) {
+        return {
+            name: row.name,
+            group: row.group,
+            asns: Array.from(row.asns).sort(function(a, b) { return a - b; }),
+            ipCount: row.ips.size,
+            hostCount: row.hosts.size,
+            requestCount: row.requestCount
+        };
+    });
+
+    organisationPanel.update();
+}
+
+/**
+ * SELECT ORGANISATION: Filters the map to the servers of one organisation
+ * @param {string|null} name - Organisation name ('' for unknown), or null to show all
+ */
+function selectOrganisation(name) {
+    organisationState.selected = name;
+
+    setFeatureFilter('organisation', name === null ? null : function(feature) {
+        return (feature.properties.organisation || '') === name;
+    });
+    organisationPanel.update();
+}
+
+// ========================================
+// ORGANISATION PANEL
+// ========================================
+
+/**
+ * ORGANISATION PANEL CONTROL: Organisations ranked by IPs, hosts and requests
+ */
+class OrganisationPanelControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel organisation-panel';
+        this.container.innerHTML = `
+            <details>
+                <summary class="map-panel-title">🏢 Organisations</summary>
+                <div class="map-panel-body">
+                    <label class="map-panel-row">
+                        <input type="checkbox" data-role="color">
+                        Colour points by organisation
+                    </label>
+                    <div class="region-table-wrapper">
+                        <table class="region-table organisation-table">
+                            <thead><tr>${ORGANISATION_STAT_COLUMNS.map(function(column) {
+                                return `<th><button type="button" data-sort="${column.key}">${column.label}</button></th>`;
+                            }).join('')}</tr></thead>
+                            <tbody data-role="rows"></tbody>
+                        </table>
+                    </div>
+                </div>
+            </details>
+        `;
+
+        const element = (role) => this.container.querySelector(`[data-role="${role}"]`);
+        this.colorCheckbox = element('color');
+        this.rows = element('rows');
+        this.headers = this.container.querySelectorAll('[data-sort]');
+
+        this.colorCheckbox.addEventListener('change', function(e) {
+            setPointColorMode(e.target.checked ? 'organisation' : 'category');
+        });
+
+        // SORTING: Clicking the sorted column again reverses it
+        this.headers.forEach(function(header) {
+            header.addEventListener('click', function() {
+                const column = header.dataset.sort;
+                organisationState.sortDescending = column === organisationState.sortColumn ? !organisationState.sortDescending : column !== 'name';
+                organisationState.sortColumn = column;
+                organisationPanel.update();
+            });
+        });
+
+        this.rows.addEventListener('click', function(e) {
+            const row = e.target.closest('tr[data-organisation]');
+            if (!row) return;
+            const name = row.dataset.organisation;
+            selectOrganisation(name === organisationState.selected ? null : name);
+        });
+
+        this.update();
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * UPDATE: Colour toggle and the sorted ranking rows
+     */
+    update() {
+        if (!this.rows) return;
+
+        this.colorCheckbox.checked = pointColorMode === 'organisation';
+
+        this.headers.forEach(function(header) {
+            const sorted = header.dataset.sort === organisationState.sortColumn;
+            header.closest('th').setAttribute('aria-sort', sorted ? (organisationState.sortDescending ? 'descending' : 'ascending') : 'none');
+            header.classList.toggle('sorted', sorted);
+        });
+
+        const column = organisationState.sortColumn;
+        const direction = organisationState.sortDescending ? -1 : 1;
+        const rows = organisationState.stats.slice().sort(function(a, b) {
+            return (column === 'name' ? a.name.localeCompare(b.name) : a[column] - b[column]) * direction;
+        });
+
+        this.rows.innerHTML = rows.length === 0
+            ? '<tr><td colspan="4">No servers shown.</td></tr>'
+            : rows.map(function(row) {
+                const asns = row.asns.map(function(asn) { return `AS${asn}`; }).join(', ');
+                return `
+                    <tr data-organisation="${escapeHTML(row.name)}" class="${row.name === organisationState.selected ? 'selected' : ''}" title="${escapeHTML(asns)}">
+                        <td>
+                            <span class="category-swatch" style="background: ${pointColorModes.get('organisation').colors[row.group]}"></span>
+                            ${escapeHTML(row.name || 'Unknown (no ASN match)')}
+                        </td>
+                        <td>${row.ipCount}</td>
+                        <td>${row.hostCount}</td>
+                        <td>${row.requestCount}</td>
+                    </tr>
+                `;
+            }).join('');
+    }
+}
+
+/* ORGANISATION PANEL: Single organisation panel instance added to the map */
+const organisationPanel = new OrganisationPanelControl();
+
+/* LIVE STATISTICS: Re-rank whenever the visible servers change */
+onVisibleDataChange(updateOrganisationStatistics);
+
+/* PALETTE: Swatches follow the colour palette */
+onPaletteChange(function() {
+    organisationPanel.update();
+});
+
+/* RESET ON IMPORT: The organisation filter belongs to the previous import */
+onRequestRecordsChange(function() {
+    organisationState.selected = null;
+    featureFilters.delete('organisation');
+});
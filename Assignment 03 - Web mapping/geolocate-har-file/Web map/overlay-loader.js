@@ -0,0 +1,682 @@
+// ========================================
+// OVERLAY LOADER CONFIGURATION
+// ========================================
+
+/* OVERLAY FILE EXTENSIONS: Files the overlay loader accepts */
+const OVERLAY_FILE_EXTENSIONS = ['geojson', 'json', 'zip'].concat(SHAPEFILE_EXTENSIONS);
+
+/* OVERLAY PALETTE: Colours for attribute categories, and for datasets without a style attribute */
+const OVERLAY_PALETTE = ['#8e44ad', '#16a085', '#d35400', '#2c3e50', '#c0392b', '#2980b9', '#f39c12', '#27ae60', '#e84393', '#7f8c8d'];
+
+/* OVERLAY NUMBER COLORS: Low and high ends of the colour ramp for numeric attributes */
+const OVERLAY_NUMBER_COLORS = ['#fde0c5', '#b03a2e'];
+
+/* OVERLAY MAX CATEGORIES: Text attributes with more distinct values are not offered for styling */
+const OVERLAY_MAX_CATEGORIES = OVERLAY_PALETTE.length;
+
+/* PROJECT DATASETS: Datasets from the other assignments, relative to this page (serve the repository root to use them) */
+const PROJECT_DATASET_ROOT = '../../../';
+const PROJECT_DATASETS = [
+    {
+        label: 'Daily and weekly cycle routes',
+        files: ['Assignment 02 - Geoprocessing/daily and weekly_cycle_routes.geojson.geojson']
+    },
+    {
+        label: 'NYC Bike Routes',
+        files: SHAPEFILE_EXTENSIONS.map(function(extension) {
+            return `Assignment 01 - Loading and visualizaing data/New York City Bike Routes_20250808/geo_export_14e0fd36-223b-4837-95c6-8f02fcfc8e50.${extension}`;
+        })
+    }
+];
+
+/* OVERLAY DATASETS: Loaded datasets by overlay ID */
+const overlayDatasets = new Map();
+let overlayDatasetCount = 0;
+
+// ========================================
+// FILE READING
+// ========================================
+
+/**
+ * GET FILE EXTENSION: Lower-case extension of a file name
+ * @param {string} name - File name
+ * @returns {string} Extension without the dot
+ */
+function getFileExtension(name) {
+    const match = /\.([^./]+)$/.exec(name);
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * IS OVERLAY FILE: Whether a file is GeoJSON, a zip or part of a shapefile
+ * @param {File} file - Dropped or chosen file
+ * @returns {boolean} True for files the overlay loader reads
+ */
+function isOverlayFile(file) {
+    return OVERLAY_FILE_EXTENSIONS.includes(getFileExtension(file.name));
+}
+
+/**
+ * PARSE GEOJSON OVERLAY: Validates GeoJSON text and returns a FeatureCollection in longitude/latitude
+ * @param {string} text - File contents
+ * @param {string} name - File name used in messages
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function parseGeoJSONOverlay(text, name) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${name} is not valid JSON (${error.message})`);
+    }
+
+    // SINGLE FEATURES AND GEOMETRIES: Wrapped in a FeatureCollection
+    if (data && data.type === 'Feature') {
+        data = { type: 'FeatureCollection', features: [data] };
+    } else if (data && data.type && data.coordinates) {
+        data = { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: data }] };
+    }
+    if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+        throw new Error(`${name} is not GeoJSON - expected a FeatureCollection`);
+    }
+
+    // LEGACY CRS MEMBER: Only Web Mercator is reprojected, other CRSs must be converted first
+    const crsName = data.crs && data.crs.properties && String(data.crs.properties.name || '');
+    if (crsName && !/4326|CRS84/.test(crsName)) {
+        if (!/3857|900913/.test(crsName)) {
+            throw new Error(`${name} uses ${crsName} - convert it to WGS84 longitude/latitude first`);
+        }
+        const project = createProjection('PROJCS["Web Mercator",GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]]],PROJECTION["Mercator_Auxiliary_Sphere"],UNIT["metre",1]]');
+        data.features.forEach(function(feature) {
+            if (feature.geometry) reprojectGeometry(feature.geometry, project);
+        });
+    }
+
+    data.features = data.features.filter(function(feature) { return feature && feature.geometry; });
+    data.features.forEach(function(feature) {
+        if (!feature.properties) feature.properties = {};
+    });
+    return data;
+}
+
+/**
+ * READ OVERLAY FILES: Turns chosen or dropped files into datasets
+ * GeoJSON files are read on their own, shapefile parts are grouped by name, zips may contain either
+ * @param {Array<File|Object>} files - Files, or { name, buffer } objects for already fetched files
+ * @returns {Promise<Array<Object>>} Datasets { label, data }
+ */
+async function readOverlayFiles(files) {
+    const datasets = [];
+    const shapefiles = new Map(); // Base name -> { shp, shx, dbf, prj, cpg }
+
+    const addFile = async function(name, buffer) {
+        const extension = getFileExtension(name);
+        const baseName = name.replace(/\.[^.]+$/, '');
+
+        if (extension === 'zip') {
+            const entries = await readZipEntries(buffer);
+            for (const [entryName, entryBuffer] of entries) {
+                if (OVERLAY_FILE_EXTENSIONS.includes(getFileExtension(entryName)) && getFileExtension(entryName) !== 'zip') {
+                    await addFile(entryName, entryBuffer);
+                }
+            }
+        } else if (extension === 'geojson' || extension === 'json') {
+            datasets.push({ label: baseName, data: parseGeoJSONOverlay(new TextDecoder().decode(buffer), name) });
+        } else if (SHAPEFILE_EXTENSIONS.includes(extension)) {
+            if (!shapefiles.has(baseName)) shapefiles.set(baseName, {});
+            shapefiles.get(baseName)[extension] = buffer;
+        }
+    };
+
+    for (const file of files) {
+        await addFile(file.name, file.buffer || await file.arrayBuffer());
+    }
+
+    shapefiles.forEach(function(parts, baseName) {
+        datasets.push({ label: baseName, data: shapefileToGeoJSON(parts, baseName) });
+    });
+
+    return datasets;
+}
+
+/**
+ * IMPORT OVERLAY FILES: Reads files and adds each dataset as an overlay
+ * @param {FileList|Array<File|Object>} files - GeoJSON, zip or shapefile files
+ * @param {string} label - Layer name to use instead of the file name (optional, single dataset)
+ */
+async function importOverlayFiles(files, label) {
+    const fileList = Array.from(files);
+    if (fileList.length === 0) return;
+
+    console.log(`🗂️ Loading ${fileList.length} overlay file(s)...`);
+
+    try {
+        const datasets = await readOverlayFiles(fileList);
+        if (datasets.length === 0) {
+            throw new Error('no GeoJSON or .shp file found');
+        }
+
+        datasets.forEach(function(dataset) {
+            if (dataset.data.features.length === 0) {
+                console.warn(`⚠️ ${dataset.label} has no features, skipping`);
+                return;
+            }
+            addOverlayDataset(datasets.length === 1 && label ? label : dataset.label, dataset.data);
+        });
+
+    } catch (error) {
+        console.error('❌ Error loading overlay:', error);
+        showErrorMessage(`Failed to load overlay: ${error.message}`);
+    }
+}
+
+/**
+ * LOAD PROJECT DATASET: Fetches one of the PROJECT_DATASETS and adds it as an overlay
+ * Optional shapefile parts (.dbf, .shx, .cpg) that are missing are skipped
+ * @param {Object} dataset - Entry of PROJECT_DATASETS
+ */
+async function loadProjectDataset(dataset) {
+    const files = [];
+
+    for (const path of dataset.files) {
+        const response = await fetch(PROJECT_DATASET_ROOT + path).catch(function() { return null; });
+        if (response && response.ok) {
+            files.push({ name: path.split('/').pop(), buffer: await response.arrayBuffer() });
+        } else if (!/\.(dbf|shx|cpg)$/.test(path)) {
+            showErrorMessage(`Could not fetch ${path} - serve the repository root to load the project datasets.`);
+            return;
+        }
+    }
+
+    await importOverlayFiles(files, dataset.label);
+}
+
+// ========================================
+// DATASET STYLING
+// ========================================
+
+/**
+ * DESCRIBE ATTRIBUTES: Attributes that can drive styling
+ * @param {Array<Object>} features - GeoJSON features
+ * @returns {Object} name -> { type: 'number', min, max } or { type: 'category', values }
+ */
+function describeAttributes(features) {
+    const attributes = {};
+    const names = new Set();
+    features.forEach(function(feature) {
+        Object.keys(feature.properties).forEach(function(name) { names.add(name); });
+    });
+
+    names.forEach(function(name) {
+        const values = features
+            .map(function(feature) { return feature.properties[name]; })
+            .filter(function(value) { return value !== null && value !== undefined && value !== ''; });
+        if (values.length === 0) return;
+
+        if (values.every(function(value) { return typeof value === 'number'; })) {
+            const min = Math.min.apply(null, values);
+            const max = Math.max.apply(null, values);
+            if (min < max) attributes[name] = { type: 'number', min: min, max: max };
+        } else {
+            const categories = Array.from(new Set(values.map(String))).sort();
+            if (categories.length <= OVERLAY_MAX_CATEGORIES) {
+                attributes[name] = { type: 'category', values: categories };
+            }
+        }
+    });
+
+    return attributes;
+}
+
+/**
+ * GET DATASET COLOR EXPRESSION: Colour by the dataset's style attribute
+ * @param {Object} dataset - Overlay dataset
+ * @returns {Array|string} MapLibre expression or colour
+ */
+function getDatasetColorExpression(dataset) {
+    const attribute = dataset.attributes[dataset.styleAttribute];
+    if (!attribute) return getOverlayColor(dataset.colorIndex);
+
+    if (attribute.type === 'number') {
+        const ramp = getOverlayNumberColors();
+        return ['interpolate', ['linear'], ['to-number', ['get', dataset.styleAttribute], attribute.min],
+            attribute.min, ramp[0],
+            attribute.max, ramp[1]
+        ];
+    }
+
+    const expression = ['match', ['to-string', ['get', dataset.styleAttribute]]];
+    attribute.values.forEach(function(value, index) {
+        expression.push(value, getOverlayColor(index));
+    });
+    expression.push(getOverlayColor(dataset.colorIndex));
+    return expression;
+}
+
+/**
+ * GET OVERLAY COLOR: Categorical overlay colour in the current palette
+ * @param {number} index - Dataset or category index
+ * @returns {string} Colour, repeating once the palette runs out
+ */
+function getOverlayColor(index) {
+    const palette = getPaletteColor('categorical', OVERLAY_PALETTE);
+    return palette[index % palette.length];
+}
+
+/**
+ * GET OVERLAY NUMBER COLORS: Lowest and highest colour of the numeric ramp in the current palette
+ * @returns {Array<string>} [low, high]
+ */
+function getOverlayNumberColors() {
+    const ramp = getPaletteColor('sequential', OVERLAY_NUMBER_COLORS);
+    return [ramp[0], ramp[ramp.length - 1]];
+}
+
+/**
+ * GET DATASET LINE WIDTH EXPRESSION: Wider lines for larger values of a numeric style attribute
+ * @param {Object} dataset - Overlay dataset
+ * @returns {Array|number} MapLibre expression or fixed width
+ */
+function getDatasetLineWidthExpression(dataset) {
+    const attribute = dataset.attributes[dataset.styleAttribute];
+    if (!attribute || attribute.type !== 'number') return 2.5;
+
+    return ['interpolate', ['linear'], ['to-number', ['get', dataset.styleAttribute], attribute.min],
+        attribute.min, 1.5,
+        attribute.max, 6
+    ];
+}
+
+/**
+ * CREATE DATASET LAYERS: Fill, line and circle layers for the geometry types in a dataset
+ * @param {Object} dataset - Overlay dataset
+ * @returns {Array<Object>} Layer specifications
+ */
+function createDatasetLayers(dataset) {
+    const layers = [];
+    const color = getDatasetColorExpression(dataset);
+
+    if (dataset.geometryTypes.has('Polygon')) {
+        layers.push({
+            id: `${dataset.id}-fill`,
+            type: 'fill',
+            source: dataset.id,
+            filter: ['==', ['geometry-type'], 'Polygon'],
+            paint: { 'fill-color': color, 'fill-opacity': 0.35 }
+        });
+    }
+
+    // LINES: Line geometries and polygon outlines
+    if (dataset.geometryTypes.has('LineString') || dataset.geometryTypes.has('Polygon')) {
+        layers.push({
+            id: `${dataset.id}-line`,
+            type: 'line',
+            source: dataset.id,
+            filter: ['in', ['geometry-type'], ['literal', ['LineString', 'Polygon']]],
+            layout: { 'line-cap': 'round', 'line-join': 'round' },
+            paint: { 'line-color': color, 'line-width': getDatasetLineWidthExpression(dataset), 'line-opacity': 0.9 }
+        });
+    }
+
+    if (dataset.geometryTypes.has('Point')) {
+        layers.push({
+            id: `${dataset.id}-point`,
+            type: 'circle',
+            source: dataset.id,
+            filter: ['==', ['geometry-type'], 'Point'],
+            paint: { 'circle-color': color, 'circle-radius': 5, 'circle-stroke-width': 1, 'circle-stroke-color': '#fff' }
+        });
+    }
+
+    return layers;
+}
+
+/**
+ * SET DATASET STYLE ATTRIBUTE: Restyles a dataset by another attribute (or none)
+ * @param {string} id - Overlay ID
+ * @param {string} attribute - Attribute name, or '' for a single colour
+ */
+function setDatasetStyleAttribute(id, attribute) {
+    const dataset = overlayDatasets.get(id);
+    if (!dataset) return;
+
+    dataset.styleAttribute = dataset.attributes[attribute] ? attribute : '';
+
+    createDatasetLayers(dataset).forEach(function(layer) {
+        if (!map.getLayer(layer.id)) return;
+        const colorProperty = `${layer.type}-color`;
+        map.setPaintProperty(layer.id, colorProperty, layer.paint[colorProperty]);
+        if (layer.type === 'line') {
+            map.setPaintProperty(layer.id, 'line-width', layer.paint['line-width']);
+        }
+    });
+
+    overlayLoaderControl.update();
+}
+
+// ========================================
+// DATASET INTERACTIONS
+// ========================================
+
+/**
+ * GET DISTANCE KM: Great-circle (haversine) distance between two positions
+ * @param {Array} start - [longitude, latitude]
+ * @param {Array} end - [longitude, latitude]
+ * @returns {number} Distance in kilometres, on a sphere with the mean Earth radius of 6371 km
+ */
+function getDistanceKm(start, end) {
+    const toRadians = Math.PI / 180;
+    const dLat = (end[1] - start[1]) * toRadians;
+    const dLon = (end[0] - start[0]) * toRadians;
+    const h = Math.pow(Math.sin(dLat / 2), 2) +
+        Math.cos(start[1] * toRadians) * Math.cos(end[1] * toRadians) * Math.pow(Math.sin(dLon / 2), 2);
+    return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * GET LINE LENGTH KM: Great-circle length of the lines in a geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {number} Length in kilometres (0 for points and polygons)
+ */
+function getLineLengthKm(geometry) {
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+        : geometry.type === 'MultiLineString' ? geometry.coordinates
+        : [];
+
+    return lines.reduce(function(total, line) {
+        for (let i = 1; i < line.length; i++) {
+            total += getDistanceKm(line[i - 1], line[i]);
+        }
+        return total;
+    }, 0);
+}
+
+/**
+ * GET FEATURE LABEL: Short name of a feature for tooltips
+ * @param {Object} dataset - Overlay dataset
+ * @param {Object} properties - Feature properties
+ * @returns {string} The name attribute, the style attribute value, or the dataset label
+ */
+function getFeatureLabel(dataset, properties) {
+    const nameKey = Object.keys(properties).find(function(key) { return /^name$/i.test(key); });
+    if (nameKey && properties[nameKey]) return String(properties[nameKey]);
+    if (dataset.styleAttribute && properties[dataset.styleAttribute] !== undefined) {
+        return `${dataset.styleAttribute}: ${properties[dataset.styleAttribute]}`;
+    }
+    return dataset.label;
+}
+
+/**
+ * CREATE DATASET POPUP HTML: Length and attributes of a clicked feature
+ * @param {Object} dataset - Overlay dataset
+ * @param {Object} feature - Clicked feature (from the source data, with full geometry)
+ * @returns {string} Popup HTML
+ */
+function createDatasetPopupHTML(dataset, feature) {
+    const lengthKm = getLineLengthKm(feature.geometry);
+    const rows = Object.keys(feature.properties).map(function(key) {
+        return `<tr><th>${escapeHTML(key)}</th><td>${escapeHTML(feature.properties[key])}</td></tr>`;
+    }).join('');
+
+    return `
+        <div class="popup-content">
+            <h4 class="popup-title">🗂️ ${escapeHTML(getFeatureLabel(dataset, feature.properties))}</h4>
+            <div class="popup-info">
+                <p><strong>Layer:</strong> ${escapeHTML(dataset.label)}</p>
+                ${lengthKm > 0 ? `<p><strong>📏 Length:</strong> ${lengthKm.toFixed(2)} km</p>` : ''}
+                ${rows ? `<table class="overlay-attributes">${rows}</table>` : '<p>No attributes</p>'}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * ADD DATASET INTERACTIONS: Hover tooltip and click popup for a dataset's layers
+ * Handlers are kept on the dataset so they can be removed with the dataset
+ * @param {Object} dataset - Overlay dataset
+ */
+function addDatasetInteractions(dataset) {
+    const tooltip = new maplibregl.Popup({ closeButton: false, closeOnClick: false, className: 'overlay-tooltip', offset: 10 });
+
+    // SOURCE FEATURE: Rendered features are clipped to tiles, so lengths come from the original feature
+    const getSourceFeature = function(e) {
+        return dataset.data.features[e.features[0].id];
+    };
+
+    dataset.handlers = {
+        mousemove: function(e) {
+            map.getCanvas().style.cursor = 'pointer';
+            tooltip.setLngLat(e.lngLat)
+                .setHTML(escapeHTML(getFeatureLabel(dataset, e.features[0].properties)))
+                .addTo(map);
+        },
+        mouseleave: function() {
+            map.getCanvas().style.cursor = '';
+            tooltip.remove();
+        },
+        click: function(e) {
+            const feature = getSourceFeature(e);
+            if (!feature) return;
+            new maplibregl.Popup({ maxWidth: '320px' })
+                .setLngLat(e.lngLat)
+                .setHTML(createDatasetPopupHTML(dataset, feature))
+                .addTo(map);
+        }
+    };
+
+    createDatasetLayers(dataset).forEach(function(layer) {
+        Object.keys(dataset.handlers).forEach(function(type) {
+            map.on(type, layer.id, dataset.handlers[type]);
+        });
+    });
+    dataset.tooltip = tooltip;
+}
+
+// ========================================
+// DATASET MANAGEMENT
+// ========================================
+
+/**
+ * GET DATASET BOUNDS: Bounding box of every position in a FeatureCollection
+ * @param {Object} data - GeoJSON FeatureCollection
+ * @returns {Array} [[west, south], [east, north]]
+ */
+function getDatasetBounds(data) {
+    const bounds = [[Infinity, Infinity], [-Infinity, -Infinity]];
+    const extend = function(coordinates) {
+        if (typeof coordinates[0] === 'number') {
+            bounds[0][0] = Math.min(bounds[0][0], coordinates[0]);
+            bounds[0][1] = Math.min(bounds[0][1], coordinates[1]);
+            bounds[1][0] = Math.max(bounds[1][0], coordinates[0]);
+            bounds[1][1] = Math.max(bounds[1][1], coordinates[1]);
+        } else {
+            coordinates.forEach(extend);
+        }
+    };
+    data.features.forEach(function(feature) {
+        if (feature.geometry.type === 'GeometryCollection') {
+            feature.geometry.geometries.forEach(function(geometry) { extend(geometry.coordinates); });
+        } else {
+            extend(feature.geometry.coordinates);
+        }
+    });
+    return bounds;
+}
+
+/**
+ * ADD OVERLAY DATASET: Registers a dataset as an overlay, wires its interactions and zooms to it
+ * @param {string} label - Layer name
+ * @param {Object} data - GeoJSON FeatureCollection in longitude/latitude
+ * @returns {Object} The dataset
+ */
+function addOverlayDataset(label, data) {
+    const id = `dataset-${++overlayDatasetCount}`;
+
+    // FEATURE IDS: Index into data.features, so clicks find the unclipped feature
+    data.features.forEach(function(feature, index) { feature.id = index; });
+
+    const geometryTypes = new Set(data.features.map(function(feature) {
+        return feature.geometry.type.replace(/^Multi/, '');
+    }));
+    const attributes = describeAttributes(data.features);
+
+    // DEFAULT STYLE: The first text attribute other than the name with a handful of values, such as purpose
+    const styleAttribute = Object.keys(attributes).find(function(name) {
+        return attributes[name].type === 'category' && attributes[name].values.length > 1 && !/^name$/i.test(name);
+    }) || '';
+
+    const dataset = {
+        id: id,
+        label: label,
+        data: data,
+        geometryTypes: geometryTypes,
+        attributes: attributes,
+        styleAttribute: styleAttribute,
+        colorIndex: overlayDatasetCount - 1 // Single colour, from getOverlayColor()
+    };
+    overlayDatasets.set(id, dataset);
+
+    registerOverlay(id, {
+        label: label,
+        sources: {
+            [id]: function() { return { type: 'geojson', data: dataset.data }; }
+        },
+        layers: function() { return createDatasetLayers(dataset); },
+        below: 'flow-lines' // Under the arcs and server points
+    });
+    addDatasetInteractions(dataset);
+
+    map.fitBounds(getDatasetBounds(data), { padding: 40, maxZoom: 15 });
+    overlayLoaderControl.update();
+
+    console.log(`✅ Loaded overlay "${label}" with ${data.features.length} features`);
+    return dataset;
+}
+
+/**
+ * REMOVE OVERLAY DATASET: Removes a dataset's layers, handlers and list entry
+ * @param {string} id - Overlay ID
+ */
+function removeOverlayDataset(id) {
+    const dataset = overlayDatasets.get(id);
+    if (!dataset) return;
+
+    createDatasetLayers(dataset).forEach(function(layer) {
+        Object.keys(dataset.handlers).forEach(function(type) {
+            map.off(type, layer.id, dataset.handlers[type]);
+        });
+    });
+    dataset.tooltip.remove();
+
+    unregisterOverlay(id);
+    overlayDatasets.delete(id);
+    overlayLoaderControl.update();
+}
+
+// ========================================
+// OVERLAY LOADER CONTROL
+// ========================================
+
+/**
+ * OVERLAY LOADER CONTROL: Map control to load datasets and pick the attribute they are styled by
+ */
+class OverlayLoaderControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel overlay-loader-panel';
+        this.container.innerHTML = `
+            <details>
+                <summary class="map-panel-title">🧭 Overlays</summary>
+                <div class="map-panel-body">
+                    <label class="overlay-file-button">
+                        📂 GeoJSON or shapefile
+                        <input type="file" data-role="files" multiple accept="${OVERLAY_FILE_EXTENSIONS.map(function(extension) { return '.' + extension; }).join(',')}">
+                    </label>
+                    <div data-role="presets"></div>
+                    <ul class="overlay-dataset-list" data-role="datasets"></ul>
+                </div>
+            </details>
+        `;
+
+        const element = (role) => this.container.querySelector(`[data-role="${role}"]`);
+        this.datasetList = element('datasets');
+
+        element('files').addEventListener('change', function(e) {
+            importOverlayFiles(e.target.files);
+            e.target.value = ''; // Allow the same files to be picked again
+        });
+
+        // PRESETS: One button per project dataset
+        PROJECT_DATASETS.forEach(function(dataset) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = `➕ ${dataset.label}`;
+            button.addEventListener('click', function() { loadProjectDataset(dataset); });
+            element('presets').appendChild(button);
+        });
+
+        // DATASET LIST: Style attribute and remove buttons
+        this.datasetList.addEventListener('change', function(e) {
+            if (e.target.dataset.role === 'style') {
+                setDatasetStyleAttribute(e.target.dataset.overlay, e.target.value);
+            }
+        });
+        this.datasetList.addEventListener('click', function(e) {
+            if (e.target.dataset.role === 'remove') {
+                removeOverlayDataset(e.target.dataset.overlay);
+            }
+        });
+
+        this.update();
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * UPDATE: Lists the loaded datasets with their style attribute and legend
+     */
+    update() {
+        if (!this.datasetList) return;
+
+        this.datasetList.innerHTML = Array.from(overlayDatasets.values()).map(function(dataset) {
+            const options = ['<option value="">Single colour</option>'].concat(Object.keys(dataset.attributes).map(function(name) {
+                return `<option value="${escapeHTML(name)}" ${name === dataset.styleAttribute ? 'selected' : ''}>${escapeHTML(name)}</option>`;
+            })).join('');
+
+            // LEGEND: Categories, or the ends of the numeric ramp
+            const attribute = dataset.attributes[dataset.styleAttribute];
+            let legend = `<span class="category-swatch" style="background: ${getOverlayColor(dataset.colorIndex)}"></span> ${dataset.data.features.length} features`;
+            if (attribute && attribute.type === 'category') {
+                legend = attribute.values.map(function(value, index) {
+                    return `<span class="overlay-legend-item"><span class="category-swatch" style="background: ${getOverlayColor(index)}"></span>${escapeHTML(value)}</span>`;
+                }).join('');
+            } else if (attribute) {
+                legend = `<span class="overlay-ramp" style="background: linear-gradient(to right, ${getOverlayNumberColors().join(', ')})"></span> ${attribute.min} – ${attribute.max}`;
+            }
+
+            return `
+                <li class="overlay-dataset">
+                    <div class="map-panel-row">
+                        <strong class="overlay-dataset-name" title="${escapeHTML(dataset.label)}">${escapeHTML(dataset.label)}</strong>
+                        <button type="button" data-role="remove" data-overlay="${dataset.id}" aria-label="Remove ${escapeHTML(dataset.label)}">✕</button>
+                    </div>
+                    <select data-role="style" data-overlay="${dataset.id}" aria-label="Style ${escapeHTML(dataset.label)} by" ${Object.keys(dataset.attributes).length === 0 ? 'disabled' : ''}>${options}</select>
+                    <div class="overlay-legend">${legend}</div>
+                </li>
+            `;
+        }).join('');
+    }
+}
+
+/* OVERLAY LOADER: Single overlay loader instance added to the map */
+const overlayLoaderControl = new OverlayLoaderControl();
+
+/* PALETTE: Dataset legends follow the colour palette */
+onPaletteChange(function() {
+    overlayLoaderControl.update();
+});
@@ -0,0 +1,122 @@
+// ========================================
+// COLOUR PALETTE CONFIGURATION
+// ========================================
+
+/* COLOR PALETTES: Colours for every data layer and legend, by role
+ * categorical: values of each colour mode in order (and overlay categories), neutral: the mode's catch-all value,
+ * sequential: low/mid/high ramp for hexagons, regions, the heatmap, overlay numbers and flow-line latency,
+ * plus single colours for marks and the status line. Roles a palette leaves out keep each layer's own colour. */
+const COLOR_PALETTES = {
+    'default': { label: 'Default colours' },
+    'okabe-ito': {
+        label: 'Colour-blind safe (Okabe-Ito)',
+        categorical: ['#0072b2', '#e69f00', '#009e73', '#cc79a7', '#56b4e9', '#d55e00', '#f0e442', '#000000'],
+        neutral: '#999999',
+        sequential: ['#fde725', '#21918c', '#440154'], // viridis
+        approximate: '#e69f00',
+        outlier: '#cc79a7',
+        selection: '#f0e442',
+        pulse: '#56b4e9',
+        success: '#009e73',
+        info: '#0072b2',
+        error: '#d55e00'
+    },
+    'tol-muted': {
+        label: 'Colour-blind safe (Tol muted)',
+        categorical: ['#332288', '#88ccee', '#44aa99', '#117733', '#999933', '#ddcc77', '#cc6677', '#882255', '#aa4499'],
+        neutral: '#dddddd',
+        sequential: ['#fff7bc', '#fb9a29', '#662506'], // Tol YlOrBr
+        approximate: '#ddcc77',
+        outlier: '#882255',
+        selection: '#88ccee',
+        pulse: '#cc6677',
+        success: '#117733',
+        info: '#332288',
+        error: '#882255'
+    }
+};
+
+/* COLOR PALETTE: Key of the palette currently applied */
+let colorPalette = 'default';
+
+/* PALETTE LISTENERS: Called after the palette changes, so legends can redraw */
+const paletteListeners = [];
+
+// ========================================
+// PALETTE LOOKUP
+// ========================================
+
+/**
+ * GET PALETTE COLOR: Colour (or colour list) of a role in the current palette
+ * @param {string} role - Palette role, e.g. 'sequential' or 'approximate'
+ * @param {string|Array<string>} fallback - The layer's own colour, used when the palette has none
+ * @returns {string|Array<string>} Colour or colour list
+ */
+function getPaletteColor(role, fallback) {
+    return COLOR_PALETTES[colorPalette][role] || fallback;
+}
+
+/**
+ * APPLY PALETTE TO COLOR MODE: Sets a colour mode's colours from the current palette
+ * Values get the categorical colours in registration order; the neutral value and the fallback get the neutral colour
+ * @param {Object} mode - Registered colour mode with defaultColors, defaultFallback and neutral
+ */
+function applyPaletteToColorMode(mode) {
+    const palette = COLOR_PALETTES[colorPalette];
+    if (!palette.categorical) {
+        mode.colors = Object.assign({}, mode.defaultColors);
+        mode.fallback = mode.defaultFallback;
+        return;
+    }
+
+    const colors = {};
+    let index = 0;
+    Object.keys(mode.defaultColors).forEach(function(value) {
+        if (value === mode.neutral) {
+            colors[value] = palette.neutral;
+        } else {
+            colors[value] = palette.categorical[index % palette.categorical.length];
+            index++;
+        }
+    });
+    mode.colors = colors;
+    mode.fallback = palette.neutral;
+}
+
+/**
+ * SET COLOR PALETTE: Recolours every data layer and legend
+ * @param {string} name - Key of COLOR_PALETTES
+ */
+function setColorPalette(name) {
+    if (!COLOR_PALETTES[name] || name === colorPalette) return;
+    console.log(`🎨 Colour palette: ${COLOR_PALETTES[name].label}`);
+    colorPalette = name;
+
+    pointColorModes.forEach(applyPaletteToColorMode);
+    refreshOverlayStyles();
+
+    paletteListeners.forEach(function(listener) {
+        try {
+            listener(name);
+        } catch (error) {
+            console.error('❌ Error in palette listener:', error);
+        }
+    });
+    schedulePermalinkUpdate();
+}
+
+/**
+ * ON PALETTE CHANGE: Registers a listener for palette changes
+ * @param {Function} listener - Called with the new palette key
+ */
+function onPaletteChange(listener) {
+    paletteListeners.push(listener);
+}
+
+/* STATUS LINE: Re-colour the current load or error message */
+onPaletteChange(function() {
+    const countElement = document.getElementById('ip-count');
+    if (countElement && countElement.dataset.status) {
+        setStatusColor(countElement, countElement.dataset.status);
+    }
+});
@@ -0,0 +1,232 @@
+// ========================================
+// PERMALINK CONFIGURATION
+// ========================================
+
+/* PERMALINK UPDATE DELAY: Milliseconds to wait for the map to settle before writing the URL hash */
+const PERMALINK_UPDATE_DELAY = 400;
+
+/* PERMALINK FILTER KEYS: Hash parameter for each filter panel value */
+const PERMALINK_FILTER_KEYS = {
+    text: 'q',
+    ipRange: 'range',
+    ipVersion: 'v',
+    country: 'country',
+    category: 'cat',
+    status: 'status'
+};
+
+/* PERMALINK STATE: Pending hash update, and the IP to select once its feature is shown */
+let permalinkTimer = null;
+let pendingPermalinkIP = null;
+let restoringPermalink = false;
+
+// ========================================
+// READING AND WRITING THE HASH
+// ========================================
+
+/**
+ * READ PERMALINK STATE: Parses the URL hash
+ * Format: #map=zoom/lat/lng/bearing/pitch&style=dark&display=heatmap&q=google&hide=cdn,other&ip=1.2.3.4&palette=okabe-ito
+ * @param {string} hash - URL hash (defaults to the current location's)
+ * @returns {Object} { view, style, displayMode, filters, hiddenCategories, selectedIP, palette }, missing parts left out
+ */
+function readPermalinkState(hash) {
+    const params = new URLSearchParams((hash === undefined ? window.location.hash : hash).replace(/^#/, ''));
+    const state = { filters: {}, hiddenCategories: [] };
+
+    // VIEW: Ignored unless every number is valid
+    const view = (params.get('map') || '').split('/').map(Number);
+    if (view.length === 5 && view.every(Number.isFinite) && Math.abs(view[1]) <= 90) {
+        state.view = {
+            zoom: view[0],
+            center: [view[2], view[1]],
+            bearing: view[3],
+            pitch: view[4]
+        };
+    }
+
+    if (mapStyles[params.get('style')]) {
+        state.style = params.get('style');
+    }
+
+    if (DISPLAY_MODES[params.get('display')]) {
+        state.displayMode = params.get('display');
+    }
+
+    Object.keys(PERMALINK_FILTER_KEYS).forEach(function(field) {
+        const value = params.get(PERMALINK_FILTER_KEYS[field]);
+        if (value) state.filters[field] = value;
+    });
+
+    if (params.get('hide')) {
+        state.hiddenCategories = params.get('hide').split(',');
+    }
+
+    if (params.get('ip')) {
+        state.selectedIP = params.get('ip');
+    }
+
+    if (COLOR_PALETTES[params.get('palette')]) {
+        state.palette = params.get('palette');
+    }
+
+    return state;
+}
+
+/**
+ * CREATE PERMALINK HASH: Current map state as a URL hash
+ * @returns {Object} { view, rest } - the camera part and everything else, so camera moves can be told apart
+ */
+function createPermalinkHash() {
+    const center = map.getCenter();
+    const view = [
+        map.getZoom().toFixed(2),
+        center.lat.toFixed(5),
+        center.lng.toFixed(5),
+        Math.round(map.getBearing()),
+        Math.round(map.getPitch())
+    ].join('/');
+
+    const params = new URLSearchParams();
+    if (currentStyleKey !== 'streets') {
+        params.set('style', currentStyleKey);
+    }
+    if (displayMode !== 'clusters') {
+        params.set('display', displayMode);
+    }
+
+    Object.keys(PERMALINK_FILTER_KEYS).forEach(function(field) {
+        if (filterState[field] !== DEFAULT_FILTER_STATE[field]) {
+            params.set(PERMALINK_FILTER_KEYS[field], filterState[field]);
+        }
+    });
+
+    if (hiddenCategories.size > 0) {
+        params.set('hide', Array.from(hiddenCategories).join(','));
+    }
+
+    const ip = selectedIP || pendingPermalinkIP;
+    if (ip) {
+        params.set('ip', ip);
+    }
+
+    if (colorPalette !== 'default') {
+        params.set('palette', colorPalette);
+    }
+
+    return { view: `map=${view}`, rest: params.toString() };
+}
+
+/**
+ * SCHEDULE PERMALINK UPDATE: Writes the map state to the URL hash once changes settle
+ * Camera moves replace the current history entry; basemap, filter and selection changes add one,
+ * so back/forward steps between them
+ */
+function schedulePermalinkUpdate() {
+    if (!map || restoringPermalink) return;
+
+    clearTimeout(permalinkTimer);
+    permalinkTimer = setTimeout(function() {
+        const hash = createPermalinkHash();
+        const url = `#${hash.view}${hash.rest ? '&' + hash.rest : ''}`;
+        if (url === window.location.hash) return;
+
+        // SIGNIFICANT CHANGE: Anything other than the camera differs from the current entry
+        const current = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+        current.delete('map');
+        const isSignificant = current.toString() !== hash.rest;
+
+        if (isSignificant && window.location.hash) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
+        }
+    }, PERMALINK_UPDATE_DELAY);
+}
+
+// ========================================
+// RESTORING STATE
+// ========================================
+
+/**
+ * APPLY PERMALINK STATE: Restores the basemap, filters and selection from a parsed hash
+ * @param {Object} state - Result of readPermalinkState()
+ */
+function applyPermalinkState(state) {
+    restoringPermalink = true;
+    clearTimeout(permalinkTimer);
+
+    try {
+        // BASEMAP
+        const styleKey = state.style || 'streets';
+        const styleSelector = document.getElementById('map-style');
+        if (styleSelector) styleSelector.value = styleKey;
+        if (styleKey !== currentStyleKey) {
+            changeMapStyle(styleKey);
+        }
+
+        // DISPLAY MODE
+        setDisplayMode(state.displayMode || 'clusters');
+
+        // COLOUR PALETTE
+        setColorPalette(state.palette || 'default');
+
+        // FILTERS: Filter panel values and legend toggles
+        Object.assign(filterState, DEFAULT_FILTER_STATE, state.filters);
+        filterPanel.syncInputs();
+        applyFilterState();
+        setHiddenCategories(state.hiddenCategories);
+
+        // SELECTION: Opened once the IP's feature is on the map
+        closeSelectedPopup();
+        pendingPermalinkIP = state.selectedIP || null;
+        openPendingPermalinkPopup(getVisibleIPLocationData());
+
+    } catch (error) {
+        console.error('❌ Error restoring permalink:', error);
+        showErrorMessage('Could not restore the map state from the link.');
+    } finally {
+        restoringPermalink = false;
+    }
+}
+
+/**
+ * OPEN PENDING PERMALINK POPUP: Opens the popup of the IP named in the permalink, if it is shown
+ * @param {Object} visibleData - Visible GeoJSON FeatureCollection
+ */
+function openPendingPermalinkPopup(visibleData) {
+    if (!pendingPermalinkIP || !visibleData || !map.getSource('ip-locations')) return;
+
+    const feature = visibleData.features.find(function(candidate) {
+        return candidate.properties.ip === pendingPermalinkIP;
+    });
+    if (!feature) return;
+
+    pendingPermalinkIP = null;
+    createPopup(feature.geometry.coordinates.slice(), feature.properties);
+}
+
+/**
+ * START PERMALINKS: Restores the state in the URL hash and keeps the hash up to date
+ * The view and basemap are applied when the map is created, the rest is applied here
+ * @param {Object} state - Result of readPermalinkState() for the initial URL
+ */
+function startPermalinks(state) {
+    applyPermalinkState(state);
+
+    map.on('moveend', schedulePermalinkUpdate);
+    onVisibleDataChange(function(visibleData) {
+        openPendingPermalinkPopup(visibleData);
+        schedulePermalinkUpdate();
+    });
+
+    // BACK/FORWARD: Restore the state of the history entry
+    window.addEventListener('popstate', function() {
+        const previousState = readPermalinkState();
+        console.log('🔗 Restoring map state from history');
+        if (previousState.view) {
+            map.jumpTo(previousState.view);
+        }
+        applyPermalinkState(previousState);
+    });
+}
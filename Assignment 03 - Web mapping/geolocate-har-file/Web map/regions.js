@@ -0,0 +1,523 @@
+// ========================================
+// REGION AGGREGATION CONFIGURATION
+// ========================================
+
+/* BOUNDARY LEVELS: Boundary files joined to the server locations (e.g. Natural Earth admin 0 and admin 1)
+ * Countries are bundled (Natural Earth 110m); levels without a url wait for a file chosen in the panel */
+const BOUNDARY_LEVELS = {
+    country: {
+        label: 'Countries',
+        url: 'boundaries/countries.geojson',
+        nameProperties: ['NAME', 'ADMIN', 'name', 'admin', 'NAME_EN', 'name_en']
+    },
+    admin1: {
+        label: 'States / provinces',
+        url: null,
+        nameProperties: ['name', 'NAME', 'name_en', 'NAME_1'],
+        countryProperties: ['admin', 'ADMIN', 'geonunit', 'NAME_0']
+    }
+};
+
+/* REGION METRICS: Values a region can be shaded by */
+const REGION_METRICS = {
+    requestCount: 'Requests',
+    ipCount: 'Distinct IPs'
+};
+
+/* REGION STAT COLUMNS: Columns of the statistics table */
+const REGION_STAT_COLUMNS = [
+    { key: 'name', label: 'Region' },
+    { key: 'ipCount', label: 'IPs' },
+    { key: 'hostCount', label: 'Hosts' },
+    { key: 'requestCount', label: 'Requests' },
+    { key: 'totalBytes', label: 'Bytes' }
+];
+
+/* REGION COLORS: Sequential ramp from the fewest to the most requests */
+const REGION_COLORS = ['#fee8c8', '#fdbb84', '#e34a33'];
+
+/* OUTSIDE REGION: Row for servers that fall in no boundary (at sea, or outside a partial file) */
+const OUTSIDE_REGION = -1;
+
+/* REGION STATE: Current aggregation settings, loaded boundaries and statistics */
+const regionState = {
+    level: null, // Key of BOUNDARY_LEVELS, or null when aggregation is off
+    metric: 'requestCount',
+    sortColumn: 'requestCount',
+    sortDescending: true,
+    selectedRegion: null, // Region index the map is filtered to
+    boundaries: {}, // Level -> FeatureCollection with a name and bounds per feature
+    joins: {}, // Level -> Map of "lng,lat" -> region index
+    stats: [] // Rows of the statistics table
+};
+
+// ========================================
+// BOUNDARIES
+// ========================================
+
+/**
+ * GET REGION NAME: Display name of a boundary feature
+ * @param {Object} properties - Boundary feature properties
+ * @param {Object} level - Entry of BOUNDARY_LEVELS
+ * @param {number} index - Feature index, used when no name property is found
+ * @returns {string} Name such as 'California, United States of America'
+ */
+function getRegionName(properties, level, index) {
+    const find = function(names) {
+        const name = (names || []).find(function(key) { return properties[key]; });
+        return name ? String(properties[name]) : '';
+    };
+
+    const name = find(level.nameProperties) || `Region ${index + 1}`;
+    const country = find(level.countryProperties);
+    return country && country !== name ? `${name}, ${country}` : name;
+}
+
+/**
+ * PREPARE BOUNDARIES: Keeps the polygons of a boundary file with a name and bounding box each
+ * @param {Object} data - GeoJSON FeatureCollection
+ * @param {string} levelKey - Key of BOUNDARY_LEVELS
+ * @returns {Object} FeatureCollection of the polygon features
+ */
+function prepareBoundaries(data, levelKey) {
+    const level = BOUNDARY_LEVELS[levelKey];
+    const features = data.features.filter(function(feature) {
+        return feature.geometry && /Polygon$/.test(feature.geometry.type);
+    });
+    if (features.length === 0) {
+        throw new Error('the boundary file has no polygons');
+    }
+
+    features.forEach(function(feature, index) {
+        feature.id = index;
+        feature.regionName = getRegionName(feature.properties, level, index);
+        feature.regionBounds = getDatasetBounds({ features: [feature] });
+    });
+
+    return { type: 'FeatureCollection', features: features };
+}
+
+/**
+ * LOAD BOUNDARIES: Reads a level's boundary file once, from its URL or a chosen file
+ * @param {string} levelKey - Key of BOUNDARY_LEVELS
+ * @param {File} file - Boundary file chosen by the user (optional)
+ * @returns {Promise<Object>} Prepared boundaries
+ */
+async function loadBoundaries(levelKey, file) {
+    if (!file && regionState.boundaries[levelKey]) {
+        return regionState.boundaries[levelKey];
+    }
+
+    const level = BOUNDARY_LEVELS[levelKey];
+    let text;
+    if (file) {
+        text = await file.text();
+    } else {
+        const response = await fetch(level.url);
+        if (!response.ok) {
+            throw new Error(`${level.url} not found (HTTP ${response.status}) - add the file or choose one in the Regions panel`);
+        }
+        text = await response.text();
+    }
+
+    const boundaries = prepareBoundaries(parseGeoJSONOverlay(text, file ? file.name : level.url), levelKey);
+    regionState.boundaries[levelKey] = boundaries;
+    regionState.joins[levelKey] = new Map();
+
+    console.log(`✅ Loaded ${boundaries.features.length} ${level.label.toLowerCase()} boundaries`);
+    return boundaries;
+}
+
+/**
+ * FIND REGION: Boundary feature containing a position (holes excluded)
+ * @param {Array} position - [longitude, latitude]
+ * @param {Object} boundaries - Prepared boundaries
+ * @returns {number} Region index, or OUTSIDE_REGION
+ */
+function findRegion(position, boundaries) {
+    const feature = boundaries.features.find(function(candidate) {
+        const bounds = candidate.regionBounds;
+        if (position[0] < bounds[0][0] || position[0] > bounds[1][0] || position[1] < bounds[0][1] || position[1] > bounds[1][1]) {
+            return false;
+        }
+
+        const polygons = candidate.geometry.type === 'Polygon' ? [candidate.geometry.coordinates] : candidate.geometry.coordinates;
+        return polygons.some(function(rings) {
+            return isPointInRing(position, rings[0]) && !rings.slice(1).some(function(hole) {
+                return isPointInRing(position, hole);
+            });
+        });
+    });
+
+    return feature ? feature.id : OUTSIDE_REGION;
+}
+
+/**
+ * GET FEATURE REGION: Region of a server point, cached per position and level
+ * @param {Object} feature - Server point feature
+ * @param {string} levelKey - Key of BOUNDARY_LEVELS
+ * @returns {number} Region index, or OUTSIDE_REGION
+ */
+function getFeatureRegion(feature, levelKey) {
+    const join = regionState.joins[levelKey];
+    const key = feature.geometry.coordinates.join(',');
+    if (!join.has(key)) {
+        join.set(key, findRegion(feature.geometry.coordinates, regionState.boundaries[levelKey]));
+    }
+    return join.get(key);
+}
+
+// ========================================
+// REGION STATISTICS
+// ========================================
+
+/**
+ * AGGREGATE BY REGION: IPs, hosts, requests and bytes per region
+ * @param {Object} data - Server points (the region filter itself excluded)
+ * @param {string} levelKey - Key of BOUNDARY_LEVELS
+ * @returns {Array<Object>} One row per region with servers
+ */
+function aggregateByRegion(data, levelKey) {
+    const boundaries = regionState.boundaries[levelKey];
+    const rows = new Map();
+
+    (data ? data.features : []).forEach(function(feature) {
+        const region = getFeatureRegion(feature, levelKey);
+        if (!rows.has(region)) {
+            rows.set(region, {
+                region: region,
+                name: region === OUTSIDE_REGION ? 'Outside boundaries' : boundaries.features[region].regionName,
+                ipCount: 0,
+                hosts: new Set(),
+                requestCount: 0,
+                totalBytes: 0
+            });
+        }
+
+        // HOSTS: Every host of the IP when its requests are loaded, otherwise the one on the point
+        const row = rows.get(region);
+        const aggregate = ipAggregates.get(feature.properties.ip);
+        row.ipCount++;
+        (aggregate ? aggregate.hosts : [feature.properties.host]).forEach(function(host) {
+            if (host) row.hosts.add(host);
+        });
+        row.requestCount += feature.properties.requestCount || 1;
+        row.totalBytes += feature.properties.totalBytes || 0;
+    });
+
+    return Array.from(rows.values()).map(function(row) {
+        return Object.assign(row, { hostCount: row.hosts.size });
+    });
+}
+
+/**
+ * CREATE CHOROPLETH DATA: Boundaries with each region's metric, scaled 0-1 for the colour ramp
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function createChoroplethData() {
+    const boundaries = regionState.boundaries[regionState.level];
+    if (!boundaries) return { type: 'FeatureCollection', features: [] };
+
+    const values = new Map(regionState.stats.map(function(row) { return [row.region, row[regionState.metric]]; }));
+    const max = Math.max(1, ...values.values());
+
+    return {
+        type: 'FeatureCollection',
+        features: boundaries.features.map(function(feature) {
+            const value = values.get(feature.id) || 0;
+            return {
+                type: 'Feature',
+                id: feature.id,
+                properties: { name: feature.regionName, value: value, share: value / max },
+                geometry: feature.geometry
+            };
+        })
+    };
+}
+
+/**
+ * UPDATE REGION STATISTICS: Re-joins the visible servers and refreshes the choropleth and table
+ */
+function updateRegionStatistics() {
+    if (!regionState.level || !regionState.boundaries[regionState.level]) return;
+
+    // OTHER FILTERS ONLY: Picking a region must not empty the other rows
+    regionState.stats = aggregateByRegion(getVisibleIPLocationData(['region']), regionState.level);
+
+    const source = map && map.getSource('regions');
+    if (source) {
+        source.setData(createChoroplethData());
+    }
+    regionPanel.update();
+}
+
+/**
+ * SET REGION LEVEL: Turns aggregation on at a level, or off
+ * @param {string|null} levelKey - Key of BOUNDARY_LEVELS, or null
+ * @param {File} file - Boundary file chosen by the user (optional)
+ */
+async function setRegionLevel(levelKey, file) {
+    selectRegion(null);
+    regionState.level = levelKey;
+
+    if (!levelKey) {
+        setOverlayVisibility('regions', false);
+        regionPanel.update();
+        return;
+    }
+
+    // NO BUNDLED FILE: The level stays picked so the next chosen file is loaded for it
+    if (!file && !BOUNDARY_LEVELS[levelKey].url && !regionState.boundaries[levelKey]) {
+        regionState.stats = [];
+        setOverlayVisibility('regions', false);
+        regionPanel.update();
+        return;
+    }
+
+    try {
+        await loadBoundaries(levelKey, file);
+        updateRegionStatistics();
+
+        // OVERLAY: Added the first time boundaries are loaded
+        if (!getOverlay('regions')) {
+            registerOverlay('regions', {
+                label: 'Regions',
+                sources: { regions: function() { return { type: 'geojson', data: createChoroplethData() }; } },
+                layers: createRegionLayers,
+                below: 'flow-lines'
+            });
+        }
+        setOverlayVisibility('regions', true);
+
+    } catch (error) {
+        console.error('❌ Error loading boundaries:', error);
+        showErrorMessage(`Failed to load boundaries: ${error.message}`);
+        regionState.level = null;
+        regionPanel.update();
+    }
+}
+
+/**
+ * SELECT REGION: Filters the map to the servers in a region, or clears the filter
+ * @param {number|null} region - Region index, OUTSIDE_REGION, or null
+ */
+function selectRegion(region) {
+    regionState.selectedRegion = region;
+    const levelKey = regionState.level;
+
+    setFeatureFilter('region', region === null ? null : function(feature) {
+        return getFeatureRegion(feature, levelKey) === region;
+    });
+
+    if (map && map.getLayer('regions-selected')) {
+        map.setFilter('regions-selected', ['==', ['id'], region === null ? OUTSIDE_REGION : region]);
+    }
+    regionPanel.update();
+}
+
+// ========================================
+// CHOROPLETH LAYERS
+// ========================================
+
+/**
+ * CREATE REGION LAYERS: Shaded regions, their outlines and the selected region
+ * @returns {Array<Object>} Layer specifications
+ */
+function createRegionLayers() {
+    return [
+        {
+            id: 'regions-fill',
+            type: 'fill',
+            source: 'regions',
+            paint: {
+                'fill-color': ['interpolate', ['linear'], ['get', 'share'],
+                    0, getPaletteColor('sequential', REGION_COLORS)[0],
+                    0.5, getPaletteColor('sequential', REGION_COLORS)[1],
+                    1, getPaletteColor('sequential', REGION_COLORS)[2]
+                ],
+                // EMPTY REGIONS: Outline only
+                'fill-opacity': ['case', ['>', ['get', 'value'], 0], 0.7, 0]
+            }
+        },
+        {
+            id: 'regions-outline',
+            type: 'line',
+            source: 'regions',
+            paint: { 'line-color': '#888', 'line-width': 0.5 }
+        },
+        {
+            id: 'regions-selected',
+            type: 'line',
+            source: 'regions',
+            filter: ['==', ['id'], regionState.selectedRegion === null ? OUTSIDE_REGION : regionState.selectedRegion],
+            paint: { 'line-color': '#2c3e50', 'line-width': 2.5 }
+        }
+    ];
+}
+
+// ========================================
+// REGION PANEL
+// ========================================
+
+/**
+ * REGION PANEL CONTROL: Map control to pick the aggregation level and metric, with a sortable statistics table
+ * Clicking a row filters the map to that region, clicking it again clears the filter
+ */
+class RegionPanelControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel region-panel';
+        this.container.innerHTML = `
+            <details>
+                <summary class="map-panel-title">🌍 Regions</summary>
+                <div class="map-panel-body">
+                    <div class="map-panel-row">
+                        <select data-role="level" aria-label="Aggregate by">
+                            <option value="">No aggregation</option>
+                            ${Object.keys(BOUNDARY_LEVELS).map(function(key) {
+                                return `<option value="${key}">${BOUNDARY_LEVELS[key].label}</option>`;
+                            }).join('')}
+                        </select>
+                        <select data-role="metric" aria-label="Shade by">
+                            ${Object.keys(REGION_METRICS).map(function(key) {
+                                return `<option value="${key}">${REGION_METRICS[key]}</option>`;
+                            }).join('')}
+                        </select>
+                    </div>
+                    <label class="overlay-file-button">
+                        📂 Boundary file for this level
+                        <input type="file" data-role="file" accept=".geojson,.json">
+                    </label>
+                    <div data-role="legend" class="region-legend"></div>
+                    <div class="region-table-wrapper">
+                        <table class="region-table">
+                            <thead><tr>${REGION_STAT_COLUMNS.map(function(column) {
+                                return `<th><button type="button" data-sort="${column.key}">${column.label}</button></th>`;
+                            }).join('')}</tr></thead>
+                            <tbody data-role="rows"></tbody>
+                        </table>
+                    </div>
+                </div>
+            </details>
+        `;
+
+        const element = (role) => this.container.querySelector(`[data-role="${role}"]`);
+        this.levelSelect = element('level');
+        this.metricSelect = element('metric');
+        this.legend = element('legend');
+        this.rows = element('rows');
+        this.headers = this.container.querySelectorAll('[data-sort]');
+
+        this.levelSelect.addEventListener('change', function(e) {
+            setRegionLevel(e.target.value || null);
+        });
+        this.metricSelect.addEventListener('change', function(e) {
+            regionState.metric = e.target.value;
+            updateRegionStatistics();
+        });
+
+        // BOUNDARY FILE: Replaces the boundaries of the chosen level (countries when aggregation is off)
+        element('file').addEventListener('change', (e) => {
+            if (e.target.files[0]) setRegionLevel(regionState.level || 'country', e.target.files[0]);
+            e.target.value = ''; // Allow the same file to be picked again
+        });
+
+        // SORTING: Clicking the sorted column again reverses it
+        this.headers.forEach(function(header) {
+            header.addEventListener('click', function() {
+                const column = header.dataset.sort;
+                regionState.sortDescending = column === regionState.sortColumn ? !regionState.sortDescending : column !== 'name';
+                regionState.sortColumn = column;
+                regionPanel.update();
+            });
+        });
+
+        this.rows.addEventListener('click', function(e) {
+            const row = e.target.closest('tr[data-region]');
+            if (!row) return;
+            const region = Number(row.dataset.region);
+            selectRegion(region === regionState.selectedRegion ? null : region);
+        });
+
+        this.update();
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * UPDATE: Level and metric inputs, colour legend and the sorted statistics rows
+     */
+    update() {
+        if (!this.rows) return;
+
+        this.levelSelect.value = regionState.level || '';
+        this.metricSelect.value = regionState.metric;
+        this.metricSelect.disabled = !regionState.level;
+
+        this.headers.forEach(function(header) {
+            const sorted = header.dataset.sort === regionState.sortColumn;
+            header.closest('th').setAttribute('aria-sort', sorted ? (regionState.sortDescending ? 'descending' : 'ascending') : 'none');
+            header.classList.toggle('sorted', sorted);
+        });
+
+        if (!regionState.level) {
+            this.legend.innerHTML = '';
+            this.rows.innerHTML = '<tr><td colspan="5">Pick countries or states to aggregate the servers by region.</td></tr>';
+            return;
+        }
+
+        if (!regionState.boundaries[regionState.level]) {
+            this.legend.innerHTML = '';
+            this.rows.innerHTML = `<tr><td colspan="5">Choose a ${BOUNDARY_LEVELS[regionState.level].label.toLowerCase()} boundary file (GeoJSON, e.g. Natural Earth admin 1).</td></tr>`;
+            return;
+        }
+
+        const max = Math.max(0, ...regionState.stats.map(function(row) { return row[regionState.metric]; }));
+        this.legend.innerHTML = max === 0 ? '' : `
+            <span class="overlay-ramp" style="background: linear-gradient(to right, ${getPaletteColor('sequential', REGION_COLORS).join(', ')})"></span>
+            1 – ${max} ${REGION_METRICS[regionState.metric].toLowerCase()}
+        `;
+
+        const column = regionState.sortColumn;
+        const direction = regionState.sortDescending ? -1 : 1;
+        const rows = regionState.stats.slice().sort(function(a, b) {
+            return (column === 'name' ? a.name.localeCompare(b.name) : a[column] - b[column]) * direction;
+        });
+
+        this.rows.innerHTML = rows.length === 0
+            ? '<tr><td colspan="5">No servers shown.</td></tr>'
+            : rows.map(function(row) {
+                return `
+                    <tr data-region="${row.region}" class="${row.region === regionState.selectedRegion ? 'selected' : ''}">
+                        <td>${escapeHTML(row.name)}</td>
+                        <td>${row.ipCount}</td>
+                        <td>${row.hostCount}</td>
+                        <td>${row.requestCount}</td>
+                        <td>${formatBytes(row.totalBytes)}</td>
+                    </tr>
+                `;
+            }).join('');
+    }
+}
+
+/* REGION PANEL: Single region panel instance added to the map */
+const regionPanel = new RegionPanelControl();
+
+/* LIVE STATISTICS: Re-aggregate whenever the visible servers change */
+onVisibleDataChange(updateRegionStatistics);
+
+/* PALETTE: The legend ramp follows the colour palette */
+onPaletteChange(function() {
+    regionPanel.update();
+});
+
+/* RESET ON IMPORT: The region filter belongs to the previous import */
+onRequestRecordsChange(function() {
+    regionState.selectedRegion = null;
+    featureFilters.delete('region');
+});
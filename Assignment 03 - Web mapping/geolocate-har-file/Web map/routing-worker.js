@@ -0,0 +1,126 @@
+// ========================================
+// ROUTING WORKER
+// ========================================
+// Shortest paths on the network loaded by network.js, off the main thread.
+// Messages in:  { type: 'graph', nodeCount, edges: [{ id, source, target, length, backward }] }
+//               { type: 'route', requestId, origin, destination }
+// Messages out: { type: 'ready' }
+//               { type: 'route', requestId, distance, nodes, edges } (edge IDs; distance null when unreachable)
+
+/* ADJACENCY: Node index -> [{ node, length, edge ID }], built from the 'graph' message */
+let adjacency = [];
+
+/**
+ * BUILD ADJACENCY: Outgoing links of every node
+ * Edges are travelled from source to target, and back as well when `backward` is set
+ * @param {number} nodeCount - Number of nodes
+ * @param {Array<Object>} edges - { id, source, target, length, backward } with node indexes
+ */
+function buildAdjacency(nodeCount, edges) {
+    adjacency = Array.from({ length: nodeCount }, function() { return []; });
+
+    edges.forEach(function(edge) {
+        adjacency[edge.source].push({ node: edge.target, length: edge.length, edge: edge.id });
+        if (edge.backward) {
+            adjacency[edge.target].push({ node: edge.source, length: edge.length, edge: edge.id });
+        }
+    });
+}
+
+/**
+ * HEAP PUSH: Adds an item to a binary min-heap
+ * @param {Array<Array>} heap - [distance, node] pairs
+ * @param {Array} item - [distance, node]
+ */
+function heapPush(heap, item) {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent][0] <= heap[i][0]) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+/**
+ * HEAP POP: Removes the item with the smallest distance from a binary min-heap
+ * @param {Array<Array>} heap - [distance, node] pairs
+ * @returns {Array} [distance, node]
+ */
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+            if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+            if (smallest === i) break;
+            [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+            i = smallest;
+        }
+    }
+    return top;
+}
+
+/**
+ * FIND SHORTEST PATH: Dijkstra's algorithm by edge length
+ * @param {number} origin - Origin node index
+ * @param {number} destination - Destination node index
+ * @returns {Object} { distance, nodes, edges }, distance null when the destination cannot be reached
+ */
+function findShortestPath(origin, destination) {
+    const distances = new Float64Array(adjacency.length).fill(Infinity);
+    const previous = new Int32Array(adjacency.length).fill(-1);
+    const previousEdge = new Int32Array(adjacency.length).fill(-1);
+    const heap = [[0, origin]];
+    distances[origin] = 0;
+
+    while (heap.length > 0) {
+        const [distance, node] = heapPop(heap);
+        if (node === destination) break;
+        if (distance > distances[node]) continue; // Stale heap entry
+
+        adjacency[node].forEach(function(link) {
+            const candidate = distance + link.length;
+            if (candidate < distances[link.node]) {
+                distances[link.node] = candidate;
+                previous[link.node] = node;
+                previousEdge[link.node] = link.edge;
+                heapPush(heap, [candidate, link.node]);
+            }
+        });
+    }
+
+    if (distances[destination] === Infinity) {
+        return { distance: null, nodes: [], edges: [] };
+    }
+
+    // PATH: Walk back from the destination
+    const nodes = [destination];
+    const edges = [];
+    for (let node = destination; node !== origin; node = previous[node]) {
+        edges.unshift(previousEdge[node]);
+        nodes.unshift(previous[node]);
+    }
+
+    return { distance: distances[destination], nodes: nodes, edges: edges };
+}
+
+// MESSAGES: A new graph replaces the previous one, routes use the latest graph
+self.onmessage = function(e) {
+    const message = e.data;
+
+    if (message.type === 'graph') {
+        buildAdjacency(message.nodeCount, message.edges);
+        self.postMessage({ type: 'ready' });
+    } else if (message.type === 'route') {
+        const path = findShortestPath(message.origin, message.destination);
+        self.postMessage(Object.assign({ type: 'route', requestId: message.requestId }, path));
+    }
+};
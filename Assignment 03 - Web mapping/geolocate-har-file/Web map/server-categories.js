@@ -0,0 +1,357 @@
+// ========================================
+// SERVER CATEGORY CONFIGURATION
+// ========================================
+
+/* SERVER CATEGORIES: Category keys with legend labels and map colours */
+const SERVER_CATEGORIES = {
+    'first-party': { label: 'First party', color: '#27ae60' },
+    'cdn': { label: 'CDN', color: '#3498db' },
+    'analytics': { label: 'Analytics', color: '#f39c12' },
+    'advertising': { label: 'Advertising', color: '#e74c3c' },
+    'other': { label: 'Other', color: '#95a5a6' }
+};
+
+/* CATEGORY RULES URL: Editable rule list (suffix/regex -> category) */
+const CATEGORY_RULES_URL = 'category-rules.json';
+
+/* MULTI-LABEL SUFFIXES: Public suffixes with two labels, used to find a host's site */
+const MULTI_LABEL_SUFFIXES = [
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.in', 'net.in',
+    'co.jp', 'ne.jp', 'com.br', 'com.cn', 'com.mx', 'co.nz', 'co.za', 'com.sg', 'com.tr'
+];
+
+/* CATEGORY RULES: Compiled rules, loaded once by loadCategoryRules() */
+let categoryRules = [];
+let categoryRulesPromise = null;
+
+/* HIDDEN CATEGORIES: Categories switched off in the legend */
+const hiddenCategories = new Set();
+
+// ========================================
+// RULE LOADING
+// ========================================
+
+/**
+ * COMPILE CATEGORY RULE: Validates a rule from the rule file and prepares it for matching
+ * @param {Object} rule - { suffix, category } or { regex, category }
+ * @returns {Object|null} Compiled rule or null when invalid
+ */
+function compileCategoryRule(rule) {
+    if (!rule || !SERVER_CATEGORIES[rule.category]) {
+        console.warn('⚠️ Ignoring category rule with unknown category:', rule);
+        return null;
+    }
+
+    if (rule.suffix) {
+        return { category: rule.category, suffix: rule.suffix.toLowerCase().replace(/^\./, '') };
+    }
+
+    if (rule.regex) {
+        try {
+            return { category: rule.category, regex: new RegExp(rule.regex, 'i') };
+        } catch (error) {
+            console.warn(`⚠️ Ignoring category rule with invalid regex "${rule.regex}":`, error.message);
+            return null;
+        }
+    }
+
+    console.warn('⚠️ Ignoring category rule without suffix or regex:', rule);
+    return null;
+}
+
+/**
+ * LOAD CATEGORY RULES: Fetches and compiles the rule list (only once)
+ * A missing or broken rule file leaves every non first-party server as 'other'
+ * @returns {Promise<Array>} Compiled rules
+ */
+function loadCategoryRules() {
+    if (!categoryRulesPromise) {
+        categoryRulesPromise = fetch(CATEGORY_RULES_URL)
+            .then(function(response) {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
+                }
+                return response.json();
+            })
+            .then(function(data) {
+                categoryRules = (data.rules || []).map(compileCategoryRule).filter(Boolean);
+                console.log(`✅ Loaded ${categoryRules.length} server category rules`);
+                return categoryRules;
+            })
+            .catch(function(error) {
+                console.warn(`⚠️ Could not load ${CATEGORY_RULES_URL}, servers will not be classified:`, error.message);
+                return categoryRules;
+            });
+    }
+    return categoryRulesPromise;
+}
+
+// ========================================
+// CLASSIFICATION
+// ========================================
+
+/**
+ * GET SITE DOMAIN: Registrable domain of a hostname (www.makemytrip.com -> makemytrip.com)
+ * @param {string} host - Hostname
+ * @returns {string} Site domain, or the host itself for IP addresses
+ */
+function getSiteDomain(host) {
+    const hostname = (host || '').toLowerCase();
+    if (!hostname || /^[\d.]+$/.test(hostname) || hostname.includes(':')) {
+        return hostname;
+    }
+
+    const labels = hostname.split('.');
+    const lastTwo = labels.slice(-2).join('.');
+    const labelCount = MULTI_LABEL_SUFFIXES.includes(lastTwo) ? 3 : 2;
+    return labels.slice(-labelCount).join('.');
+}
+
+/**
+ * EXTRACT FIRST-PARTY SITES: Site domains of the pages recorded in a HAR file
+ * Uses the page titles (browsers store the page URL there) and the first request of each page
+ * @param {Object} har - Parsed HAR object
+ * @returns {Set<string>} First-party site domains
+ */
+function extractFirstPartySites(har) {
+    const sites = new Set();
+    const pages = har.log.pages || [];
+
+    pages.forEach(function(page) {
+        // PAGE TITLE: Usually the page URL
+        const titleHost = getHostname(page.title || '');
+        if (titleHost) {
+            sites.add(getSiteDomain(titleHost));
+        }
+
+        // PAGE DOCUMENT: The first request made for the page
+        const firstEntry = har.log.entries.find(function(entry) {
+            return entry.pageref === page.id;
+        });
+        if (firstEntry && firstEntry.request) {
+            const documentHost = getHostname(firstEntry.request.url);
+            if (documentHost) sites.add(getSiteDomain(documentHost));
+        }
+    });
+
+    // NO PAGES: Fall back to the first request in the file
+    if (sites.size === 0 && har.log.entries.length > 0 && har.log.entries[0].request) {
+        const firstHost = getHostname(har.log.entries[0].request.url);
+        if (firstHost) sites.add(getSiteDomain(firstHost));
+    }
+
+    return sites;
+}
+
+/**
+ * CLASSIFY URL: Decides the category of the server behind a request URL
+ * @param {string} url - Request URL
+ * @param {Set<string>} firstPartySites - Site domains of the captured pages
+ * @returns {string} Category key from SERVER_CATEGORIES
+ */
+function classifyURL(url, firstPartySites) {
+    const host = getHostname(url).toLowerCase();
+
+    // FIRST PARTY: Same site as one of the captured pages
+    if (host && firstPartySites && firstPartySites.has(getSiteDomain(host))) {
+        return 'first-party';
+    }
+
+    // RULES: First matching rule wins
+    for (const rule of categoryRules) {
+        if (rule.suffix && (host === rule.suffix || host.endsWith('.' + rule.suffix))) {
+            return rule.category;
+        }
+        if (rule.regex && rule.regex.test(url)) {
+            return rule.category;
+        }
+    }
+
+    return 'other';
+}
+
+/**
+ * GET DOMINANT CATEGORY: Most frequent category in a { category: count } object
+ * @param {Object} categoryCounts - Counts per category
+ * @returns {string} Category key ('other' when empty)
+ */
+function getDominantCategory(categoryCounts) {
+    let dominant = 'other';
+    let dominantCount = 0;
+
+    Object.keys(SERVER_CATEGORIES).forEach(function(category) {
+        if ((categoryCounts[category] || 0) > dominantCount) {
+            dominant = category;
+            dominantCount = categoryCounts[category];
+        }
+    });
+
+    return dominant;
+}
+
+/**
+ * CLASSIFY FEATURES: Adds a category to features that do not have one yet
+ * Used for pre-built GeoJSON files, which only carry one URL per IP
+ * @param {Array<Object>} features - GeoJSON features with a url property
+ */
+function classifyFeatures(features) {
+    features.forEach(function(feature) {
+        if (!feature.properties.category) {
+            feature.properties.category = classifyURL(feature.properties.url || '', null);
+        }
+    });
+}
+
+// ========================================
+// MAP STYLING EXPRESSIONS
+// ========================================
+
+/**
+ * GET CATEGORY COLOR EXPRESSION: Point colour by the feature's category
+ * @returns {Array} MapLibre match expression
+ */
+function getCategoryColorExpression() {
+    const expression = ['match', ['get', 'category']];
+    Object.keys(SERVER_CATEGORIES).forEach(function(category) {
+        expression.push(category, getCategoryColor(category));
+    });
+    expression.push(getCategoryColor('other'));
+    return expression;
+}
+
+/**
+ * GET CATEGORY COLOR: Colour of a category in the current palette
+ * @param {string} category - Category key
+ * @returns {string} Colour
+ */
+function getCategoryColor(category) {
+    return pointColorModes.get('category').colors[category];
+}
+
+/* CATEGORY COLOR MODE: Points and clusters coloured by server category */
+registerPointColorMode('category', {
+    label: 'Category',
+    property: 'category',
+    colors: Object.fromEntries(Object.keys(SERVER_CATEGORIES).map(function(category) {
+        return [category, SERVER_CATEGORIES[category].color];
+    })),
+    labels: Object.fromEntries(Object.keys(SERVER_CATEGORIES).map(function(category) {
+        return [category, SERVER_CATEGORIES[category].label];
+    })),
+    fallback: SERVER_CATEGORIES.other.color,
+    neutral: 'other'
+});
+
+// ========================================
+// CATEGORY LEGEND
+// ========================================
+
+/**
+ * CATEGORY LEGEND CONTROL: Map control listing categories with visibility toggles
+ */
+class CategoryLegendControl {
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl category-legend';
+        this.update();
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * UPDATE: Re-renders the legend with the point count of each category
+     */
+    update() {
+        if (!this.container) return;
+
+        const counts = {};
+        if (ipLocationData) {
+            ipLocationData.features.forEach(function(feature) {
+                const category = feature.properties.category || 'other';
+                counts[category] = (counts[category] || 0) + 1;
+            });
+        }
+
+        const rows = Object.keys(SERVER_CATEGORIES).map(function(category) {
+            const info = SERVER_CATEGORIES[category];
+            return `
+                <label class="category-legend-row">
+                    <input type="checkbox" data-category="${category}" ${hiddenCategories.has(category) ? '' : 'checked'}>
+                    <span class="category-swatch" style="background: ${getCategoryColor(category)}"></span>
+                    ${info.label} <span class="category-count">${counts[category] || 0}</span>
+                </label>
+            `;
+        }).join('');
+
+        // APPROXIMATE NOTE: Explains the orange rings when some locations are centroids or placeholders
+        const approximateCount = ipLocationData ? ipLocationData.features.filter(function(feature) {
+            return feature.properties.approximate;
+        }).length : 0;
+        const approximateNote = approximateCount > 0 ? `
+            <div class="category-legend-row" title="Country centroids, provider defaults and 0,0 results">
+                <span class="category-swatch approximate-swatch" style="border-color: ${getPaletteColor('approximate', APPROXIMATE_COLOR)}"></span>
+                Approximate location <span class="category-count">${approximateCount}</span>
+            </div>
+        ` : '';
+
+        this.container.innerHTML = `<h4 class="category-legend-title">Server category</h4>${rows}${approximateNote}`;
+
+        // CATEGORY TOGGLES: Show or hide the category's points and cluster members
+        this.container.querySelectorAll('input[type="checkbox"]').forEach(function(checkbox) {
+            checkbox.addEventListener('change', function() {
+                setCategoryVisibility(checkbox.dataset.category, checkbox.checked);
+            });
+        });
+    }
+}
+
+/* CATEGORY LEGEND: Single legend instance added to the map */
+const categoryLegend = new CategoryLegendControl();
+
+/* PALETTE: Swatches follow the colour palette */
+onPaletteChange(function() {
+    categoryLegend.update();
+});
+
+/**
+ * SET CATEGORY VISIBILITY: Shows or hides one category on the map
+ * @param {string} category - Category key
+ * @param {boolean} visible - Whether the category should be shown
+ */
+function setCategoryVisibility(category, visible) {
+    if (visible) {
+        hiddenCategories.delete(category);
+    } else {
+        hiddenCategories.add(category);
+    }
+
+    applyHiddenCategories();
+}
+
+/**
+ * SET HIDDEN CATEGORIES: Replaces the set of hidden categories and updates the legend toggles
+ * @param {Array<string>} categories - Category keys to hide
+ */
+function setHiddenCategories(categories) {
+    hiddenCategories.clear();
+    categories.forEach(function(category) {
+        if (SERVER_CATEGORIES[category]) hiddenCategories.add(category);
+    });
+
+    categoryLegend.update();
+    applyHiddenCategories();
+}
+
+/**
+ * APPLY HIDDEN CATEGORIES: Turns the hidden categories into the 'category' feature filter
+ */
+function applyHiddenCategories() {
+    setFeatureFilter('category', hiddenCategories.size === 0 ? null : function(feature) {
+        return !hiddenCategories.has(feature.properties.category || 'other');
+    });
+}
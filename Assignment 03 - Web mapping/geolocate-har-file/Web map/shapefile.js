@@ -0,0 +1,493 @@
+// ========================================
+// SHAPEFILE CONFIGURATION
+// ========================================
+
+/* SHAPEFILE PARTS: File extensions that make up a shapefile (.shp is the only required one) */
+const SHAPEFILE_EXTENSIONS = ['shp', 'shx', 'dbf', 'prj', 'cpg'];
+
+/* SHAPE TYPES: Shapefile geometry type codes (Z and M variants share the 2D layout) */
+const SHAPE_TYPES = {
+    0: 'Null',
+    1: 'Point', 11: 'Point', 21: 'Point',
+    3: 'PolyLine', 13: 'PolyLine', 23: 'PolyLine',
+    5: 'Polygon', 15: 'Polygon', 25: 'Polygon',
+    8: 'MultiPoint', 18: 'MultiPoint', 28: 'MultiPoint'
+};
+
+// ========================================
+// ZIP ARCHIVES
+// ========================================
+
+/**
+ * READ ZIP ENTRIES: Extracts the files of a zip archive in the browser
+ * Supports stored and deflated entries, the two methods shapefile zips use
+ * @param {ArrayBuffer} buffer - Zip file contents
+ * @returns {Promise<Map<string, ArrayBuffer>>} File name (without folders) -> contents
+ */
+async function readZipEntries(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // END OF CENTRAL DIRECTORY: Searched backwards, it may be followed by a comment
+    let end = buffer.byteLength - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) {
+        end--;
+    }
+    if (end < 0) {
+        throw new Error('Not a zip file - central directory not found');
+    }
+
+    const entryCount = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const files = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(position, true) !== 0x02014b50) {
+            throw new Error('Corrupt zip file - bad central directory entry');
+        }
+
+        const method = view.getUint16(position + 10, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localHeader = view.getUint32(position + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, position + 46, nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        // SKIP FOLDERS AND MAC METADATA
+        if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+
+        const dataStart = localHeader + 30 + view.getUint16(localHeader + 26, true) + view.getUint16(localHeader + 28, true);
+        const data = buffer.slice(dataStart, dataStart + compressedSize);
+
+        let contents;
+        if (method === 0) {
+            contents = data;
+        } else if (method === 8) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            contents = await new Response(stream).arrayBuffer();
+        } else {
+            console.warn(`⚠️ Skipping ${name}: unsupported zip compression method ${method}`);
+            continue;
+        }
+
+        files.set(name.split('/').pop(), contents);
+    }
+
+    return files;
+}
+
+// ========================================
+// SHP AND DBF PARSING
+// ========================================
+
+/**
+ * READ POINTS: Reads consecutive little-endian x/y doubles
+ * @param {DataView} view - Record view
+ * @param {number} offset - Byte offset of the first point
+ * @param {number} count - Number of points
+ * @returns {Array<Array>} [x, y] positions
+ */
+function readShapePoints(view, offset, count) {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        points.push([view.getFloat64(offset + i * 16, true), view.getFloat64(offset + i * 16 + 8, true)]);
+    }
+    return points;
+}
+
+/**
+ * GET RING AREA: Signed area of a ring (negative when clockwise, as shapefile outer rings are)
+ * @param {Array<Array>} ring - Ring positions
+ * @returns {number} Signed area
+ */
+function getRingArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    return area / 2;
+}
+
+/**
+ * IS POINT IN RING: Ray casting test
+ * @param {Array} point - [x, y]
+ * @param {Array<Array>} ring - Ring positions
+ * @returns {boolean} Whether the point is inside the ring
+ */
+function isPointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point[1]) !== (yj > point[1]) &&
+            point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * CREATE SHAPE GEOMETRY: GeoJSON geometry of one shapefile record
+ * @param {DataView} view - Record contents
+ * @returns {Object|null} GeoJSON geometry, or null for null shapes
+ */
+function createShapeGeometry(view) {
+    const type = SHAPE_TYPES[view.getInt32(0, true)];
+
+    if (type === 'Point') {
+        return { type: 'Point', coordinates: readShapePoints(view, 4, 1)[0] };
+    }
+
+    if (type === 'MultiPoint') {
+        return { type: 'MultiPoint', coordinates: readShapePoints(view, 40, view.getInt32(36, true)) };
+    }
+
+    if (type === 'PolyLine' || type === 'Polygon') {
+        const partCount = view.getInt32(36, true);
+        const pointCount = view.getInt32(40, true);
+        const points = readShapePoints(view, 44 + partCount * 4, pointCount);
+
+        // PARTS: Each part starts at an index into the point array
+        const parts = [];
+        for (let i = 0; i < partCount; i++) {
+            const start = view.getInt32(44 + i * 4, true);
+            const end = i + 1 < partCount ? view.getInt32(44 + (i + 1) * 4, true) : pointCount;
+            parts.push(points.slice(start, end));
+        }
+
+        if (type === 'PolyLine') {
+            return parts.length === 1
+                ? { type: 'LineString', coordinates: parts[0] }
+                : { type: 'MultiLineString', coordinates: parts };
+        }
+
+        // RINGS: Clockwise rings are outer rings, the others are holes in the outer ring containing them
+        const polygons = [];
+        const holes = [];
+        parts.forEach(function(ring) {
+            if (getRingArea(ring) < 0) {
+                polygons.push([ring]);
+            } else {
+                holes.push(ring);
+            }
+        });
+        holes.forEach(function(hole) {
+            const outer = polygons.find(function(polygon) { return isPointInRing(hole[0], polygon[0]); });
+            if (outer) {
+                outer.push(hole);
+            } else {
+                polygons.push([hole.slice().reverse()]); // Wrongly wound outer ring
+            }
+        });
+
+        return polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons };
+    }
+
+    return null;
+}
+
+/**
+ * PARSE SHP: Reads every record of a .shp file
+ * @param {ArrayBuffer} buffer - .shp contents
+ * @returns {Array<Object|null>} GeoJSON geometries in record order
+ */
+function parseSHP(buffer) {
+    const view = new DataView(buffer);
+    if (view.getInt32(0, false) !== 9994) {
+        throw new Error('Not a .shp file - bad file code');
+    }
+
+    const geometries = [];
+    const fileLength = view.getInt32(24, false) * 2; // In 16-bit words
+    let position = 100;
+
+    while (position + 8 <= Math.min(fileLength, buffer.byteLength)) {
+        const contentLength = view.getInt32(position + 4, false) * 2;
+        geometries.push(createShapeGeometry(new DataView(buffer, position + 8, contentLength)));
+        position += 8 + contentLength;
+    }
+
+    return geometries;
+}
+
+/**
+ * PARSE DBF: Reads the attribute table of a shapefile
+ * @param {ArrayBuffer} buffer - .dbf contents
+ * @param {string} encoding - Text encoding from the .cpg file (default windows-1252)
+ * @returns {Array<Object>} One properties object per record
+ */
+function parseDBF(buffer, encoding) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder(encoding || 'windows-1252');
+    const recordCount = view.getUint32(4, true);
+    const headerLength = view.getUint16(8, true);
+    const recordLength = view.getUint16(10, true);
+
+    // FIELD DESCRIPTORS: 32 bytes each, ended by 0x0D
+    const fields = [];
+    for (let position = 32; position < headerLength - 1 && view.getUint8(position) !== 0x0d; position += 32) {
+        const nameBytes = new Uint8Array(buffer, position, 11);
+        fields.push({
+            name: decoder.decode(nameBytes.slice(0, nameBytes.indexOf(0) >= 0 ? nameBytes.indexOf(0) : 11)),
+            type: String.fromCharCode(view.getUint8(position + 11)),
+            length: view.getUint8(position + 16)
+        });
+    }
+
+    const records = [];
+    for (let i = 0; i < recordCount; i++) {
+        let position = headerLength + i * recordLength;
+        const deleted = view.getUint8(position) === 0x2a; // '*'
+        position++;
+
+        const properties = {};
+        fields.forEach(function(field) {
+            const text = decoder.decode(new Uint8Array(buffer, position, field.length)).trim();
+            position += field.length;
+
+            if (field.type === 'N' || field.type === 'F') {
+                properties[field.name] = text === '' ? null : Number(text);
+            } else if (field.type === 'L') {
+                properties[field.name] = /^[YyTt]$/.test(text) ? true : /^[NnFf]$/.test(text) ? false : null;
+            } else if (field.type === 'D' && /^\d{8}$/.test(text)) {
+                properties[field.name] = `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}`;
+            } else {
+                properties[field.name] = text;
+            }
+        });
+
+        if (!deleted) records.push(properties);
+    }
+
+    return records;
+}
+
+// ========================================
+// REPROJECTION
+// ========================================
+
+/**
+ * PARSE WKT: Turns a .prj WKT string into nested { name, values } nodes
+ * @param {string} wkt - Well-known text, e.g. PROJCS["...", GEOGCS[...], PROJECTION["..."], ...]
+ * @returns {Object} Root node
+ */
+function parseWKT(wkt) {
+    const tokens = wkt.match(/"[^"]*"|[A-Za-z_][A-Za-z0-9_]*|-?[\d.]+(?:[eE][-+]?\d+)?|[[\](),]/g) || [];
+    let index = 0;
+
+    const parseNode = function() {
+        const node = { name: tokens[index++].toUpperCase(), values: [] };
+        if (tokens[index] !== '[' && tokens[index] !== '(') return node;
+        index++;
+
+        while (index < tokens.length && tokens[index] !== ']' && tokens[index] !== ')') {
+            const token = tokens[index];
+            if (token === ',') {
+                index++;
+            } else if (token[0] === '"') {
+                node.values.push(token.slice(1, -1));
+                index++;
+            } else if (/^-?[\d.]/.test(token)) {
+                node.values.push(Number(token));
+                index++;
+            } else {
+                node.values.push(parseNode());
+            }
+        }
+        index++;
+        return node;
+    };
+
+    return parseNode();
+}
+
+/**
+ * CREATE PROJECTION: Inverse projection from a .prj file's CRS to longitude/latitude
+ * Supports geographic CRSs, Transverse Mercator (UTM), Lambert Conformal Conic (State Plane) and Web Mercator;
+ * datum shifts are ignored (NAD83 and WGS84 agree to about a metre)
+ * @param {string} prjText - Contents of the .prj file
+ * @returns {Function|null} [x, y] -> [longitude, latitude], or null when the data is already longitude/latitude
+ */
+function createProjection(prjText) {
+    const root = parseWKT(prjText.trim());
+    if (root.name === 'GEOGCS' || root.name === 'GEOGCRS') return null;
+    if (root.name !== 'PROJCS') {
+        throw new Error(`Unsupported coordinate system in .prj (${root.name})`);
+    }
+
+    const find = function(node, name) {
+        return node.values.find(function(value) { return value && value.name === name; });
+    };
+    const spheroid = find(find(find(root, 'GEOGCS'), 'DATUM'), 'SPHEROID');
+    const projection = find(root, 'PROJECTION').values[0].toLowerCase();
+    const unit = find(root, 'UNIT') ? find(root, 'UNIT').values[1] : 1;
+
+    // PARAMETERS: Lower-case names, angles in radians, false easting/northing in metres
+    const parameters = {};
+    root.values.filter(function(value) { return value && value.name === 'PARAMETER'; }).forEach(function(parameter) {
+        parameters[parameter.values[0].toLowerCase()] = parameter.values[1];
+    });
+    const radians = function(name) { return (parameters[name] || 0) * Math.PI / 180; };
+    const falseEasting = (parameters.false_easting || 0) * unit;
+    const falseNorthing = (parameters.false_northing || 0) * unit;
+
+    // ELLIPSOID: Semi-major axis and eccentricity
+    const a = spheroid.values[1];
+    const inverseFlattening = spheroid.values[2];
+    const f = inverseFlattening ? 1 / inverseFlattening : 0;
+    const e2 = 2 * f - f * f;
+    const e = Math.sqrt(e2);
+
+    const toDegrees = function(lonRadians, latRadians) {
+        return [lonRadians * 180 / Math.PI, latRadians * 180 / Math.PI];
+    };
+
+    // WEB MERCATOR
+    if (projection.includes('mercator_auxiliary_sphere') || projection.includes('pseudo_mercator') ||
+        (projection.startsWith('mercator') && f === 0)) {
+        const lon0 = radians('central_meridian');
+        return function(point) {
+            const x = point[0] * unit - falseEasting;
+            const y = point[1] * unit - falseNorthing;
+            return toDegrees(lon0 + x / a, 2 * Math.atan(Math.exp(y / a)) - Math.PI / 2);
+        };
+    }
+
+    // TRANSVERSE MERCATOR: Snyder, Map Projections - A Working Manual (USGS 1987), eq. 8-12 to 8-25
+    if (projection === 'transverse_mercator') {
+        const k0 = parameters.scale_factor || 1;
+        const lon0 = radians('central_meridian');
+        const lat0 = radians('latitude_of_origin');
+        const ep2 = e2 / (1 - e2);
+        const meridianArc = function(phi) {
+            return a * ((1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256) * phi -
+                (3 * e2 / 8 + 3 * e2 * e2 / 32 + 45 * e2 * e2 * e2 / 1024) * Math.sin(2 * phi) +
+                (15 * e2 * e2 / 256 + 45 * e2 * e2 * e2 / 1024) * Math.sin(4 * phi) -
+                (35 * e2 * e2 * e2 / 3072) * Math.sin(6 * phi));
+        };
+        const m0 = meridianArc(lat0);
+        const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+        return function(point) {
+            const x = point[0] * unit - falseEasting;
+            const y = point[1] * unit - falseNorthing;
+
+            const m = m0 + y / k0;
+            const mu = m / (a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256));
+            const phi1 = mu + (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+                (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+                (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+                (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu);
+
+            const c1 = ep2 * Math.pow(Math.cos(phi1), 2);
+            const t1 = Math.pow(Math.tan(phi1), 2);
+            const n1 = a / Math.sqrt(1 - e2 * Math.pow(Math.sin(phi1), 2));
+            const r1 = a * (1 - e2) / Math.pow(1 - e2 * Math.pow(Math.sin(phi1), 2), 1.5);
+            const d = x / (n1 * k0);
+
+            const lat = phi1 - (n1 * Math.tan(phi1) / r1) * (d * d / 2 -
+                (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * Math.pow(d, 4) / 24 +
+                (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * Math.pow(d, 6) / 720);
+            const lon = lon0 + (d - (1 + 2 * t1 + c1) * Math.pow(d, 3) / 6 +
+                (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * Math.pow(d, 5) / 120) / Math.cos(phi1);
+
+            return toDegrees(lon, lat);
+        };
+    }
+
+    // LAMBERT CONFORMAL CONIC (2SP): Snyder eq. 15-9 to 15-11 and 7-9
+    if (projection.startsWith('lambert_conformal_conic')) {
+        const lat1 = radians('standard_parallel_1');
+        const lat2 = parameters.standard_parallel_2 === undefined ? lat1 : radians('standard_parallel_2');
+        const lat0 = radians('latitude_of_origin');
+        const lon0 = radians('central_meridian');
+
+        const mValue = function(phi) { return Math.cos(phi) / Math.sqrt(1 - e2 * Math.pow(Math.sin(phi), 2)); };
+        const tValue = function(phi) {
+            return Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi)), e / 2);
+        };
+
+        const n = lat1 === lat2
+            ? Math.sin(lat1)
+            : (Math.log(mValue(lat1)) - Math.log(mValue(lat2))) / (Math.log(tValue(lat1)) - Math.log(tValue(lat2)));
+        const bigF = mValue(lat1) / (n * Math.pow(tValue(lat1), n));
+        const k0 = parameters.scale_factor || 1;
+        const rho0 = a * bigF * k0 * Math.pow(tValue(lat0), n);
+
+        return function(point) {
+            const x = point[0] * unit - falseEasting;
+            const y = rho0 - (point[1] * unit - falseNorthing);
+            const rho = Math.sign(n) * Math.sqrt(x * x + y * y);
+            const theta = Math.atan2(Math.sign(n) * x, Math.sign(n) * y);
+            const t = Math.pow(rho / (a * bigF * k0), 1 / n);
+
+            // LATITUDE: Iterate phi = pi/2 - 2 atan(t ((1 - e sin phi) / (1 + e sin phi))^(e/2))
+            let lat = Math.PI / 2 - 2 * Math.atan(t);
+            for (let i = 0; i < 10; i++) {
+                const next = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - e * Math.sin(lat)) / (1 + e * Math.sin(lat)), e / 2));
+                if (Math.abs(next - lat) < 1e-12) break;
+                lat = next;
+            }
+
+            return toDegrees(theta / n + lon0, lat);
+        };
+    }
+
+    throw new Error(`Unsupported projection in .prj: ${projection}`);
+}
+
+/**
+ * REPROJECT GEOMETRY: Applies a projection to every position of a geometry
+ * @param {Object} geometry - GeoJSON geometry (changed in place)
+ * @param {Function} project - [x, y] -> [longitude, latitude]
+ */
+function reprojectGeometry(geometry, project) {
+    const convert = function(coordinates) {
+        return typeof coordinates[0] === 'number' ? project(coordinates) : coordinates.map(convert);
+    };
+    geometry.coordinates = convert(geometry.coordinates);
+}
+
+// ========================================
+// SHAPEFILE TO GEOJSON
+// ========================================
+
+/**
+ * SHAPEFILE TO GEOJSON: Combines the parts of a shapefile into a FeatureCollection in longitude/latitude
+ * @param {Object} parts - { shp, dbf, prj, cpg } ArrayBuffers (only shp is required)
+ * @param {string} name - Shapefile name used in messages
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function shapefileToGeoJSON(parts, name) {
+    if (!parts.shp) {
+        throw new Error(`${name}: the .shp file is missing`);
+    }
+
+    const decoder = new TextDecoder();
+    const geometries = parseSHP(parts.shp);
+    const encoding = parts.cpg ? decoder.decode(parts.cpg).trim() : undefined;
+    const records = parts.dbf ? parseDBF(parts.dbf, encoding) : [];
+    if (!parts.dbf) {
+        console.warn(`⚠️ ${name}: no .dbf file, features will have no attributes`);
+    }
+
+    // CRS: Without a .prj the coordinates are assumed to be longitude/latitude
+    const project = parts.prj ? createProjection(decoder.decode(parts.prj)) : null;
+    if (!parts.prj) {
+        console.warn(`⚠️ ${name}: no .prj file, assuming WGS84 longitude/latitude`);
+    }
+
+    const features = [];
+    geometries.forEach(function(geometry, index) {
+        if (!geometry) return;
+        if (project) reprojectGeometry(geometry, project);
+        features.push({ type: 'Feature', properties: records[index] || {}, geometry: geometry });
+    });
+
+    return { type: 'FeatureCollection', features: features };
+}
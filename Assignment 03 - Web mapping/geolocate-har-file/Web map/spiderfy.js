@@ -0,0 +1,210 @@
+// ========================================
+// SPIDERFY CONFIGURATION
+// ========================================
+
+/* SPIDERFY MIN ZOOM: From this zoom on, clicked clusters and stacked points fan out instead of zooming */
+const SPIDERFY_MIN_ZOOM = 12;
+
+/* SPIDER CIRCLE MAX: Up to this many points are placed on a circle, more on a spiral */
+const SPIDER_CIRCLE_MAX = 9;
+
+/* SPIDER LEG SIZES: Screen distances in pixels, as in Leaflet.markercluster */
+const SPIDER_CIRCLE_SEPARATION = 28; // Between neighbours on the circle
+const SPIDER_SPIRAL_START = 11; // First leg of the spiral
+const SPIDER_SPIRAL_SEPARATION = 28; // Between neighbours on the spiral
+const SPIDER_SPIRAL_GROWTH = 5; // Spiral widening per turn
+
+/* COINCIDENT TOLERANCE: Degrees within which two servers count as one position */
+const COINCIDENT_TOLERANCE = 0.000001;
+
+/* SPIDER STATE: Centre and fanned-out points ({ center, legs: [{ feature, position }] }), null when closed */
+let spiderState = null;
+
+// ========================================
+// SPIDER LAYOUT
+// ========================================
+
+/**
+ * ARE COINCIDENT: Whether point features all share one position
+ * @param {Array<Object>} features - GeoJSON Point features
+ * @returns {boolean} True when every feature sits on the first one's position
+ */
+function areCoincident(features) {
+    const first = features[0].geometry.coordinates;
+    return features.every(function(feature) {
+        const coordinates = feature.geometry.coordinates;
+        return Math.abs(coordinates[0] - first[0]) <= COINCIDENT_TOLERANCE &&
+            Math.abs(coordinates[1] - first[1]) <= COINCIDENT_TOLERANCE;
+    });
+}
+
+/**
+ * GET SPIDER OFFSETS: Screen offsets of the fanned-out points from the centre
+ * A few points go on a circle; many go on a spiral so the legs do not overlap
+ * @param {number} count - Number of points
+ * @returns {Array<Array>} [dx, dy] in pixels
+ */
+function getSpiderOffsets(count) {
+    const offsets = [];
+
+    if (count <= SPIDER_CIRCLE_MAX) {
+        const radius = Math.max(35, SPIDER_CIRCLE_SEPARATION * count / (2 * Math.PI));
+        for (let i = 0; i < count; i++) {
+            const angle = Math.PI / 6 + i * 2 * Math.PI / count;
+            offsets.push([radius * Math.cos(angle), radius * Math.sin(angle)]);
+        }
+        return offsets;
+    }
+
+    // SPIRAL: Each point one separation further along, the radius growing as it turns
+    let legLength = SPIDER_SPIRAL_START;
+    let angle = 0;
+    for (let i = 0; i < count; i++) {
+        angle += SPIDER_SPIRAL_SEPARATION / legLength + i * 0.0005;
+        offsets.push([legLength * Math.cos(angle), legLength * Math.sin(angle)]);
+        legLength += 2 * Math.PI * SPIDER_SPIRAL_GROWTH / angle;
+    }
+    return offsets;
+}
+
+/**
+ * CREATE SPIDER DATA: Leader lines and points of the open fan
+ * @returns {Object} { legs, points } FeatureCollections, empty when no fan is open
+ */
+function createSpiderData() {
+    const legs = [];
+    const points = [];
+
+    if (spiderState) {
+        spiderState.legs.forEach(function(leg) {
+            legs.push({
+                type: 'Feature',
+                properties: {},
+                geometry: { type: 'LineString', coordinates: [spiderState.center, leg.position] }
+            });
+            points.push({
+                type: 'Feature',
+                properties: leg.feature.properties,
+                geometry: { type: 'Point', coordinates: leg.position }
+            });
+        });
+    }
+
+    return {
+        legs: { type: 'FeatureCollection', features: legs },
+        points: { type: 'FeatureCollection', features: points }
+    };
+}
+
+/**
+ * UPDATE SPIDER SOURCES: Redraws the fan after it opened or closed
+ */
+function updateSpiderSources() {
+    if (!map || !map.getSource('spider-legs')) return;
+
+    const data = createSpiderData();
+    map.getSource('spider-legs').setData(data.legs);
+    map.getSource('spider-points').setData(data.points);
+}
+
+/**
+ * SPIDERFY: Fans out servers drawn on one spot, with leader lines back to it
+ * Positions are laid out in pixels at the current zoom, so the fan closes when the zoom changes
+ * @param {Array} center - [longitude, latitude] of the cluster or stacked point
+ * @param {Array<Object>} features - Point features to fan out
+ */
+function spiderfy(center, features) {
+    closeSelectedPopup();
+
+    const origin = map.project(center);
+    const offsets = getSpiderOffsets(features.length);
+
+    spiderState = {
+        center: center,
+        legs: features.map(function(feature, index) {
+            const position = map.unproject([origin.x + offsets[index][0], origin.y + offsets[index][1]]);
+            return { feature: feature, position: [position.lng, position.lat] };
+        })
+    };
+
+    updateSpiderSources();
+    console.log(`🕸️ Fanned out ${features.length} servers`);
+}
+
+/**
+ * UNSPIDERFY: Closes the open fan, if any
+ */
+function unspiderfy() {
+    if (!spiderState) return;
+    spiderState = null;
+    updateSpiderSources();
+}
+
+/* SPIDER OVERLAY: Leader lines and fanned-out points, drawn over clusters */
+registerOverlay('spiderfy', {
+    label: 'Fanned-out points',
+    sources: {
+        'spider-legs': function() { return { type: 'geojson', data: createSpiderData().legs }; },
+        'spider-points': function() { return { type: 'geojson', data: createSpiderData().points }; }
+    },
+    layers: function() {
+        return [
+            {
+                id: 'spider-legs',
+                type: 'line',
+                source: 'spider-legs',
+                paint: { 'line-color': '#34495e', 'line-width': 1.5, 'line-opacity': 0.8 }
+            },
+            {
+                id: 'spider-points',
+                type: 'circle',
+                source: 'spider-points',
+                paint: {
+                    'circle-color': getPointColorExpression(),
+                    'circle-radius': getCircleRadiusExpression('unclustered-point'),
+                    'circle-stroke-width': ['case', ['to-boolean', ['get', 'approximate']], 3, 2],
+                    'circle-stroke-color': ['case', ['to-boolean', ['get', 'approximate']], getPaletteColor('approximate', APPROXIMATE_COLOR), '#fff']
+                }
+            }
+        ];
+    }
+});
+
+// ========================================
+// SPIDER INTERACTIONS
+// ========================================
+
+/**
+ * ADD SPIDERFY INTERACTIONS: Popups for fanned-out points; zooming, rotating or clicking elsewhere closes the fan
+ */
+function addSpiderfyInteractions() {
+    map.on('click', 'spider-points', function(e) {
+        createPopup(e.features[0].geometry.coordinates.slice(), e.features[0].properties);
+    });
+
+    map.on('mouseenter', 'spider-points', function() {
+        map.getCanvas().style.cursor = 'pointer';
+    });
+
+    map.on('mouseleave', 'spider-points', function() {
+        map.getCanvas().style.cursor = '';
+    });
+
+    // CLOSE: A click that hits no server or cluster
+    map.on('click', function(e) {
+        if (!spiderState) return;
+        const layers = ['spider-points', 'clusters', 'unclustered-point'].filter(function(layerId) {
+            return map.getLayer(layerId);
+        });
+        if (map.queryRenderedFeatures(e.point, { layers: layers }).length === 0) {
+            unspiderfy();
+        }
+    });
+
+    map.on('zoomstart', unspiderfy);
+    map.on('rotatestart', unspiderfy);
+    map.on('pitchstart', unspiderfy);
+}
+
+/* STALE FANS: Filters and imports close the fan */
+onVisibleDataChange(unspiderfy);
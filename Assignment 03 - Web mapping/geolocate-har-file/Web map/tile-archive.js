@@ -0,0 +1,442 @@
+// ========================================
+// TILE ARCHIVE CONFIGURATION
+// ========================================
+
+/* TILE ARCHIVE PROTOCOL: URL scheme for tiles read from a local PMTiles (v3) archive */
+const TILE_ARCHIVE_PROTOCOL = 'pmtiles';
+
+/* OFFLINE BASEMAP: Bundled style and the tile archive it reads from */
+const OFFLINE_BASEMAP = {
+    key: 'offline',
+    label: 'Offline',
+    type: 'vector',
+    url: 'offline/basemap.pmtiles',
+    style: createOfflineStyle // offline-style.js
+};
+
+/* OFFLINE FALLBACK: Remote basemap errors tolerated before switching to the offline basemap */
+const OFFLINE_FALLBACK_ERROR_LIMIT = 3;
+
+/* TILE ARCHIVE HEADER: Fixed size of a PMTiles v3 header, in bytes */
+const TILE_ARCHIVE_HEADER_LENGTH = 127;
+
+/* TILE ARCHIVE TYPES: PMTiles tile type codes -> TileJSON format */
+const TILE_ARCHIVE_TYPES = { 1: 'pbf', 2: 'png', 3: 'jpg', 4: 'webp', 5: 'avif' };
+
+/* EMPTY RASTER TILE: 1x1 transparent PNG returned for raster tiles missing from an archive */
+const EMPTY_RASTER_TILE = Uint8Array.from(
+    atob('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=='),
+    function(character) { return character.charCodeAt(0); }
+).buffer;
+
+/* TILE ARCHIVES: Open archives by URL, and the basemaps registered from them */
+const tileArchives = new Map();
+const archiveBasemaps = new Map();
+
+/* FALLBACK STATE: Remote errors seen with the current style, and whether the fallback was used */
+let basemapErrorCount = 0;
+let offlineFallbackUsed = false;
+
+// ========================================
+// ARCHIVE READING
+// ========================================
+
+/**
+ * READ VARINT: Reads an unsigned LEB128 integer
+ * @param {Uint8Array} bytes - Buffer
+ * @param {Object} cursor - { position } advanced past the integer
+ * @returns {number} Value (exact up to 2^53)
+ */
+function readVarint(bytes, cursor) {
+    let value = 0;
+    let multiplier = 1;
+    let byte;
+
+    do {
+        byte = bytes[cursor.position++];
+        value += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+    } while (byte & 0x80);
+
+    return value;
+}
+
+/**
+ * ZXY TO TILE ID: Position of a tile on the archive's Hilbert curve
+ * @param {number} z - Zoom
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {number} Tile ID
+ */
+function zxyToTileId(z, x, y) {
+    // TILES ON LOWER ZOOMS: 4^0 + 4^1 + ... + 4^(z-1)
+    const lowerZoomTiles = (Math.pow(4, z) - 1) / 3;
+    const position = [x, y];
+    let distance = 0;
+
+    for (let size = Math.pow(2, z) / 2; size >= 1; size /= 2) {
+        const rx = (position[0] & size) > 0 ? 1 : 0;
+        const ry = (position[1] & size) > 0 ? 1 : 0;
+        distance += size * size * ((3 * rx) ^ ry);
+
+        // ROTATE QUADRANT: Keeps the curve continuous
+        if (ry === 0) {
+            if (rx === 1) {
+                position[0] = size - 1 - position[0];
+                position[1] = size - 1 - position[1];
+            }
+            position.reverse();
+        }
+    }
+
+    return lowerZoomTiles + distance;
+}
+
+/**
+ * DECOMPRESS: Undoes the archive's compression of directories and tiles
+ * @param {ArrayBuffer} buffer - Compressed bytes
+ * @param {number} compression - PMTiles compression code (1 none, 2 gzip)
+ * @returns {Promise<ArrayBuffer>} Uncompressed bytes
+ */
+async function decompressArchiveData(buffer, compression) {
+    if (compression === 0 || compression === 1) {
+        return buffer;
+    }
+    if (compression === 2) {
+        const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).arrayBuffer();
+    }
+    throw new Error(`Unsupported tile archive compression (${compression}) - rebuild the archive with gzip`);
+}
+
+/**
+ * PARSE ARCHIVE DIRECTORY: Decodes the entries of a root or leaf directory
+ * @param {ArrayBuffer} buffer - Uncompressed directory bytes
+ * @returns {Array<Object>} Entries { tileId, offset, length, runLength } sorted by tileId
+ */
+function parseArchiveDirectory(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const cursor = { position: 0 };
+    const count = readVarint(bytes, cursor);
+    const entries = [];
+
+    // COLUMNS: Delta-encoded tile IDs, then run lengths, lengths and offsets
+    let tileId = 0;
+    for (let i = 0; i < count; i++) {
+        tileId += readVarint(bytes, cursor);
+        entries.push({ tileId: tileId, offset: 0, length: 0, runLength: 0 });
+    }
+    entries.forEach(function(entry) { entry.runLength = readVarint(bytes, cursor); });
+    entries.forEach(function(entry) { entry.length = readVarint(bytes, cursor); });
+    entries.forEach(function(entry, index) {
+        // OFFSET 0: The entry directly follows the previous one
+        const value = readVarint(bytes, cursor);
+        entry.offset = value === 0 && index > 0
+            ? entries[index - 1].offset + entries[index - 1].length
+            : value - 1;
+    });
+
+    return entries;
+}
+
+/**
+ * FIND ARCHIVE ENTRY: Last entry whose tile ID is not greater than the one sought
+ * @param {Array<Object>} entries - Directory entries
+ * @param {number} tileId - Tile ID
+ * @returns {Object|null} Entry
+ */
+function findArchiveEntry(entries, tileId) {
+    let low = 0;
+    let high = entries.length - 1;
+
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (entries[middle].tileId <= tileId) {
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    return high >= 0 ? entries[high] : null;
+}
+
+/**
+ * OPEN TILE ARCHIVE: Reader for a PMTiles v3 file served from the same origin
+ * Uses HTTP range requests, or the whole file when the server ignores ranges (python -m http.server)
+ * @param {string} url - Archive URL
+ * @returns {Object} Reader with getHeader() and getTile(z, x, y)
+ */
+function openTileArchive(url) {
+    let wholeFile = null;
+    let headerPromise = null;
+    const directories = new Map();
+
+    // READ RANGE: Bytes [offset, offset + length) of the archive
+    const readRange = async function(offset, length) {
+        if (!wholeFile) {
+            const response = await fetch(url, { headers: { Range: `bytes=${offset}-${offset + length - 1}` } });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
+            }
+            if (response.status === 206) {
+                return response.arrayBuffer();
+            }
+            wholeFile = await response.arrayBuffer(); // Range ignored: keep the whole file
+        }
+        return wholeFile.slice(offset, offset + length);
+    };
+
+    // HEADER: Offsets, compression and zoom range
+    const getHeader = function() {
+        if (!headerPromise) {
+            headerPromise = readRange(0, TILE_ARCHIVE_HEADER_LENGTH).then(function(buffer) {
+                const view = new DataView(buffer);
+                const magic = String.fromCharCode.apply(null, new Uint8Array(buffer, 0, 7));
+                if (magic !== 'PMTiles' || view.getUint8(7) !== 3) {
+                    throw new Error(`${url} is not a PMTiles v3 archive`);
+                }
+
+                const uint64 = function(offset) {
+                    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 4294967296;
+                };
+                const degrees = function(offset) {
+                    return view.getInt32(offset, true) / 1e7;
+                };
+
+                return {
+                    rootDirectoryOffset: uint64(8),
+                    rootDirectoryLength: uint64(16),
+                    metadataOffset: uint64(24),
+                    metadataLength: uint64(32),
+                    leafDirectoryOffset: uint64(40),
+                    tileDataOffset: uint64(56),
+                    internalCompression: view.getUint8(97),
+                    tileCompression: view.getUint8(98),
+                    tileType: view.getUint8(99),
+                    minZoom: view.getUint8(100),
+                    maxZoom: view.getUint8(101),
+                    bounds: [degrees(102), degrees(106), degrees(110), degrees(114)],
+                    center: [degrees(119), degrees(123), view.getUint8(118)]
+                };
+            });
+            headerPromise.catch(function() { headerPromise = null; }); // Allow a retry
+        }
+        return headerPromise;
+    };
+
+    // DIRECTORY: Parsed once per offset
+    const getDirectory = function(header, offset, length) {
+        if (!directories.has(offset)) {
+            const directory = readRange(offset, length)
+                .then(function(buffer) { return decompressArchiveData(buffer, header.internalCompression); })
+                .then(parseArchiveDirectory);
+            directory.catch(function() { directories.delete(offset); });
+            directories.set(offset, directory);
+        }
+        return directories.get(offset);
+    };
+
+    // TILE: Walk from the root directory through at most three leaf levels
+    const getTile = async function(z, x, y) {
+        const header = await getHeader();
+        if (z < header.minZoom || z > header.maxZoom) return null;
+
+        const tileId = zxyToTileId(z, x, y);
+        let offset = header.rootDirectoryOffset;
+        let length = header.rootDirectoryLength;
+
+        for (let depth = 0; depth <= 3; depth++) {
+            const entries = await getDirectory(header, offset, length);
+            const entry = findArchiveEntry(entries, tileId);
+            if (!entry) return null;
+
+            if (entry.runLength === 0) {
+                // LEAF DIRECTORY: Continue the search one level down
+                offset = header.leafDirectoryOffset + entry.offset;
+                length = entry.length;
+            } else if (tileId < entry.tileId + entry.runLength) {
+                const tile = await readRange(header.tileDataOffset + entry.offset, entry.length);
+                return decompressArchiveData(tile, header.tileCompression);
+            } else {
+                return null; // Not in the archive
+            }
+        }
+
+        throw new Error(`Tile ${z}/${x}/${y} is nested too deeply in ${url}`);
+    };
+
+    return { getHeader: getHeader, getTile: getTile };
+}
+
+/**
+ * GET TILE ARCHIVE: Shared reader for an archive URL
+ * @param {string} url - Archive URL
+ * @returns {Object} Reader from openTileArchive()
+ */
+function getTileArchive(url) {
+    if (!tileArchives.has(url)) {
+        tileArchives.set(url, openTileArchive(url));
+    }
+    return tileArchives.get(url);
+}
+
+// ========================================
+// MAPLIBRE PROTOCOL
+// ========================================
+
+/**
+ * LOAD ARCHIVE RESOURCE: MapLibre protocol handler for pmtiles:// URLs
+ * pmtiles://offline/basemap.pmtiles returns TileJSON, pmtiles://offline/basemap.pmtiles/{z}/{x}/{y} a tile
+ * @param {Object} params - MapLibre request parameters
+ * @returns {Promise<Object>} { data }
+ */
+async function loadArchiveResource(params) {
+    const path = params.url.replace(`${TILE_ARCHIVE_PROTOCOL}://`, '');
+    const tileMatch = path.match(/^(.+)\/(\d+)\/(\d+)\/(\d+)$/);
+
+    // TILE: Missing tiles are empty (transparent for raster) so the basemap just shows nothing there
+    if (tileMatch) {
+        const archive = getTileArchive(tileMatch[1]);
+        const tile = await archive.getTile(Number(tileMatch[2]), Number(tileMatch[3]), Number(tileMatch[4]));
+        if (tile) return { data: tile };
+
+        const header = await archive.getHeader();
+        return { data: TILE_ARCHIVE_TYPES[header.tileType] === 'pbf' ? new ArrayBuffer(0) : EMPTY_RASTER_TILE.slice(0) };
+    }
+
+    // TILEJSON: Describes the archive to a source with a url
+    const header = await getTileArchive(path).getHeader();
+    return {
+        data: {
+            tilejson: '3.0.0',
+            tiles: [`${TILE_ARCHIVE_PROTOCOL}://${path}/{z}/{x}/{y}`],
+            minzoom: header.minZoom,
+            maxzoom: header.maxZoom,
+            bounds: header.bounds,
+            center: header.center,
+            format: TILE_ARCHIVE_TYPES[header.tileType]
+        }
+    };
+}
+
+/* PROTOCOL: Let styles and sources use pmtiles:// URLs */
+maplibregl.addProtocol(TILE_ARCHIVE_PROTOCOL, loadArchiveResource);
+
+// ========================================
+// ARCHIVE BASEMAPS
+// ========================================
+
+/**
+ * REGISTER ARCHIVE BASEMAP: Adds a basemap backed by a local tile archive to mapStyles and the style selector
+ * @param {string} key - mapStyles key
+ * @param {Object} basemap - {
+ *     label, url: archive URL,
+ *     type: 'raster' (a style is generated) or 'vector' (style: function of the archive URL returning the style),
+ *     attribution (raster only)
+ * }
+ */
+function registerArchiveBasemap(key, basemap) {
+    archiveBasemaps.set(key, basemap);
+
+    if (basemap.type === 'vector') {
+        mapStyles[key] = basemap.style(basemap.url);
+    } else {
+        mapStyles[key] = {
+            "version": 8,
+            "glyphs": LOCAL_GLYPHS_URL,
+            "sources": {
+                "archive": {
+                    "type": "raster",
+                    "url": `${TILE_ARCHIVE_PROTOCOL}://${basemap.url}`,
+                    "tileSize": 256,
+                    "attribution": basemap.attribution || ''
+                }
+            },
+            "layers": [{
+                "id": "archive",
+                "type": "raster",
+                "source": "archive"
+            }]
+        };
+    }
+
+    // STYLE SELECTOR: Scripts load at the end of the page, so the selector already exists
+    const styleSelector = document.getElementById('map-style');
+    if (styleSelector && !styleSelector.querySelector(`option[value="${key}"]`)) {
+        styleSelector.add(new Option(basemap.label, key));
+    }
+}
+
+/**
+ * IS REMOTE BASEMAP ERROR: Whether a map error comes from the remote basemap (tiles, glyphs, sprites or style)
+ * @param {Object} e - MapLibre error event
+ * @returns {boolean} True for basemap errors that the offline basemap avoids
+ */
+function isRemoteBasemapError(e) {
+    // OVERLAY SOURCES: Errors in the data layers are not the basemap's
+    const isOverlaySource = overlays.some(function(overlay) {
+        return Object.prototype.hasOwnProperty.call(overlay.sources, e.sourceId);
+    });
+    if (e.sourceId) {
+        return !isOverlaySource;
+    }
+
+    // RESOURCE ERRORS: A failed request for a URL on another origin
+    const url = e.error && e.error.url;
+    if (url) {
+        return new URL(url, window.location.href).origin !== window.location.origin;
+    }
+    return /failed to fetch|networkerror|load failed/i.test((e.error && e.error.message) || '');
+}
+
+/**
+ * HANDLE BASEMAP ERROR: Counts remote basemap errors and switches to the offline basemap after a few
+ * Called from the map error handler
+ * @param {Object} e - MapLibre error event
+ * @returns {boolean} True when the error was handled here (no error message needed)
+ */
+function handleBasemapError(e) {
+    if (archiveBasemaps.has(currentStyleKey) || offlineFallbackUsed || !isRemoteBasemapError(e)) {
+        return false;
+    }
+
+    // STYLE, GLYPH OR SPRITE FAILURE: Switch at once, a few tile failures may just be gaps
+    basemapErrorCount++;
+    if (!e.sourceId || basemapErrorCount >= OFFLINE_FALLBACK_ERROR_LIMIT) {
+        fallBackToOfflineBasemap();
+    }
+    return true;
+}
+
+/**
+ * FALL BACK TO OFFLINE BASEMAP: Switches to the offline basemap if its archive can be read
+ */
+async function fallBackToOfflineBasemap() {
+    offlineFallbackUsed = true;
+    const basemap = archiveBasemaps.get(OFFLINE_BASEMAP.key);
+
+    try {
+        await getTileArchive(basemap.url).getHeader();
+    } catch (error) {
+        console.error('❌ Offline basemap unavailable:', error);
+        showErrorMessage('The remote basemap failed to load and no offline tile archive was found.');
+        return;
+    }
+
+    console.warn(`⚠️ Remote basemap "${currentStyleKey}" failed, switching to the offline basemap`);
+    const styleSelector = document.getElementById('map-style');
+    if (styleSelector) styleSelector.value = OFFLINE_BASEMAP.key;
+    changeMapStyle(OFFLINE_BASEMAP.key);
+    updateIPCount('⚠️ Remote basemap unavailable - showing the offline basemap');
+}
+
+/**
+ * RESET BASEMAP ERRORS: Starts counting again for a newly selected style
+ */
+function resetBasemapErrors() {
+    basemapErrorCount = 0;
+}
+
+/* OFFLINE BASEMAP: Bundled vector style (offline-style.js) reading offline/basemap.pmtiles */
+registerArchiveBasemap(OFFLINE_BASEMAP.key, OFFLINE_BASEMAP);
@@ -0,0 +1,427 @@
+// ========================================
+// TIMELINE CONFIGURATION
+// ========================================
+
+/* TIMELINE BINS: Number of histogram bars across the capture */
+const TIMELINE_BINS = 60;
+
+/* TIMELINE REFRESH INTERVAL: Minimum milliseconds between map updates while playing */
+const TIMELINE_REFRESH_INTERVAL = 100;
+
+/* TIMELINE STATE: Capture time range, brushed window and playback position (epoch milliseconds) */
+const timelineState = {
+    domain: null, // [start, end] of the imported requests
+    window: null, // [start, end] brushed on the histogram, or null for the whole capture
+    playhead: null, // Requests started after this time are hidden, null shows all
+    playing: false,
+    speed: 1, // Capture milliseconds per real millisecond
+    startTimes: [], // Sorted request start times
+    animationFrame: null,
+    lastFrameTime: null,
+    lastRefreshTime: 0,
+    lastVisibleCount: -1
+};
+
+// ========================================
+// TIME WINDOW FILTERING
+// ========================================
+
+/**
+ * GET TIMELINE BOUNDS: The time range currently fed to the map
+ * @returns {Array} [lower, upper] in epoch milliseconds
+ */
+function getTimelineBounds() {
+    const lower = timelineState.window ? timelineState.window[0] : timelineState.domain[0];
+    const windowEnd = timelineState.window ? timelineState.window[1] : timelineState.domain[1];
+    const upper = timelineState.playhead === null ? windowEnd : Math.min(windowEnd, timelineState.playhead);
+    return [lower, upper];
+}
+
+/**
+ * COUNT REQUESTS BETWEEN: Number of requests that started inside a time range
+ * @param {number} lower - Range start, epoch milliseconds (inclusive)
+ * @param {number} upper - Range end, epoch milliseconds (inclusive)
+ * @returns {number} Request count (binary search over the sorted start times)
+ */
+function countRequestsBetween(lower, upper) {
+    const times = timelineState.startTimes;
+
+    // FIRST INDEX: First start time that passes the test
+    const firstIndex = function(test) {
+        let low = 0;
+        let high = times.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (test(times[middle])) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return low;
+    };
+
+    return firstIndex(function(time) { return time > upper; }) -
+        firstIndex(function(time) { return time >= lower; });
+}
+
+/**
+ * APPLY TIMELINE FILTER: Feeds only requests inside the window (and before the playhead) to the map
+ * @param {boolean} force - Refresh even if the same requests are visible
+ */
+function applyTimelineFilter(force) {
+    if (!timelineState.domain) return;
+
+    // WHOLE CAPTURE: No filtering needed
+    if (!timelineState.window && timelineState.playhead === null) {
+        timelineState.lastVisibleCount = -1;
+        setRequestFilter('timeline', null);
+        return;
+    }
+
+    const [lower, upper] = getTimelineBounds();
+
+    // SKIP UNCHANGED: Re-aggregating is only needed when requests appear or disappear
+    const visibleCount = countRequestsBetween(lower, upper);
+    if (!force && visibleCount === timelineState.lastVisibleCount) return;
+    timelineState.lastVisibleCount = visibleCount;
+
+    setRequestFilter('timeline', function(record) {
+        return record.startTime !== null && record.startTime >= lower && record.startTime <= upper;
+    });
+}
+
+// ========================================
+// PLAYBACK
+// ========================================
+
+/**
+ * PLAY TIMELINE: Animates requests appearing in the order the page loaded them
+ */
+function playTimeline() {
+    if (!timelineState.domain || timelineState.playing) return;
+
+    const [start, end] = timelineState.window || timelineState.domain;
+
+    // RESTART: Start from the beginning when nothing or everything is shown
+    if (timelineState.playhead === null || timelineState.playhead >= end || timelineState.playhead < start) {
+        timelineState.playhead = start;
+    }
+
+    timelineState.playing = true;
+    timelineState.lastFrameTime = null;
+    timelineState.animationFrame = requestAnimationFrame(stepTimeline);
+    timelineControl.update();
+}
+
+/**
+ * STEP TIMELINE: Advances the playhead by the elapsed time times the playback speed
+ * @param {number} frameTime - requestAnimationFrame timestamp
+ */
+function stepTimeline(frameTime) {
+    if (!timelineState.playing) return;
+
+    const elapsed = timelineState.lastFrameTime === null ? 0 : frameTime - timelineState.lastFrameTime;
+    timelineState.lastFrameTime = frameTime;
+
+    const end = (timelineState.window || timelineState.domain)[1];
+    timelineState.playhead = Math.min(timelineState.playhead + elapsed * timelineState.speed, end);
+
+    // THROTTLE: Limit how often the map data is rebuilt
+    if (frameTime - timelineState.lastRefreshTime >= TIMELINE_REFRESH_INTERVAL || timelineState.playhead >= end) {
+        timelineState.lastRefreshTime = frameTime;
+        applyTimelineFilter(false);
+    }
+    timelineControl.updatePlayhead();
+
+    if (timelineState.playhead >= end) {
+        pauseTimeline();
+        return;
+    }
+
+    timelineState.animationFrame = requestAnimationFrame(stepTimeline);
+}
+
+/**
+ * PAUSE TIMELINE: Stops playback, keeping the current playhead
+ */
+function pauseTimeline() {
+    timelineState.playing = false;
+    if (timelineState.animationFrame) {
+        cancelAnimationFrame(timelineState.animationFrame);
+        timelineState.animationFrame = null;
+    }
+    timelineControl.update();
+}
+
+/**
+ * SEEK TIMELINE: Moves the playhead to a fraction of the window
+ * @param {number} fraction - 0 (window start) to 1 (window end)
+ */
+function seekTimeline(fraction) {
+    if (!timelineState.domain) return;
+    const [start, end] = timelineState.window || timelineState.domain;
+    timelineState.playhead = start + fraction * (end - start);
+    applyTimelineFilter(false);
+    timelineControl.updatePlayhead();
+}
+
+/**
+ * SET TIMELINE WINDOW: Limits the map to requests started inside a time window
+ * @param {Array|null} timeWindow - [start, end] in epoch milliseconds, or null for the whole capture
+ */
+function setTimelineWindow(timeWindow) {
+    pauseTimeline();
+    timelineState.window = timeWindow;
+    timelineState.playhead = null;
+    applyTimelineFilter(true);
+    timelineControl.update();
+}
+
+/**
+ * LOAD TIMELINE RECORDS: Resets the timeline for a newly imported set of requests
+ * Registered as a request records listener
+ * @param {Array<Object>} records - Request records
+ */
+function loadTimelineRecords(records) {
+    pauseTimeline();
+
+    timelineState.startTimes = records
+        .map(function(record) { return record.startTime; })
+        .filter(function(time) { return time !== null; })
+        .sort(function(a, b) { return a - b; });
+
+    if (timelineState.startTimes.length === 0) {
+        timelineState.domain = null;
+    } else {
+        const start = timelineState.startTimes[0];
+        const end = records.reduce(function(latest, record) {
+            return record.startTime === null ? latest : Math.max(latest, record.startTime + Math.max(record.time, 0));
+        }, start);
+        timelineState.domain = [start, Math.max(end, start + 1)];
+    }
+
+    timelineState.window = null;
+    timelineState.playhead = null;
+    timelineState.lastVisibleCount = -1;
+    timelineControl.update();
+}
+
+// ========================================
+// TIMELINE CONTROL
+// ========================================
+
+/**
+ * FORMAT TIMELINE OFFSET: Time since the start of the capture, e.g. +1.25 s
+ * @param {number} time - Epoch milliseconds
+ * @returns {string} Offset label
+ */
+function formatTimelineOffset(time) {
+    return `+${((time - timelineState.domain[0]) / 1000).toFixed(2)} s`;
+}
+
+/**
+ * TIMELINE CONTROL: Histogram with brushing, playhead slider and playback buttons
+ */
+class TimelineControl {
+    constructor() {
+        this.histogramWidth = 360;
+        this.histogramHeight = 60;
+    }
+
+    onAdd(mapInstance) {
+        this.map = mapInstance;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl map-panel timeline-panel';
+        this.container.style.display = 'none'; // Shown once HAR requests are imported
+        this.container.innerHTML = `
+            <div class="map-panel-title">⏱️ Request timeline <span class="timeline-label" data-role="label"></span></div>
+            <svg class="timeline-histogram" data-role="histogram" width="${this.histogramWidth}" height="${this.histogramHeight}"
+                 role="img" aria-label="Requests over time. Drag to select a time window, click to clear it."></svg>
+            <input type="range" min="0" max="1000" value="1000" data-role="slider" aria-label="Playback position">
+            <div class="map-panel-row">
+                <button type="button" data-role="play">▶ Play</button>
+                <button type="button" data-role="reset">⟲ Show all</button>
+                <select data-role="speed" aria-label="Playback speed">
+                    <option value="0.25">0.25×</option>
+                    <option value="0.5">0.5×</option>
+                    <option value="1" selected>1×</option>
+                    <option value="2">2×</option>
+                    <option value="5">5×</option>
+                    <option value="10">10×</option>
+                </select>
+            </div>
+        `;
+
+        const element = (role) => this.container.querySelector(`[data-role="${role}"]`);
+        this.histogram = element('histogram');
+        this.slider = element('slider');
+        this.label = element('label');
+        this.playButton = element('play');
+
+        this.playButton.addEventListener('click', function() {
+            if (timelineState.playing) {
+                pauseTimeline();
+            } else {
+                playTimeline();
+            }
+        });
+        element('reset').addEventListener('click', function() {
+            setTimelineWindow(null);
+        });
+        element('speed').addEventListener('change', function(e) {
+            timelineState.speed = Number(e.target.value);
+        });
+        this.slider.addEventListener('input', (e) => {
+            pauseTimeline();
+            seekTimeline(Number(e.target.value) / 1000);
+        });
+
+        this.setupBrush();
+        this.update();
+        return this.container;
+    }
+
+    onRemove() {
+        pauseTimeline();
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * TIME AT X: Converts a histogram x position to a capture time
+     * @param {number} x - Pixels from the left edge of the histogram
+     * @returns {number} Epoch milliseconds
+     */
+    timeAtX(x) {
+        const [start, end] = timelineState.domain;
+        const fraction = Math.min(Math.max(x / this.histogramWidth, 0), 1);
+        return start + fraction * (end - start);
+    }
+
+    /**
+     * X AT TIME: Converts a capture time to a histogram x position
+     * @param {number} time - Epoch milliseconds
+     * @returns {number} Pixels from the left edge of the histogram
+     */
+    xAtTime(time) {
+        const [start, end] = timelineState.domain;
+        return ((time - start) / (end - start)) * this.histogramWidth;
+    }
+
+    /**
+     * SETUP BRUSH: Drag across the histogram to select a time window, click to clear it
+     */
+    setupBrush() {
+        let brushStart = null;
+
+        const pointerX = (e) => e.clientX - this.histogram.getBoundingClientRect().left;
+
+        this.histogram.addEventListener('pointerdown', (e) => {
+            if (!timelineState.domain) return;
+            brushStart = pointerX(e);
+            this.histogram.setPointerCapture(e.pointerId);
+        });
+
+        this.histogram.addEventListener('pointermove', (e) => {
+            if (brushStart === null) return;
+            this.drawBrush(brushStart, pointerX(e));
+        });
+
+        this.histogram.addEventListener('pointerup', (e) => {
+            if (brushStart === null) return;
+            const brushEnd = pointerX(e);
+            const [left, right] = [Math.min(brushStart, brushEnd), Math.max(brushStart, brushEnd)];
+            brushStart = null;
+
+            // CLICK: A click without dragging clears the window
+            if (right - left < 3) {
+                setTimelineWindow(null);
+            } else {
+                setTimelineWindow([this.timeAtX(left), this.timeAtX(right)]);
+            }
+        });
+    }
+
+    /**
+     * DRAW BRUSH: Shows the selected range on the histogram
+     * @param {number} x1 - One edge in pixels
+     * @param {number} x2 - Other edge in pixels
+     */
+    drawBrush(x1, x2) {
+        const brush = this.histogram.querySelector('.timeline-brush');
+        brush.setAttribute('x', Math.min(x1, x2));
+        brush.setAttribute('width', Math.abs(x2 - x1));
+        brush.style.display = '';
+    }
+
+    /**
+     * UPDATE: Redraws the histogram, brush, buttons and playhead
+     */
+    update() {
+        if (!this.container) return;
+
+        this.container.style.display = timelineState.domain ? '' : 'none';
+        if (!timelineState.domain) return;
+
+        // HISTOGRAM: Requests started in each bin
+        const [start, end] = timelineState.domain;
+        const binSize = (end - start) / TIMELINE_BINS;
+        const bins = new Array(TIMELINE_BINS).fill(0);
+        timelineState.startTimes.forEach(function(time) {
+            bins[Math.min(Math.floor((time - start) / binSize), TIMELINE_BINS - 1)]++;
+        });
+
+        const maxCount = Math.max(...bins, 1);
+        const barWidth = this.histogramWidth / TIMELINE_BINS;
+        const bars = bins.map((count, index) => {
+            const height = (count / maxCount) * (this.histogramHeight - 4);
+            return `<rect class="timeline-bar" x="${index * barWidth}" y="${this.histogramHeight - height}"
+                          width="${Math.max(barWidth - 1, 1)}" height="${height}">
+                        <title>${count} request(s) at ${formatTimelineOffset(start + index * binSize)}</title>
+                    </rect>`;
+        }).join('');
+
+        this.histogram.innerHTML = `
+            ${bars}
+            <rect class="timeline-brush" y="0" height="${this.histogramHeight}" style="display: none"></rect>
+            <line class="timeline-playhead" y1="0" y2="${this.histogramHeight}" style="display: none"></line>
+        `;
+
+        if (timelineState.window) {
+            this.drawBrush(this.xAtTime(timelineState.window[0]), this.xAtTime(timelineState.window[1]));
+        }
+
+        this.playButton.textContent = timelineState.playing ? '⏸ Pause' : '▶ Play';
+        this.updatePlayhead();
+    }
+
+    /**
+     * UPDATE PLAYHEAD: Moves the playhead line, slider and time label
+     */
+    updatePlayhead() {
+        if (!this.container || !timelineState.domain) return;
+
+        const [windowStart, windowEnd] = timelineState.window || timelineState.domain;
+        const playhead = timelineState.playhead === null ? windowEnd : timelineState.playhead;
+
+        this.slider.value = Math.round(((playhead - windowStart) / (windowEnd - windowStart || 1)) * 1000);
+        this.label.textContent = `${formatTimelineOffset(windowStart)} – ${formatTimelineOffset(playhead)}`;
+
+        const line = this.histogram.querySelector('.timeline-playhead');
+        if (timelineState.playhead === null) {
+            line.style.display = 'none';
+        } else {
+            const x = this.xAtTime(playhead);
+            line.setAttribute('x1', x);
+            line.setAttribute('x2', x);
+            line.style.display = '';
+        }
+    }
+}
+
+/* TIMELINE CONTROL: Single timeline instance added to the map */
+const timelineControl = new TimelineControl();
+
+/* RESET ON IMPORT: Every new set of HAR requests gets a fresh timeline */
+onRequestRecordsChange(loadTimelineRecords);
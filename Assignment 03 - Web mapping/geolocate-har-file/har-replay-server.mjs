@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// ========================================
+// HAR REPLAY SERVER
+// ========================================
+// Local stand-in for a capture proxy: replays the entries of HAR files as Server-Sent Events,
+// at their recorded pace, for the web map's Live capture panel.
+//
+//     node har-replay-server.mjs inputs/capture.har --port 8090 --speed 2 --loop
+//
+// Every event is one HAR entry as JSON, with startedDateTime moved to the time it is sent.
+
+import { readFileSync } from 'node:fs';
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+
+/* USAGE: Help text printed by --help and after argument errors */
+const USAGE = `Usage: node har-replay-server.mjs [options] <file.har>...
+
+Options:
+  -p, --port <port>     Port to listen on (default: 8090), events are served at /events
+  -s, --speed <factor>  Replay speed, 2 = twice as fast (default: 1)
+      --max-gap <ms>    Longest pause between two entries (default: 5000)
+      --loop            Start again after the last entry
+  -h, --help            Show this help`;
+
+/**
+ * READ ENTRIES: HAR entries of every file, in order of their start time
+ * @param {Array<string>} paths - HAR file paths
+ * @returns {Array<Object>} HAR entries
+ */
+function readEntries(paths) {
+    const entries = [];
+    paths.forEach(function(path) {
+        const har = JSON.parse(readFileSync(path, 'utf8'));
+        if (!har || !har.log || !Array.isArray(har.log.entries)) {
+            throw new Error(`${path} is not a HAR file - missing log.entries array`);
+        }
+        entries.push(...har.log.entries);
+    });
+
+    return entries.sort(function(a, b) {
+        return (Date.parse(a.startedDateTime) || 0) - (Date.parse(b.startedDateTime) || 0);
+    });
+}
+
+/**
+ * REPLAY: Sends the entries to one client at their recorded pace
+ * @param {http.ServerResponse} response - Open event stream
+ * @param {Array<Object>} entries - HAR entries
+ * @param {Object} options - { speed, maxGap, loop }
+ */
+function replay(response, entries, options) {
+    let index = 0;
+    let timer = null;
+
+    const sendNext = function() {
+        if (index >= entries.length) {
+            if (!options.loop) return;
+            index = 0;
+        }
+
+        const entry = Object.assign({}, entries[index], { startedDateTime: new Date().toISOString() });
+        response.write(`data: ${JSON.stringify(entry)}\n\n`);
+
+        // GAP: Recorded time to the next entry, scaled and capped
+        const next = entries[(index + 1) % entries.length];
+        const gap = (Date.parse(next.startedDateTime) || 0) - (Date.parse(entries[index].startedDateTime) || 0);
+        index++;
+        timer = setTimeout(sendNext, Math.min(options.maxGap, Math.max(0, gap)) / options.speed);
+    };
+
+    // KEEP-ALIVE: Comments stop proxies from closing an idle stream
+    const keepAlive = setInterval(function() { response.write(': keep-alive\n\n'); }, 15000);
+    response.on('close', function() {
+        clearTimeout(timer);
+        clearInterval(keepAlive);
+    });
+
+    sendNext();
+}
+
+/**
+ * MAIN: Starts the server
+ * @param {Array<string>} argv - Command-line arguments after the script name
+ */
+function main(argv) {
+    const { values: flags, positionals: paths } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            port: { type: 'string', short: 'p', default: '8090' },
+            speed: { type: 'string', short: 's', default: '1' },
+            'max-gap': { type: 'string', default: '5000' },
+            loop: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    if (flags.help || paths.length === 0) {
+        console.log(USAGE);
+        process.exitCode = flags.help ? 0 : 1;
+        return;
+    }
+
+    const entries = readEntries(paths).filter(function(entry) { return entry.serverIPAddress; });
+    if (entries.length === 0) {
+        throw new Error('no entries with a server IP address');
+    }
+    const options = { speed: Number(flags.speed) || 1, maxGap: Number(flags['max-gap']) || 5000, loop: flags.loop };
+
+    const server = http.createServer(function(request, response) {
+        if (new URL(request.url, 'http://localhost').pathname !== '/events') {
+            response.writeHead(404, { 'Access-Control-Allow-Origin': '*' });
+            response.end();
+            return;
+        }
+
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*' // The map is served from another port
+        });
+        console.log(`🔴 Client connected, replaying ${entries.length} entries`);
+        replay(response, entries, options);
+    });
+
+    server.listen(Number(flags.port), function() {
+        console.log(`✅ Replaying ${entries.length} entries at http://localhost:${flags.port}/events`);
+    });
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+}
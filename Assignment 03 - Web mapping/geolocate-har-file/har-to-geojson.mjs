@@ -0,0 +1,543 @@
+#!/usr/bin/env node
+// ========================================
+// HAR TO GEOJSON COMMAND-LINE TOOL
+// ========================================
+// Node.js version of scrape_har_locations.py: reads one or more HAR files, geolocates their
+// server IPs and writes GeoJSON the web map loads directly (or CSV).
+//
+//     node har-to-geojson.mjs inputs/*.har -o outputs/ip_locations.geojson
+//     node har-to-geojson.mjs capture.har --provider range-database,http --concurrency 8
+//
+// Geolocation results, range database parsing and approximate-location flags come from
+// "Web map/geolocation.js", so the command line and the browser locate IPs the same way.
+// Needs Node.js 18 or later (fetch and util.parseArgs).
+
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, extname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import vm from 'node:vm';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/* CLI OPTIONS: Flags accepted by parseArgs, with their defaults */
+const CLI_OPTIONS = {
+    output: { type: 'string', short: 'o', default: 'outputs/ip_locations.geojson' },
+    format: { type: 'string', short: 'f' }, // geojson or csv; defaults to the output extension
+    provider: { type: 'string', short: 'p', default: 'http' }, // Comma-separated, tried in order
+    'base-url': { type: 'string', default: 'https://ipinfo.io' },
+    token: { type: 'string' }, // Defaults to the IPINFO_TOKEN environment variable
+    ranges: { type: 'string', default: 'inputs/ip-ranges.csv' },
+    concurrency: { type: 'string', short: 'c', default: '4' },
+    retries: { type: 'string', default: '3' },
+    'max-ips': { type: 'string' },
+    'cache-dir': { type: 'string', default: 'cache' },
+    'no-cache': { type: 'boolean', default: false },
+    pretty: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/* USAGE: Help text printed by --help and after argument errors */
+const USAGE = `Usage: node har-to-geojson.mjs [options] <file.har>...
+
+Options:
+  -o, --output <path>      Output file (default: outputs/ip_locations.geojson, - for stdout)
+  -f, --format <format>    geojson or csv (default: from the output extension, else geojson)
+  -p, --provider <list>    Providers tried in order: http, range-database (default: http)
+      --base-url <url>     Server answering GET /{ip}/json like ipinfo.io (default: https://ipinfo.io)
+      --token <token>      ipinfo access token (default: $IPINFO_TOKEN)
+      --ranges <path>      CSV range database for range-database (default: inputs/ip-ranges.csv)
+  -c, --concurrency <n>    HTTP lookups in flight at once (default: 4)
+      --retries <n>        Retries of failed or rate-limited lookups, with backoff (default: 3)
+      --max-ips <n>        Only geolocate the first n IPs (default: all)
+      --cache-dir <path>   Response cache, one <sha1 of the URL>.json per lookup (default: cache)
+      --no-cache           Neither read nor write the cache
+      --pretty             Indent the GeoJSON
+  -h, --help               Show this help`;
+
+/* RETRY STATUSES: HTTP statuses worth retrying (rate limits and server errors) */
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+/* BACKOFF BASE MS: First retry delay, doubled on every further retry */
+const BACKOFF_BASE_MS = 1000;
+
+/* BACKOFF MAX MS: Longest wait between retries, also for Retry-After headers */
+const BACKOFF_MAX_MS = 30000;
+
+/* CSV COLUMNS: Properties written, in order, by the csv format */
+const CSV_COLUMNS = ['ip', 'latitude', 'longitude', 'host', 'url', 'requestCount', 'totalBytes', 'avgTime',
+    'city', 'region', 'country', 'accuracy', 'confidence', 'approximate', 'provider'];
+
+// ========================================
+// SHARED BROWSER CODE
+// ========================================
+
+/**
+ * LOAD BROWSER SCRIPT: Runs one of the web map's classic scripts and returns its functions
+ * Only function declarations become properties of the returned context
+ * @param {string} relativePath - Path from this file
+ * @returns {Object} Script context
+ */
+function loadBrowserScript(relativePath) {
+    const url = new URL(relativePath, import.meta.url);
+    const context = vm.createContext({ console: console, fetch: fetch, URL: URL });
+    vm.runInContext(readFileSync(url, 'utf8'), context, { filename: fileURLToPath(url) });
+    return context;
+}
+
+/* GEOLOCATION: Result builders, IP and range database parsing from the web map */
+const geolocation = loadBrowserScript('./Web map/geolocation.js');
+
+// ========================================
+// HAR READING
+// ========================================
+
+/**
+ * READ HAR REQUESTS: Requests with a server IP from a HAR file
+ * IP handling mirrors load_ips_from_har() in scrape_har_locations.py
+ * @param {string} path - HAR file path
+ * @returns {Array<Object>} Requests { ip, url, host, bytes, time }
+ */
+function readHARRequests(path) {
+    let har;
+    try {
+        har = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`${path} is not valid JSON (${error.message})`);
+    }
+
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+        throw new Error(`${path} is not a HAR file - missing log.entries array`);
+    }
+
+    return har.log.entries.filter(function(entry) {
+        return entry.serverIPAddress;
+    }).map(function(entry) {
+        const url = (entry.request && entry.request.url) || '';
+        const response = entry.response || {};
+        let host = '';
+        try {
+            host = new URL(url).hostname;
+        } catch (error) {
+            // Unparseable URLs keep an empty host
+        }
+
+        return {
+            // STRIP BRACKETS: IPv6 addresses may be recorded as [2606:4700::1]
+            ip: entry.serverIPAddress.replace(/^[\[\]]+|[\[\]]+$/g, ''),
+            url: url,
+            host: host,
+            bytes: response._transferSize > 0
+                ? response._transferSize
+                : Math.max(response.headersSize || 0, 0) + Math.max(response.bodySize || 0, 0),
+            time: typeof entry.time === 'number' ? entry.time : -1
+        };
+    });
+}
+
+/**
+ * AGGREGATE REQUESTS: Totals per server IP, in order of first appearance
+ * @param {Array<Object>} requests - Requests from readHARRequests()
+ * @returns {Map<string, Object>} IP -> { url, hosts, requestCount, totalBytes, totalTime, timedCount }
+ */
+function aggregateRequests(requests) {
+    const aggregates = new Map();
+
+    requests.forEach(function(request) {
+        if (!aggregates.has(request.ip)) {
+            aggregates.set(request.ip, { url: request.url, hosts: new Map(), requestCount: 0, totalBytes: 0, totalTime: 0, timedCount: 0 });
+        }
+
+        const aggregate = aggregates.get(request.ip);
+        aggregate.requestCount++;
+        aggregate.totalBytes += request.bytes;
+        if (request.host) aggregate.hosts.set(request.host, (aggregate.hosts.get(request.host) || 0) + 1);
+        if (request.time >= 0) {
+            aggregate.totalTime += request.time;
+            aggregate.timedCount++;
+        }
+    });
+
+    return aggregates;
+}
+
+// ========================================
+// RESPONSE CACHE AND RETRIES
+// ========================================
+
+/**
+ * GET CACHE PATH: Cache file of a lookup URL, named by its SHA-1 like the OSMnx cache
+ * @param {string} cacheDir - Cache directory
+ * @param {string} url - Lookup URL without the token
+ * @returns {string} File path
+ */
+function getCachePath(cacheDir, url) {
+    return join(cacheDir, createHash('sha1').update(url).digest('hex') + '.json');
+}
+
+/**
+ * SLEEP: Waits for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+/**
+ * GET RETRY DELAY: Wait before a retry, from Retry-After or exponential backoff with jitter
+ * @param {number} attempt - Retry number, from 0
+ * @param {Response} response - Failed response (optional)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, response) {
+    const retryAfter = response ? Number(response.headers.get('retry-after')) : NaN;
+    const delay = Number.isFinite(retryAfter) && retryAfter > 0
+        ? retryAfter * 1000
+        : BACKOFF_BASE_MS * Math.pow(2, attempt) * (0.5 + Math.random() / 2);
+    return Math.min(delay, BACKOFF_MAX_MS);
+}
+
+/**
+ * FETCH JSON WITH RETRY: GET request retried on network errors, rate limits and server errors
+ * @param {string} url - Request URL
+ * @param {number} retries - Retries after the first attempt
+ * @param {Object} stats - Run statistics (retries is incremented)
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function fetchJSONWithRetry(url, retries, stats) {
+    for (let attempt = 0; ; attempt++) {
+        let response = null;
+        try {
+            response = await fetch(url);
+            if (response.ok) return await response.json();
+            if (!RETRY_STATUSES.includes(response.status) || attempt >= retries) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+        } catch (error) {
+            if (response && !response.ok) throw error; // Not worth retrying, or out of retries
+            if (attempt >= retries) throw error;
+        }
+
+        stats.retries++;
+        await sleep(getRetryDelay(attempt, response));
+    }
+}
+
+// ========================================
+// PROVIDERS
+// ========================================
+
+/**
+ * CREATE CACHED HTTP PROVIDER: ipinfo.io style provider with retries and the on-disk cache
+ * @param {Object} options - { baseUrl, token, retries, cacheDir (null for no cache) }
+ * @param {Object} stats - Run statistics (cached, fetched, failed and retries are counted)
+ * @returns {Object} Provider with name and lookup(ip), like the web map's providers
+ */
+function createCachedHTTPProvider(options, stats) {
+    const name = 'http';
+    const baseUrl = options.baseUrl.replace(/\/+$/, '');
+
+    return {
+        name: name,
+
+        lookup: async function(ip) {
+            // CACHE KEY: The URL without the token, so a new token keeps the cache
+            const url = `${baseUrl}/${encodeURIComponent(ip)}/json`;
+            const cachePath = options.cacheDir ? getCachePath(options.cacheDir, url) : null;
+
+            // CACHE HIT: An unreadable or corrupt entry counts as a miss and is overwritten by the fetch
+            if (cachePath && existsSync(cachePath)) {
+                try {
+                    const cached = JSON.parse(readFileSync(cachePath, 'utf8'));
+                    stats.cached++;
+                    return geolocation.readHTTPResponse(ip, name, cached);
+                } catch (error) {
+                    console.error(`⚠️ Ignoring cache entry ${cachePath}: ${error.message}`);
+                }
+            }
+
+            let data;
+            try {
+                const tokenParam = options.token ? `?token=${encodeURIComponent(options.token)}` : '';
+                data = await fetchJSONWithRetry(url + tokenParam, options.retries, stats);
+            } catch (error) {
+                stats.failed++;
+                return geolocation.createUnresolvedResult(ip, name, error.message);
+            }
+
+            // CACHE: Only successful responses, failures are tried again next run
+            stats.fetched++;
+            if (cachePath) writeFileSync(cachePath, JSON.stringify(data));
+            return geolocation.readHTTPResponse(ip, name, data);
+        }
+    };
+}
+
+/**
+ * CREATE FILE RANGE DATABASE PROVIDER: The web map's offline provider, reading the CSV from disk
+ * @param {string} path - CSV range database path
+ * @returns {Object} Provider with name and lookup(ip)
+ */
+function createFileRangeDatabaseProvider(path) {
+    const name = 'range-database';
+    const table = geolocation.parseRangeDatabase(readFileSync(path, 'utf8'));
+    console.error(`✅ Loaded ${table.size} ranges from ${path}`);
+
+    return {
+        name: name,
+
+        lookup: async function(ip) {
+            const address = geolocation.parseIPAddress(ip);
+            if (!address) {
+                return geolocation.createUnresolvedResult(ip, name, 'Invalid IP address');
+            }
+
+            const record = geolocation.lookupRange(table, address);
+            return record
+                ? geolocation.createResolvedResult(ip, name, record)
+                : geolocation.createUnresolvedResult(ip, name, 'IP is not in any range');
+        }
+    };
+}
+
+/**
+ * RESOLVE IP: Tries each provider in turn, like the web map's resolver
+ * @param {string} ip - IP address
+ * @param {Array<Object>} providers - Providers with name and lookup(ip)
+ * @returns {Promise<Object>} Geolocation result
+ */
+async function resolveIP(ip, providers) {
+    let result = null;
+    for (const provider of providers) {
+        result = await provider.lookup(ip);
+        if (result.status === 'resolved') break;
+    }
+    return result;
+}
+
+/**
+ * MAP WITH CONCURRENCY: Runs an async function over items with at most limit calls in flight
+ * @param {Array} items - Items
+ * @param {number} limit - Maximum calls in flight
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+// ========================================
+// OUTPUT
+// ========================================
+
+/**
+ * CREATE FEATURE COLLECTION: Points for the resolved IPs, with the properties the web map reads
+ * @param {Map<string, Object>} aggregates - Totals per IP from aggregateRequests()
+ * @param {Array<Object>} results - Resolved geolocation results
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function createFeatureCollection(aggregates, results) {
+    return {
+        type: 'FeatureCollection',
+        features: results.map(function(result) {
+            const aggregate = aggregates.get(result.ip);
+            const hosts = Array.from(aggregate.hosts.keys()).sort(function(a, b) {
+                return aggregate.hosts.get(b) - aggregate.hosts.get(a);
+            });
+
+            return {
+                type: 'Feature',
+                properties: {
+                    ip: result.ip,
+                    url: aggregate.url,
+                    host: hosts[0] || '',
+                    hostCount: hosts.length,
+                    requestCount: aggregate.requestCount,
+                    totalBytes: aggregate.totalBytes,
+                    avgTime: aggregate.timedCount ? Math.round(aggregate.totalTime / aggregate.timedCount) : null,
+                    city: result.city,
+                    region: result.region,
+                    country: result.country,
+                    accuracy: result.accuracy,
+                    confidence: result.confidence,
+                    approximate: geolocation.getApproximateReason(result.coordinates, result.accuracy),
+                    provider: result.provider
+                },
+                geometry: { type: 'Point', coordinates: result.coordinates }
+            };
+        })
+    };
+}
+
+/**
+ * TO CSV: One row per feature with the CSV_COLUMNS
+ * @param {Object} featureCollection - GeoJSON FeatureCollection of points
+ * @returns {string} CSV text with a header row
+ */
+function toCSV(featureCollection) {
+    const quote = function(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = featureCollection.features.map(function(feature) {
+        const values = Object.assign({
+            latitude: feature.geometry.coordinates[1],
+            longitude: feature.geometry.coordinates[0]
+        }, feature.properties);
+        return CSV_COLUMNS.map(function(column) { return quote(values[column]); }).join(',');
+    });
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * READ INTEGER FLAG: Parses a whole-number flag
+ * @param {string} value - Flag value
+ * @param {string} flag - Flag name for the error message
+ * @param {number} min - Smallest allowed value
+ * @returns {number} Parsed value
+ */
+function readIntegerFlag(value, flag, min) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw new Error(`--${flag} must be a whole number of at least ${min}`);
+    }
+    return number;
+}
+
+// ========================================
+// RUN
+// ========================================
+
+/**
+ * MAIN: Reads the HAR files, geolocates their IPs, writes the output and prints a run summary
+ * @param {Array<string>} argv - Command-line arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    const { values: flags, positionals: harPaths } = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+    if (flags.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (harPaths.length === 0) {
+        throw new Error('no HAR files given');
+    }
+
+    const format = flags.format || (extname(flags.output).toLowerCase() === '.csv' ? 'csv' : 'geojson');
+    if (!['geojson', 'csv'].includes(format)) {
+        throw new Error(`unknown format "${format}" - use geojson or csv`);
+    }
+
+    const startTime = Date.now();
+    const stats = { cached: 0, fetched: 0, failed: 0, retries: 0 };
+
+    // PROVIDERS: Built in the order given
+    const cacheDir = flags['no-cache'] ? null : flags['cache-dir'];
+    if (cacheDir) mkdirSync(cacheDir, { recursive: true });
+    const providers = flags.provider.split(',').map(function(providerName) {
+        if (providerName === 'range-database') {
+            return createFileRangeDatabaseProvider(flags.ranges);
+        }
+        if (providerName === 'http') {
+            return createCachedHTTPProvider({
+                baseUrl: flags['base-url'],
+                token: flags.token || process.env.IPINFO_TOKEN || null,
+                retries: readIntegerFlag(flags.retries, 'retries', 0),
+                cacheDir: cacheDir
+            }, stats);
+        }
+        throw new Error(`unknown provider "${providerName}" - use http or range-database`);
+    });
+
+    // READ: Every HAR file before any lookup
+    const requests = [];
+    harPaths.forEach(function(path) {
+        const fileRequests = readHARRequests(path);
+        console.error(`${path}: ${fileRequests.length} requests with a server IP`);
+        requests.push(...fileRequests);
+    });
+
+    const aggregates = aggregateRequests(requests);
+    let ips = Array.from(aggregates.keys());
+    const skippedCount = flags['max-ips'] ? Math.max(0, ips.length - readIntegerFlag(flags['max-ips'], 'max-ips', 1)) : 0;
+    if (skippedCount > 0) ips = ips.slice(0, ips.length - skippedCount);
+
+    // GEOLOCATE: Several lookups in flight, progress on one line
+    const concurrency = readIntegerFlag(flags.concurrency, 'concurrency', 1);
+    let doneCount = 0;
+    const results = await mapWithConcurrency(ips, concurrency, async function(ip) {
+        const result = await resolveIP(ip, providers);
+        doneCount++;
+        if (process.stderr.isTTY) process.stderr.write(`\rGeolocating ${doneCount}/${ips.length}`);
+        return result;
+    });
+    if (process.stderr.isTTY && ips.length > 0) process.stderr.write('\n');
+
+    const resolved = results.filter(function(result) { return result.status === 'resolved'; });
+    const unresolved = results.filter(function(result) { return result.status !== 'resolved'; });
+    const featureCollection = createFeatureCollection(aggregates, resolved);
+
+    // WRITE: To the output file, or stdout for -
+    const text = format === 'csv'
+        ? toCSV(featureCollection)
+        : JSON.stringify(featureCollection, null, flags.pretty ? 2 : undefined) + '\n';
+    if (flags.output === '-') {
+        process.stdout.write(text);
+    } else {
+        mkdirSync(dirname(flags.output), { recursive: true });
+        writeFileSync(flags.output, text);
+    }
+
+    // SUMMARY: Counts on stderr, so stdout stays clean for -o -
+    const approximateCount = featureCollection.features.filter(function(feature) { return feature.properties.approximate; }).length;
+    console.error(`\n✅ ${featureCollection.features.length} located servers written to ${flags.output === '-' ? 'stdout' : flags.output} (${format})`);
+    console.error(`   HAR files:   ${harPaths.length} (${requests.length} requests, ${aggregates.size} unique IPs)`);
+    console.error(`   Resolved:    ${resolved.length}${approximateCount ? ` (${approximateCount} approximate)` : ''}`);
+    console.error(`   Unresolved:  ${unresolved.length}`);
+    if (skippedCount > 0) console.error(`   Skipped:     ${skippedCount} (--max-ips)`);
+    console.error(`   HTTP:        ${stats.cached} cached, ${stats.fetched} fetched, ${stats.failed} failed, ${stats.retries} retries`);
+    console.error(`   Time:        ${((Date.now() - startTime) / 1000).toFixed(1)} s`);
+
+    // UNRESOLVED: Grouped by reason
+    const reasons = {};
+    unresolved.forEach(function(result) {
+        reasons[result.reason] = (reasons[result.reason] || []).concat(result.ip);
+    });
+    Object.keys(reasons).forEach(function(reason) {
+        const ipList = reasons[reason];
+        console.error(`⚠️ ${reason}: ${ipList.slice(0, 5).join(', ')}${ipList.length > 5 ? `, ... (${ipList.length})` : ''}`);
+    });
+
+    return 0;
+}
+
+main(process.argv.slice(2)).then(function(exitCode) {
+    process.exitCode = exitCode;
+}).catch(function(error) {
+    console.error(`❌ ${error.message}`);
+    if (error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || /no HAR files/.test(error.message)) {
+        console.error(`\n${USAGE}`);
+    }
+    process.exitCode = 1;
+});